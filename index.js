@@ -7,11 +7,16 @@ const cron = require('node-cron');
 const { CONFIG } = require('./src/config');
 const { cleanupOldFiles } = require('./src/utils');
 const { fetchRankingData } = require('./src/scraper');
-const { initPrefetch, prefetchAllServers } = require('./src/prefetch');
+const { initPrefetch, prefetchAllServers, resumePrefetch } = require('./src/prefetch');
 const apiRoutes = require('./src/routes');
 const logger = require('./src/logger');
 const { createRateLimiter } = require('./src/rateLimit');
+const { createCorsMiddleware } = require('./src/cors');
 const { initDatabase } = require('./src/database');
+const { discoverServers } = require('./src/serverCatalog');
+const { refreshTopCharacterDetails } = require('./src/characterDetails');
+const { initSelectorProfiles } = require('./src/selectorProfiles');
+const { pruneHtmlArchive } = require('./src/htmlArchive');
 
 // Inicializar la aplicación Express
 const app = express();
@@ -26,6 +31,9 @@ initDatabase()
         logger.error(`Error al inicializar la base de datos: ${err.message}`, 'Sistema');
     });
 
+// Cargar el perfil de selectores y de iconos de clase (src/profiles)
+initSelectorProfiles();
+
 // Banner de inicio
 const showBanner = () => {
     console.log("\n");
@@ -39,15 +47,18 @@ const showBanner = () => {
     console.log("\n");
 };
 
+// Middleware CORS (antes del rate limiting para que los preflight no cuenten y los 429 lleven cabeceras CORS)
+app.use(createCorsMiddleware());
+
 // Middleware para analizar JSON en solicitudes
 app.use(express.json());
 
 // Middleware para rate limiting
 app.use(createRateLimiter());
 
-// Middleware para registrar todas las solicitudes
+// Middleware para registrar todas las solicitudes (sin la clave de API si viene en la query)
 app.use((req, res, next) => {
-    logger.route(`${req.method} ${req.originalUrl}`);
+    logger.route(`${req.method} ${req.originalUrl.replace(/([?&]api_key=)[^&]*/, '$1***')}`);
     next();
 });
 
@@ -58,6 +69,7 @@ app.use('/api', apiRoutes);
 cron.schedule(CONFIG.CLEANUP_CRON, () => {
     logger.system(`Ejecutando limpieza programada de archivos (cron: ${CONFIG.CLEANUP_CRON})`);
     cleanupOldFiles();
+    pruneHtmlArchive();
 });
 
 // Inicializar el sistema de prefetch
@@ -67,7 +79,20 @@ const prefetchSystem = initPrefetch();
 cron.schedule(CONFIG.PREFETCH_CRON, () => {
     logger.system(`Ejecutando prefetch programado de servidores (cron: ${CONFIG.PREFETCH_CRON})`);
     // No forzamos actualización en el prefetch automático para respetar el reset de rankings
-    prefetchAllServers({ forceUpdate: false });
+    prefetchAllServers({ forceUpdate: false })
+        .catch(err => logger.error(`Error en el prefetch programado: ${err.message}`, 'Sistema'));
+});
+
+// Programar el descubrimiento de servidores nuevos en la página del ranking
+cron.schedule(CONFIG.SERVER_DISCOVERY_CRON, () => {
+    logger.system(`Ejecutando descubrimiento programado de servidores (cron: ${CONFIG.SERVER_DISCOVERY_CRON})`);
+    discoverServers().catch(err => logger.error(`Error en el descubrimiento de servidores: ${err.message}`, 'Sistema'));
+});
+
+// Programar la actualización de las fichas de los primeros personajes de cada servidor
+cron.schedule(CONFIG.CHARACTER_DETAILS_CRON, () => {
+    logger.system(`Ejecutando actualización programada de fichas de personajes (cron: ${CONFIG.CHARACTER_DETAILS_CRON})`);
+    refreshTopCharacterDetails().catch(err => logger.error(`Error en la actualización de fichas: ${err.message}`, 'Sistema'));
 });
 
 // Ejecutar una búsqueda inicial al iniciar para probar el sistema
@@ -78,11 +103,23 @@ if (process.env.NODE_ENV !== 'test') {
         .then(() => logger.success('Carga inicial completada exitosamente', 'Sistema'))
         .catch(err => logger.error(`Error en carga inicial: ${err.message}`, 'Sistema'));
     
+    // Actualizar el catálogo de servidores antes del prefetch inicial
+    discoverServers().catch(err => logger.error(`Error en el descubrimiento de servidores: ${err.message}`, 'Sistema'));
+    
     // Iniciar el prefetch inicial después de un breve retraso para no saturar recursos al inicio
     setTimeout(() => {
+        // Si el proceso se detuvo a mitad de un prefetch, continuar desde donde se quedó
+        if (prefetchSystem.run && prefetchSystem.run.status === 'interrupted') {
+            logger.system('Reanudando el prefetch interrumpido...');
+            resumePrefetch()
+                .catch(err => logger.error(`Error al reanudar el prefetch: ${err.message}`, 'Sistema'));
+            return;
+        }
+        
         logger.system('Iniciando prefetch inicial de servidores...');
         // No forzamos la actualización para permitir que el sistema de comparación funcione
-        prefetchAllServers({ forceUpdate: false });
+        prefetchAllServers({ forceUpdate: false })
+            .catch(err => logger.error(`Error en el prefetch inicial: ${err.message}`, 'Sistema'));
     }, 10000);
 }
 
@@ -94,6 +131,7 @@ if (process.env.NODE_ENV !== 'test') {
         logger.success(`API de rankings MIR4 corriendo en http://localhost:${port}`, 'Sistema');
         logger.info(`Limpieza de archivos programada: ${CONFIG.CLEANUP_CRON}`, 'Sistema');
         logger.info(`Prefetch automático programado: ${CONFIG.PREFETCH_CRON}`, 'Sistema');
+        logger.info(`Descubrimiento de servidores programado: ${CONFIG.SERVER_DISCOVERY_CRON}`, 'Sistema');
         
         // Ejecutar una limpieza inicial al iniciar el servidor
         cleanupOldFiles();
@@ -0,0 +1,52 @@
+/**
+ * CLI para gestionar las claves de API (API_KEY_ENABLED=true)
+ *
+ * Uso:
+ *   node scripts/apiKeys.js list [--all]
+ *   node scripts/apiKeys.js issue <nombre> [read|admin]
+ *   node scripts/apiKeys.js revoke <nombre>
+ */
+
+require('dotenv').config();
+
+const { issueApiKey, revokeApiKey, listApiKeys } = require('../src/apiKeys');
+const { closeDatabase } = require('../src/database');
+const logger = require('../src/logger');
+
+async function main() {
+    const [command, name, scope] = process.argv.slice(2);
+
+    try {
+        switch (command) {
+            case 'list': {
+                const { enabled, keys } = await listApiKeys({ includeRevoked: name === '--all' });
+                logger.info(`Autenticación ${enabled ? 'activada' : 'desactivada'} (API_KEY_ENABLED); ${keys.length} claves`, 'Auth');
+                keys.forEach(key => {
+                    const state = key.revokedAt ? ` revocada el ${key.revokedAt}` : '';
+                    logger.info(`${key.name} (${key.scope}): ${key.usageCount} usos, último ${key.lastUsedAt || 'nunca'}${state}`, 'Auth');
+                });
+                break;
+            }
+            case 'issue': {
+                const apiKey = await issueApiKey({ name, scope: scope || 'read' });
+                // La clave en claro solo se muestra esta vez
+                console.log(apiKey.key);
+                break;
+            }
+            case 'revoke':
+                if (!await revokeApiKey(name)) {
+                    throw new Error(`No hay ninguna clave activa con el nombre '${name}'`);
+                }
+                break;
+            default:
+                throw new Error('Comando desconocido (usa list, issue o revoke)');
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch(error => {
+    logger.error(`Error al gestionar las claves de API: ${error.message}`, 'Auth');
+    process.exitCode = 1;
+});
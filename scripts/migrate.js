@@ -0,0 +1,100 @@
+/**
+ * CLI de migraciones del esquema de base de datos
+ *
+ * Uso:
+ *   node scripts/migrate.js [migrate] [--to=N] [--dry-run]   Aplica las migraciones pendientes
+ *   node scripts/migrate.js rollback [--steps=N | --to=N] [--dry-run]   Revierte migraciones
+ *   node scripts/migrate.js status                           Lista las migraciones y su estado
+ */
+
+require('dotenv').config();
+
+const { createStorageAdapter } = require('../src/storage');
+const { migrate, rollback, getMigrationStatus } = require('../src/migrator');
+const logger = require('../src/logger');
+
+/**
+ * Interpreta los argumentos de la línea de comandos
+ * @param {Array<string>} args - Argumentos (sin node ni el script)
+ * @returns {Object} - { command, dryRun, to, steps }
+ */
+function parseArgs(args) {
+    const options = { command: 'migrate', dryRun: false };
+
+    for (const arg of args) {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg.startsWith('--to=')) {
+            options.to = parseInt(arg.slice('--to='.length), 10);
+        } else if (arg.startsWith('--steps=')) {
+            options.steps = parseInt(arg.slice('--steps='.length), 10);
+        } else if (!arg.startsWith('--')) {
+            options.command = arg;
+        } else {
+            throw new Error(`Opción desconocida: ${arg}`);
+        }
+    }
+
+    if ((options.to !== undefined && isNaN(options.to)) || (options.steps !== undefined && !(options.steps > 0))) {
+        throw new Error('--to y --steps deben ser números enteros válidos');
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const adapter = createStorageAdapter();
+
+    await adapter.connect();
+
+    try {
+        switch (options.command) {
+            case 'migrate': {
+                const result = await migrate(adapter, { target: options.to, dryRun: options.dryRun });
+                const verb = options.dryRun ? 'Se aplicarían' : 'Aplicadas';
+
+                if (result.length === 0) {
+                    logger.info('No hay migraciones pendientes', 'Migraciones');
+                }
+                result.forEach(m => logger.info(`${verb}: ${m.version} ${m.name} - ${m.description}`, 'Migraciones'));
+                break;
+            }
+
+            case 'rollback': {
+                const result = await rollback(adapter, {
+                    steps: options.steps,
+                    target: options.to,
+                    dryRun: options.dryRun
+                });
+                const verb = options.dryRun ? 'Se revertirían' : 'Revertidas';
+
+                if (result.length === 0) {
+                    logger.info('No hay migraciones que revertir', 'Migraciones');
+                }
+                result.forEach(m => logger.info(`${verb}: ${m.version} ${m.name} - ${m.description}`, 'Migraciones'));
+                break;
+            }
+
+            case 'status': {
+                const status = await getMigrationStatus(adapter);
+
+                logger.info(`Versión actual del esquema: ${status.currentVersion}`, 'Migraciones');
+                status.migrations.forEach(m => {
+                    logger.info(`[${m.applied ? 'x' : ' '}] ${m.version} ${m.name} - ${m.description}`, 'Migraciones');
+                });
+                break;
+            }
+
+            default:
+                throw new Error(`Comando desconocido: ${options.command} (usa migrate, rollback o status)`);
+        }
+    } finally {
+        await adapter.close();
+    }
+}
+
+main().catch(error => {
+    logger.error(`Error en las migraciones: ${error.message}`, 'Migraciones');
+    process.exitCode = 1;
+});
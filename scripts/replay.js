@@ -0,0 +1,93 @@
+/**
+ * CLI para reprocesar las páginas de ranking archivadas (HTML_ARCHIVE=true)
+ *
+ * Uso:
+ *   node scripts/replay.js [--server=EU014] [--kind=players|clans] [--type=power] [--class=3]
+ *                          [--from=2024-05-01] [--to=2024-05-31] [--dry-run]
+ */
+
+require('dotenv').config();
+
+const { replayArchive } = require('../src/replay');
+const { resolveClassType } = require('../src/scraper');
+const { closeDatabase } = require('../src/database');
+const logger = require('../src/logger');
+
+/**
+ * Interpreta los argumentos de la línea de comandos
+ * @param {Array<string>} args - Argumentos (sin node ni el script)
+ * @returns {Object} - { filters, dryRun }
+ */
+function parseArgs(args) {
+    const filters = {};
+    let dryRun = false;
+
+    for (const arg of args) {
+        const [name, value] = arg.split('=');
+        if (name !== '--dry-run' && !value) {
+            throw new Error(`Falta el valor de ${name} (usa ${name}=valor)`);
+        }
+
+        switch (name) {
+            case '--dry-run':
+                dryRun = true;
+                break;
+            case '--server':
+                filters.server = value.toUpperCase();
+                break;
+            case '--kind':
+                filters.kind = value;
+                break;
+            case '--type':
+                filters.type = value;
+                break;
+            case '--class':
+                filters.classType = resolveClassType(value);
+                if (filters.classType === null) {
+                    throw new Error(`Clase no válida: ${value}`);
+                }
+                break;
+            case '--from':
+            case '--to': {
+                const date = new Date(value);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Fecha no válida: ${value}`);
+                }
+                // Una fecha sin hora como límite superior incluye el día completo
+                if (name === '--to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                    date.setUTCHours(23, 59, 59, 999);
+                }
+                filters[name === '--from' ? 'fromDate' : 'toDate'] = date.toISOString();
+                break;
+            }
+            default:
+                throw new Error(`Opción desconocida: ${arg}`);
+        }
+    }
+
+    return { filters, dryRun };
+}
+
+async function main() {
+    const { filters, dryRun } = parseArgs(process.argv.slice(2));
+
+    try {
+        const summary = await replayArchive(filters, { dryRun });
+
+        summary.results.forEach(result => {
+            const detail = result.problems ? ` (${result.problems.join('; ')})` : '';
+            logger.info(`[${result.status}] ${result.run}: ${result.entries} entradas en ${result.pages} páginas${detail}`, 'Replay');
+        });
+
+        if (summary.failed > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch(error => {
+    logger.error(`Error al reprocesar el archivo de HTML: ${error.message}`, 'Replay');
+    process.exitCode = 1;
+});
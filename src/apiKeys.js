@@ -0,0 +1,180 @@
+/**
+ * Autenticación con claves de API
+ *
+ * Con API_KEY_ENABLED=true cada petición debe llevar una clave en la cabecera X-API-Key
+ * (o en el parámetro api_key). Las claves tienen nombre y alcance: 'read' para las consultas
+ * y 'admin' para las rutas que lanzan descargas o modifican datos. En la base de datos solo se
+ * guarda su hash SHA-256. API_KEY, si se define, funciona como clave de administración
+ * (nombre 'env') para poder emitir las primeras claves.
+ */
+
+const crypto = require('crypto');
+const { getSecurityConfig } = require('./secrets');
+const { insertApiKey, getActiveApiKey, getApiKeys, revokeApiKey: revokeStoredApiKey, addApiKeyUsage } = require('./database');
+const logger = require('./logger');
+
+// Alcances de las claves, de menor a mayor
+const API_KEY_SCOPES = ['read', 'admin'];
+
+// Cabecera y parámetro de query con los que se envía la clave
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_QUERY_PARAM = 'api_key';
+
+// Nombre con el que aparece la clave de API_KEY
+const ENV_KEY_NAME = 'env';
+
+const security = getSecurityConfig();
+
+// Usos de la clave de API_KEY (no está en la base de datos)
+const envKeyUsage = { usageCount: 0, lastUsedAt: null };
+
+/**
+ * Calcula el hash con el que se guarda una clave
+ * @param {string} key - Clave en claro
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Emite una clave de API nueva. La clave en claro solo se devuelve aquí
+ * @param {Object} options - { name, scope ('read' o 'admin') }
+ * @returns {Promise<Object>} - Clave guardada más el campo key con la clave en claro
+ */
+async function issueApiKey({ name, scope = 'read' }) {
+    if (!name || !/^[\w.-]{1,64}$/.test(name) || name === ENV_KEY_NAME) {
+        const error = new Error(`Nombre de clave no válido: '${name}' (letras, números, '.', '_' o '-', y distinto de '${ENV_KEY_NAME}')`);
+        error.code = 'API_KEY_INVALID';
+        throw error;
+    }
+
+    if (!API_KEY_SCOPES.includes(scope)) {
+        const error = new Error(`Alcance no válido: '${scope}'. Alcances disponibles: ${API_KEY_SCOPES.join(', ')}`);
+        error.code = 'API_KEY_INVALID';
+        throw error;
+    }
+
+    if (await getActiveApiKey({ name })) {
+        const error = new Error(`Ya existe una clave activa con el nombre '${name}'`);
+        error.code = 'API_KEY_EXISTS';
+        throw error;
+    }
+
+    const key = `mir4_${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await insertApiKey({ name, keyHash: hashApiKey(key), keyPrefix: key.slice(0, 9), scope });
+
+    logger.info(`Clave de API emitida: ${name} (${scope})`, 'Auth');
+    return { ...apiKey, key };
+}
+
+/**
+ * Revoca una clave de API por su nombre
+ * @param {string} name - Nombre de la clave
+ * @returns {Promise<boolean>} - true si existía una clave activa con ese nombre
+ */
+async function revokeApiKey(name) {
+    const revoked = await revokeStoredApiKey(name);
+    if (revoked) {
+        logger.info(`Clave de API revocada: ${name}`, 'Auth');
+    }
+    return revoked;
+}
+
+/**
+ * Lista las claves de API con sus contadores de uso
+ * @param {Object} options - { includeRevoked }
+ * @returns {Promise<Object>} - { enabled, keys }; keys incluye la de API_KEY si está definida
+ */
+async function listApiKeys(options = {}) {
+    const keys = await getApiKeys(options);
+
+    if (security.apiKey) {
+        keys.unshift({ name: ENV_KEY_NAME, scope: 'admin', ...envKeyUsage });
+    }
+
+    return { enabled: security.apiKeyEnabled, keys };
+}
+
+/**
+ * Busca la clave de API enviada y registra su uso
+ * @param {string} key - Clave en claro
+ * @returns {Promise<Object|null>} - { name, scope } o null si no es válida
+ */
+async function authenticateApiKey(key) {
+    const now = new Date().toISOString();
+    const keyHash = hashApiKey(key);
+
+    // Comparar los hashes evita filtrar la longitud de API_KEY en el tiempo de respuesta
+    if (security.apiKey && crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashApiKey(security.apiKey), 'hex'))) {
+        envKeyUsage.usageCount++;
+        envKeyUsage.lastUsedAt = now;
+        return { name: ENV_KEY_NAME, scope: 'admin' };
+    }
+
+    const apiKey = await getActiveApiKey({ keyHash });
+    if (!apiKey) {
+        return null;
+    }
+
+    // El contador no debe retrasar la respuesta
+    addApiKeyUsage(apiKey.id, 1, now).catch(error => {
+        logger.error(`Error al registrar el uso de la clave ${apiKey.name}: ${error.message}`, 'Auth');
+    });
+
+    return { name: apiKey.name, scope: apiKey.scope };
+}
+
+/**
+ * Middleware que exige una clave de API con al menos el alcance indicado
+ * No hace nada si API_KEY_ENABLED no está activo
+ * @param {string} scope - Alcance mínimo ('read' o 'admin')
+ * @returns {Function} - Middleware Express
+ */
+function requireApiKey(scope = 'read') {
+    const requiredLevel = API_KEY_SCOPES.indexOf(scope);
+
+    return async function apiKeyAuth(req, res, next) {
+        if (!security.apiKeyEnabled) {
+            return next();
+        }
+
+        // Si un middleware anterior ya autenticó la petición solo queda comprobar el alcance
+        if (!req.apiKey) {
+            const key = req.get(API_KEY_HEADER) || (req.query && req.query[API_KEY_QUERY_PARAM]);
+            if (!key || typeof key !== 'string') {
+                return res.status(401).json({ error: `Se requiere una clave de API (cabecera X-API-Key o parámetro ${API_KEY_QUERY_PARAM})` });
+            }
+
+            try {
+                req.apiKey = await authenticateApiKey(key);
+            } catch (error) {
+                logger.error(`Error al comprobar la clave de API: ${error.message}`, 'Auth');
+                return res.status(500).json({ error: 'Error al comprobar la clave de API' });
+            }
+
+            if (!req.apiKey) {
+                logger.warn(`Clave de API no válida en ${req.method} ${req.baseUrl}${req.path}`, 'Auth');
+                logger.metric('api_key_rejected', 1, 'Auth');
+                return res.status(401).json({ error: 'Clave de API no válida o revocada' });
+            }
+        }
+
+        if (API_KEY_SCOPES.indexOf(req.apiKey.scope) < requiredLevel) {
+            logger.warn(`La clave ${req.apiKey.name} no tiene alcance ${scope} para ${req.method} ${req.baseUrl}${req.path}`, 'Auth');
+            return res.status(403).json({ error: `Esta operación requiere una clave con alcance '${scope}'` });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    hashApiKey,
+    issueApiKey,
+    revokeApiKey,
+    listApiKeys,
+    authenticateApiKey,
+    requireApiKey
+};
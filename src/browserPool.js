@@ -0,0 +1,269 @@
+/**
+ * Pool compartido de navegador Puppeteer
+ *
+ * Todas las descargas con navegador comparten un único Chromium del que se piden páginas:
+ * - Como máximo BROWSER_POOL_SIZE páginas abiertas a la vez (el resto espera turno)
+ * - Antes de entregar una página se comprueba que el navegador responde
+ * - Tras BROWSER_RECYCLE_AFTER páginas el navegador se retira y se lanza uno nuevo;
+ *   el antiguo se cierra cuando se devuelven las páginas que tenía prestadas
+ */
+
+const puppeteer = require('puppeteer');
+const { SCRAPER_BEHAVIOR } = require('./config');
+const logger = require('./logger');
+
+// Tiempo máximo de espera para la comprobación de salud del navegador
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Estado del pool
+const pool = {
+    current: null,       // Navegador que recibe las nuevas páginas
+    retired: new Set(),  // Navegadores retirados con páginas aún prestadas
+    launching: null,     // Promesa del lanzamiento en curso
+    activePages: 0,      // Páginas prestadas en este momento
+    waiting: [],         // Peticiones en espera de un hueco
+    launches: 0,         // Navegadores lanzados desde el arranque
+    pagesServed: 0       // Páginas entregadas desde el arranque
+};
+
+/**
+ * Lanza un nuevo navegador y lo registra en el pool
+ * @returns {Promise<Object>} - Entrada del navegador { browser, pagesOpened, activePages, lastHealthCheck }
+ */
+async function launchBrowser() {
+    logger.scraper('Lanzando navegador para el pool...');
+
+    const browser = await puppeteer.launch({
+        headless: SCRAPER_BEHAVIOR.BROWSER_HEADLESS,
+        args: SCRAPER_BEHAVIOR.BROWSER_ARGS,
+        timeout: 60000 // 60 segundos para iniciar el navegador
+    });
+
+    const entry = { browser, pagesOpened: 0, activePages: 0, lastHealthCheck: Date.now() };
+
+    // Si Chromium se cierra por su cuenta, el siguiente préstamo lanzará otro
+    browser.on('disconnected', () => {
+        if (pool.current === entry) {
+            logger.warn('El navegador del pool se desconectó', 'Scraper');
+            pool.current = null;
+        }
+        pool.retired.delete(entry);
+    });
+
+    pool.launches++;
+    logger.metric('browser_pool_launch', pool.launches);
+
+    return entry;
+}
+
+/**
+ * Comprueba que el navegador sigue conectado y responde
+ * @param {Object} entry - Entrada del navegador
+ * @returns {Promise<boolean>} - true si está sano
+ */
+async function isBrowserHealthy(entry) {
+    if (!entry.browser.isConnected()) {
+        return false;
+    }
+
+    // Solo se consulta al navegador si ha pasado el intervalo configurado desde la última comprobación
+    if (Date.now() - entry.lastHealthCheck < SCRAPER_BEHAVIOR.BROWSER_HEALTH_CHECK_INTERVAL_MS) {
+        return true;
+    }
+
+    let timer = null;
+    try {
+        await Promise.race([
+            entry.browser.version(),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('El navegador no responde')), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]);
+        entry.lastHealthCheck = Date.now();
+        return true;
+    } catch (error) {
+        logger.warn(`Comprobación de salud del navegador fallida: ${error.message}`, 'Scraper');
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Cierra un navegador retirado cuando ya no tiene páginas prestadas
+ * @param {Object} entry - Entrada del navegador
+ */
+async function closeIfDrained(entry) {
+    if (entry.activePages > 0 || pool.current === entry) {
+        return;
+    }
+
+    pool.retired.delete(entry);
+    await entry.browser.close().catch(error => {
+        logger.debug(`Error al cerrar el navegador: ${error.message}`, 'Scraper');
+    });
+}
+
+/**
+ * Retira el navegador actual: no recibe más páginas y se cierra al devolverse las suyas
+ * @param {string} reason - Motivo (para los logs)
+ */
+async function retireCurrentBrowser(reason) {
+    const entry = pool.current;
+    if (!entry) return;
+
+    logger.scraper(`Retirando navegador del pool: ${reason}`);
+    pool.current = null;
+    pool.retired.add(entry);
+    await closeIfDrained(entry);
+}
+
+/**
+ * Obtiene un navegador sano con capacidad para una página más, lanzándolo si es necesario
+ * @returns {Promise<Object>} - Entrada del navegador
+ */
+async function getHealthyBrowser() {
+    if (pool.current && pool.current.pagesOpened >= SCRAPER_BEHAVIOR.BROWSER_RECYCLE_AFTER) {
+        await retireCurrentBrowser(`${pool.current.pagesOpened} páginas servidas`);
+    }
+
+    if (pool.current && !(await isBrowserHealthy(pool.current))) {
+        await retireCurrentBrowser('no supera la comprobación de salud');
+    }
+
+    if (!pool.current) {
+        // Varias peticiones simultáneas comparten el mismo lanzamiento
+        if (!pool.launching) {
+            pool.launching = launchBrowser()
+                .then(entry => {
+                    pool.current = entry;
+                    return entry;
+                })
+                .finally(() => {
+                    pool.launching = null;
+                });
+        }
+        return pool.launching;
+    }
+
+    return pool.current;
+}
+
+/**
+ * Espera a que haya un hueco libre en el pool
+ * @returns {Promise<void>}
+ */
+function waitForSlot() {
+    if (pool.activePages < SCRAPER_BEHAVIOR.BROWSER_POOL_SIZE) {
+        pool.activePages++;
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => pool.waiting.push(resolve));
+}
+
+/**
+ * Libera un hueco del pool y se lo cede a la siguiente petición en espera
+ */
+function releaseSlot() {
+    const next = pool.waiting.shift();
+    if (next) {
+        next(); // El hueco pasa directamente a la petición en espera
+    } else {
+        pool.activePages--;
+    }
+}
+
+/**
+ * Pide prestada una página del pool. Debe devolverse siempre con release()
+ * @returns {Promise<Object>} - { page, release(options) }; release({ broken: true }) retira el navegador
+ */
+async function acquirePage() {
+    await waitForSlot();
+
+    let entry;
+    let page;
+    try {
+        entry = await getHealthyBrowser();
+        entry.pagesOpened++;
+        entry.activePages++;
+        page = await entry.browser.newPage();
+    } catch (error) {
+        if (entry) {
+            entry.activePages--;
+            await retireCurrentBrowser(`error al abrir una página: ${error.message}`);
+        }
+        releaseSlot();
+        throw error;
+    }
+
+    pool.pagesServed++;
+    let released = false;
+
+    return {
+        page,
+
+        async release(options = {}) {
+            if (released) return;
+            released = true;
+
+            await page.close().catch(() => {});
+            entry.activePages--;
+
+            if (options.broken && pool.current === entry) {
+                await retireCurrentBrowser('sesión del navegador perdida');
+            } else {
+                await closeIfDrained(entry);
+            }
+
+            releaseSlot();
+        }
+    };
+}
+
+/**
+ * Retira el navegador actual para liberar memoria cuando no se va a usar en un tiempo
+ * (las páginas prestadas terminan con normalidad antes de cerrarlo)
+ * @returns {Promise<void>}
+ */
+async function releaseIdleBrowser() {
+    await retireCurrentBrowser('sin uso previsto');
+}
+
+/**
+ * Cierra todos los navegadores del pool inmediatamente
+ * @returns {Promise<void>}
+ */
+async function closeBrowserPool() {
+    const entries = [pool.current, ...pool.retired].filter(Boolean);
+
+    pool.current = null;
+    pool.retired.clear();
+
+    await Promise.all(entries.map(entry => entry.browser.close().catch(() => {})));
+}
+
+/**
+ * Obtiene el estado del pool
+ * @returns {Object} - Estado del pool
+ */
+function getBrowserPoolStatus() {
+    return {
+        size: SCRAPER_BEHAVIOR.BROWSER_POOL_SIZE,
+        recycleAfter: SCRAPER_BEHAVIOR.BROWSER_RECYCLE_AFTER,
+        activePages: pool.activePages,
+        waiting: pool.waiting.length,
+        browserRunning: Boolean(pool.current),
+        currentBrowserPages: pool.current ? pool.current.pagesOpened : 0,
+        retiredBrowsers: pool.retired.size,
+        launches: pool.launches,
+        pagesServed: pool.pagesServed
+    };
+}
+
+module.exports = {
+    acquirePage,
+    releaseIdleBrowser,
+    closeBrowserPool,
+    getBrowserPoolStatus
+};
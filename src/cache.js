@@ -1,9 +1,13 @@
 /**
- * Sistema de caché en memoria para la API de rankings MIR4
+ * Sistema de caché para la API de rankings MIR4
+ *
+ * Las entradas se guardan en el almacén de estado (ver stateStore): en memoria por defecto o en un
+ * servidor compatible con Redis para que todas las instancias de la API compartan el caché.
  */
 
 const logger = require('./logger');
 const { CONFIG } = require('./config');
+const { getStateStore } = require('./stateStore');
 
 // Configuración de caché
 const CACHE_CONFIG = {
@@ -15,19 +19,15 @@ const CACHE_CONFIG = {
     MAX_ENTRIES: 50
 };
 
-// Cache principal para datos de ranking
-let rankingCache = {
-    data: null,          // Datos del ranking
-    timestamp: null,     // Hora en que se almacenó
-    hits: 0              // Contador de hits al caché
+// Espacios de claves en el almacén de estado
+const CACHE_KEYS = {
+    MAIN: 'cache:main',                 // Datos principales del ranking
+    SERVER: 'cache:server:',            // Resultados de servidores específicos
+    QUERY: 'cache:query:',              // Consultas específicas (server, clan, class, range, etc.)
+    HITS: 'cache:hits:',                // Contador de hits de cada entrada
+    INDEX: 'cache:index:'               // Fecha de escritura de las entradas de cada espacio de claves
 };
 
-// Cache para resultados de servidores específicos
-const serverCache = new Map();
-
-// Cache para consultas específicas (server, clan, class, range, etc.)
-const queryCache = new Map();
-
 /**
  * Verifica si el caché ha expirado
  * @param {number} timestamp - Timestamp cuando se almacenó en caché
@@ -39,32 +39,103 @@ function isCacheExpired(timestamp, ttl = CACHE_CONFIG.TTL) {
     return Date.now() - timestamp > ttl;
 }
 
+/**
+ * Guarda una entrada en el almacén de estado y reinicia su contador de hits
+ * @param {string} key - Clave completa de la entrada
+ * @param {any} data - Datos a almacenar
+ * @param {number} ttl - Tiempo de vida en milisegundos
+ */
+async function writeEntry(key, data, ttl) {
+    const store = getStateStore();
+    await store.set(key, { data, timestamp: Date.now() }, ttl);
+    await store.del(CACHE_KEYS.HITS + key);
+}
+
+/**
+ * Lee una entrada vigente del almacén de estado y cuenta el hit
+ * @param {string} key - Clave completa de la entrada
+ * @param {number} ttl - Tiempo de vida en milisegundos
+ * @returns {Object|null} - { data, hits } o null si no existe o expiró
+ */
+async function readEntry(key, ttl) {
+    const store = getStateStore();
+    const entry = await store.get(key);
+
+    if (!entry || isCacheExpired(entry.timestamp, ttl)) {
+        return null;
+    }
+
+    const { count } = await store.increment(CACHE_KEYS.HITS + key, ttl);
+    return { data: entry.data, hits: count };
+}
+
+/**
+ * Registra la escritura de una entrada en el índice de su espacio de claves y, si el espacio
+ * alcanzó el tamaño máximo, elimina la entrada más antigua
+ * El índice ({ clave: fecha de escritura }) evita recorrer y leer todas las entradas en cada escritura;
+ * sobrescribir una entrada que ya existe no expulsa a ninguna otra
+ * @param {string} namespace - Prefijo del espacio de claves
+ * @param {string} key - Clave completa de la entrada que se va a escribir
+ * @param {number} ttl - Tiempo de vida de las entradas del espacio en milisegundos
+ * @param {string} label - Descripción para el log
+ */
+async function indexEntry(namespace, key, ttl, label) {
+    const store = getStateStore();
+    const indexKey = CACHE_KEYS.INDEX + namespace;
+
+    // Las entradas caducadas ya no están en el almacén; la que se va a escribir pasa al final
+    const stored = await store.get(indexKey) || {};
+    const isNewEntry = !(key in stored) || isCacheExpired(stored[key], ttl);
+    const index = {};
+    Object.entries(stored)
+        .filter(([indexedKey, timestamp]) => indexedKey !== key && !isCacheExpired(timestamp, ttl))
+        .forEach(([indexedKey, timestamp]) => { index[indexedKey] = timestamp; });
+
+    const indexedKeys = Object.keys(index);
+    if (isNewEntry && indexedKeys.length >= CACHE_CONFIG.MAX_ENTRIES) {
+        // El índice conserva el orden de escritura, así que en caso de empate sale la primera
+        const oldestKey = indexedKeys.reduce((oldest, candidate) => (index[candidate] < index[oldest] ? candidate : oldest));
+        await store.del(oldestKey);
+        await store.del(CACHE_KEYS.HITS + oldestKey);
+        delete index[oldestKey];
+        logger.warn(`Eliminada entrada ${label}antigua: ${oldestKey.slice(namespace.length)}`, 'Cache');
+    }
+
+    index[key] = Date.now();
+    await store.set(indexKey, index, ttl);
+}
+
 /**
  * Almacena datos en el caché principal
  * @param {Array} data - Datos a almacenar en caché
  */
-function setMainCache(data) {
-    rankingCache = {
-        data: data,
-        timestamp: Date.now(),
-        hits: 0
-    };
-    logger.cache(`Datos principales almacenados: ${data.length} registros`);
+async function setMainCache(data) {
+    try {
+        await writeEntry(CACHE_KEYS.MAIN, data, CACHE_CONFIG.TTL);
+        logger.cache(`Datos principales almacenados: ${data.length} registros`);
+    } catch (error) {
+        logger.error(`Error al guardar el caché principal: ${error.message}`, 'Cache');
+    }
 }
 
 /**
  * Obtiene datos del caché principal si son válidos
- * @returns {Array|null} - Datos en caché o null si no hay o están expirados
+ * @returns {Promise<Array|null>} - Datos en caché o null si no hay o están expirados
  */
-function getMainCache() {
-    if (!rankingCache.data || isCacheExpired(rankingCache.timestamp)) {
-        logger.cache(`Caché principal expirado o vacío`);
+async function getMainCache() {
+    try {
+        const entry = await readEntry(CACHE_KEYS.MAIN, CACHE_CONFIG.TTL);
+        if (!entry) {
+            logger.cache(`Caché principal expirado o vacío`);
+            return null;
+        }
+
+        logger.success(`HIT caché principal (hits: ${entry.hits})`, 'Cache');
+        return entry.data;
+    } catch (error) {
+        logger.error(`Error al leer el caché principal: ${error.message}`, 'Cache');
         return null;
     }
-    
-    rankingCache.hits++;
-    logger.success(`HIT caché principal (hits: ${rankingCache.hits})`, 'Cache');
-    return rankingCache.data;
 }
 
 /**
@@ -72,59 +143,38 @@ function getMainCache() {
  * @param {string} serverKey - Clave del servidor (regionName_serverName)
  * @param {Array} data - Datos a almacenar en caché
  */
-function setServerCache(serverKey, data) {
-    // Limpiar caché si excede el tamaño máximo
-    if (serverCache.size >= CACHE_CONFIG.MAX_ENTRIES) {
-        // Encontrar la entrada más antigua para eliminar
-        let oldestKey = null;
-        let oldestTime = Date.now();
-        
-        for (const [k, entry] of serverCache.entries()) {
-            if (entry.timestamp < oldestTime) {
-                oldestTime = entry.timestamp;
-                oldestKey = k;
-            }
-        }
-        
-        if (oldestKey) {
-            serverCache.delete(oldestKey);
-            logger.warn(`Eliminada entrada de servidor antigua: ${oldestKey}`, 'Cache');
-        }
+async function setServerCache(serverKey, data) {
+    try {
+        // Limpiar caché si excede el tamaño máximo
+        await indexEntry(CACHE_KEYS.SERVER, CACHE_KEYS.SERVER + serverKey, CACHE_CONFIG.SERVER_TTL, 'de servidor ');
+
+        // Usar TTL específico para servidores (12 horas)
+        await writeEntry(CACHE_KEYS.SERVER + serverKey, data, CACHE_CONFIG.SERVER_TTL);
+        logger.cache(`Datos de servidor cacheados: ${serverKey} - ${data.length} registros`);
+    } catch (error) {
+        logger.error(`Error al guardar el caché del servidor ${serverKey}: ${error.message}`, 'Cache');
     }
-    
-    // Almacenar nueva entrada
-    serverCache.set(serverKey, {
-        data,
-        timestamp: Date.now(),
-        hits: 0
-    });
-    
-    logger.cache(`Datos de servidor cacheados: ${serverKey} - ${data.length} registros`);
 }
 
 /**
  * Obtiene datos de un servidor específico del caché
  * @param {string} serverKey - Clave del servidor (regionName_serverName)
- * @returns {Array|null} - Datos en caché o null si no existen o expiraron
+ * @returns {Promise<Array|null>} - Datos en caché o null si no existen o expiraron
  */
-function getServerCache(serverKey) {
-    if (!serverCache.has(serverKey)) {
-        logger.debug(`MISS servidor: ${serverKey}`, 'Cache');
-        return null;
-    }
-    
-    const cacheEntry = serverCache.get(serverKey);
-    
-    // Usar TTL específico para servidores (12 horas)
-    if (isCacheExpired(cacheEntry.timestamp, CACHE_CONFIG.SERVER_TTL)) {
-        logger.warn(`Datos de servidor expirados: ${serverKey}`, 'Cache');
-        serverCache.delete(serverKey);
+async function getServerCache(serverKey) {
+    try {
+        const entry = await readEntry(CACHE_KEYS.SERVER + serverKey, CACHE_CONFIG.SERVER_TTL);
+        if (!entry) {
+            logger.debug(`MISS servidor: ${serverKey}`, 'Cache');
+            return null;
+        }
+
+        logger.success(`HIT servidor: ${serverKey} (hits: ${entry.hits})`, 'Cache');
+        return entry.data;
+    } catch (error) {
+        logger.error(`Error al leer el caché del servidor ${serverKey}: ${error.message}`, 'Cache');
         return null;
     }
-    
-    cacheEntry.hits++;
-    logger.success(`HIT servidor: ${serverKey} (hits: ${cacheEntry.hits})`, 'Cache');
-    return cacheEntry.data;
 }
 
 /**
@@ -132,96 +182,75 @@ function getServerCache(serverKey) {
  * @param {string} key - Clave única para identificar la consulta
  * @param {any} data - Datos a almacenar en caché
  */
-function setQueryCache(key, data) {
-    // Limpiar caché si excede el tamaño máximo
-    if (queryCache.size >= CACHE_CONFIG.MAX_ENTRIES) {
-        // Encontrar la entrada más antigua para eliminar
-        let oldestKey = null;
-        let oldestTime = Date.now();
-        
-        for (const [k, entry] of queryCache.entries()) {
-            if (entry.timestamp < oldestTime) {
-                oldestTime = entry.timestamp;
-                oldestKey = k;
-            }
-        }
-        
-        if (oldestKey) {
-            queryCache.delete(oldestKey);
-            logger.warn(`Eliminada entrada antigua: ${oldestKey}`, 'Cache');
-        }
+async function setQueryCache(key, data) {
+    try {
+        // Limpiar caché si excede el tamaño máximo
+        await indexEntry(CACHE_KEYS.QUERY, CACHE_KEYS.QUERY + key, CACHE_CONFIG.TTL, '');
+
+        await writeEntry(CACHE_KEYS.QUERY + key, data, CACHE_CONFIG.TTL);
+        logger.cache(`Consulta cacheada: ${key}`);
+    } catch (error) {
+        logger.error(`Error al guardar la consulta ${key} en caché: ${error.message}`, 'Cache');
     }
-    
-    // Almacenar nueva entrada
-    queryCache.set(key, {
-        data,
-        timestamp: Date.now(),
-        hits: 0
-    });
-    
-    logger.cache(`Consulta cacheada: ${key}`);
 }
 
 /**
  * Obtiene resultados de una consulta específica del caché
  * @param {string} key - Clave de la consulta
- * @returns {any|null} - Datos en caché o null si no existen o expiraron
+ * @returns {Promise<any|null>} - Datos en caché o null si no existen o expiraron
  */
-function getQueryCache(key) {
-    if (!queryCache.has(key)) {
-        logger.debug(`MISS consulta: ${key}`, 'Cache');
-        return null;
-    }
-    
-    const cacheEntry = queryCache.get(key);
-    
-    if (isCacheExpired(cacheEntry.timestamp)) {
-        logger.warn(`Consulta expirada: ${key}`, 'Cache');
-        queryCache.delete(key);
+async function getQueryCache(key) {
+    try {
+        const entry = await readEntry(CACHE_KEYS.QUERY + key, CACHE_CONFIG.TTL);
+        if (!entry) {
+            logger.debug(`MISS consulta: ${key}`, 'Cache');
+            return null;
+        }
+
+        logger.success(`HIT consulta: ${key} (hits: ${entry.hits})`, 'Cache');
+        return entry.data;
+    } catch (error) {
+        logger.error(`Error al leer la consulta ${key} del caché: ${error.message}`, 'Cache');
         return null;
     }
-    
-    cacheEntry.hits++;
-    logger.success(`HIT consulta: ${key} (hits: ${cacheEntry.hits})`, 'Cache');
-    return cacheEntry.data;
 }
 
 /**
- * Limpia todo el caché
+ * Limpia todo el caché (en todas las instancias si el almacén es compartido)
  */
-function clearCache() {
-    rankingCache = {
-        data: null,
-        timestamp: null,
-        hits: 0
-    };
-    
-    serverCache.clear();
-    queryCache.clear();
+async function clearCache() {
+    await getStateStore().clear('cache:');
     logger.cache(`Caché limpiado completamente`);
 }
 
 /**
  * Devuelve estadísticas del caché
- * @returns {Object} - Estadísticas del caché
+ * @returns {Promise<Object>} - Estadísticas del caché
  */
-function getCacheStats() {
+async function getCacheStats() {
+    const store = getStateStore();
+    const mainEntry = await store.get(CACHE_KEYS.MAIN);
+    const mainHits = await store.get(CACHE_KEYS.HITS + CACHE_KEYS.MAIN);
+    const serverKeys = await store.keys(CACHE_KEYS.SERVER);
+    const queryKeys = await store.keys(CACHE_KEYS.QUERY);
+
     return {
+        store: store.type,
         mainCache: {
-            active: rankingCache.data !== null,
-            ageMs: rankingCache.timestamp ? Date.now() - rankingCache.timestamp : null,
-            hits: rankingCache.hits,
-            recordCount: rankingCache.data ? rankingCache.data.length : 0
+            active: Boolean(mainEntry),
+            ageMs: mainEntry ? Date.now() - mainEntry.timestamp : null,
+            hits: Number(mainHits) || 0,
+            recordCount: mainEntry && mainEntry.data ? mainEntry.data.length : 0
         },
         serverCache: {
-            size: serverCache.size,
-            keys: Array.from(serverCache.keys()),
+            size: serverKeys.length,
+            keys: serverKeys.map(key => key.slice(CACHE_KEYS.SERVER.length)),
             ttlMs: CACHE_CONFIG.SERVER_TTL
         },
         queryCache: {
-            size: queryCache.size,
+            size: queryKeys.length,
             maxSize: CACHE_CONFIG.MAX_ENTRIES,
-            keys: Array.from(queryCache.keys()),
+            keys: queryKeys.map(key => key.slice(CACHE_KEYS.QUERY.length)),
             ttlMs: CACHE_CONFIG.TTL
         },
         config: {
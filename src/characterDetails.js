@@ -0,0 +1,206 @@
+/**
+ * Scraping de la ficha de los personajes (nivel, prestigio, puntuaciones y logros)
+ *
+ * Descarga la ficha de un personaje de CHARACTER_DETAIL_URL y la guarda con insertCharacterDetails.
+ * De forma programada (CHARACTER_DETAILS_CRON) se actualizan las fichas de los CHARACTER_DETAILS_TOP_N
+ * primeros del último ranking almacenado de cada servidor.
+ */
+
+const cheerio = require('cheerio');
+const { CONFIG, SELECTORS, SCRAPER_BEHAVIOR, URLS } = require('./config');
+const { fetchHtml } = require('./rankingSession');
+const { getServerRegions, findServer } = require('./serverCatalog');
+const { getServerRankings, insertCharacterDetails } = require('./database');
+const { saveScrapedHtml, delay, generateHash } = require('./utils');
+const logger = require('./logger');
+
+// Campos numéricos de la ficha y la clave de su selector en SELECTORS
+// (se leen al parsear para aplicar el perfil de selectores activo)
+const DETAIL_FIELDS = {
+    level: 'DETAIL_LEVEL',
+    prestigeLevel: 'DETAIL_PRESTIGE_LEVEL',
+    equipmentScore: 'DETAIL_EQUIPMENT_SCORE',
+    spiritScore: 'DETAIL_SPIRIT_SCORE',
+    energyScore: 'DETAIL_ENERGY_SCORE',
+    magicalStoneScore: 'DETAIL_MAGICAL_STONE_SCORE',
+    codexScore: 'DETAIL_CODEX_SCORE',
+    trophyScore: 'DETAIL_TROPHY_SCORE',
+    ethics: 'DETAIL_ETHICS'
+};
+
+// Estado de la actualización programada
+const refreshState = {
+    running: null, // Promesa de la actualización en curso
+    lastRun: null  // Resultado de la última actualización
+};
+
+/**
+ * Procesa el HTML de la ficha de un personaje
+ * @param {string} html - El HTML a procesar
+ * @returns {Object|null} - Detalles { level, prestigeLevel, ..., achievements } o null si no es una ficha
+ */
+function parseCharacterDetailHtml(html) {
+    const $ = cheerio.load(html);
+
+    if ($(SELECTORS.DETAIL_CONTAINER).length === 0) {
+        return null;
+    }
+
+    const details = {};
+    for (const [field, selectorKey] of Object.entries(DETAIL_FIELDS)) {
+        const text = $(SELECTORS[selectorKey]).first().text().trim();
+        details[field] = text ? parseInt(text.replace(/,/g, '').replace(/^\D+/, '')) || 0 : 0;
+    }
+
+    details.achievements = $(SELECTORS.DETAIL_ACHIEVEMENT).toArray()
+        .map(element => ({
+            id: parseInt($(element).attr('data-id'), 10) || null,
+            name: $(element).text().trim()
+        }))
+        .filter(achievement => achievement.name);
+
+    return details;
+}
+
+/**
+ * Construye la URL de la ficha de un personaje
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {string} characterName - Nombre del personaje
+ * @returns {string} - URL de la ficha
+ */
+function buildCharacterDetailUrl(regionName, serverName, characterName) {
+    const found = findServer(regionName, serverName);
+    if (!found) {
+        throw new Error(`Servidor no encontrado: ${serverName} en región ${regionName}`);
+    }
+
+    const url = new URL(URLS.CHARACTER_DETAIL);
+    url.searchParams.set('worldgroupid', found.region.id);
+    url.searchParams.set('worldid', found.server.id);
+    url.searchParams.set('name', characterName);
+    return url.toString();
+}
+
+/**
+ * Prefijo del archivo en el que se guarda el HTML de una ficha
+ * El nombre llega de la URL de la petición: solo se conservan [\w-] (nada de ../) y, si se
+ * sustituyó algún carácter, se añade un hash corto del nombre para no mezclar personajes distintos
+ * @param {string} serverName - Nombre del servidor
+ * @param {string} characterName - Nombre del personaje
+ * @returns {string}
+ */
+function getDetailHtmlPrefix(serverName, characterName) {
+    const safeName = characterName.replace(/[^\w-]/g, '_');
+    const suffix = safeName === characterName ? '' : `_${generateHash(characterName).slice(0, 8)}`;
+    return `character_${serverName.replace(/[^\w-]/g, '_')}_${safeName}${suffix}`;
+}
+
+/**
+ * Descarga la ficha de un personaje y la guarda en character_details
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {string} characterName - Nombre del personaje
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} - { details, updated } (updated: false si no hubo cambios significativos)
+ */
+async function fetchCharacterDetails(regionName, serverName, characterName, options = {}) {
+    const { signal } = options;
+    const label = `${characterName} (${regionName} > ${serverName})`;
+
+    try {
+        const detailUrl = buildCharacterDetailUrl(regionName, serverName, characterName);
+        logger.scraper(`Descargando ficha de ${label}: ${detailUrl}`);
+
+        const html = await fetchHtml(detailUrl, {}, signal);
+        const details = parseCharacterDetailHtml(html);
+        if (!details) {
+            throw new Error(`La página no contiene la ficha del personaje (${SELECTORS.DETAIL_CONTAINER})`);
+        }
+
+        await saveScrapedHtml(html, getDetailHtmlPrefix(serverName, characterName));
+
+        const result = await insertCharacterDetails(characterName, serverName, details);
+        return { details, updated: result.updated };
+    } catch (error) {
+        logger.error(`Error al descargar la ficha de ${label}: ${error.message}`, 'Scraper');
+        throw error;
+    }
+}
+
+/**
+ * Actualiza las fichas de los primeros personajes del último ranking almacenado de cada servidor
+ * Actualizaciones simultáneas comparten la misma ejecución
+ * @param {Object} options - { topN (por defecto CHARACTER_DETAILS_TOP_N) }
+ * @returns {Promise<Object>} - { timestamp, servers, characters, updated, unchanged, failed }
+ */
+function refreshTopCharacterDetails(options = {}) {
+    if (!refreshState.running) {
+        refreshState.running = runRefresh(options).finally(() => {
+            refreshState.running = null;
+        });
+    }
+    return refreshState.running;
+}
+
+/**
+ * Ejecuta la actualización de fichas
+ * @param {Object} options - { topN }
+ * @returns {Promise<Object>} - Resultado de la actualización
+ */
+async function runRefresh(options) {
+    const { topN = CONFIG.CHARACTER_DETAILS_TOP_N } = options;
+    const summary = { timestamp: new Date().toISOString(), servers: 0, characters: 0, updated: 0, unchanged: 0, failed: 0 };
+
+    logger.info(`Actualizando las fichas de los ${topN} primeros personajes de cada servidor...`, 'Scraper');
+
+    for (const [regionName, regionData] of Object.entries(getServerRegions())) {
+        for (const serverName of Object.keys(regionData.servers)) {
+            const rankings = await getServerRankings(regionName, serverName);
+            if (rankings.length === 0) {
+                continue;
+            }
+
+            summary.servers++;
+            for (const player of rankings.slice(0, topN)) {
+                // Pausa entre fichas para no saturar la web
+                if (summary.characters > 0) {
+                    await delay(SCRAPER_BEHAVIOR.REQUEST_DELAY_MS);
+                }
+                summary.characters++;
+
+                try {
+                    const { updated } = await fetchCharacterDetails(regionName, serverName, player.character);
+                    summary[updated ? 'updated' : 'unchanged']++;
+                } catch (error) {
+                    summary.failed++;
+                }
+            }
+        }
+    }
+
+    refreshState.lastRun = summary;
+    logger.success(`Fichas actualizadas: ${summary.updated} con cambios, ${summary.unchanged} sin cambios y ${summary.failed} fallidas en ${summary.servers} servidores`, 'Scraper');
+    logger.metric('character_details_failed', summary.failed);
+
+    return summary;
+}
+
+/**
+ * Obtiene el estado de la actualización de fichas
+ * @returns {Object} - { running, lastRun }
+ */
+function getCharacterDetailsStatus() {
+    return {
+        running: Boolean(refreshState.running),
+        lastRun: refreshState.lastRun
+    };
+}
+
+module.exports = {
+    parseCharacterDetailHtml,
+    buildCharacterDetailUrl,
+    fetchCharacterDetails,
+    refreshTopCharacterDetails,
+    getCharacterDetailsStatus
+};
@@ -318,6 +318,25 @@ const SELECTORS = {
     SERVER_NAME: 'td:nth-child(3) span',
     CLAN_NAME: 'td:nth-child(4) span',
     POWER_SCORE: 'td.text_right span',
+    LEVEL: 'td.text_right span', // Ranking de nivel (experimental): se supone la misma columna que POWER_SCORE
+    
+    // Selectores para el ranking de clanes (ranktype=2); el rank y el poder usan los de jugadores
+    CLAN_RANKING_NAME: '.user_name',
+    CLAN_RANKING_SERVER: 'td:nth-child(3) span',
+    CLAN_RANKING_LEADER: 'td:nth-child(4) span',
+    
+    // Selectores para la ficha de un personaje (CHARACTER_DETAIL_URL)
+    DETAIL_CONTAINER: '.character_info',
+    DETAIL_LEVEL: '.character_info .level .num',
+    DETAIL_PRESTIGE_LEVEL: '.character_info .prestige .num',
+    DETAIL_EQUIPMENT_SCORE: '.stat_list .equipment .num',
+    DETAIL_SPIRIT_SCORE: '.stat_list .spirit .num',
+    DETAIL_ENERGY_SCORE: '.stat_list .energy .num',
+    DETAIL_MAGICAL_STONE_SCORE: '.stat_list .magic_stone .num',
+    DETAIL_CODEX_SCORE: '.stat_list .codex .num',
+    DETAIL_TROPHY_SCORE: '.stat_list .trophy .num',
+    DETAIL_ETHICS: '.stat_list .ethics .num',
+    DETAIL_ACHIEVEMENT: '.achievement_list li',
     
     // Selectores para la navegación y acciones
     LOAD_MORE_BUTTON: '#btn_morelist',
@@ -335,8 +354,51 @@ const SELECTORS = {
     NO_RESULTS_MESSAGE: '.no_result'
 };
 
+// Tipos de ranking de jugadores
+// rankType es el valor del parámetro ranktype= de la web (el 2 es el ranking de clanes, ver URLS.RANKING_CLAN),
+// valueField el campo donde se devuelve la columna de puntuación y valueSelector la clave de SELECTORS
+// de esa columna (así un perfil de selectores puede corregirla)
+const RANKING_TYPES = {
+    power: {
+        rankType: 1,
+        name: 'Power Score',
+        valueField: 'powerScore',
+        valueSelector: 'POWER_SCORE'
+    }
+};
+
+// El ranktype= del ranking de nivel no está confirmado en la web: el tipo solo se activa si se configura,
+// para no guardar como niveles los valores de otro ranking
+const LEVEL_RANK_TYPE = parseInt(getSecret('RANKING_TYPE_LEVEL', ''));
+if (LEVEL_RANK_TYPE > 0) {
+    RANKING_TYPES.level = {
+        rankType: LEVEL_RANK_TYPE,
+        name: 'Nivel',
+        valueField: 'level',
+        valueSelector: 'LEVEL'
+    };
+}
+
+// Tipo de ranking por defecto (el único que guarda snapshots en ranking_snapshots)
+const DEFAULT_RANKING_TYPE = 'power';
+
+// Valores del parámetro classtype= de los rankings por clase (mismo orden que los iconos char_N.png)
+const CLASS_TYPES = {
+    'Guerrero': 1,
+    'Maga': 2,
+    'Taotista': 3,
+    'Ballestera': 4,
+    'Lancero': 5,
+    'Obscuraria': 6
+};
+
 // Tiempos de espera y configuraciones de comportamiento para el scraper
 const SCRAPER_BEHAVIOR = {
+    // Modo de descarga: http (solo axios), browser (solo Puppeteer) o auto (HTTP y, si falla, Puppeteer)
+    MODE: getSecret('SCRAPER_MODE', 'auto').toLowerCase(),
+    REQUEST_DELAY_MS: parseInt(getSecret('SCRAPER_DELAY', '2000')), // Pausa entre peticiones HTTP
+    HTTP_TIMEOUT_MS: parseInt(getSecret('SCRAPER_TIMEOUT', '30000')),
+    LIST_PAGE_PARAM: getSecret('RANKING_LIST_PAGE_PARAM', 'page'),
     WAIT_BETWEEN_CLICKS_MS: parseInt(getSecret('SCRAPER_WAIT_BETWEEN_CLICKS', '2000')),
     WAIT_FOR_NAVIGATION_MS: parseInt(getSecret('SCRAPER_WAIT_FOR_NAVIGATION', '10000')),
     WAIT_FOR_SELECTOR_MS: parseInt(getSecret('SCRAPER_WAIT_FOR_SELECTOR', '5000')),
@@ -345,6 +407,9 @@ const SCRAPER_BEHAVIOR = {
     MAX_RETRIES: parseInt(getSecret('SCRAPER_MAX_RETRIES', '3')),
     RESPECT_ROBOTS_TXT: getSecret('SCRAPER_RESPECT_ROBOTS_TXT', 'true') === 'true',
     BROWSER_HEADLESS: getSecret('SCRAPER_HEADLESS', 'true') === 'true',
+    BROWSER_POOL_SIZE: parseInt(getSecret('BROWSER_POOL_SIZE', '2')), // Páginas de navegador abiertas a la vez
+    BROWSER_RECYCLE_AFTER: parseInt(getSecret('BROWSER_RECYCLE_AFTER', '50')), // Páginas antes de relanzar el navegador
+    BROWSER_HEALTH_CHECK_INTERVAL_MS: parseInt(getSecret('BROWSER_HEALTH_CHECK_INTERVAL', '60000')),
     BROWSER_ARGS: [
         '--no-sandbox', 
         '--disable-setuid-sandbox', 
@@ -362,6 +427,10 @@ const URLS = {
     RANKING_BASE: getSecret('RANKING_URL', 'https://forum.mir4global.com/rank'),
     RANKING_POWER: getSecret('RANKING_POWER_URL', 'https://forum.mir4global.com/rank?ranktype=1'),
     RANKING_CLAN: getSecret('RANKING_CLAN_URL', 'https://forum.mir4global.com/rank?ranktype=2'),
+    // Endpoint paginado que usa el botón "Ver más" para cargar las filas siguientes
+    RANKING_LIST: getSecret('RANKING_LIST_URL', 'https://forum.mir4global.com/rank/list'),
+    // Ficha de un personaje (se añaden worldgroupid, worldid y name)
+    CHARACTER_DETAIL: getSecret('CHARACTER_DETAIL_URL', 'https://forum.mir4global.com/rank/character'),
     ROBOTS_TXT: 'https://forum.mir4global.com/robots.txt'
 };
 
@@ -373,12 +442,48 @@ const CONFIG = {
     CLEANUP_CRON: getSecret('CLEANUP_CRON', '*/5 * * * *'), // Cada 5 minutos
     DATA_DIR: getSecret('DATA_DIR', 'data'), // Directorio para archivos de datos
     SCRAPED_PAGES_DIR: getSecret('SCRAPED_PAGES_DIR', 'scraped_pages'), // Directorio para páginas scrapeadas
+    HTML_ARCHIVE_ENABLED: getSecret('HTML_ARCHIVE', 'false') === 'true', // Archivar comprimidas las páginas de ranking
+    HTML_ARCHIVE_DIR: getSecret('HTML_ARCHIVE_DIR', 'html_archive'), // Archivo de páginas por servidor y fecha
+    HTML_ARCHIVE_RETENTION_DAYS: parseInt(getSecret('HTML_ARCHIVE_RETENTION_DAYS', '90')), // 0 para no borrar nunca
     MAX_PAGES_TO_SCRAPE: SCRAPER_BEHAVIOR.MAX_PAGES_TO_SCRAPE,
     LOAD_MORE_BUTTON_SELECTOR: SELECTORS.LOAD_MORE_BUTTON,
     WAIT_BETWEEN_CLICKS_MS: SCRAPER_BEHAVIOR.WAIT_BETWEEN_CLICKS_MS,
     BROWSER_HEADLESS: SCRAPER_BEHAVIOR.BROWSER_HEADLESS,
     SERVER_CACHE_TTL: parseInt(getSecret('SERVER_CACHE_TTL', '43200000')), // 12 horas en milisegundos
     PREFETCH_CRON: getSecret('PREFETCH_CRON', '0 */12 * * *'), // Cada 12 horas
+    SERVER_DISCOVERY_CRON: getSecret('SERVER_DISCOVERY_CRON', '30 5 * * *'), // Descubrimiento de servidores, a diario
+    CHARACTER_DETAILS_CRON: getSecret('CHARACTER_DETAILS_CRON', '0 7 * * *'), // Fichas de los mejores de cada servidor, a diario
+    CHARACTER_DETAILS_TOP_N: parseInt(getSecret('CHARACTER_DETAILS_TOP_N', '20')), // Personajes por servidor cuya ficha se descarga
+    PARSER_MIN_PARSE_RATIO: parseFloat(getSecret('PARSER_MIN_PARSE_RATIO', '0.9')), // Filas de ranking que deben parsearse
+    PARSER_MIN_CLASS_RATIO: parseFloat(getSecret('PARSER_MIN_CLASS_RATIO', '0.8')), // Jugadores con icono de clase reconocido
+    SELECTOR_PROFILES_DIR: getSecret('SELECTOR_PROFILES_DIR', ''), // Perfiles de selectores (por defecto src/profiles)
+    SELECTOR_PROFILE: getSecret('SELECTOR_PROFILE', '') ? parseInt(getSecret('SELECTOR_PROFILE', '')) : null, // Versión fija; si no, la mayor válida
+    SERVER_MERGE_AUTO_DETECT: getSecret('SERVER_MERGE_AUTO_DETECT', 'true') === 'true', // Detectar fusiones de servidores
+    SERVER_MERGE_DETECTION_RATIO: parseFloat(getSecret('SERVER_MERGE_DETECTION_RATIO', '0.6')), // Parte del ranking que debe coincidir
+    SERVER_MERGE_MIN_ROSTER: parseInt(getSecret('SERVER_MERGE_MIN_ROSTER', '20')), // Jugadores mínimos para comparar rankings
+    PREFETCH_CONCURRENCY: parseInt(getSecret('PREFETCH_CONCURRENCY', '3')), // Servidores descargados a la vez
+    PREFETCH_REGION_CONCURRENCY: parseInt(getSecret('PREFETCH_REGION_CONCURRENCY', '1')), // A la vez dentro de una región
+    PREFETCH_SERVER_TIMEOUT_MS: parseInt(getSecret('PREFETCH_SERVER_TIMEOUT', '300000')), // 5 minutos por servidor
+    PREFETCH_MAX_ATTEMPTS: parseInt(getSecret('PREFETCH_MAX_ATTEMPTS', '3')), // Intentos por servidor al reanudar un prefetch
+    PREFETCH_CONFIRM_TIMEOUT_MS: parseInt(getSecret('PREFETCH_CONFIRM_TIMEOUT', '600000')), // 10 minutos para confirmar
+    PREFETCH_CONFIRM_DEFAULT: getSecret('PREFETCH_CONFIRM_DEFAULT', 'continue'), // continue o pause si nadie confirma
+    CORS_ENABLED: getSecret('CORS_ENABLED', 'true') === 'true', // Cabeceras CORS para clientes de otros orígenes
+    CORS_ORIGINS: getSecret('CORS_ORIGINS', '*'), // *, orígenes exactos o comodines (https://*.ejemplo.com) separados por comas
+    CORS_ADMIN_ORIGINS: getSecret('CORS_ADMIN_ORIGINS', ''), // Únicos orígenes admitidos en las rutas de administración
+    CORS_ROUTE_ORIGINS: getSecret('CORS_ROUTE_ORIGINS', ''), // JSON { "/api/ruta": "orígenes" } que sustituye a CORS_ORIGINS
+    CORS_MAX_AGE: parseInt(getSecret('CORS_MAX_AGE', '600')), // Segundos que el navegador guarda la respuesta preflight
+    RATE_LIMIT_ENABLED: getSecret('RATE_LIMIT_ENABLED', 'true') === 'true', // Limitar las solicitudes por IP y por clave de API
+    RATE_LIMIT_MAX: parseInt(getSecret('RATE_LIMIT_MAX', '100')), // Solicitudes por IP en cada intervalo
+    RATE_LIMIT_KEY_MAX: getSecret('RATE_LIMIT_KEY_MAX', '') ? parseInt(getSecret('RATE_LIMIT_KEY_MAX', '')) : null, // Por clave de API (por defecto RATE_LIMIT_MAX)
+    RATE_LIMIT_WINDOW_MS: parseInt(getSecret('RATE_LIMIT_WINDOW', '15')) * 60 * 1000, // Intervalo en minutos
+    RATE_LIMIT_RULES: getSecret('RATE_LIMIT_RULES', ''), // JSON con reglas por ruta (glob o regex:), antes que las predeterminadas
+    SCRAPE_LOCK_ENABLED: getSecret('SCRAPE_LOCK_ENABLED', 'true') === 'true', // Lock en la base de datos para que un solo proceso descargue cada servidor
+    SCRAPE_LOCK_LEASE_MS: parseInt(getSecret('SCRAPE_LOCK_LEASE', '120000')), // Caducidad del lock si el proceso que lo tiene deja de renovarlo
+    SCRAPE_LOCK_WAIT_MS: parseInt(getSecret('SCRAPE_LOCK_WAIT', '600000')), // Espera máxima a que otro proceso termine su descarga
+    STATE_STORE: getSecret('STATE_STORE', 'memory'), // memory o redis (estado del caché y del rate limiting compartido entre instancias)
+    STATE_STORE_URL: getSecret('STATE_STORE_URL', 'redis://127.0.0.1:6379'), // Servidor compatible con Redis (redis:// o rediss://)
+    STATE_STORE_PREFIX: getSecret('STATE_STORE_PREFIX', 'mir4:'), // Prefijo de las claves para compartir el servidor con otras aplicaciones
+    STATE_STORE_TIMEOUT_MS: parseInt(getSecret('STATE_STORE_TIMEOUT', '2000')), // Espera máxima de conexión y de cada comando
     
     // Configuración de MySQL usando el módulo de secretos
     MYSQL: {
@@ -401,5 +506,8 @@ module.exports = {
     generateServerId,
     SELECTORS,
     SCRAPER_BEHAVIOR,
+    RANKING_TYPES,
+    DEFAULT_RANKING_TYPE,
+    CLASS_TYPES,
     URLS
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Cabeceras CORS para los clientes web de otros orígenes
+ *
+ * Los orígenes admitidos se leen de CORS_ORIGINS ('*', orígenes exactos o comodines de subdominio
+ * como https://*.ejemplo.com). CORS_ROUTE_ORIGINS sustituye esa lista en las rutas que empiezan por
+ * un prefijo dado. Las rutas de administración (las que exigen una clave 'admin', ver apiKeys.js)
+ * solo admiten los orígenes de CORS_ADMIN_ORIGINS, nunca '*'.
+ */
+
+const { CONFIG } = require('./config');
+const logger = require('./logger');
+const { normalizeRequestPath } = require('./utils');
+
+// Rutas de administración aunque se pidan con GET; el resto de métodos distintos de GET también lo son
+const ADMIN_PATH_PREFIXES = ['/api/admin', '/api/debug', '/api/refresh'];
+
+const ALLOWED_METHODS = 'GET, HEAD, POST, DELETE, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, X-API-Key';
+const EXPOSED_HEADERS = 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After';
+
+/**
+ * Convierte una lista de orígenes en reglas de comparación
+ * @param {string} origins - Orígenes separados por comas
+ * @param {Object} options - { allowAny: admitir '*' }
+ * @returns {Object} - { any, exact: Set, patterns: Array<RegExp> }
+ */
+function parseOrigins(origins, options = {}) {
+    const { allowAny = true } = options;
+    const rules = { any: false, exact: new Set(), patterns: [] };
+
+    String(origins || '').split(',').map(origin => origin.trim().toLowerCase().replace(/\/+$/, '')).filter(Boolean).forEach(origin => {
+        if (origin === '*') {
+            if (allowAny) {
+                rules.any = true;
+            } else {
+                logger.warn('Se ignora "*" en CORS_ADMIN_ORIGINS: las rutas de administración necesitan orígenes concretos', 'CORS');
+            }
+        } else if (origin.includes('*')) {
+            // https://*.ejemplo.com admite cualquier subdominio (a cualquier profundidad) pero no ejemplo.com
+            const escaped = origin.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+            rules.patterns.push(new RegExp(`^${escaped.join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`));
+        } else {
+            rules.exact.add(origin);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Interpreta CORS_ROUTE_ORIGINS
+ * @param {string} routeOrigins - JSON { "/api/prefijo": "orígenes separados por comas" }
+ * @returns {Array} - Reglas { prefix, rules } del prefijo más largo al más corto
+ */
+function parseRouteOrigins(routeOrigins) {
+    if (!routeOrigins) {
+        return [];
+    }
+
+    try {
+        return Object.entries(JSON.parse(routeOrigins))
+            .map(([prefix, origins]) => ({ prefix: normalizeRequestPath(prefix), rules: parseOrigins(origins) }))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+    } catch (error) {
+        logger.error(`CORS_ROUTE_ORIGINS no es un JSON válido, se ignora: ${error.message}`, 'CORS');
+        return [];
+    }
+}
+
+/**
+ * Comprueba si un origen cumple alguna regla
+ * @param {string} origin - Cabecera Origin de la petición
+ * @param {Object} rules - Reglas de parseOrigins
+ * @returns {boolean}
+ */
+function isOriginAllowed(origin, rules) {
+    const normalized = origin.toLowerCase();
+    return rules.any || rules.exact.has(normalized) || rules.patterns.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Indica si una petición va a una ruta de administración
+ * @param {string} path - Ruta de la petición normalizada (ver normalizeRequestPath)
+ * @param {string} method - Método (en un preflight, el de Access-Control-Request-Method)
+ * @returns {boolean}
+ */
+function isAdminRequest(path, method) {
+    return !['GET', 'HEAD'].includes(method.toUpperCase()) ||
+        ADMIN_PATH_PREFIXES.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+/**
+ * Middleware Express que añade las cabeceras CORS y responde a las peticiones preflight
+ * @param {Object} options - Sustituye a la configuración (enabled, origins, adminOrigins, routeOrigins, maxAge)
+ * @returns {Function} - Middleware Express
+ */
+function createCorsMiddleware(options = {}) {
+    const {
+        enabled = CONFIG.CORS_ENABLED,
+        origins = CONFIG.CORS_ORIGINS,
+        adminOrigins = CONFIG.CORS_ADMIN_ORIGINS,
+        routeOrigins = CONFIG.CORS_ROUTE_ORIGINS,
+        maxAge = CONFIG.CORS_MAX_AGE
+    } = options;
+
+    const defaultRules = parseOrigins(origins);
+    const adminRules = parseOrigins(adminOrigins, { allowAny: false });
+    const routeRules = parseRouteOrigins(routeOrigins);
+
+    return function cors(req, res, next) {
+        const origin = req.get('Origin');
+        if (!enabled || !origin) {
+            return next();
+        }
+
+        const requestMethod = req.get('Access-Control-Request-Method');
+        const isPreflight = req.method === 'OPTIONS' && Boolean(requestMethod);
+        // Express no distingue mayúsculas ni la barra final: /API/Debug/ es /api/debug
+        const path = normalizeRequestPath(req.path);
+
+        let rules = defaultRules;
+        if (isAdminRequest(path, isPreflight ? requestMethod : req.method)) {
+            rules = adminRules;
+        } else {
+            const route = routeRules.find(({ prefix }) => path === prefix || path.startsWith(`${prefix}/`));
+            if (route) {
+                rules = route.rules;
+            }
+        }
+
+        // La respuesta depende del origen aunque no se admita
+        res.vary('Origin');
+
+        if (!isOriginAllowed(origin, rules)) {
+            if (isPreflight) {
+                logger.warn(`Preflight CORS rechazado para ${origin} en ${requestMethod} ${path}`, 'CORS');
+                return res.status(403).json({ error: `El origen ${origin} no tiene acceso a esta ruta` });
+            }
+            // Sin cabeceras CORS el navegador no entrega la respuesta al cliente
+            return next();
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', origin);
+
+        if (isPreflight) {
+            res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+            res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+            res.setHeader('Access-Control-Max-Age', String(maxAge));
+            return res.status(204).end();
+        }
+
+        res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+        next();
+    };
+}
+
+module.exports = {
+    createCorsMiddleware,
+    parseOrigins,
+    isOriginAllowed
+};
@@ -1,195 +1,66 @@
 /**
  * Módulo de gestión de base de datos
+ * El acceso a la base de datos pasa por un adaptador de almacenamiento (ver src/storage)
+ * seleccionado según DB_DIALECT
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
+const { getDatabaseConfig } = require('./secrets');
 const { CONFIG } = require('./config');
+const { createStorageAdapter } = require('./storage');
+const { migrate } = require('./migrator');
 const logger = require('./logger');
 const { generateHash } = require('./utils');
-const { validatePlayerRankings, validateCharacterDetails, ValidationErrorStrategies } = require('./validation');
+const errorQueue = require('./errorQueue');
+const { validatePlayerRankings, validateCharacterDetails, validateWithRetry, ValidationErrorStrategies } = require('./validation');
 
-// Ruta a la base de datos
-const dbPath = path.join(process.cwd(), CONFIG.DATABASE_PATH);
+// Nombre de servidor usado para los snapshots del ranking global
+const GLOBAL_SERVER = 'GLOBAL';
 
-// Asegurar que el directorio existe
-const dbDir = path.dirname(dbPath);
-if (!fs.existsSync(dbDir)) {
-    fs.mkdirSync(dbDir, { recursive: true });
-}
+// Adaptador de almacenamiento activo
+let storage = null;
 
-// Instancia de la base de datos
-let db = null;
+// Promesa de inicialización compartida para evitar inicializaciones concurrentes
+let initPromise = null;
 
 /**
  * Inicializa la conexión a la base de datos
- * @returns {Promise<sqlite3.Database>} Instancia de la base de datos
+ * @returns {Promise<Object>} Adaptador de almacenamiento inicializado
  */
 function initDatabase() {
-    return new Promise((resolve, reject) => {
-        if (db) {
-            resolve(db);
-            return;
-        }
+    if (initPromise) {
+        return initPromise;
+    }
 
-        logger.info(`Inicializando base de datos: ${dbPath}`, 'Database');
+    initPromise = (async () => {
+        const adapter = createStorageAdapter(getDatabaseConfig());
+        logger.info(`Inicializando base de datos (${adapter.dialect}): ${adapter.description}`, 'Database');
         
-        db = new sqlite3.Database(dbPath, async (err) => {
-            if (err) {
-                logger.error(`Error al conectar a la base de datos: ${err.message}`, 'Database');
-                reject(err);
-                return;
-            }
+        try {
+            await adapter.connect();
+        } catch (error) {
+            logger.error(`Error al conectar a la base de datos: ${error.message}`, 'Database');
+            initPromise = null;
+            throw error;
+        }
+        
+        storage = adapter;
+        
+        try {
+            // Aplicar las migraciones pendientes; un fallo detiene la inicialización
+            await migrate(storage);
             
-            try {
-                // Crear tablas base
-                await createTables();
-                
-                // Verificar si es necesario actualizar el esquema a v2
-                const schemaVersion = await getSchemaVersion();
-                
-                if (schemaVersion < 2) {
-                    logger.info(`Detectada versión de esquema ${schemaVersion}, actualizando a v2.0...`, 'Database');
-                    
-                    try {
-                        // Actualizar el esquema
-                        await updateDatabaseSchema();
-                        
-                        // Actualizar la versión del esquema
-                        await updateSchemaVersion(2);
-                        
-                        logger.success('Esquema de base de datos actualizado a v2.0', 'Database');
-                    } catch (updateError) {
-                        logger.error(`Error al actualizar el esquema: ${updateError.message}`, 'Database');
-                        // Continuamos a pesar del error, usando el esquema original
-                    }
-                }
-                
-                logger.success('Base de datos inicializada correctamente', 'Database');
-                resolve(db);
-            } catch (error) {
-                logger.error(`Error al inicializar la base de datos: ${error.message}`, 'Database');
-                reject(error);
-            }
-        });
-    });
-}
+            logger.success('Base de datos inicializada correctamente', 'Database');
+            return storage;
+        } catch (error) {
+            logger.error(`Error al inicializar la base de datos: ${error.message}`, 'Database');
+            storage = null;
+            initPromise = null;
+            await adapter.close().catch(() => {});
+            throw error;
+        }
+    })();
 
-/**
- * Crea las tablas necesarias si no existen
- */
-function createTables() {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            // Tabla para almacenar snapshots de rankings
-            db.run(`
-                CREATE TABLE IF NOT EXISTS ranking_snapshots (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    timestamp TEXT NOT NULL,
-                    server TEXT NOT NULL,
-                    source TEXT NOT NULL,
-                    hash TEXT NOT NULL,
-                    data_count INTEGER NOT NULL
-                )
-            `, (err) => {
-                if (err) {
-                    logger.error(`Error al crear tabla ranking_snapshots: ${err.message}`, 'Database');
-                    reject(err);
-                    return;
-                }
-            });
-            
-            // Tabla para almacenar personajes (normalizada)
-            db.run(`
-                CREATE TABLE IF NOT EXISTS characters (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    class TEXT,
-                    server TEXT NOT NULL,
-                    last_seen TEXT NOT NULL,
-                    first_seen TEXT NOT NULL,
-                    UNIQUE(name, server)
-                )
-            `, (err) => {
-                if (err) {
-                    logger.error(`Error al crear tabla characters: ${err.message}`, 'Database');
-                    reject(err);
-                    return;
-                }
-            });
-            
-            // Tabla para almacenar las entradas individuales de los rankings
-            db.run(`
-                CREATE TABLE IF NOT EXISTS ranking_entries (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    snapshot_id INTEGER NOT NULL,
-                    character_id INTEGER NOT NULL,
-                    rank INTEGER NOT NULL,
-                    clan TEXT,
-                    power_score INTEGER NOT NULL,
-                    timestamp TEXT NOT NULL,
-                    FOREIGN KEY (snapshot_id) REFERENCES ranking_snapshots(id),
-                    FOREIGN KEY (character_id) REFERENCES characters(id)
-                )
-            `, (err) => {
-                if (err) {
-                    logger.error(`Error al crear tabla ranking_entries: ${err.message}`, 'Database');
-                    reject(err);
-                    return;
-                }
-            });
-            
-            // Tabla para almacenar los detalles de los personajes
-            db.run(`
-                CREATE TABLE IF NOT EXISTS character_details (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    character_id INTEGER NOT NULL,
-                    level INTEGER NOT NULL,
-                    prestige_level INTEGER DEFAULT 0,
-                    equipment_score INTEGER DEFAULT 0,
-                    spirit_score INTEGER DEFAULT 0,
-                    energy_score INTEGER DEFAULT 0,
-                    magical_stone_score INTEGER DEFAULT 0,
-                    codex_score INTEGER DEFAULT 0,
-                    trophy_score INTEGER DEFAULT 0,
-                    ethics INTEGER DEFAULT 0,
-                    achievements TEXT,
-                    timestamp TEXT NOT NULL,
-                    FOREIGN KEY (character_id) REFERENCES characters(id)
-                )
-            `, (err) => {
-                if (err) {
-                    logger.error(`Error al crear tabla character_details: ${err.message}`, 'Database');
-                    reject(err);
-                    return;
-                }
-            });
-            
-            // Índices para optimizar consultas frecuentes
-            db.run(`CREATE INDEX IF NOT EXISTS idx_ranking_entries_snapshot_id ON ranking_entries(snapshot_id)`, (err) => {
-                if (err) logger.warn(`Error al crear índice idx_ranking_entries_snapshot_id: ${err.message}`, 'Database');
-            });
-            
-            db.run(`CREATE INDEX IF NOT EXISTS idx_ranking_entries_character_id ON ranking_entries(character_id)`, (err) => {
-                if (err) logger.warn(`Error al crear índice idx_ranking_entries_character_id: ${err.message}`, 'Database');
-            });
-            
-            db.run(`CREATE INDEX IF NOT EXISTS idx_character_details_character_id ON character_details(character_id)`, (err) => {
-                if (err) logger.warn(`Error al crear índice idx_character_details_character_id: ${err.message}`, 'Database');
-            });
-            
-            db.run(`CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_server ON ranking_snapshots(server)`, (err) => {
-                if (err) logger.warn(`Error al crear índice idx_ranking_snapshots_server: ${err.message}`, 'Database');
-            });
-            
-            db.run(`CREATE INDEX IF NOT EXISTS idx_ranking_snapshots_timestamp ON ranking_snapshots(timestamp)`, (err) => {
-                if (err) logger.warn(`Error al crear índice idx_ranking_snapshots_timestamp: ${err.message}`, 'Database');
-            });
-            
-            resolve();
-        });
-    });
+    return initPromise;
 }
 
 /**
@@ -209,7 +80,10 @@ async function insertRankingSnapshot(rankings, server, source = 'scraper', optio
     const { 
         validationStrategy = ValidationErrorStrategies.DEFAULT_VALUE,
         skipDuplicates = true,
-        errorThreshold = 0.2 // 20% de errores es el máximo aceptable
+        skipUnchanged = true, // No crear un snapshot nuevo si el hash coincide con el último del servidor
+        errorThreshold = 0.2, // 20% de errores es el máximo aceptable
+        timestamp: snapshotTimestamp = null, // Fecha del snapshot (al reprocesar HTML archivado, la de la descarga)
+        detectMerges = false // Buscar servidores fusionados en este al guardar un ranking nuevo
     } = options;
 
     // Validar los datos antes de insertarlos
@@ -260,86 +134,109 @@ async function insertRankingSnapshot(rankings, server, source = 'scraper', optio
 
     // Generar hash para comparación rápida de datos
     const dataHash = generateHash(validatedRankings);
-    const timestamp = new Date().toISOString();
+    const timestamp = snapshotTimestamp || new Date().toISOString();
+    
+    // Si los datos no cambiaron desde el último snapshot del servidor (hasta esa fecha), no duplicarlo
+    if (skipUnchanged) {
+        const latestSnapshot = await getLatestSnapshot({ server, toDate: snapshotTimestamp });
+        
+        if (latestSnapshot && latestSnapshot.hash === dataHash) {
+            logger.info(`Datos sin cambios para ${server} (hash: ${dataHash}), se reutiliza el snapshot ${latestSnapshot.id}`, 'Database');
+            return {
+                id: latestSnapshot.id,
+                timestamp: latestSnapshot.timestamp,
+                server,
+                recordCount: latestSnapshot.data_count,
+                insertedCount: 0,
+                skippedCount: validatedRankings.length,
+                errorCount: 0,
+                hash: dataHash,
+                duplicate: true
+            };
+        }
+    }
     
-    return new Promise((resolve, reject) => {
-        db.serialize(async () => {
-            db.run('BEGIN TRANSACTION');
+    try {
+        const result = await getStorage().transaction(async (tx) => {
+            // 1. Insertar el snapshot
+            const snapshotResult = await tx.run(
+                `INSERT INTO ranking_snapshots (timestamp, server, source, hash, data_count) VALUES (?, ?, ?, ?, ?)`,
+                [timestamp, server, source, dataHash, validatedRankings.length]
+            );
             
-            try {
-                // 1. Insertar el snapshot
-                const snapshotResult = await runAsync(
-                    `INSERT INTO ranking_snapshots (timestamp, server, source, hash, data_count) VALUES (?, ?, ?, ?, ?)`,
-                    [timestamp, server, source, dataHash, validatedRankings.length]
-                );
-                
-                const snapshotId = snapshotResult.lastID;
-                
-                // 2. Procesar cada entrada del ranking
-                let insertedCount = 0;
-                let skippedCount = 0;
-                let errorCount = 0;
-                
-                for (const entry of validatedRankings) {
-                    try {
-                        // 2.1 Buscar o crear el personaje
-                        const characterResult = await getOrCreateCharacter(entry.character, entry.class, server, timestamp);
-                        const characterId = characterResult.id;
-                        
-                        // 2.2 Verificar si ya existe esta entrada para evitar duplicados
-                        if (skipDuplicates) {
-                            const existingEntry = await getAsync(
-                                `SELECT id FROM ranking_entries 
-                                 WHERE snapshot_id = ? AND character_id = ?`,
-                                [snapshotId, characterId]
-                            );
-                            
-                            if (existingEntry) {
-                                skippedCount++;
-                                continue;
-                            }
-                        }
-                        
-                        // 2.3 Insertar la entrada del ranking
-                        await runAsync(
-                            `INSERT INTO ranking_entries (snapshot_id, character_id, rank, clan, power_score, timestamp) 
-                             VALUES (?, ?, ?, ?, ?, ?)`,
-                            [snapshotId, characterId, entry.rank, entry.clan || '', entry.powerScore, timestamp]
+            const snapshotId = snapshotResult.lastID;
+            
+            // 2. Procesar cada entrada del ranking
+            let insertedCount = 0;
+            let skippedCount = 0;
+            let errorCount = 0;
+            
+            for (const entry of validatedRankings) {
+                try {
+                    // 2.1 Buscar o crear el personaje (en el ranking global cada entrada trae su servidor)
+                    const characterServer = server === GLOBAL_SERVER ? (entry.server || server) : server;
+                    const characterResult = await getOrCreateCharacter(entry.character, entry.class, characterServer, timestamp, tx);
+                    const characterId = characterResult.id;
+                    
+                    // 2.2 Verificar si ya existe esta entrada para evitar duplicados
+                    if (skipDuplicates) {
+                        const existingEntry = await tx.get(
+                            `SELECT id FROM ranking_entries 
+                             WHERE snapshot_id = ? AND character_id = ?`,
+                            [snapshotId, characterId]
                         );
                         
-                        insertedCount++;
-                    } catch (entryError) {
-                        // Manejo individualizado de errores para cada entrada
-                        errorCount++;
-                        logger.error(`Error al procesar entrada de ranking para ${entry.character}: ${entryError.message}`, 'Database');
-                        
-                        // No rechazamos toda la operación por un error en una entrada
-                        continue;
+                        if (existingEntry) {
+                            skippedCount++;
+                            continue;
+                        }
                     }
+                    
+                    // 2.3 Insertar la entrada del ranking
+                    await tx.run(
+                        `INSERT INTO ranking_entries (snapshot_id, character_id, \`rank\`, clan, power_score, timestamp) 
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [snapshotId, characterId, entry.rank, entry.clan || '', entry.powerScore, timestamp]
+                    );
+                    
+                    insertedCount++;
+                } catch (entryError) {
+                    // Manejo individualizado de errores para cada entrada
+                    errorCount++;
+                    logger.error(`Error al procesar entrada de ranking para ${entry.character}: ${entryError.message}`, 'Database');
+                    
+                    // No rechazamos toda la operación por un error en una entrada
+                    continue;
                 }
-                
-                // Confirmar la transacción
-                db.run('COMMIT');
-                
-                logger.success(`Snapshot de ranking insertado. ID: ${snapshotId}, Insertados: ${insertedCount}, Omitidos: ${skippedCount}, Errores: ${errorCount}`, 'Database');
-                resolve({
-                    id: snapshotId,
-                    timestamp,
-                    server,
-                    recordCount: validatedRankings.length,
-                    insertedCount,
-                    skippedCount,
-                    errorCount,
-                    hash: dataHash
-                });
-                
-            } catch (error) {
-                db.run('ROLLBACK');
-                logger.error(`Error al insertar snapshot de ranking: ${error.message}`, 'Database');
-                reject(error);
             }
+            
+            return {
+                id: snapshotId,
+                timestamp,
+                server,
+                recordCount: validatedRankings.length,
+                insertedCount,
+                skippedCount,
+                errorCount,
+                hash: dataHash,
+                duplicate: false
+            };
         });
-    });
+        
+        logger.success(`Snapshot de ranking insertado. ID: ${result.id}, Insertados: ${result.insertedCount}, Omitidos: ${result.skippedCount}, Errores: ${result.errorCount}`, 'Database');
+        
+        // Un ranking nuevo puede revelar que otro servidor se fusionó en este
+        if (detectMerges && server !== GLOBAL_SERVER && CONFIG.SERVER_MERGE_AUTO_DETECT) {
+            await detectServerMerges(server, validatedRankings, timestamp).catch(error => {
+                logger.error(`Error al detectar fusiones de ${server}: ${error.message}`, 'Database');
+            });
+        }
+        
+        return result;
+    } catch (error) {
+        logger.error(`Error al insertar snapshot de ranking: ${error.message}`, 'Database');
+        throw error;
+    }
 }
 
 /**
@@ -348,19 +245,20 @@ async function insertRankingSnapshot(rankings, server, source = 'scraper', optio
  * @param {string} characterClass - Clase del personaje
  * @param {string} server - Servidor del personaje
  * @param {string} timestamp - Marca de tiempo
+ * @param {Object} executor - Ejecutor de consultas (por defecto el adaptador; dentro de una transacción, el de la transacción)
  * @returns {Promise<Object>} - Datos del personaje
  */
-async function getOrCreateCharacter(name, characterClass, server, timestamp) {
+async function getOrCreateCharacter(name, characterClass, server, timestamp, executor = getStorage()) {
     // Buscar si el personaje ya existe
     try {
-        const existingCharacter = await getAsync(
+        const existingCharacter = await executor.get(
             `SELECT id FROM characters WHERE name = ? AND server = ?`,
             [name, server]
         );
         
         if (existingCharacter) {
             // Actualizar la fecha de último avistamiento
-            await runAsync(
+            await executor.run(
                 `UPDATE characters SET last_seen = ?, class = COALESCE(NULLIF(?, ''), class) WHERE id = ?`,
                 [timestamp, characterClass || '', existingCharacter.id]
             );
@@ -369,7 +267,7 @@ async function getOrCreateCharacter(name, characterClass, server, timestamp) {
         }
         
         // Si no existe, crearlo
-        const result = await runAsync(
+        const result = await executor.run(
             `INSERT INTO characters (name, class, server, last_seen, first_seen) VALUES (?, ?, ?, ?, ?)`,
             [name, characterClass || '', server, timestamp, timestamp]
         );
@@ -411,77 +309,75 @@ async function insertCharacterDetails(characterName, server, details) {
         validatedDetails.achievements = JSON.stringify(validatedDetails.achievements);
     }
     
-    return new Promise((resolve, reject) => {
-        db.serialize(async () => {
-            try {
-                // 1. Obtener el personaje (o crearlo si no existe)
-                const character = await getOrCreateCharacter(characterName, validatedDetails.class, server, timestamp);
-                const characterId = character.id;
-                
-                // 2. Verificar si ya hay detalles recientes para este personaje (últimas 24h)
-                const recentDetails = await getAsync(`
-                    SELECT id, timestamp FROM character_details 
-                    WHERE character_id = ? 
-                    ORDER BY timestamp DESC LIMIT 1
-                `, [characterId]);
+    try {
+        await initDatabase();
+        
+        // 1. Obtener el personaje (o crearlo si no existe)
+        const character = await getOrCreateCharacter(characterName, validatedDetails.class, server, timestamp);
+        const characterId = character.id;
+        
+        // 2. Verificar si ya hay detalles recientes para este personaje (últimas 24h)
+        const recentDetails = await getAsync(`
+            SELECT id, timestamp FROM character_details 
+            WHERE character_id = ? 
+            ORDER BY timestamp DESC LIMIT 1
+        `, [characterId]);
+        
+        // Si hay detalles recientes, decidir si actualizarlos
+        if (recentDetails) {
+            const recentTimestamp = new Date(recentDetails.timestamp);
+            const now = new Date(timestamp);
+            const hoursSinceLastUpdate = (now - recentTimestamp) / (1000 * 60 * 60);
+            
+            // Si han pasado menos de 24 horas, comparar datos para ver si hay cambios significativos
+            if (hoursSinceLastUpdate < 24) {
+                // Obtener los detalles anteriores para comparar
+                const previousDetails = await getAsync(`
+                    SELECT level, prestige_level, equipment_score, spirit_score, 
+                           energy_score, magical_stone_score, codex_score, 
+                           trophy_score, ethics, achievements
+                    FROM character_details
+                    WHERE id = ?
+                `, [recentDetails.id]);
                 
-                // Si hay detalles recientes, decidir si actualizarlos
-                if (recentDetails) {
-                    const recentTimestamp = new Date(recentDetails.timestamp);
-                    const now = new Date(timestamp);
-                    const hoursSinceLastUpdate = (now - recentTimestamp) / (1000 * 60 * 60);
-                    
-                    // Si han pasado menos de 24 horas, comparar datos para ver si hay cambios significativos
-                    if (hoursSinceLastUpdate < 24) {
-                        // Obtener los detalles anteriores para comparar
-                        const previousDetails = await getAsync(`
-                            SELECT level, prestige_level, equipment_score, spirit_score, 
-                                   energy_score, magical_stone_score, codex_score, 
-                                   trophy_score, ethics, achievements
-                            FROM character_details
-                            WHERE id = ?
-                        `, [recentDetails.id]);
-                        
-                        // Si los detalles son muy similares, no actualizar
-                        const hasSignificantChanges = detailsHaveSignificantChanges(previousDetails, validatedDetails);
-                        if (!hasSignificantChanges) {
-                            logger.info(`No hay cambios significativos para ${characterName}, omitiendo actualización`, 'Database');
-                            return resolve({ updated: false, reason: 'no_significant_changes', characterId });
-                        }
-                    }
+                // Si los detalles son muy similares, no actualizar
+                const hasSignificantChanges = detailsHaveSignificantChanges(previousDetails, validatedDetails);
+                if (!hasSignificantChanges) {
+                    logger.info(`No hay cambios significativos para ${characterName}, omitiendo actualización`, 'Database');
+                    return { updated: false, reason: 'no_significant_changes', characterId };
                 }
-                
-                // 3. Insertar los nuevos detalles
-                const result = await runAsync(`
-                    INSERT INTO character_details (
-                        character_id, level, prestige_level, equipment_score, 
-                        spirit_score, energy_score, magical_stone_score, 
-                        codex_score, trophy_score, ethics, achievements, timestamp
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    characterId, 
-                    validatedDetails.level, 
-                    validatedDetails.prestigeLevel || 0,
-                    validatedDetails.equipmentScore || 0,
-                    validatedDetails.spiritScore || 0,
-                    validatedDetails.energyScore || 0,
-                    validatedDetails.magicalStoneScore || 0,
-                    validatedDetails.codexScore || 0,
-                    validatedDetails.trophyScore || 0,
-                    validatedDetails.ethics || 0,
-                    validatedDetails.achievements || null,
-                    timestamp
-                ]);
-                
-                logger.success(`Detalles insertados para ${characterName} (ID: ${result.lastID})`, 'Database');
-                resolve({ updated: true, detailsId: result.lastID, characterId });
-                
-            } catch (error) {
-                logger.error(`Error al insertar detalles de personaje ${characterName}: ${error.message}`, 'Database');
-                reject(error);
             }
-        });
-    });
+        }
+        
+        // 3. Insertar los nuevos detalles
+        const result = await runAsync(`
+            INSERT INTO character_details (
+                character_id, level, prestige_level, equipment_score, 
+                spirit_score, energy_score, magical_stone_score, 
+                codex_score, trophy_score, ethics, achievements, timestamp
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            characterId, 
+            validatedDetails.level, 
+            validatedDetails.prestigeLevel || 0,
+            validatedDetails.equipmentScore || 0,
+            validatedDetails.spiritScore || 0,
+            validatedDetails.energyScore || 0,
+            validatedDetails.magicalStoneScore || 0,
+            validatedDetails.codexScore || 0,
+            validatedDetails.trophyScore || 0,
+            validatedDetails.ethics || 0,
+            validatedDetails.achievements || null,
+            timestamp
+        ]);
+        
+        logger.success(`Detalles insertados para ${characterName} (ID: ${result.lastID})`, 'Database');
+        return { updated: true, detailsId: result.lastID, characterId };
+        
+    } catch (error) {
+        logger.error(`Error al insertar detalles de personaje ${characterName}: ${error.message}`, 'Database');
+        throw error;
+    }
 }
 
 /**
@@ -548,7 +444,7 @@ function detailsHaveSignificantChanges(oldDetails, newDetails) {
  * @returns {Promise<Array>} - Lista de snapshots
  */
 function getSnapshotsList(filters = {}, limit = 100) {
-    const { server, fromDate, toDate, minEntries } = filters;
+    const { server, fromDate, toDate, minEntries, offset = 0 } = filters;
     
     let query = `SELECT id, timestamp, server, source, hash, data_count FROM ranking_snapshots`;
     const params = [];
@@ -581,8 +477,8 @@ function getSnapshotsList(filters = {}, limit = 100) {
     }
     
     // Ordenar por timestamp descendente
-    query += ` ORDER BY timestamp DESC LIMIT ?`;
-    params.push(limit);
+    query += ` ORDER BY timestamp DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
     
     return allAsync(query, params);
 }
@@ -590,7 +486,7 @@ function getSnapshotsList(filters = {}, limit = 100) {
 /**
  * Obtiene los detalles de un snapshot específico
  * @param {number} snapshotId - ID del snapshot
- * @returns {Promise<Object>} - Datos del snapshot con sus entradas
+ * @returns {Promise<Object|null>} - Datos del snapshot con sus entradas o null si no existe
  */
 async function getSnapshotDetails(snapshotId) {
     if (!snapshotId) {
@@ -606,12 +502,12 @@ async function getSnapshotDetails(snapshotId) {
         );
         
         if (!snapshot) {
-            throw new Error(`Snapshot no encontrado: ${snapshotId}`);
+            return null; // Snapshot no encontrado
         }
         
         // Obtener las entradas del snapshot
         const entries = await allAsync(
-            `SELECT re.rank, c.name as character, c.class, re.clan, re.power_score as powerScore,
+            `SELECT re.rank, c.name AS \`character\`, c.class, re.clan, re.power_score as powerScore,
                     re.timestamp, c.id as characterId
              FROM ranking_entries re
              JOIN characters c ON c.id = re.character_id
@@ -631,7 +527,54 @@ async function getSnapshotDetails(snapshotId) {
 }
 
 /**
- * Obtiene el histórico de rankings de un personaje
+ * Busca un personaje por nombre y servidor siguiendo el linaje del servidor (fusiones y renombrados)
+ * Si el nombre aparece en varios servidores del linaje, devuelve el registro visto más recientemente
+ * @param {string} characterName - Nombre del personaje
+ * @param {string} server - Servidor del personaje (actual o anterior a una fusión)
+ * @returns {Promise<Object|null>} - Datos básicos del personaje (con servers: servidores en los que aparece) o null si no existe
+ */
+async function getCharacter(characterName, server) {
+    if (!characterName || !server) {
+        throw new Error('Se requiere nombre del personaje y servidor');
+    }
+    
+    const records = await getCharacterLineageRecords(characterName, server);
+    if (records.length === 0) {
+        return null;
+    }
+    
+    const [latest] = records;
+    return {
+        id: latest.id,
+        name: latest.name,
+        class: latest.class,
+        server: latest.server,
+        first_seen: records.reduce((first, record) => (record.first_seen < first ? record.first_seen : first), latest.first_seen),
+        last_seen: latest.last_seen,
+        servers: records.map(record => record.server)
+    };
+}
+
+/**
+ * Obtiene los registros de un nombre de personaje en todos los servidores del linaje
+ * @param {string} characterName - Nombre del personaje
+ * @param {string} server - Servidor del personaje
+ * @returns {Promise<Array<Object>>} - Registros de characters ordenados del más reciente al más antiguo
+ */
+async function getCharacterLineageRecords(characterName, server) {
+    const { servers } = await getServerLineage(server);
+    const placeholders = servers.map(() => '?').join(', ');
+    
+    return allAsync(
+        `SELECT id, name, class, server, first_seen, last_seen FROM characters
+         WHERE name = ? AND server IN (${placeholders})
+         ORDER BY last_seen DESC, id DESC`,
+        [characterName, ...servers]
+    );
+}
+
+/**
+ * Obtiene el histórico de rankings de un personaje, incluido el de los servidores fusionados en el suyo
  * @param {string} characterName - Nombre del personaje
  * @param {string} server - Servidor del personaje
  * @param {Object} options - Opciones adicionales
@@ -642,29 +585,27 @@ async function getCharacterRankingHistory(characterName, server, options = {}) {
         throw new Error('Se requiere nombre del personaje y servidor');
     }
     
-    const { limit = 100, fromDate, toDate } = options;
+    const { limit = 100, offset = 0, fromDate, toDate } = options;
     
     try {
-        // Primero obtener el ID del personaje
-        const character = await getAsync(
-            `SELECT id FROM characters WHERE name = ? AND server = ?`,
-            [characterName, server]
-        );
+        // Primero obtener los IDs del personaje en los servidores de su linaje
+        const records = await getCharacterLineageRecords(characterName, server);
         
-        if (!character) {
+        if (records.length === 0) {
             return []; // Personaje no encontrado
         }
         
         // Construir la consulta para el histórico
+        const placeholders = records.map(() => '?').join(', ');
         let query = `
             SELECT re.rank, re.clan, re.power_score as powerScore, re.timestamp,
                    rs.server, rs.id as snapshotId
             FROM ranking_entries re
             JOIN ranking_snapshots rs ON rs.id = re.snapshot_id
-            WHERE re.character_id = ?
+            WHERE re.character_id IN (${placeholders})
         `;
         
-        const params = [character.id];
+        const params = records.map(record => record.id);
         
         // Aplicar filtros adicionales
         if (fromDate) {
@@ -677,9 +618,9 @@ async function getCharacterRankingHistory(characterName, server, options = {}) {
             params.push(toDate);
         }
         
-        // Ordenar por timestamp descendente y limitar resultados
-        query += ` ORDER BY re.timestamp DESC LIMIT ?`;
-        params.push(limit);
+        // Ordenar por timestamp descendente y paginar resultados
+        query += ` ORDER BY re.timestamp DESC LIMIT ? OFFSET ?`;
+        params.push(limit, offset);
         
         // Ejecutar la consulta
         const history = await allAsync(query, params);
@@ -693,12 +634,25 @@ async function getCharacterRankingHistory(characterName, server, options = {}) {
 }
 
 /**
- * Obtiene el snapshot más reciente según criterios
- * @param {Object} filters - Filtros para la búsqueda
+ * Obtiene un snapshot por su ID, sin sus entradas
+ * @param {number} snapshotId - ID del snapshot
  * @returns {Promise<Object|null>} - Snapshot encontrado o null
  */
-async function getLatestSnapshot(filters = {}) {
-    const { server } = filters;
+async function getSnapshot(snapshotId) {
+    return getAsync(
+        `SELECT id, timestamp, server, source, hash, data_count FROM ranking_snapshots WHERE id = ?`,
+        [snapshotId]
+    );
+}
+
+/**
+ * Busca el primer snapshot que cumpla los filtros según el orden indicado
+ * @param {Object} filters - Filtros para la búsqueda (server, fromDate, toDate)
+ * @param {string} order - 'DESC' para el más reciente, 'ASC' para el más antiguo
+ * @returns {Promise<Object|null>} - Snapshot encontrado o null
+ */
+async function findSnapshot(filters, order) {
+    const { server, fromDate, toDate } = filters;
     
     let query = `
         SELECT id, timestamp, server, source, hash, data_count 
@@ -713,20 +667,48 @@ async function getLatestSnapshot(filters = {}) {
         params.push(server);
     }
     
+    if (fromDate) {
+        conditions.push(`timestamp >= ?`);
+        params.push(fromDate);
+    }
+    
+    if (toDate) {
+        conditions.push(`timestamp <= ?`);
+        params.push(toDate);
+    }
+    
     if (conditions.length > 0) {
         query += ` WHERE ` + conditions.join(' AND ');
     }
     
-    query += ` ORDER BY timestamp DESC LIMIT 1`;
+    query += ` ORDER BY timestamp ${order}, id ${order} LIMIT 1`;
     
     try {
         return await getAsync(query, params);
     } catch (error) {
-        logger.error(`Error al obtener el último snapshot: ${error.message}`, 'Database');
+        logger.error(`Error al buscar snapshot: ${error.message}`, 'Database');
         throw error;
     }
 }
 
+/**
+ * Obtiene el snapshot más reciente según criterios
+ * @param {Object} filters - Filtros para la búsqueda (server, fromDate, toDate)
+ * @returns {Promise<Object|null>} - Snapshot encontrado o null
+ */
+async function getLatestSnapshot(filters = {}) {
+    return findSnapshot(filters, 'DESC');
+}
+
+/**
+ * Obtiene el snapshot más antiguo según criterios
+ * @param {Object} filters - Filtros para la búsqueda (server, fromDate, toDate)
+ * @returns {Promise<Object|null>} - Snapshot encontrado o null
+ */
+async function getEarliestSnapshot(filters = {}) {
+    return findSnapshot(filters, 'ASC');
+}
+
 /**
  * Compara dos snapshots y devuelve las diferencias
  * @param {number} oldSnapshotId - ID del snapshot anterior
@@ -810,7 +792,7 @@ async function compareSnapshots(oldSnapshotId, newSnapshotId, options = {}) {
         
         // Obtener los personajes de ambos snapshots
         const oldCharacters = await allAsync(`
-            SELECT re.rank, c.name as character, c.class, re.clan, re.power_score as powerScore,
+            SELECT re.rank, c.name AS \`character\`, c.class, re.clan, re.power_score as powerScore,
                    c.id as characterId
             FROM ranking_entries re
             JOIN characters c ON c.id = re.character_id
@@ -820,7 +802,7 @@ async function compareSnapshots(oldSnapshotId, newSnapshotId, options = {}) {
         `, [oldSnapshotId]);
         
         const newCharacters = await allAsync(`
-            SELECT re.rank, c.name as character, c.class, re.clan, re.power_score as powerScore,
+            SELECT re.rank, c.name AS \`character\`, c.class, re.clan, re.power_score as powerScore,
                    c.id as characterId
             FROM ranking_entries re
             JOIN characters c ON c.id = re.character_id
@@ -1032,6 +1014,69 @@ async function compareSnapshots(oldSnapshotId, newSnapshotId, options = {}) {
     }
 }
 
+/**
+ * Compara dos snapshots y resume los cambios en un formato de "digest":
+ * nuevos jugadores, bajas, mayores subidas/bajadas y cambios de clan
+ * @param {number} oldSnapshotId - ID del snapshot anterior
+ * @param {number} newSnapshotId - ID del snapshot nuevo
+ * @param {Object} options - Opciones de compareSnapshots más topN (tamaño de cada lista)
+ * @returns {Promise<Object>} - Resumen de cambios
+ */
+async function getSnapshotDiff(oldSnapshotId, newSnapshotId, options = {}) {
+    const { topN = 10, ...compareOptions } = options;
+    
+    const comparison = await compareSnapshots(oldSnapshotId, newSnapshotId, compareOptions);
+    
+    // En datasets grandes compareSnapshots solo devuelve los cambios significativos
+    const changes = (comparison.comparisonSize === 'partial'
+        ? comparison.significantChanges
+        : comparison.changedEntries) || [];
+    
+    const rankMoves = changes
+        .filter(entry => entry.changes.rank)
+        .map(entry => ({
+            character: entry.character,
+            oldRank: entry.changes.rank.old,
+            newRank: entry.changes.rank.new,
+            change: entry.changes.rank.change
+        }));
+    
+    const toEntry = c => ({
+        rank: c.rank,
+        character: c.character,
+        class: c.class,
+        clan: c.clan,
+        powerScore: c.powerScore
+    });
+    
+    return {
+        server: comparison.server,
+        oldSnapshot: { id: Number(oldSnapshotId), timestamp: comparison.oldTimestamp },
+        newSnapshot: { id: Number(newSnapshotId), timestamp: comparison.newTimestamp },
+        hasChanges: comparison.hasChanges,
+        comparisonMethod: comparison.comparisonMethod,
+        reason: comparison.reason,
+        stats: comparison.stats,
+        newcomers: (comparison.newEntries || []).slice(0, topN).map(toEntry),
+        dropouts: (comparison.removedEntries || []).slice(0, topN).map(toEntry),
+        climbers: rankMoves
+            .filter(move => move.change > 0)
+            .sort((a, b) => b.change - a.change)
+            .slice(0, topN),
+        fallers: rankMoves
+            .filter(move => move.change < 0)
+            .sort((a, b) => a.change - b.change)
+            .slice(0, topN),
+        clanTransfers: changes
+            .filter(entry => entry.changes.clan)
+            .map(entry => ({
+                character: entry.character,
+                oldClan: entry.changes.clan.old,
+                newClan: entry.changes.clan.new
+            }))
+    };
+}
+
 /**
  * Obtiene los detalles de un personaje
  * @param {string} characterName - Nombre del personaje
@@ -1045,6 +1090,8 @@ async function getCharacterDetails(characterName, server, includeHistory = false
     }
     
     try {
+        await initDatabase();
+        
         // Obtener información básica del personaje
         const character = await getAsync(`
             SELECT id, name, class, server, last_seen, first_seen
@@ -1147,338 +1194,1029 @@ async function getCharacterDetails(characterName, server, includeHistory = false
 }
 
 /**
- * Ejecuta una consulta que devuelve múltiples filas (ALL)
- * @param {string} query - Consulta SQL
- * @param {Array} params - Parámetros de la consulta
- * @returns {Promise<Array>} - Resultados de la consulta
+ * Sincroniza la tabla de servidores con el mapa de regiones de la configuración
+ * Los servidores nuevos se insertan como activos; los existentes solo actualizan sus IDs
+ * si no se han descubierto en la web (los IDs descubiertos prevalecen sobre los de la configuración)
+ * @param {Object} serverRegions - Mapa de regiones y servidores (SERVER_REGIONS)
+ * @returns {Promise<number>} - Número de servidores sincronizados
  */
-function allAsync(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.all(query, params, (err, rows) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            resolve(rows);
+async function updateServersDatabase(serverRegions) {
+    try {
+        await initDatabase();
+        
+        const now = new Date().toISOString();
+        let count = 0;
+        
+        const { excluded, onConflict } = getStorage();
+        const upsertClause = onConflict(['region_name', 'server_name'], {
+            region_id: `CASE WHEN servers.source = 'discovered' THEN servers.region_id ELSE ${excluded('region_id')} END`,
+            world_id: `CASE WHEN servers.source = 'discovered' THEN servers.world_id ELSE ${excluded('world_id')} END`
         });
-    });
+        
+        for (const [regionName, regionData] of Object.entries(serverRegions)) {
+            for (const [serverName, serverData] of Object.entries(regionData.servers)) {
+                await runAsync(`
+                    INSERT INTO servers (region_name, server_name, region_id, world_id, is_active, created_at)
+                    VALUES (?, ?, ?, ?, 1, ?)
+                    ${upsertClause}
+                `, [regionName, serverName, regionData.id, serverData.id, now]);
+                count++;
+            }
+        }
+        
+        logger.info(`Catálogo de servidores sincronizado: ${count} servidores`, 'Database');
+        return count;
+    } catch (error) {
+        logger.error(`Error al sincronizar el catálogo de servidores: ${error.message}`, 'Database');
+        return 0;
+    }
 }
 
 /**
- * Ejecuta una consulta que devuelve una sola fila (GET)
- * @param {string} query - Consulta SQL
- * @param {Array} params - Parámetros de la consulta
- * @returns {Promise<Object|null>} - Resultado de la consulta o null si no hay resultados
+ * Guarda los servidores descubiertos en los desplegables del ranking
+ * Sus IDs sustituyen a los de la configuración y quedan marcados como descubiertos
+ * @param {Object} serverRegions - Mapa de regiones y servidores descubiertos (mismo formato que SERVER_REGIONS)
+ * @returns {Promise<number>} - Número de servidores guardados
  */
-function getAsync(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.get(query, params, (err, row) => {
-            if (err) {
-                reject(err);
-                return;
+async function saveDiscoveredServers(serverRegions) {
+    try {
+        await initDatabase();
+        
+        const now = new Date().toISOString();
+        let count = 0;
+        
+        const { excluded, onConflict } = getStorage();
+        const upsertClause = onConflict(['region_name', 'server_name'], {
+            region_id: excluded('region_id'),
+            world_id: excluded('world_id'),
+            source: excluded('source'),
+            last_discovered: excluded('last_discovered')
+        });
+        
+        await getStorage().transaction(async (tx) => {
+            for (const [regionName, regionData] of Object.entries(serverRegions)) {
+                for (const [serverName, serverData] of Object.entries(regionData.servers)) {
+                    await tx.run(`
+                        INSERT INTO servers (region_name, server_name, region_id, world_id, is_active, source, last_discovered, created_at)
+                        VALUES (?, ?, ?, ?, 1, 'discovered', ?, ?)
+                        ${upsertClause}
+                    `, [regionName, serverName, regionData.id, serverData.id, now, now]);
+                    count++;
+                }
             }
-            resolve(row || null);
         });
-    });
+        
+        logger.info(`Servidores descubiertos guardados: ${count}`, 'Database');
+        return count;
+    } catch (error) {
+        logger.error(`Error al guardar los servidores descubiertos: ${error.message}`, 'Database');
+        throw error;
+    }
 }
 
 /**
- * Ejecuta una consulta que modifica la base de datos (RUN)
- * @param {string} query - Consulta SQL
- * @param {Array} params - Parámetros de la consulta
- * @returns {Promise<Object>} - Información de la operación
+ * Obtiene el catálogo de servidores registrado en la base de datos
+ * @returns {Promise<Array<Object>>} - Filas { region_name, server_name, region_id, world_id, is_active, source, last_discovered }
  */
-function runAsync(query, params = []) {
-    return new Promise((resolve, reject) => {
-        db.run(query, params, function(err) {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            resolve({
-                lastID: this.lastID,
-                changes: this.changes
-            });
-        });
-    });
+async function getServerCatalog() {
+    await initDatabase();
+    
+    return allAsync(`
+        SELECT region_name, server_name, region_id, world_id, is_active, source, last_discovered
+        FROM servers
+        ORDER BY region_name ASC, server_name ASC
+    `);
 }
 
 /**
- * Cierra la conexión a la base de datos
- * @returns {Promise<void>}
+ * Obtiene las fusiones y renombrados de servidores registrados
+ * @returns {Promise<Array<Object>>} - Fusiones { sourceServer, targetServer, mergedAt, detection, details }
  */
-function closeDatabase() {
-    return new Promise((resolve, reject) => {
-        if (!db) {
-            resolve();
-            return;
-        }
+async function getServerMerges() {
+    await initDatabase();
+    
+    const rows = await allAsync(`
+        SELECT source_server, target_server, merged_at, detection, details, created_at
+        FROM server_merges
+        ORDER BY merged_at ASC, id ASC
+    `);
+    
+    return rows.map(row => ({
+        sourceServer: row.source_server,
+        targetServer: row.target_server,
+        mergedAt: row.merged_at,
+        detection: row.detection,
+        details: row.details ? JSON.parse(row.details) : null,
+        createdAt: row.created_at
+    }));
+}
+
+/**
+ * Obtiene el linaje de un servidor: los servidores fusionados en él (directa o indirectamente)
+ * y aquellos en los que se ha fusionado
+ * @param {string} server - Nombre del servidor
+ * @param {Array<Object>} merges - Fusiones registradas (opcional, para no volver a consultarlas)
+ * @returns {Promise<Object>} - { server, current, servers, merges }; current es el servidor en el que acaba el linaje
+ */
+async function getServerLineage(server, merges = null) {
+    const allMerges = merges || await getServerMerges();
+    const servers = new Set([server]);
+    const pending = [server];
+    
+    // Recorrer el grafo de fusiones en ambos sentidos
+    while (pending.length > 0) {
+        const current = pending.pop();
         
-        db.close(err => {
-            if (err) {
-                reject(err);
-                return;
-            }
+        for (const merge of allMerges) {
+            const related = merge.sourceServer === current ? merge.targetServer
+                : merge.targetServer === current ? merge.sourceServer
+                    : null;
             
-            db = null;
-            logger.info('Conexión a la base de datos cerrada', 'Database');
-            resolve();
-        });
-    });
+            if (related && !servers.has(related)) {
+                servers.add(related);
+                pending.push(related);
+            }
+        }
+    }
+    
+    // Seguir las fusiones hacia delante para obtener el servidor actual
+    let current = server;
+    const visited = new Set([current]);
+    let next = allMerges.find(merge => merge.sourceServer === current);
+    while (next && !visited.has(next.targetServer)) {
+        current = next.targetServer;
+        visited.add(current);
+        next = allMerges.find(merge => merge.sourceServer === current);
+    }
+    
+    return {
+        server,
+        current,
+        servers: [...servers],
+        merges: allMerges.filter(merge => servers.has(merge.sourceServer))
+    };
 }
 
 /**
- * Actualiza la estructura de la base de datos para la versión 2.0
- * Añade nuevas tablas y modifica existentes para optimización
- * @returns {Promise<void>}
+ * Registra que un servidor se fusionó en otro (o se renombró) en una fecha
+ * @param {string} sourceServer - Servidor que deja de existir
+ * @param {string} targetServer - Servidor que recibe a sus personajes
+ * @param {Object} options - { mergedAt (ISO, por defecto ahora), detection ('manual' o 'auto'), details }
+ * @returns {Promise<Object>} - Fusión registrada
  */
-async function updateDatabaseSchema() {
-    logger.info('Iniciando actualización del esquema de base de datos a v2.0...', 'Database');
+async function recordServerMerge(sourceServer, targetServer, options = {}) {
+    const { mergedAt = new Date().toISOString(), detection = 'manual', details = null } = options;
     
-    return new Promise((resolve, reject) => {
-        db.serialize(async () => {
-            try {
-                // Iniciar transacción
-                db.run('BEGIN TRANSACTION');
-                
-                // 1. Crear nueva tabla para almacenar información básica de personajes con índices optimizados
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS characters_new (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        name TEXT NOT NULL,
-                        class TEXT,
-                        server TEXT NOT NULL,
-                        region TEXT,
-                        last_seen TEXT NOT NULL,
-                        first_seen TEXT NOT NULL,
-                        data_status INTEGER DEFAULT 0,
-                        UNIQUE(name, server)
-                    )
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al crear tabla characters_new: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 2. Crear tabla para las estadísticas base de los personajes
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS character_stats (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        character_id INTEGER NOT NULL,
-                        level INTEGER NOT NULL,
-                        prestige_level INTEGER DEFAULT 0,
-                        timestamp TEXT NOT NULL,
-                        FOREIGN KEY (character_id) REFERENCES characters(id)
-                    )
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al crear tabla character_stats: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 3. Crear tabla para puntuaciones de personaje (separada para facilitar análisis)
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS character_scores (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        character_id INTEGER NOT NULL,
-                        equipment_score INTEGER DEFAULT 0,
-                        spirit_score INTEGER DEFAULT 0,
-                        energy_score INTEGER DEFAULT 0,
-                        magical_stone_score INTEGER DEFAULT 0,
-                        codex_score INTEGER DEFAULT 0,
-                        trophy_score INTEGER DEFAULT 0,
-                        ethics INTEGER DEFAULT 0,
-                        timestamp TEXT NOT NULL,
-                        FOREIGN KEY (character_id) REFERENCES characters(id)
-                    )
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al crear tabla character_scores: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 4. Crear tabla para logros de los personajes
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS character_achievements (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        character_id INTEGER NOT NULL,
-                        achievement_id INTEGER NOT NULL,
-                        achievement_name TEXT NOT NULL,
-                        timestamp TEXT NOT NULL,
-                        FOREIGN KEY (character_id) REFERENCES characters(id)
-                    )
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al crear tabla character_achievements: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 5. Migrar datos de la tabla characters existente (si hay datos)
-                db.run(`
-                    INSERT OR IGNORE INTO characters_new (id, name, class, server, last_seen, first_seen)
-                    SELECT id, name, class, server, last_seen, first_seen FROM characters
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al migrar datos a characters_new: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 6. Extraer la región del servidor y actualizarla en la nueva tabla
-                db.run(`
-                    UPDATE characters_new
-                    SET region = SUBSTR(server, 1, INSTR(server, '0') - 1)
-                    WHERE region IS NULL
-                `, (err) => {
-                    if (err) {
-                        logger.error(`Error al actualizar región en characters_new: ${err.message}`, 'Database');
-                        throw err;
-                    }
-                });
-                
-                // 7. Migrar datos de character_details a las nuevas tablas
-                // Primero, migrar estadísticas base
-                db.run(`
-                    INSERT INTO character_stats (character_id, level, prestige_level, timestamp)
-                    SELECT character_id, level, prestige_level, timestamp
-                    FROM character_details
-                `, (err) => {
-                    if (err) {
-                        logger.warn(`Error al migrar estadísticas base: ${err.message}`, 'Database');
-                        // No lanzar error, continuar con las demás migraciones
-                    }
-                });
-                
-                // Luego, migrar puntuaciones
-                db.run(`
-                    INSERT INTO character_scores (
-                        character_id, equipment_score, spirit_score, energy_score, 
-                        magical_stone_score, codex_score, trophy_score, ethics, timestamp
-                    )
-                    SELECT 
-                        character_id, equipment_score, spirit_score, energy_score, 
-                        magical_stone_score, codex_score, trophy_score, ethics, timestamp
-                    FROM character_details
-                `, (err) => {
-                    if (err) {
-                        logger.warn(`Error al migrar puntuaciones: ${err.message}`, 'Database');
-                        // No lanzar error, continuar
-                    }
-                });
-                
-                // 8. Crear índices para optimizar consultas en las nuevas tablas
-                db.run(`CREATE INDEX IF NOT EXISTS idx_character_stats_character_id ON character_stats(character_id)`, (err) => {
-                    if (err) logger.warn(`Error al crear índice idx_character_stats_character_id: ${err.message}`, 'Database');
-                });
-                
-                db.run(`CREATE INDEX IF NOT EXISTS idx_character_scores_character_id ON character_scores(character_id)`, (err) => {
-                    if (err) logger.warn(`Error al crear índice idx_character_scores_character_id: ${err.message}`, 'Database');
-                });
-                
-                db.run(`CREATE INDEX IF NOT EXISTS idx_character_achievements_character_id ON character_achievements(character_id)`, (err) => {
-                    if (err) logger.warn(`Error al crear índice idx_character_achievements_character_id: ${err.message}`, 'Database');
-                });
-                
-                db.run(`CREATE INDEX IF NOT EXISTS idx_characters_new_name_server ON characters_new(name, server)`, (err) => {
-                    if (err) logger.warn(`Error al crear índice idx_characters_new_name_server: ${err.message}`, 'Database');
-                });
-                
-                db.run(`CREATE INDEX IF NOT EXISTS idx_characters_new_region ON characters_new(region)`, (err) => {
-                    if (err) logger.warn(`Error al crear índice idx_characters_new_region: ${err.message}`, 'Database');
-                });
-                
-                // Confirmar la transacción
-                db.run('COMMIT', (err) => {
-                    if (err) {
-                        logger.error(`Error al confirmar la transacción: ${err.message}`, 'Database');
-                        db.run('ROLLBACK');
-                        reject(err);
-                        return;
-                    }
-                    
-                    // 9. No reemplazamos las tablas antiguas inmediatamente para mantener compatibilidad
-                    // En una versión futura, podríamos eliminar las tablas antiguas o renombrarlas
-                    
-                    logger.success('Actualización del esquema de base de datos completada', 'Database');
-                    resolve();
-                });
-                
-            } catch (error) {
-                db.run('ROLLBACK');
-                logger.error(`Error al actualizar el esquema de la base de datos: ${error.message}`, 'Database');
-                reject(error);
-            }
-        });
+    if (!sourceServer || !targetServer) {
+        throw new Error('Se requieren el servidor de origen y el de destino');
+    }
+    
+    if (sourceServer === targetServer) {
+        throw new Error('Un servidor no puede fusionarse consigo mismo');
+    }
+    
+    await initDatabase();
+    
+    // Evitar ciclos: el destino no puede acabar (directa o indirectamente) en el origen
+    const merges = (await getServerMerges()).filter(merge => merge.sourceServer !== sourceServer);
+    const { current } = await getServerLineage(targetServer, merges);
+    if (current === sourceServer) {
+        throw new Error(`${targetServer} ya se fusionó en ${sourceServer}; la fusión crearía un ciclo`);
+    }
+    
+    const now = new Date().toISOString();
+    const { excluded, onConflict } = getStorage();
+    const upsertClause = onConflict(['source_server'], {
+        target_server: excluded('target_server'),
+        merged_at: excluded('merged_at'),
+        detection: excluded('detection'),
+        details: excluded('details')
     });
+    
+    await runAsync(`
+        INSERT INTO server_merges (source_server, target_server, merged_at, detection, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ${upsertClause}
+    `, [sourceServer, targetServer, mergedAt, detection, details ? JSON.stringify(details) : null, now]);
+    
+    logger.info(`Fusión de servidores registrada (${detection}): ${sourceServer} -> ${targetServer} el ${mergedAt}`, 'Database');
+    
+    return { sourceServer, targetServer, mergedAt, detection, details };
+}
+
+/**
+ * Elimina la fusión registrada de un servidor
+ * @param {string} sourceServer - Servidor de origen de la fusión
+ * @returns {Promise<boolean>} - true si existía
+ */
+async function deleteServerMerge(sourceServer) {
+    await initDatabase();
+    
+    const result = await runAsync(`DELETE FROM server_merges WHERE source_server = ?`, [sourceServer]);
+    return result.changes > 0;
+}
+
+/**
+ * Detecta si el ranking recién guardado de un servidor contiene el de otro servidor
+ * (la mayor parte de su último snapshot aparece ahora bajo este nombre) y registra la fusión
+ * @param {string} server - Servidor del snapshot nuevo
+ * @param {Array} rankings - Entradas del snapshot nuevo
+ * @param {string} timestamp - Fecha del snapshot nuevo
+ * @returns {Promise<Array<Object>>} - Fusiones detectadas
+ */
+async function detectServerMerges(server, rankings, timestamp) {
+    const names = [...new Set(rankings.map(entry => entry.character).filter(Boolean))];
+    if (names.length < CONFIG.SERVER_MERGE_MIN_ROSTER) {
+        return [];
+    }
+    
+    const { servers: lineage } = await getServerLineage(server);
+    const placeholders = names.map(() => '?').join(', ');
+    
+    // Coincidencias con el último snapshot de cada uno de los demás servidores
+    const candidates = await allAsync(`
+        SELECT rs.server, rs.data_count, rs.timestamp, COUNT(*) AS matches
+        FROM ranking_snapshots rs
+        JOIN ranking_entries re ON re.snapshot_id = rs.id
+        JOIN characters c ON c.id = re.character_id
+        WHERE rs.id IN (
+            SELECT MAX(id) FROM ranking_snapshots WHERE server <> ? AND server <> ? GROUP BY server
+        )
+        AND c.name IN (${placeholders})
+        GROUP BY rs.server, rs.data_count, rs.timestamp
+    `, [server, GLOBAL_SERVER, ...names]);
+    
+    const detected = [];
+    
+    for (const candidate of candidates) {
+        const ratio = candidate.matches / candidate.data_count;
+        
+        if (lineage.includes(candidate.server) ||
+            candidate.data_count < CONFIG.SERVER_MERGE_MIN_ROSTER ||
+            ratio < CONFIG.SERVER_MERGE_DETECTION_RATIO ||
+            candidate.timestamp >= timestamp) {
+            continue;
+        }
+        
+        logger.warn(`Posible fusión detectada: ${Math.round(ratio * 100)}% del ranking de ${candidate.server} aparece en ${server}`, 'Database');
+        
+        detected.push(await recordServerMerge(candidate.server, server, {
+            mergedAt: timestamp,
+            detection: 'auto',
+            details: { matches: candidate.matches, roster: candidate.data_count, ratio: Number(ratio.toFixed(3)) }
+        }));
+    }
+    
+    return detected;
 }
 
 /**
- * Obtiene la versión actual del esquema de la base de datos
- * @returns {Promise<number>} - Versión del esquema
+ * Actualiza el estado activo/inactivo de un servidor, creándolo si no existe
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {boolean} isActive - Nuevo estado del servidor
+ * @returns {Promise<boolean>} - true si se actualizó correctamente
  */
-async function getSchemaVersion() {
+async function setServerActiveState(regionName, serverName, isActive) {
     try {
-        // Crear tabla de control de versiones si no existe
+        await initDatabase();
+        
+        const now = new Date().toISOString();
+        
+        const { excluded, onConflict } = getStorage();
+        const upsertClause = onConflict(['region_name', 'server_name'], {
+            is_active: excluded('is_active'),
+            inactive_since: `CASE
+                WHEN ${excluded('is_active')} = 1 THEN NULL
+                ELSE COALESCE(servers.inactive_since, ${excluded('inactive_since')})
+            END`,
+            last_checked: excluded('last_checked')
+        });
+        
         await runAsync(`
-            CREATE TABLE IF NOT EXISTS schema_version (
-                id INTEGER PRIMARY KEY,
-                version INTEGER NOT NULL,
-                updated_at TEXT NOT NULL
-            )
-        `);
+            INSERT INTO servers (region_name, server_name, is_active, inactive_since, last_checked, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ${upsertClause}
+        `, [regionName, serverName, isActive ? 1 : 0, isActive ? null : now, now, now]);
+        
+        return true;
+    } catch (error) {
+        logger.error(`Error al actualizar el estado de ${regionName} > ${serverName}: ${error.message}`, 'Database');
+        return false;
+    }
+}
+
+/**
+ * Marca un servidor como inactivo (sin datos o con errores al scrapearlo)
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @returns {Promise<boolean>} - true si se actualizó correctamente
+ */
+async function markServerAsInactive(regionName, serverName) {
+    const updated = await setServerActiveState(regionName, serverName, false);
+    if (updated) {
+        logger.warn(`Servidor marcado como inactivo: ${regionName} > ${serverName}`, 'Database');
+    }
+    return updated;
+}
+
+/**
+ * Marca un servidor como activo
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @returns {Promise<boolean>} - true si se actualizó correctamente
+ */
+async function markServerAsActive(regionName, serverName) {
+    return setServerActiveState(regionName, serverName, true);
+}
+
+/**
+ * Marca un servidor como activo y actualizado con su último snapshot
+ * El snapshot ya lo guarda el scraper al descargar el ranking; aquí solo se actualiza el catálogo
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @returns {Promise<Object|null>} - Último snapshot del servidor o null si no hay o no se pudo actualizar
+ */
+async function markServerUpdated(regionName, serverName) {
+    try {
+        await initDatabase();
         
-        // Verificar la versión actual
-        const versionRow = await getAsync('SELECT version FROM schema_version ORDER BY id DESC LIMIT 1');
+        const snapshot = await getLatestSnapshot({ server: serverName });
         
-        if (versionRow) {
-            return versionRow.version;
-        } else {
-            // Si no hay versión registrada, asumir versión 1 e insertarla
+        await markServerAsActive(regionName, serverName);
+        if (snapshot) {
             await runAsync(
-                'INSERT INTO schema_version (version, updated_at) VALUES (?, ?)',
-                [1, new Date().toISOString()]
+                `UPDATE servers SET last_update = ? WHERE region_name = ? AND server_name = ?`,
+                [snapshot.timestamp, regionName, serverName]
             );
-            return 1;
         }
+        
+        return snapshot || null;
     } catch (error) {
-        logger.error(`Error al obtener la versión del esquema: ${error.message}`, 'Database');
-        return 1; // Asumir versión 1 en caso de error
+        logger.error(`Error al actualizar el estado de ${regionName} > ${serverName}: ${error.message}`, 'Database');
+        return null;
     }
 }
 
 /**
- * Actualiza la versión del esquema de la base de datos
- * @param {number} version - Nueva versión del esquema
- * @returns {Promise<void>}
+ * Obtiene las entradas del último snapshot de un servidor con el formato del scraper
+ * Sin servidor, devuelve el último snapshot del ranking global
+ * @param {string} regionName - Nombre de la región (opcional)
+ * @param {string} serverName - Nombre del servidor (opcional)
+ * @returns {Promise<Array>} - Rankings del servidor (vacío si no hay datos)
  */
-async function updateSchemaVersion(version) {
+async function getServerRankings(regionName = null, serverName = null) {
+    await initDatabase();
+    
+    const server = serverName || GLOBAL_SERVER;
+    const snapshot = await getLatestSnapshot({ server });
+    
+    if (!snapshot) {
+        return [];
+    }
+    
+    const rankings = await allAsync(`
+        SELECT re.rank, c.name AS \`character\`, c.class, c.server, re.clan, re.power_score AS powerScore
+        FROM ranking_entries re
+        JOIN characters c ON c.id = re.character_id
+        WHERE re.snapshot_id = ?
+        ORDER BY re.rank ASC
+    `, [snapshot.id]);
+    
+    if (!serverName) {
+        return rankings;
+    }
+    
+    return rankings.map(player => ({
+        ...player,
+        regionName,
+        serverName
+    }));
+}
+
+/**
+ * Obtiene un resumen compacto del último snapshot de un servidor
+ * para decidir rápidamente si sus datos cambiaron
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {number} topN - Número de jugadores incluidos en el hash del top
+ * @returns {Promise<Object|null>} - Digest {hash, stats, topPlayers} o null si no hay datos
+ */
+async function getServerDigest(regionName, serverName, topN = 10) {
+    await initDatabase();
+    
+    const snapshot = await getLatestSnapshot({ server: serverName });
+    
+    if (!snapshot) {
+        return null;
+    }
+    
+    const topPlayers = await allAsync(`
+        SELECT re.rank, c.name AS character_name, c.class, re.clan, re.power_score
+        FROM ranking_entries re
+        JOIN characters c ON c.id = re.character_id
+        WHERE re.snapshot_id = ?
+        ORDER BY re.rank ASC
+        LIMIT ?
+    `, [snapshot.id, topN]);
+    
+    return {
+        regionName,
+        serverName,
+        snapshotId: snapshot.id,
+        hash: generateHash(topPlayers),
+        stats: {
+            total_players: snapshot.data_count,
+            last_update: snapshot.timestamp
+        },
+        topPlayers
+    };
+}
+
+/**
+ * Inserta un snapshot del ranking de clanes de un servidor
+ * @param {Array} clans - Clanes del ranking { rank, clan, leader, powerScore }
+ * @param {string} server - Nombre del servidor
+ * @param {string} source - Fuente de los datos
+ * @param {Object} options - { timestamp (por defecto ahora; al reprocesar HTML archivado, la de la descarga) }
+ * @returns {Promise<Object>} - Información del snapshot insertado (duplicate: true si no hubo cambios)
+ */
+async function insertClanSnapshot(clans, server, source = 'scraper', options = {}) {
+    const validClans = (clans || []).filter(entry => entry && entry.clan && Number.isInteger(entry.rank));
+    if (validClans.length === 0) {
+        throw new Error('No se proporcionaron datos de ranking de clanes válidos');
+    }
+    
+    await initDatabase();
+    
+    const dataHash = generateHash(validClans);
+    const timestamp = options.timestamp || new Date().toISOString();
+    
+    // Si el ranking no cambió desde el último snapshot del servidor (hasta esa fecha), no duplicarlo
+    const latestSnapshot = await getAsync(
+        `SELECT id, timestamp, hash, data_count FROM clan_snapshots WHERE server = ? AND timestamp <= ? ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        [server, timestamp]
+    );
+    
+    if (latestSnapshot && latestSnapshot.hash === dataHash) {
+        logger.info(`Ranking de clanes sin cambios para ${server}, se reutiliza el snapshot ${latestSnapshot.id}`, 'Database');
+        return { id: latestSnapshot.id, timestamp: latestSnapshot.timestamp, server, recordCount: latestSnapshot.data_count, duplicate: true };
+    }
+    
     try {
-        await runAsync(
-            'INSERT INTO schema_version (version, updated_at) VALUES (?, ?)',
-            [version, new Date().toISOString()]
-        );
-        logger.info(`Versión del esquema actualizada a ${version}`, 'Database');
+        const snapshotId = await getStorage().transaction(async (tx) => {
+            const snapshotResult = await tx.run(
+                `INSERT INTO clan_snapshots (timestamp, server, source, hash, data_count) VALUES (?, ?, ?, ?, ?)`,
+                [timestamp, server, source, dataHash, validClans.length]
+            );
+            
+            for (const entry of validClans) {
+                await tx.run(
+                    `INSERT INTO clan_ranking_entries (snapshot_id, \`rank\`, clan, leader, power_score, timestamp)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [snapshotResult.lastID, entry.rank, entry.clan, entry.leader || '', entry.powerScore || 0, timestamp]
+                );
+            }
+            
+            return snapshotResult.lastID;
+        });
+        
+        logger.success(`Snapshot de clanes insertado. ID: ${snapshotId}, Clanes: ${validClans.length}`, 'Database');
+        return { id: snapshotId, timestamp, server, recordCount: validClans.length, duplicate: false };
     } catch (error) {
-        logger.error(`Error al actualizar la versión del esquema: ${error.message}`, 'Database');
+        logger.error(`Error al insertar snapshot de clanes: ${error.message}`, 'Database');
         throw error;
     }
 }
 
+/**
+ * Obtiene el último ranking de clanes almacenado de un servidor
+ * @param {string} server - Nombre del servidor
+ * @returns {Promise<Object|null>} - { snapshot, clans } o null si no hay datos
+ */
+async function getLatestClanRanking(server) {
+    await initDatabase();
+    
+    const snapshot = await getAsync(
+        `SELECT id, timestamp, server, source, data_count FROM clan_snapshots WHERE server = ? ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        [server]
+    );
+    
+    if (!snapshot) {
+        return null;
+    }
+    
+    const clans = await allAsync(
+        `SELECT \`rank\`, clan, leader, power_score AS powerScore FROM clan_ranking_entries WHERE snapshot_id = ? ORDER BY \`rank\` ASC`,
+        [snapshot.id]
+    );
+    
+    return { snapshot, clans };
+}
+
+/**
+ * Obtiene el histórico de un clan en el ranking de clanes de su servidor (y de los fusionados en él)
+ * @param {string} clanName - Nombre del clan
+ * @param {string} server - Servidor del clan
+ * @param {Object} options - { limit, offset, fromDate, toDate }
+ * @returns {Promise<Array>} - Entradas { rank, leader, powerScore, timestamp, server, snapshotId }, de la más reciente a la más antigua
+ */
+async function getClanHistory(clanName, server, options = {}) {
+    if (!clanName || !server) {
+        throw new Error('Se requiere nombre del clan y servidor');
+    }
+    
+    const { limit = 100, offset = 0, fromDate, toDate } = options;
+    
+    try {
+        await initDatabase();
+        
+        const { servers } = await getServerLineage(server);
+        const placeholders = servers.map(() => '?').join(', ');
+        
+        let query = `
+            SELECT ce.rank, ce.leader, ce.power_score AS powerScore, ce.timestamp,
+                   cs.server, cs.id AS snapshotId
+            FROM clan_ranking_entries ce
+            JOIN clan_snapshots cs ON cs.id = ce.snapshot_id
+            WHERE ce.clan = ? AND cs.server IN (${placeholders})
+        `;
+        const params = [clanName, ...servers];
+        
+        if (fromDate) {
+            query += ` AND ce.timestamp >= ?`;
+            params.push(fromDate);
+        }
+        
+        if (toDate) {
+            query += ` AND ce.timestamp <= ?`;
+            params.push(toDate);
+        }
+        
+        query += ` ORDER BY ce.timestamp DESC LIMIT ? OFFSET ?`;
+        params.push(limit, offset);
+        
+        return await allAsync(query, params);
+    } catch (error) {
+        logger.error(`Error al obtener histórico del clan ${clanName}: ${error.message}`, 'Database');
+        throw error;
+    }
+}
+
+/**
+ * Obtiene los miembros de un clan según el último ranking de jugadores almacenado del servidor
+ * @param {string} clanName - Nombre del clan
+ * @param {string} server - Servidor del clan
+ * @returns {Promise<Object|null>} - { snapshot, members } o null si no hay ranking de jugadores del servidor
+ */
+async function getClanMembers(clanName, server) {
+    if (!clanName || !server) {
+        throw new Error('Se requiere nombre del clan y servidor');
+    }
+    
+    await initDatabase();
+    
+    const snapshot = await getLatestSnapshot({ server });
+    if (!snapshot) {
+        return null;
+    }
+    
+    const members = await allAsync(`
+        SELECT re.rank, c.name AS \`character\`, c.class, re.power_score AS powerScore, c.id AS characterId,
+               c.first_seen AS firstSeen, c.last_seen AS lastSeen
+        FROM ranking_entries re
+        JOIN characters c ON c.id = re.character_id
+        WHERE re.snapshot_id = ? AND re.clan = ?
+        ORDER BY re.rank ASC
+    `, [snapshot.id, clanName]);
+    
+    return { snapshot, members };
+}
+
+/**
+ * Inserta un snapshot de un tipo de ranking distinto del de poder general (nivel, rankings por clase...)
+ * @param {Array} rankings - Jugadores del ranking { rank, character, class, clan, [valueField] }
+ * @param {string} server - Nombre del servidor
+ * @param {Object} options - { type, classType (0 = todas las clases), valueField, source, timestamp (por defecto ahora) }
+ * @returns {Promise<Object>} - Información del snapshot insertado (duplicate: true si no hubo cambios)
+ */
+async function insertTypedRankingSnapshot(rankings, server, options = {}) {
+    const { type, classType = 0, valueField, source = 'scraper', timestamp = new Date().toISOString() } = options;
+    if (!type || !valueField) {
+        throw new Error('Se requiere el tipo de ranking y el campo de su valor');
+    }
+    
+    const validRankings = (rankings || []).filter(entry => entry && entry.character && Number.isInteger(entry.rank));
+    if (validRankings.length === 0) {
+        throw new Error('No se proporcionaron datos de ranking válidos');
+    }
+    
+    await initDatabase();
+    
+    const dataHash = generateHash(validRankings);
+    
+    // Si el ranking no cambió desde el último snapshot del mismo tipo y clase (hasta esa fecha), no duplicarlo
+    const latestSnapshot = await getAsync(
+        `SELECT id, timestamp, hash, data_count FROM ranking_type_snapshots
+         WHERE server = ? AND ranking_type = ? AND class_type = ? AND timestamp <= ?
+         ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        [server, type, classType, timestamp]
+    );
+    
+    if (latestSnapshot && latestSnapshot.hash === dataHash) {
+        logger.info(`Ranking ${type} sin cambios para ${server}, se reutiliza el snapshot ${latestSnapshot.id}`, 'Database');
+        return { id: latestSnapshot.id, timestamp: latestSnapshot.timestamp, server, type, classType, recordCount: latestSnapshot.data_count, duplicate: true };
+    }
+    
+    try {
+        const snapshotId = await getStorage().transaction(async (tx) => {
+            const snapshotResult = await tx.run(
+                `INSERT INTO ranking_type_snapshots (timestamp, server, ranking_type, class_type, source, hash, data_count)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [timestamp, server, type, classType, source, dataHash, validRankings.length]
+            );
+            
+            for (const entry of validRankings) {
+                const character = await getOrCreateCharacter(entry.character, entry.class, server, timestamp, tx);
+                await tx.run(
+                    `INSERT INTO ranking_type_entries (snapshot_id, character_id, \`rank\`, clan, value, timestamp)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [snapshotResult.lastID, character.id, entry.rank, entry.clan || '', entry[valueField] || 0, timestamp]
+                );
+            }
+            
+            return snapshotResult.lastID;
+        });
+        
+        logger.success(`Snapshot de ranking ${type} insertado. ID: ${snapshotId}, Jugadores: ${validRankings.length}`, 'Database');
+        return { id: snapshotId, timestamp, server, type, classType, recordCount: validRankings.length, duplicate: false };
+    } catch (error) {
+        logger.error(`Error al insertar snapshot de ranking ${type}: ${error.message}`, 'Database');
+        throw error;
+    }
+}
+
+/**
+ * Obtiene el último snapshot almacenado de un tipo de ranking de un servidor
+ * @param {string} server - Nombre del servidor
+ * @param {string} type - Tipo de ranking (RANKING_TYPES)
+ * @param {number} classType - Clase del ranking (0 = todas las clases)
+ * @returns {Promise<Object|null>} - { snapshot, rankings } con el valor de cada jugador en `value`, o null si no hay datos
+ */
+async function getLatestTypedRanking(server, type, classType = 0) {
+    await initDatabase();
+    
+    const snapshot = await getAsync(
+        `SELECT id, timestamp, server, ranking_type, class_type, source, data_count FROM ranking_type_snapshots
+         WHERE server = ? AND ranking_type = ? AND class_type = ?
+         ORDER BY timestamp DESC, id DESC LIMIT 1`,
+        [server, type, classType]
+    );
+    
+    if (!snapshot) {
+        return null;
+    }
+    
+    const rankings = await allAsync(`
+        SELECT te.rank, c.name AS \`character\`, c.class, te.clan, te.value, c.id AS characterId
+        FROM ranking_type_entries te
+        JOIN characters c ON c.id = te.character_id
+        WHERE te.snapshot_id = ?
+        ORDER BY te.rank ASC
+    `, [snapshot.id]);
+    
+    return { snapshot, rankings };
+}
+
+/**
+ * Convierte una fila de api_keys al formato de la API (sin el hash)
+ * @param {Object} row - Fila de api_keys
+ * @returns {Object} - { id, name, prefix, scope, usageCount, lastUsedAt, createdAt, revokedAt }
+ */
+function mapApiKeyRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scope: row.scope,
+        usageCount: row.usage_count,
+        lastUsedAt: row.last_used_at,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+/**
+ * Guarda una clave de API nueva
+ * @param {Object} apiKey - { name, keyHash, keyPrefix, scope }
+ * @returns {Promise<Object>} - Clave guardada (sin el hash)
+ */
+async function insertApiKey({ name, keyHash, keyPrefix, scope }) {
+    await initDatabase();
+    
+    const createdAt = new Date().toISOString();
+    const result = await runAsync(`
+        INSERT INTO api_keys (name, key_hash, key_prefix, scope, created_at)
+        VALUES (?, ?, ?, ?, ?)
+    `, [name, keyHash, keyPrefix, scope, createdAt]);
+    
+    return mapApiKeyRow({
+        id: result.lastID,
+        name,
+        key_prefix: keyPrefix,
+        scope,
+        usage_count: 0,
+        last_used_at: null,
+        created_at: createdAt,
+        revoked_at: null
+    });
+}
+
+/**
+ * Busca una clave de API activa (no revocada)
+ * @param {Object} filters - { keyHash } o { name }
+ * @returns {Promise<Object|null>} - Clave (sin el hash) o null si no existe
+ */
+async function getActiveApiKey(filters) {
+    await initDatabase();
+    
+    const [column, value] = filters.keyHash ? ['key_hash', filters.keyHash] : ['name', filters.name];
+    const row = await getAsync(`SELECT * FROM api_keys WHERE ${column} = ? AND revoked_at IS NULL`, [value]);
+    return row ? mapApiKeyRow(row) : null;
+}
+
+/**
+ * Lista las claves de API
+ * @param {Object} options - { includeRevoked }
+ * @returns {Promise<Array<Object>>} - Claves (sin el hash) por fecha de creación
+ */
+async function getApiKeys(options = {}) {
+    await initDatabase();
+    
+    const rows = await allAsync(`
+        SELECT * FROM api_keys
+        ${options.includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+        ORDER BY created_at ASC, id ASC
+    `);
+    return rows.map(mapApiKeyRow);
+}
+
+/**
+ * Revoca la clave de API activa con un nombre
+ * @param {string} name - Nombre de la clave
+ * @returns {Promise<boolean>} - true si existía
+ */
+async function revokeApiKey(name) {
+    await initDatabase();
+    
+    const result = await runAsync(`
+        UPDATE api_keys SET revoked_at = ? WHERE name = ? AND revoked_at IS NULL
+    `, [new Date().toISOString(), name]);
+    return result.changes > 0;
+}
+
+/**
+ * Suma usos a los contadores de una clave de API
+ * @param {number} id - ID de la clave
+ * @param {number} count - Número de usos
+ * @param {string} lastUsedAt - Fecha del último uso (ISO)
+ */
+async function addApiKeyUsage(id, count, lastUsedAt) {
+    await initDatabase();
+    
+    await runAsync(`
+        UPDATE api_keys SET usage_count = usage_count + ?, last_used_at = ? WHERE id = ?
+    `, [count, lastUsedAt, id]);
+}
+
+/**
+ * Toma el lock de scraping de una clave si está libre, caducado o ya es de este owner
+ * Cada sentencia es atómica, así que dos procesos no pueden tomar el mismo lock a la vez
+ * @param {string} lockKey - Clave del lock (p. ej. ranking:ASIA1_ASIA011)
+ * @param {string} owner - Identificador único de quien lo toma
+ * @param {number} leaseMs - Milisegundos hasta que caduca si no se renueva
+ * @returns {Promise<boolean>} - true si se ha tomado
+ */
+async function acquireScrapeLock(lockKey, owner, leaseMs) {
+    await initDatabase();
+    
+    const now = Date.now();
+    const acquiredAt = new Date(now).toISOString();
+    const { insertIgnore } = getStorage();
+    
+    const inserted = await runAsync(`
+        ${insertIgnore} INTO scrape_locks (lock_key, owner, acquired_at, expires_at)
+        VALUES (?, ?, ?, ?)
+    `, [lockKey, owner, acquiredAt, now + leaseMs]);
+    if (inserted.changes > 0) {
+        return true;
+    }
+    
+    // Ya existe: solo se toma si caducó (el proceso que lo tenía murió) o si ya era nuestro
+    const updated = await runAsync(`
+        UPDATE scrape_locks SET owner = ?, acquired_at = ?, expires_at = ?
+        WHERE lock_key = ? AND (owner = ? OR expires_at <= ?)
+    `, [owner, acquiredAt, now + leaseMs, lockKey, owner, now]);
+    return updated.changes > 0;
+}
+
+/**
+ * Alarga la caducidad de un lock de scraping que sigue siendo de este owner
+ * @param {string} lockKey - Clave del lock
+ * @param {string} owner - Identificador de quien lo tiene
+ * @param {number} leaseMs - Milisegundos desde ahora hasta que caduca
+ * @returns {Promise<boolean>} - false si el lock ya no es suyo
+ */
+async function renewScrapeLock(lockKey, owner, leaseMs) {
+    await initDatabase();
+    
+    const result = await runAsync(`
+        UPDATE scrape_locks SET expires_at = ? WHERE lock_key = ? AND owner = ?
+    `, [Date.now() + leaseMs, lockKey, owner]);
+    return result.changes > 0;
+}
+
+/**
+ * Libera un lock de scraping si sigue siendo de este owner
+ * @param {string} lockKey - Clave del lock
+ * @param {string} owner - Identificador de quien lo tiene
+ * @returns {Promise<boolean>} - true si se ha liberado
+ */
+async function releaseScrapeLock(lockKey, owner) {
+    await initDatabase();
+    
+    const result = await runAsync('DELETE FROM scrape_locks WHERE lock_key = ? AND owner = ?', [lockKey, owner]);
+    return result.changes > 0;
+}
+
+/**
+ * Lista los locks de scraping vigentes
+ * @returns {Promise<Array<Object>>} - { key, owner, acquiredAt, expiresAt }
+ */
+async function getScrapeLocks() {
+    await initDatabase();
+    
+    const rows = await allAsync('SELECT * FROM scrape_locks WHERE expires_at > ? ORDER BY acquired_at ASC', [Date.now()]);
+    return rows.map(row => ({
+        key: row.lock_key,
+        owner: row.owner,
+        acquiredAt: row.acquired_at,
+        expiresAt: new Date(Number(row.expires_at)).toISOString()
+    }));
+}
+
+/**
+ * Registra o actualiza una operación de actualización en el log de auditoría
+ * Si la operación ya tiene id se actualiza; si no, se inserta y se le asigna el id
+ * @param {Object} operation - Datos de la operación
+ * @param {string} operation.updateType - Tipo de operación (ej: prefetch)
+ * @param {string} operation.description - Descripción de la operación
+ * @param {string} operation.status - Estado (running, completed, paused, failed)
+ * @param {Date|string} operation.startTime - Inicio de la operación
+ * @param {Date|string} operation.endTime - Fin de la operación (opcional)
+ * @param {number} operation.affectedServers - Número de servidores afectados
+ * @param {Object} operation.details - Información adicional (opcional)
+ * @returns {Promise<number|null>} - ID de la operación o null si falló
+ */
+async function logUpdateOperation(operation) {
+    try {
+        await initDatabase();
+        
+        const toIso = value => (value ? new Date(value).toISOString() : null);
+        const details = operation.details ? JSON.stringify(operation.details) : null;
+        
+        if (operation.id) {
+            await runAsync(`
+                UPDATE update_operations
+                SET status = ?, end_time = ?, affected_servers = ?, details = COALESCE(?, details)
+                WHERE id = ?
+            `, [operation.status, toIso(operation.endTime), operation.affectedServers || 0, details, operation.id]);
+            
+            return operation.id;
+        }
+        
+        const result = await runAsync(`
+            INSERT INTO update_operations (update_type, description, status, start_time, end_time, affected_servers, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            operation.updateType,
+            operation.description || null,
+            operation.status,
+            toIso(operation.startTime) || new Date().toISOString(),
+            toIso(operation.endTime),
+            operation.affectedServers || 0,
+            details
+        ]);
+        
+        operation.id = result.lastID;
+        return operation.id;
+    } catch (error) {
+        logger.error(`Error al registrar operación de actualización: ${error.message}`, 'Database');
+        return null;
+    }
+}
+
+/**
+ * Devuelve el adaptador de almacenamiento activo
+ * @returns {Object} - Adaptador de almacenamiento
+ */
+function getStorage() {
+    if (!storage) {
+        throw new Error('La base de datos no está inicializada (llama a initDatabase primero)');
+    }
+    
+    return storage;
+}
+
+/**
+ * Ejecuta una consulta que devuelve múltiples filas (ALL)
+ * @param {string} query - Consulta SQL
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {Promise<Array>} - Resultados de la consulta
+ */
+function allAsync(query, params = []) {
+    return getStorage().all(query, params);
+}
+
+/**
+ * Ejecuta una consulta que devuelve una sola fila (GET)
+ * @param {string} query - Consulta SQL
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {Promise<Object|null>} - Resultado de la consulta o null si no hay resultados
+ */
+function getAsync(query, params = []) {
+    return getStorage().get(query, params);
+}
+
+/**
+ * Ejecuta una consulta que modifica la base de datos (RUN)
+ * @param {string} query - Consulta SQL
+ * @param {Array} params - Parámetros de la consulta
+ * @returns {Promise<Object>} - Información de la operación ({ lastID, changes })
+ */
+function runAsync(query, params = []) {
+    return getStorage().run(query, params);
+}
+
+/**
+ * Cierra la conexión a la base de datos
+ * @returns {Promise<void>}
+ */
+async function closeDatabase() {
+    if (!storage) {
+        return;
+    }
+    
+    await storage.close();
+    
+    storage = null;
+    initPromise = null;
+    logger.info('Conexión a la base de datos cerrada', 'Database');
+}
+
 module.exports = {
+    GLOBAL_SERVER,
     initDatabase,
     insertRankingSnapshot,
     insertCharacterDetails,
     getSnapshotsList,
     getSnapshotDetails,
+    getCharacter,
     getCharacterRankingHistory,
+    getSnapshot,
     getLatestSnapshot,
+    getEarliestSnapshot,
     compareSnapshots,
+    getSnapshotDiff,
     getCharacterDetails,
-    closeDatabase,
-    updateDatabaseSchema
+    updateServersDatabase,
+    saveDiscoveredServers,
+    getServerCatalog,
+    getServerMerges,
+    getServerLineage,
+    recordServerMerge,
+    deleteServerMerge,
+    detectServerMerges,
+    markServerAsInactive,
+    markServerAsActive,
+    markServerUpdated,
+    getServerRankings,
+    getServerDigest,
+    insertClanSnapshot,
+    getLatestClanRanking,
+    getClanHistory,
+    getClanMembers,
+    insertTypedRankingSnapshot,
+    getLatestTypedRanking,
+    insertApiKey,
+    getActiveApiKey,
+    getApiKeys,
+    revokeApiKey,
+    addApiKeyUsage,
+    acquireScrapeLock,
+    renewScrapeLock,
+    releaseScrapeLock,
+    getScrapeLocks,
+    logUpdateOperation,
+    closeDatabase
 };
\ No newline at end of file
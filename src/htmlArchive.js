@@ -0,0 +1,202 @@
+/**
+ * Archivo de las páginas de ranking descargadas
+ *
+ * scraped_pages/ solo guarda el HTML durante MAX_FILE_AGE_MS para depuración. Con HTML_ARCHIVE=true
+ * cada descarga de ranking se guarda comprimida en HTML_ARCHIVE_DIR/<servidor>/<fecha>/<descarga>/
+ * (meta.json y page_NNN.html.gz) para poder reprocesarla más tarde con replay.js, por ejemplo tras
+ * corregir un selector, y para usarla como fixture realista en pruebas sin red.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { CONFIG, DEFAULT_RANKING_TYPE } = require('./config');
+const logger = require('./logger');
+
+const META_FILE = 'meta.json';
+const PAGE_FILE_REGEX = /^page_(\d+)\.html\.gz$/;
+
+/**
+ * Obtiene el directorio del archivo
+ * @returns {string} - Ruta absoluta
+ */
+function getArchiveDir() {
+    return path.join(process.cwd(), CONFIG.HTML_ARCHIVE_DIR);
+}
+
+/**
+ * Prepara el archivo de una descarga de ranking
+ * El directorio se crea al archivar la primera página
+ * @param {Object} context - { kind ('players' o 'clans'), type, classType, region, server, url }
+ * @returns {Object|null} - Descarga { id, directory, meta } o null si el archivo está desactivado
+ */
+function createArchiveRun(context) {
+    if (!CONFIG.HTML_ARCHIVE_ENABLED) {
+        return null;
+    }
+
+    const { kind = 'players', type = DEFAULT_RANKING_TYPE, classType = 0, region = null, server, url = null } = context;
+    const timestamp = new Date().toISOString();
+    const suffix = kind === 'clans' ? 'clans' : `${type}_${classType}`;
+    const id = `${server}/${timestamp.slice(0, 10)}/${timestamp.replace(/[:.]/g, '-')}_${suffix}`;
+
+    return {
+        id,
+        directory: path.join(getArchiveDir(), id),
+        meta: { id, kind, type: kind === 'clans' ? null : type, classType: kind === 'clans' ? 0 : classType, region, server, url, timestamp }
+    };
+}
+
+/**
+ * Guarda comprimida una página de una descarga
+ * Los errores se registran pero no interrumpen el scraping
+ * @param {Object|null} run - Descarga creada con createArchiveRun (null: no se archiva)
+ * @param {number} pageNumber - Número de página (1 para la primera)
+ * @param {string} html - HTML de la página
+ */
+function archivePage(run, pageNumber, html) {
+    if (!run) {
+        return;
+    }
+
+    try {
+        fs.mkdirSync(run.directory, { recursive: true });
+
+        const metaPath = path.join(run.directory, META_FILE);
+        if (!fs.existsSync(metaPath)) {
+            fs.writeFileSync(metaPath, JSON.stringify(run.meta, null, 2));
+        }
+
+        const fileName = `page_${String(pageNumber).padStart(3, '0')}.html.gz`;
+        fs.writeFileSync(path.join(run.directory, fileName), zlib.gzipSync(html));
+        logger.metric('html_archived', 1, 'Archive');
+    } catch (error) {
+        logger.error(`Error al archivar la página ${pageNumber} de ${run.id}: ${error.message}`, 'Archive');
+    }
+}
+
+/**
+ * Lista los subdirectorios de un directorio (vacío si no existe)
+ * @param {string} directory - Directorio
+ * @returns {Array<string>} - Nombres de los subdirectorios
+ */
+function listDirectories(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+}
+
+/**
+ * Lista las descargas archivadas
+ * @param {Object} filters - { server, kind, type, classType, fromDate, toDate }
+ * @returns {Array} - Descargas { id, kind, type, classType, region, server, url, timestamp, pages } por fecha ascendente
+ */
+function listArchivedRuns(filters = {}) {
+    const { server, kind, type, classType, fromDate, toDate } = filters;
+    const archiveDir = getArchiveDir();
+    const runs = [];
+
+    const servers = server ? [server] : listDirectories(archiveDir);
+    for (const serverName of servers) {
+        const serverDir = path.join(archiveDir, serverName);
+
+        // Los directorios de fecha permiten descartar días completos sin leer sus descargas
+        const dates = listDirectories(serverDir).filter(date =>
+            (!fromDate || date >= fromDate.slice(0, 10)) && (!toDate || date <= toDate.slice(0, 10))
+        );
+
+        for (const date of dates) {
+            for (const runName of listDirectories(path.join(serverDir, date))) {
+                const runDir = path.join(serverDir, date, runName);
+                const metaPath = path.join(runDir, META_FILE);
+                if (!fs.existsSync(metaPath)) {
+                    continue;
+                }
+
+                let meta;
+                try {
+                    meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+                } catch (error) {
+                    logger.error(`Metadatos no válidos en ${runDir}: ${error.message}`, 'Archive');
+                    continue;
+                }
+
+                if ((kind && meta.kind !== kind) ||
+                    (type && meta.type !== type) ||
+                    (classType != null && meta.classType !== classType) ||
+                    (fromDate && meta.timestamp < fromDate) ||
+                    (toDate && meta.timestamp > toDate)) {
+                    continue;
+                }
+
+                const pages = fs.readdirSync(runDir).filter(file => PAGE_FILE_REGEX.test(file)).length;
+                runs.push({ ...meta, pages });
+            }
+        }
+    }
+
+    return runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Lee las páginas de una descarga archivada
+ * @param {Object} run - Descarga devuelta por listArchivedRuns
+ * @returns {Array} - Páginas { page, html } en orden
+ */
+function readArchivedPages(run) {
+    const runDir = path.join(getArchiveDir(), run.id);
+
+    return fs.readdirSync(runDir)
+        .map(file => ({ file, match: file.match(PAGE_FILE_REGEX) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            page: parseInt(match[1], 10),
+            html: zlib.gunzipSync(fs.readFileSync(path.join(runDir, file))).toString('utf8')
+        }))
+        .sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Elimina los días archivados con más de HTML_ARCHIVE_RETENTION_DAYS de antigüedad
+ * @returns {number} - Días (directorios de fecha) eliminados
+ */
+function pruneHtmlArchive() {
+    if (!(CONFIG.HTML_ARCHIVE_RETENTION_DAYS > 0)) {
+        return 0;
+    }
+
+    const archiveDir = getArchiveDir();
+    const cutoff = new Date(Date.now() - CONFIG.HTML_ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let removed = 0;
+
+    try {
+        for (const serverName of listDirectories(archiveDir)) {
+            for (const date of listDirectories(path.join(archiveDir, serverName))) {
+                if (date < cutoff) {
+                    fs.rmSync(path.join(archiveDir, serverName, date), { recursive: true, force: true });
+                    removed++;
+                }
+            }
+        }
+
+        if (removed > 0) {
+            logger.info(`Archivo de HTML: eliminados ${removed} días anteriores a ${cutoff}`, 'Archive');
+        }
+    } catch (error) {
+        logger.error(`Error al limpiar el archivo de HTML: ${error.message}`, 'Archive');
+    }
+
+    return removed;
+}
+
+module.exports = {
+    createArchiveRun,
+    archivePage,
+    listArchivedRuns,
+    readArchivedPages,
+    pruneHtmlArchive
+};
@@ -0,0 +1,121 @@
+/**
+ * Migración 001: esquema base (snapshots, personajes, entradas, detalles, servidores y operaciones)
+ * Usa CREATE TABLE IF NOT EXISTS para adoptar bases de datos creadas antes del sistema de migraciones
+ */
+
+module.exports = {
+    description: 'Esquema base de rankings, personajes, servidores y operaciones',
+
+    async up(db) {
+        const t = db.types;
+
+        // Tabla para almacenar snapshots de rankings
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS ranking_snapshots (
+                id ${t.id},
+                timestamp ${t.string} NOT NULL,
+                server ${t.string} NOT NULL,
+                source ${t.string} NOT NULL,
+                hash ${t.string} NOT NULL,
+                data_count ${t.integer} NOT NULL
+            )
+        `);
+
+        // Tabla para almacenar personajes (normalizada)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS characters (
+                id ${t.id},
+                name ${t.string} NOT NULL,
+                class ${t.string},
+                server ${t.string} NOT NULL,
+                last_seen ${t.string} NOT NULL,
+                first_seen ${t.string} NOT NULL,
+                UNIQUE(name, server)
+            )
+        `);
+
+        // Tabla para almacenar las entradas individuales de los rankings
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS ranking_entries (
+                id ${t.id},
+                snapshot_id ${t.integer} NOT NULL,
+                character_id ${t.integer} NOT NULL,
+                \`rank\` ${t.integer} NOT NULL,
+                clan ${t.string},
+                power_score ${t.integer} NOT NULL,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (snapshot_id) REFERENCES ranking_snapshots(id),
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        // Tabla para almacenar los detalles de los personajes
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS character_details (
+                id ${t.id},
+                character_id ${t.integer} NOT NULL,
+                level ${t.integer} NOT NULL,
+                prestige_level ${t.integer} DEFAULT 0,
+                equipment_score ${t.integer} DEFAULT 0,
+                spirit_score ${t.integer} DEFAULT 0,
+                energy_score ${t.integer} DEFAULT 0,
+                magical_stone_score ${t.integer} DEFAULT 0,
+                codex_score ${t.integer} DEFAULT 0,
+                trophy_score ${t.integer} DEFAULT 0,
+                ethics ${t.integer} DEFAULT 0,
+                achievements ${t.text},
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        // Tabla con el catálogo de servidores y su estado (activo/inactivo) por región
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS servers (
+                id ${t.id},
+                region_name ${t.string} NOT NULL,
+                server_name ${t.string} NOT NULL,
+                region_id ${t.integer},
+                world_id ${t.integer},
+                is_active ${t.integer} NOT NULL DEFAULT 1,
+                inactive_since ${t.string},
+                last_update ${t.string},
+                last_checked ${t.string},
+                created_at ${t.string} NOT NULL,
+                UNIQUE(region_name, server_name)
+            )
+        `);
+
+        // Tabla de auditoría de las operaciones de actualización (prefetch, etc.)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS update_operations (
+                id ${t.id},
+                update_type ${t.string} NOT NULL,
+                description ${t.text},
+                status ${t.string} NOT NULL,
+                start_time ${t.string} NOT NULL,
+                end_time ${t.string},
+                affected_servers ${t.integer} DEFAULT 0,
+                details ${t.text}
+            )
+        `);
+
+        // Índices para optimizar consultas frecuentes
+        await db.ensureIndex('idx_ranking_entries_snapshot_id', 'ranking_entries', ['snapshot_id']);
+        await db.ensureIndex('idx_ranking_entries_character_id', 'ranking_entries', ['character_id']);
+        await db.ensureIndex('idx_character_details_character_id', 'character_details', ['character_id']);
+        await db.ensureIndex('idx_ranking_snapshots_server', 'ranking_snapshots', ['server']);
+        await db.ensureIndex('idx_ranking_snapshots_timestamp', 'ranking_snapshots', ['timestamp']);
+        await db.ensureIndex('idx_update_operations_start_time', 'update_operations', ['start_time']);
+    },
+
+    async down(db) {
+        // Orden inverso para respetar las claves foráneas
+        await db.run('DROP TABLE IF EXISTS update_operations');
+        await db.run('DROP TABLE IF EXISTS servers');
+        await db.run('DROP TABLE IF EXISTS character_details');
+        await db.run('DROP TABLE IF EXISTS ranking_entries');
+        await db.run('DROP TABLE IF EXISTS characters');
+        await db.run('DROP TABLE IF EXISTS ranking_snapshots');
+    }
+};
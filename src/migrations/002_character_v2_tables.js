@@ -0,0 +1,113 @@
+/**
+ * Migración 002: tablas v2 de personajes (datos básicos con región, estadísticas, puntuaciones y logros)
+ * Sustituye a la antigua actualización manual del esquema a v2.0; las tablas antiguas se mantienen
+ * por compatibilidad
+ */
+
+module.exports = {
+    description: 'Tablas v2 de personajes: characters_new, character_stats, character_scores y character_achievements',
+
+    async up(db) {
+        const t = db.types;
+
+        // 1. Información básica de personajes con la región extraída del servidor
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS characters_new (
+                id ${t.id},
+                name ${t.string} NOT NULL,
+                class ${t.string},
+                server ${t.string} NOT NULL,
+                region ${t.string},
+                last_seen ${t.string} NOT NULL,
+                first_seen ${t.string} NOT NULL,
+                data_status ${t.integer} DEFAULT 0,
+                UNIQUE(name, server)
+            )
+        `);
+
+        // 2. Estadísticas base de los personajes
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS character_stats (
+                id ${t.id},
+                character_id ${t.integer} NOT NULL,
+                level ${t.integer} NOT NULL,
+                prestige_level ${t.integer} DEFAULT 0,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        // 3. Puntuaciones de personaje (separadas para facilitar análisis)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS character_scores (
+                id ${t.id},
+                character_id ${t.integer} NOT NULL,
+                equipment_score ${t.integer} DEFAULT 0,
+                spirit_score ${t.integer} DEFAULT 0,
+                energy_score ${t.integer} DEFAULT 0,
+                magical_stone_score ${t.integer} DEFAULT 0,
+                codex_score ${t.integer} DEFAULT 0,
+                trophy_score ${t.integer} DEFAULT 0,
+                ethics ${t.integer} DEFAULT 0,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        // 4. Logros de los personajes
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS character_achievements (
+                id ${t.id},
+                character_id ${t.integer} NOT NULL,
+                achievement_id ${t.integer} NOT NULL,
+                achievement_name ${t.string} NOT NULL,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        // 5. Migrar los personajes existentes y extraer su región (prefijo del servidor)
+        await db.run(`
+            ${db.insertIgnore} INTO characters_new (id, name, class, server, last_seen, first_seen)
+            SELECT id, name, class, server, last_seen, first_seen FROM characters
+        `);
+
+        await db.run(`
+            UPDATE characters_new
+            SET region = SUBSTR(server, 1, INSTR(server, '0') - 1)
+            WHERE region IS NULL
+        `);
+
+        // 6. Migrar los detalles existentes a las tablas de estadísticas y puntuaciones
+        await db.run(`
+            INSERT INTO character_stats (character_id, level, prestige_level, timestamp)
+            SELECT character_id, level, prestige_level, timestamp
+            FROM character_details
+        `);
+
+        await db.run(`
+            INSERT INTO character_scores (
+                character_id, equipment_score, spirit_score, energy_score,
+                magical_stone_score, codex_score, trophy_score, ethics, timestamp
+            )
+            SELECT
+                character_id, equipment_score, spirit_score, energy_score,
+                magical_stone_score, codex_score, trophy_score, ethics, timestamp
+            FROM character_details
+        `);
+
+        // 7. Índices para optimizar consultas en las nuevas tablas
+        await db.ensureIndex('idx_character_stats_character_id', 'character_stats', ['character_id']);
+        await db.ensureIndex('idx_character_scores_character_id', 'character_scores', ['character_id']);
+        await db.ensureIndex('idx_character_achievements_character_id', 'character_achievements', ['character_id']);
+        await db.ensureIndex('idx_characters_new_name_server', 'characters_new', ['name', 'server']);
+        await db.ensureIndex('idx_characters_new_region', 'characters_new', ['region']);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS character_achievements');
+        await db.run('DROP TABLE IF EXISTS character_scores');
+        await db.run('DROP TABLE IF EXISTS character_stats');
+        await db.run('DROP TABLE IF EXISTS characters_new');
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migración 003: origen de cada servidor del catálogo
+ * Distingue los servidores sembrados desde SERVER_REGIONS de los descubiertos en la web del ranking,
+ * para que la siembra no sobrescriba los IDs reales
+ */
+
+module.exports = {
+    description: 'Columnas source y last_discovered en servers',
+
+    async up(db) {
+        const t = db.types;
+
+        // 'config' = sembrado desde SERVER_REGIONS, 'discovered' = leído de los desplegables del ranking
+        await db.run(`ALTER TABLE servers ADD COLUMN source ${t.string} NOT NULL DEFAULT 'config'`);
+        await db.run(`ALTER TABLE servers ADD COLUMN last_discovered ${t.string}`);
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE servers DROP COLUMN last_discovered');
+        await db.run('ALTER TABLE servers DROP COLUMN source');
+    }
+};
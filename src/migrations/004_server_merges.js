@@ -0,0 +1,33 @@
+/**
+ * Migración 004: linaje de servidores
+ * Registra las fusiones y renombrados de servidores (X pasa a formar parte de Y en una fecha)
+ * para que el histórico de un personaje continúe en el servidor de destino
+ */
+
+module.exports = {
+    description: 'Tabla server_merges con las fusiones y renombrados de servidores',
+
+    async up(db) {
+        const t = db.types;
+
+        // Cada servidor de origen solo puede fusionarse en un destino
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS server_merges (
+                id ${t.id},
+                source_server ${t.string} NOT NULL,
+                target_server ${t.string} NOT NULL,
+                merged_at ${t.string} NOT NULL,
+                detection ${t.string} NOT NULL DEFAULT 'manual',
+                details ${t.text},
+                created_at ${t.string} NOT NULL,
+                UNIQUE(source_server)
+            )
+        `);
+
+        await db.ensureIndex('idx_server_merges_target_server', 'server_merges', ['target_server']);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS server_merges');
+    }
+};
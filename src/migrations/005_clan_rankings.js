@@ -0,0 +1,45 @@
+/**
+ * Migración 005: snapshots del ranking de clanes (ranktype=2)
+ * Mismo esquema que los snapshots de jugadores: una fila por descarga y una por clan
+ */
+
+module.exports = {
+    description: 'Tablas clan_snapshots y clan_ranking_entries',
+
+    async up(db) {
+        const t = db.types;
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS clan_snapshots (
+                id ${t.id},
+                timestamp ${t.string} NOT NULL,
+                server ${t.string} NOT NULL,
+                source ${t.string},
+                hash ${t.string},
+                data_count ${t.integer} DEFAULT 0
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS clan_ranking_entries (
+                id ${t.id},
+                snapshot_id ${t.integer} NOT NULL,
+                \`rank\` ${t.integer} NOT NULL,
+                clan ${t.string} NOT NULL,
+                leader ${t.string},
+                power_score ${t.integer} DEFAULT 0,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (snapshot_id) REFERENCES clan_snapshots(id)
+            )
+        `);
+
+        await db.ensureIndex('idx_clan_snapshots_server', 'clan_snapshots', ['server']);
+        await db.ensureIndex('idx_clan_ranking_entries_snapshot_id', 'clan_ranking_entries', ['snapshot_id']);
+        await db.ensureIndex('idx_clan_ranking_entries_clan', 'clan_ranking_entries', ['clan']);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS clan_ranking_entries');
+        await db.run('DROP TABLE IF EXISTS clan_snapshots');
+    }
+};
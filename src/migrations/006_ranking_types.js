@@ -0,0 +1,50 @@
+/**
+ * Migración 006: snapshots de los demás tipos de ranking de jugadores (nivel, rankings por clase...)
+ * El ranking de poder general sigue en ranking_snapshots; aquí cada snapshot indica su tipo y su clase
+ */
+
+module.exports = {
+    description: 'Tablas ranking_type_snapshots y ranking_type_entries',
+
+    async up(db) {
+        const t = db.types;
+
+        // class_type = 0 para el ranking de todas las clases
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS ranking_type_snapshots (
+                id ${t.id},
+                timestamp ${t.string} NOT NULL,
+                server ${t.string} NOT NULL,
+                ranking_type ${t.string} NOT NULL,
+                class_type ${t.integer} NOT NULL DEFAULT 0,
+                source ${t.string},
+                hash ${t.string},
+                data_count ${t.integer} DEFAULT 0
+            )
+        `);
+
+        // value guarda la columna de puntuación del tipo (poder, nivel...)
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS ranking_type_entries (
+                id ${t.id},
+                snapshot_id ${t.integer} NOT NULL,
+                character_id ${t.integer} NOT NULL,
+                \`rank\` ${t.integer} NOT NULL,
+                clan ${t.string},
+                value ${t.integer} DEFAULT 0,
+                timestamp ${t.string} NOT NULL,
+                FOREIGN KEY (snapshot_id) REFERENCES ranking_type_snapshots(id),
+                FOREIGN KEY (character_id) REFERENCES characters(id)
+            )
+        `);
+
+        await db.ensureIndex('idx_ranking_type_snapshots_lookup', 'ranking_type_snapshots', ['server', 'ranking_type', 'class_type']);
+        await db.ensureIndex('idx_ranking_type_entries_snapshot_id', 'ranking_type_entries', ['snapshot_id']);
+        await db.ensureIndex('idx_ranking_type_entries_character_id', 'ranking_type_entries', ['character_id']);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS ranking_type_entries');
+        await db.run('DROP TABLE IF EXISTS ranking_type_snapshots');
+    }
+};
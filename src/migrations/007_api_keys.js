@@ -0,0 +1,34 @@
+/**
+ * Migración 007: claves de API
+ * Guarda solo el hash SHA-256 de cada clave junto a su nombre, su alcance (read o admin)
+ * y sus contadores de uso. Las claves revocadas se conservan con revoked_at
+ */
+
+module.exports = {
+    description: 'Tabla api_keys con las claves de API (hash), su alcance y su uso',
+
+    async up(db) {
+        const t = db.types;
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id ${t.id},
+                name ${t.string} NOT NULL,
+                key_hash ${t.string} NOT NULL,
+                key_prefix ${t.string} NOT NULL,
+                scope ${t.string} NOT NULL DEFAULT 'read',
+                usage_count ${t.integer} NOT NULL DEFAULT 0,
+                last_used_at ${t.string},
+                created_at ${t.string} NOT NULL,
+                revoked_at ${t.string},
+                UNIQUE(key_hash)
+            )
+        `);
+
+        await db.ensureIndex('idx_api_keys_name', 'api_keys', ['name']);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS api_keys');
+    }
+};
@@ -0,0 +1,28 @@
+/**
+ * Migración 008: locks de scraping
+ * Una fila por servidor que se está descargando, con el proceso que la tiene (owner) y el
+ * instante (ms) en que caduca; un lock caducado lo puede tomar otro proceso
+ */
+
+module.exports = {
+    description: 'Tabla scrape_locks para que solo un proceso descargue cada servidor a la vez',
+
+    async up(db) {
+        const t = db.types;
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS scrape_locks (
+                id ${t.id},
+                lock_key ${t.string} NOT NULL,
+                owner ${t.string} NOT NULL,
+                acquired_at ${t.string} NOT NULL,
+                expires_at ${t.integer} NOT NULL,
+                UNIQUE(lock_key)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS scrape_locks');
+    }
+};
@@ -0,0 +1,220 @@
+/**
+ * Sistema de migraciones versionadas del esquema de base de datos
+ *
+ * Cada archivo de src/migrations se llama NNN_descripcion.js (NNN = versión) y exporta
+ * { description, up(db), down(db) }. Cada migración se ejecuta en una transacción junto con
+ * su registro en schema_version, de modo que un fallo no deja una versión a medias.
+ * Nota: en MySQL las sentencias DDL confirman implícitamente la transacción en curso.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Directorio con los archivos de migración
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Formato del nombre de archivo: 001_descripcion.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Carga las migraciones disponibles ordenadas por versión
+ * @param {string} directory - Directorio de migraciones
+ * @returns {Array<Object>} - Migraciones { version, name, description, up, down }
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const migration = require(path.join(directory, file));
+
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`La migración ${file} debe exportar las funciones up y down`);
+            }
+
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: migration.description || match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    // Dos archivos con la misma versión harían ambiguo el historial
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Versión de migración duplicada: ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+/**
+ * Crea la tabla de control de versiones si no existe
+ * @param {Object} adapter - Adaptador de almacenamiento conectado
+ * @returns {Promise<void>}
+ */
+async function ensureVersionTable(adapter) {
+    const t = adapter.types;
+
+    await adapter.run(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            id ${t.id},
+            version ${t.integer} NOT NULL,
+            updated_at ${t.string} NOT NULL
+        )
+    `);
+}
+
+/**
+ * Obtiene las versiones aplicadas registradas en schema_version
+ * @param {Object} adapter - Adaptador de almacenamiento conectado
+ * @returns {Promise<Set<number>>} - Versiones aplicadas
+ */
+async function getAppliedVersions(adapter) {
+    await ensureVersionTable(adapter);
+
+    const rows = await adapter.all('SELECT DISTINCT version FROM schema_version');
+    return new Set(rows.map(row => Number(row.version)));
+}
+
+/**
+ * Construye el objeto que reciben las migraciones: el ejecutor de la transacción
+ * más los tipos y utilidades de sintaxis del dialecto
+ * @param {Object} adapter - Adaptador de almacenamiento
+ * @param {Object} tx - Ejecutor de la transacción { run, get, all }
+ * @returns {Object} - Contexto de la migración
+ */
+function createMigrationContext(adapter, tx) {
+    return {
+        ...tx,
+        dialect: adapter.dialect,
+        types: adapter.types,
+        insertIgnore: adapter.insertIgnore,
+        ensureIndex: (name, table, columns) => adapter.ensureIndex(name, table, columns, tx)
+    };
+}
+
+/**
+ * Obtiene el estado de todas las migraciones
+ * @param {Object} adapter - Adaptador de almacenamiento conectado
+ * @param {Object} options - { migrations } para usar una lista distinta a la de src/migrations
+ * @returns {Promise<Object>} - { currentVersion, migrations: [{ version, name, description, applied }] }
+ */
+async function getMigrationStatus(adapter, options = {}) {
+    const { migrations = loadMigrations() } = options;
+    const applied = await getAppliedVersions(adapter);
+
+    return {
+        currentVersion: applied.size > 0 ? Math.max(...applied) : 0,
+        migrations: migrations.map(({ version, name, description }) => ({
+            version,
+            name,
+            description,
+            applied: applied.has(version)
+        }))
+    };
+}
+
+/**
+ * Aplica las migraciones pendientes en orden
+ * @param {Object} adapter - Adaptador de almacenamiento conectado
+ * @param {Object} options - { target, dryRun, migrations }
+ * @returns {Promise<Array<Object>>} - Migraciones aplicadas (o que se aplicarían con dryRun)
+ */
+async function migrate(adapter, options = {}) {
+    const { target = Infinity, dryRun = false, migrations = loadMigrations() } = options;
+
+    const applied = await getAppliedVersions(adapter);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    if (dryRun) {
+        return pending.map(({ version, name, description }) => ({ version, name, description }));
+    }
+
+    const executed = [];
+
+    for (const migration of pending) {
+        logger.info(`Aplicando migración ${migration.version} (${migration.name})`, 'Migraciones');
+
+        try {
+            await adapter.transaction(async (tx) => {
+                await migration.up(createMigrationContext(adapter, tx));
+                await tx.run(
+                    'INSERT INTO schema_version (version, updated_at) VALUES (?, ?)',
+                    [migration.version, new Date().toISOString()]
+                );
+            });
+        } catch (error) {
+            logger.error(`Error en la migración ${migration.version} (${migration.name}): ${error.message}`, 'Migraciones');
+            throw error;
+        }
+
+        executed.push({ version: migration.version, name: migration.name, description: migration.description });
+    }
+
+    if (executed.length > 0) {
+        logger.success(`Migraciones aplicadas: ${executed.map(m => m.version).join(', ')}`, 'Migraciones');
+    }
+
+    return executed;
+}
+
+/**
+ * Revierte migraciones aplicadas, de la más reciente a la más antigua
+ * @param {Object} adapter - Adaptador de almacenamiento conectado
+ * @param {Object} options - { steps (por defecto 1), target (versión final), dryRun, migrations }
+ * @returns {Promise<Array<Object>>} - Migraciones revertidas (o que se revertirían con dryRun)
+ */
+async function rollback(adapter, options = {}) {
+    const { steps = 1, target, dryRun = false, migrations = loadMigrations() } = options;
+
+    const applied = await getAppliedVersions(adapter);
+    const appliedMigrations = migrations
+        .filter(m => applied.has(m.version))
+        .sort((a, b) => b.version - a.version);
+
+    const toRevert = target !== undefined
+        ? appliedMigrations.filter(m => m.version > target)
+        : appliedMigrations.slice(0, steps);
+
+    if (dryRun) {
+        return toRevert.map(({ version, name, description }) => ({ version, name, description }));
+    }
+
+    const reverted = [];
+
+    for (const migration of toRevert) {
+        logger.info(`Revirtiendo migración ${migration.version} (${migration.name})`, 'Migraciones');
+
+        try {
+            await adapter.transaction(async (tx) => {
+                await migration.down(createMigrationContext(adapter, tx));
+                await tx.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+            });
+        } catch (error) {
+            logger.error(`Error al revertir la migración ${migration.version} (${migration.name}): ${error.message}`, 'Migraciones');
+            throw error;
+        }
+
+        reverted.push({ version: migration.version, name: migration.name, description: migration.description });
+    }
+
+    if (reverted.length > 0) {
+        logger.success(`Migraciones revertidas: ${reverted.map(m => m.version).join(', ')}`, 'Migraciones');
+    }
+
+    return reverted;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getMigrationStatus,
+    migrate,
+    rollback
+};
@@ -0,0 +1,129 @@
+/**
+ * Comprobación de salud del parser de rankings
+ *
+ * Todo el parseo depende de SELECTORS (config.js): si la web cambia su HTML, los parsers devuelven
+ * listas vacías o incompletas sin dar error. En cada scraping se comprueba la estructura esperada
+ * (filas encontradas, proporción de filas parseadas, continuidad de los ranks e iconos de clase);
+ * si falla, el HTML se pone en cuarentena en errorQueue (PARSING_ERROR), se lanza una alerta y se
+ * aborta el scraping para no sobrescribir el caché ni guardar un snapshot con datos erróneos.
+ */
+
+const cheerio = require('cheerio');
+const { CONFIG, SELECTORS } = require('./config');
+const errorQueue = require('./errorQueue');
+const logger = require('./logger');
+
+// Últimos resultados por scraping (etiqueta) y contadores
+const healthState = {
+    checks: 0,
+    failures: 0,
+    lastFailure: null,
+    results: {}
+};
+
+/**
+ * Comprueba la estructura de un ranking parseado
+ * @param {Object} input - Datos a comprobar
+ * @param {string} input.html - Opcional. HTML de la página (comprueba filas y proporción parseada)
+ * @param {Array} input.rankings - Entradas parseadas ({ rank, class? })
+ * @param {number} input.startRank - Rank con el que debe empezar la lista (por defecto 1)
+ * @param {boolean} input.checkClass - Comprobar los iconos de clase (solo rankings de jugadores)
+ * @returns {Object} - { healthy, problems: [string], metrics: { rows, parsed, parseRatio, rankBreaks, classRatio } }
+ */
+function checkRankingHealth({ html = null, rankings = [], startRank = 1, checkClass = true }) {
+    const problems = [];
+    const metrics = { rows: null, parsed: rankings.length, parseRatio: null, rankBreaks: 0, classRatio: null };
+
+    if (html !== null) {
+        const $ = cheerio.load(html);
+        metrics.rows = $(SELECTORS.RANKING_ROW).length;
+
+        // Una página sin filas solo es válida si la web indica que no hay resultados
+        if (metrics.rows === 0) {
+            if ($(SELECTORS.NO_RESULTS_MESSAGE).length === 0) {
+                problems.push(`No se encontraron filas de ranking (${SELECTORS.RANKING_ROW})`);
+            }
+            return { healthy: problems.length === 0, problems, metrics };
+        }
+
+        metrics.parseRatio = rankings.length / metrics.rows;
+        if (metrics.parseRatio < CONFIG.PARSER_MIN_PARSE_RATIO) {
+            problems.push(`Solo se parsearon ${rankings.length} de ${metrics.rows} filas (${(metrics.parseRatio * 100).toFixed(1)}%)`);
+        }
+    }
+
+    if (rankings.length > 0) {
+        const ranks = rankings.map(entry => entry.rank).sort((a, b) => a - b);
+        if (ranks[0] !== startRank) {
+            problems.push(`El ranking empieza en ${ranks[0]} en lugar de ${startRank}`);
+        }
+
+        metrics.rankBreaks = ranks.slice(1).filter((rank, index) => rank !== ranks[index] + 1).length;
+        if (metrics.rankBreaks > 0) {
+            problems.push(`Los ranks no son consecutivos (${metrics.rankBreaks} saltos)`);
+        }
+
+        if (checkClass) {
+            const withClass = rankings.filter(entry => entry.class && entry.class !== 'Desconocido').length;
+            metrics.classRatio = withClass / rankings.length;
+            if (metrics.classRatio < CONFIG.PARSER_MIN_CLASS_RATIO) {
+                problems.push(`Solo ${withClass} de ${rankings.length} jugadores tienen icono de clase reconocido (${SELECTORS.CHARACTER_ICON})`);
+            }
+        }
+    }
+
+    return { healthy: problems.length === 0, problems, metrics };
+}
+
+/**
+ * Comprueba la salud del parser y, si falla, pone el HTML en cuarentena y lanza un error
+ * @param {Object} input - Datos a comprobar (ver checkRankingHealth)
+ * @param {Object} context - { label, url }
+ * @returns {Object} - Resultado de la comprobación si es correcta
+ * @throws {Error} - Con code = 'PARSER_HEALTH' y el id de la cuarentena si la comprobación falla
+ */
+function assertRankingHealth(input, context = {}) {
+    const { label = 'ranking', url = null } = context;
+    const result = checkRankingHealth(input);
+
+    healthState.checks++;
+    healthState.results[label] = { timestamp: new Date().toISOString(), ...result };
+
+    if (result.healthy) {
+        return result;
+    }
+
+    const message = `Posible cambio en el HTML de ${label}: ${result.problems.join('; ')}`;
+    const quarantineId = errorQueue.enqueue(
+        errorQueue.ErrorTypes.PARSING_ERROR,
+        { html: input.html, label, url, metrics: result.metrics, problems: result.problems },
+        message,
+        errorQueue.ErrorActions.QUARANTINE,
+        { source: 'parserHealth', label }
+    );
+
+    healthState.failures++;
+    healthState.lastFailure = { timestamp: healthState.results[label].timestamp, label, problems: result.problems, quarantineId };
+
+    logger.alert(`${message}. HTML en cuarentena (${quarantineId}); se conservan los datos en caché`, 'Parser');
+    logger.metric('parser_health_failure', 1, 'Parser');
+
+    const error = new Error(message);
+    error.code = 'PARSER_HEALTH';
+    error.quarantineId = quarantineId;
+    throw error;
+}
+
+/**
+ * Obtiene el estado de las comprobaciones del parser
+ * @returns {Object} - { checks, failures, lastFailure, results }
+ */
+function getParserHealthStatus() {
+    return { ...healthState };
+}
+
+module.exports = {
+    checkRankingHealth,
+    assertRankingHealth,
+    getParserHealthStatus
+};
@@ -4,12 +4,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-const { SERVER_REGIONS, CONFIG } = require('./config');
+const { CONFIG, SCRAPER_BEHAVIOR } = require('./config');
+const { getServerRegions, loadServerCatalog } = require('./serverCatalog');
 const { fetchServerRankingData } = require('./scraper');
 const { setServerCache } = require('./cache');
+const { releaseIdleBrowser } = require('./browserPool');
+const { delay } = require('./utils');
 const logger = require('./logger');
-const { db, markServerAsInactive, saveServerRankings, updateServersDatabase, logUpdateOperation } = require('./database');
+const { markServerAsInactive, markServerUpdated, logUpdateOperation, getServerDigest } = require('./database');
 
 // Ruta del archivo de estado del prefetch
 const PREFETCH_STATUS_FILE = path.join(process.cwd(), CONFIG.DATA_DIR, 'prefetch_status.json');
@@ -24,36 +26,128 @@ let prefetchStatus = {
     totalServers: 0,
     errors: [],
     lastError: null,
-    paused: false
+    paused: false,
+    inProgress: [],      // Servidores que se están descargando en este momento
+    awaitingConfirmation: null, // { reason, since, timeoutAt, defaultAction } mientras se espera confirmación
+    run: null            // Lista de trabajo de la última ejecución (ver RUN_STATUS y WORK_STATES)
 };
 
-// Crear una interfaz de readline para interacciones con el usuario
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
+// Estados de una ejecución del prefetch
+const RUN_STATUS = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted', // El proceso se detuvo con la ejecución en curso
+    FAILED: 'failed',           // Un error inesperado detuvo la ejecución
+    COMPLETED: 'completed'
+};
+
+// Estados de cada servidor en la lista de trabajo
+const WORK_STATES = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    SKIPPED: 'skipped',
+    FAILED: 'failed'
+};
+
+// Servidores pedidos por los usuarios que deben procesarse antes que el resto
+const requestedServers = new Set();
+
+// Cola de servidores pendientes del prefetch en curso (null si no hay ninguno)
+let pendingQueue = null;
+
+// Descargas en curso (para poder cancelarlas) y si se pidió cancelar la ejecución
+const activeControllers = new Set();
+let cancelRequested = false;
+
+// Confirmación pendiente en modo interactivo: { reason, since, timeoutAt, defaultAction, resolve }
+let pendingConfirmation = null;
 
 /**
- * Función para preguntar al usuario si desea continuar con la iteración
+ * Deja el prefetch esperando confirmación hasta que llegue POST /api/prefetch/continue o /pause.
+ * Si nadie responde antes de PREFETCH_CONFIRM_TIMEOUT_MS se aplica PREFETCH_CONFIRM_DEFAULT
  * @param {string} reason - Razón por la que se pide confirmación
- * @returns {Promise<boolean>} - Promesa que resuelve a true si el usuario desea continuar
+ * @returns {Promise<boolean>} - Promesa que resuelve a true si se debe continuar
  */
 function askToContinue(reason) {
     return new Promise((resolve) => {
+        const timeoutMs = CONFIG.PREFETCH_CONFIRM_TIMEOUT_MS;
+        const defaultAction = CONFIG.PREFETCH_CONFIRM_DEFAULT === 'pause' ? 'pause' : 'continue';
+
         logger.info(`${reason}`, 'Prefetch');
-        rl.question('¿Desea continuar con la iteración? (s/n): ', (answer) => {
-            const shouldContinue = answer.toLowerCase() === 's' || answer.toLowerCase() === 'si' || answer.toLowerCase() === 'sí';
-            if (shouldContinue) {
-                logger.info('Continuando con el prefetch...', 'Prefetch');
-            } else {
-                logger.info('Prefetch pausado por el usuario', 'Prefetch');
-                prefetchStatus.paused = true;
-            }
-            resolve(shouldContinue);
-        });
+        logger.info(`Esperando confirmación (POST /api/prefetch/continue o /pause); en ${timeoutMs / 1000}s se aplicará: ${defaultAction}`, 'Prefetch');
+
+        const timer = setTimeout(() => {
+            logger.warn(`Sin respuesta a la confirmación, se aplica la acción por defecto: ${defaultAction}`, 'Prefetch');
+            resolveConfirmation(defaultAction === 'continue');
+        }, timeoutMs);
+
+        pendingConfirmation = { resolve, timer };
+        prefetchStatus.awaitingConfirmation = {
+            reason,
+            since: new Date().toISOString(),
+            timeoutAt: new Date(Date.now() + timeoutMs).toISOString(),
+            defaultAction
+        };
+        savePrefetchStatus();
     });
 }
 
+/**
+ * Responde a la confirmación pendiente
+ * @param {boolean} shouldContinue - true para continuar, false para pausar
+ * @returns {boolean} - true si había una confirmación pendiente
+ */
+function resolveConfirmation(shouldContinue) {
+    if (!pendingConfirmation) {
+        return false;
+    }
+
+    const { resolve, timer } = pendingConfirmation;
+    clearTimeout(timer);
+    pendingConfirmation = null;
+    prefetchStatus.awaitingConfirmation = null;
+
+    if (shouldContinue) {
+        logger.info('Continuando con el prefetch...', 'Prefetch');
+    } else {
+        logger.info('Prefetch pausado por el usuario', 'Prefetch');
+        prefetchStatus.paused = true;
+    }
+    savePrefetchStatus();
+
+    resolve(shouldContinue);
+    return true;
+}
+
+/**
+ * Continúa el prefetch que espera confirmación
+ * @returns {boolean} - true si había una confirmación pendiente
+ */
+function continuePrefetch() {
+    return resolveConfirmation(true);
+}
+
+/**
+ * Pausa el prefetch: responde a la confirmación pendiente o, si no la hay, deja de iniciar
+ * servidores nuevos (las descargas en curso terminan). Se puede reanudar con resumePrefetch
+ * @returns {boolean} - true si había un prefetch en ejecución
+ */
+function pausePrefetch() {
+    if (!prefetchStatus.isRunning) {
+        return false;
+    }
+
+    if (!resolveConfirmation(false)) {
+        logger.info('Prefetch pausado por el usuario', 'Prefetch');
+        prefetchStatus.paused = true;
+        savePrefetchStatus();
+    }
+
+    return true;
+}
+
 /**
  * Inicializa el sistema de prefetch
  */
@@ -76,25 +170,42 @@ function initPrefetch() {
             prefetchStatus.serversProcessed = savedStatus.serversProcessed || 0;
             prefetchStatus.totalServers = savedStatus.totalServers || 0;
             prefetchStatus.paused = false; // Siempre iniciar sin pausa
+            prefetchStatus.run = savedStatus.run || null;
+            
+            // Una ejecución que figuraba en curso se cortó al detenerse el proceso
+            const run = prefetchStatus.run;
+            if (run && run.status === RUN_STATUS.RUNNING) {
+                run.status = RUN_STATUS.INTERRUPTED;
+                run.servers
+                    .filter(entry => entry.state === WORK_STATES.RUNNING)
+                    .forEach(entry => { entry.state = WORK_STATES.PENDING; });
+                logger.warn(`El prefetch ${run.id} se interrumpió; se reanudará desde donde se detuvo`, 'Prefetch');
+            }
             
             logger.info('Estado del prefetch cargado correctamente', 'Prefetch');
         } catch (error) {
             logger.error(`Error al cargar estado del prefetch: ${error.message}`, 'Prefetch');
         }
+        
+        // El archivo puede seguir indicando isRunning de un proceso que se detuvo a medias
+        savePrefetchStatus();
     }
     
-    // Actualizar la base de datos con la información de los servidores desde la configuración
-    updateServersDatabase(SERVER_REGIONS);
+    // Sembrar la base de datos con SERVER_REGIONS y cargar el catálogo de servidores descubiertos
+    loadServerCatalog();
     
     return prefetchStatus;
 }
 
 /**
  * Guarda el estado actual del prefetch
+ * (se escribe en un archivo temporal y se renombra para no dejarlo a medias si el proceso se detiene)
  */
 function savePrefetchStatus() {
     try {
-        fs.writeFileSync(PREFETCH_STATUS_FILE, JSON.stringify(prefetchStatus, null, 2));
+        const tempFile = `${PREFETCH_STATUS_FILE}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(prefetchStatus, null, 2));
+        fs.renameSync(tempFile, PREFETCH_STATUS_FILE);
         logger.debug('Estado del prefetch guardado', 'Prefetch');
     } catch (error) {
         logger.error(`Error al guardar estado del prefetch: ${error.message}`, 'Prefetch');
@@ -102,77 +213,281 @@ function savePrefetchStatus() {
 }
 
 /**
- * Comprueba si los datos de un servidor ya se han actualizado después del último reset del ranking
+ * Marca el prefetch como detenido y guarda el estado, si no se hizo ya al cerrar la ejecución
+ * (un error antes de llegar al cierre no debe dejar isRunning a true, tampoco en el archivo)
+ */
+function markPrefetchStopped() {
+    if (prefetchStatus.isRunning) {
+        prefetchStatus.isRunning = false;
+        savePrefetchStatus();
+    }
+}
+
+/**
+ * Calcula la fecha del último reset del ranking (00:00 UTC+8)
+ * @param {Date} now - Fecha de referencia
+ * @returns {Date} - Fecha del último reset
+ */
+function getLastRankingReset(now = new Date()) {
+    // Convertir a UTC+8 (Hora de reset de MIR4)
+    const utcPlus8Hours = now.getUTCHours() + 8;
+    // Si es mayor a 24 o negativo, ajustar
+    const adjustedHours = utcPlus8Hours >= 24 ? utcPlus8Hours - 24 : (utcPlus8Hours < 0 ? utcPlus8Hours + 24 : utcPlus8Hours);
+    
+    // Crear fecha del último reset a las 00:00 UTC+8
+    const lastResetDate = new Date(Date.UTC(
+        now.getUTCFullYear(),
+        now.getUTCMonth(),
+        // Si son menos de las 00:00 UTC+8, el último reset fue ayer
+        adjustedHours < 0 ? now.getUTCDate() - 1 : now.getUTCDate(),
+        0, 0, 0, 0
+    ));
+    // Ajustar a UTC+8
+    lastResetDate.setUTCHours(lastResetDate.getUTCHours() - 8);
+    
+    return lastResetDate;
+}
+
+/**
+ * Obtiene la fecha de la última actualización de un servidor desde la base de datos
  * @param {string} regionName - Nombre de la región
  * @param {string} serverName - Nombre del servidor
- * @returns {boolean} - true si los datos ya están actualizados después del último reset
+ * @returns {Promise<Date|null>} - Fecha de la última actualización o null si no hay datos
  */
-async function isServerDataUpdatedAfterReset(regionName, serverName) {
+async function getServerLastUpdate(regionName, serverName) {
     try {
-        // Obtener la última actualización del servidor desde la base de datos
-        const serverData = db.prepare(`
-            SELECT MAX(r.collection_time) as last_update
-            FROM rankings r
-            JOIN servers s ON r.server_id = s.id
-            WHERE s.region_name = ? AND s.server_name = ?
-        `).get(regionName, serverName);
-        
-        if (!serverData || !serverData.last_update) {
-            // No hay datos previos, por lo que necesitamos actualizar
-            return false;
-        }
-        
-        // Convertir la última actualización a objeto Date
-        const lastUpdate = new Date(serverData.last_update);
-        
-        // Obtener la fecha y hora actual en UTC
-        const now = new Date();
-        
-        // Convertir a UTC+8 (Hora de reset de MIR4)
-        const utcPlus8Hours = now.getUTCHours() + 8;
-        // Si es mayor a 24 o negativo, ajustar
-        const adjustedHours = utcPlus8Hours >= 24 ? utcPlus8Hours - 24 : (utcPlus8Hours < 0 ? utcPlus8Hours + 24 : utcPlus8Hours);
-        
-        // Crear fecha del último reset a las 00:00 UTC+8
-        const lastResetDate = new Date(Date.UTC(
-            now.getUTCFullYear(),
-            now.getUTCMonth(),
-            // Si son menos de las 00:00 UTC+8, el último reset fue ayer
-            adjustedHours < 0 ? now.getUTCDate() - 1 : now.getUTCDate(),
-            0, 0, 0, 0
-        ));
-        // Ajustar a UTC+8
-        lastResetDate.setUTCHours(lastResetDate.getUTCHours() - 8);
-        
-        // Si la última actualización es posterior al último reset, los datos ya están actualizados
-        const isUpdated = lastUpdate >= lastResetDate;
+        const serverDigest = await getServerDigest(regionName, serverName);
         
-        if (isUpdated) {
-            logger.info(`Servidor ${regionName} > ${serverName} ya tiene datos actualizados después del reset (${lastResetDate.toISOString()})`, 'Prefetch');
+        if (!serverDigest || !serverDigest.stats.last_update) {
+            return null;
         }
         
-        return isUpdated;
+        return new Date(serverDigest.stats.last_update);
     } catch (error) {
         logger.error(`Error al verificar actualización de datos para ${regionName} > ${serverName}: ${error.message}`, 'Prefetch');
-        return false; // En caso de error, actualizamos por precaución
+        return null; // En caso de error, actualizamos por precaución
+    }
+}
+
+/**
+ * Clave única de un servidor
+ * @param {Object} server - { regionName, serverName }
+ * @returns {string} - Clave regionName_serverName
+ */
+function getServerKey({ regionName, serverName }) {
+    return `${regionName}_${serverName}`;
+}
+
+/**
+ * Cambia el estado de un servidor de la lista de trabajo y guarda el estado en disco
+ * @param {Object} entry - Entrada de la lista de trabajo
+ * @param {string} state - Nuevo estado (WORK_STATES)
+ * @param {string} lastError - Último error (solo para el estado failed)
+ */
+function setEntryState(entry, state, lastError = null) {
+    entry.state = state;
+    entry.updatedAt = new Date().toISOString();
+    if (state === WORK_STATES.RUNNING) {
+        entry.attempts++;
+    }
+    if (lastError !== null) {
+        entry.lastError = lastError;
     }
+    savePrefetchStatus();
+}
+
+/**
+ * Recalcula los contadores del estado a partir de la lista de trabajo
+ * @param {Object} run - Ejecución del prefetch
+ */
+function updateCountersFromRun(run) {
+    const count = state => run.servers.filter(entry => entry.state === state).length;
+
+    prefetchStatus.totalServers = run.servers.length;
+    prefetchStatus.skippedServers = count(WORK_STATES.SKIPPED);
+    prefetchStatus.serversProcessed = count(WORK_STATES.DONE) + count(WORK_STATES.FAILED) + prefetchStatus.skippedServers;
+}
+
+/**
+ * Pide que un servidor se procese antes que el resto. Si hay un prefetch en curso y el
+ * servidor no está pendiente ni en proceso, vuelve a la cola; si no, se aplica en el próximo
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ */
+function prioritizeServer(regionName, serverName) {
+    const key = getServerKey({ regionName, serverName });
+
+    requestedServers.add(key);
+
+    const run = prefetchStatus.run;
+    if (pendingQueue && run) {
+        let entry = run.servers.find(server => getServerKey(server) === key);
+        if (!entry) {
+            entry = createWorkEntry({ regionName, serverName });
+            run.servers.push(entry);
+        }
+        if (entry.state !== WORK_STATES.PENDING && entry.state !== WORK_STATES.RUNNING) {
+            setEntryState(entry, WORK_STATES.PENDING);
+            pendingQueue.push(entry);
+        }
+    }
+
+    logger.info(`Servidor ${regionName} > ${serverName} marcado como prioritario`, 'Prefetch');
+}
+
+/**
+ * Crea una entrada de la lista de trabajo
+ * @param {Object} server - { regionName, serverName }
+ * @param {string} state - Estado inicial
+ * @returns {Object} - Entrada { regionName, serverName, state, attempts, lastError, updatedAt }
+ */
+function createWorkEntry({ regionName, serverName }, state = WORK_STATES.PENDING) {
+    return {
+        regionName,
+        serverName,
+        state,
+        attempts: 0,
+        lastError: null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Construye la lista de trabajo del prefetch: primero los servidores pedidos por los usuarios y
+ * después los que llevan más tiempo sin actualizarse. Los servidores ya actualizados después del
+ * último reset quedan como omitidos salvo que se fuerce la actualización o se hayan pedido expresamente
+ * @param {Array<Object>} servers - Servidores { regionName, serverName }
+ * @param {boolean} forceUpdate - Si se deben incluir también los servidores actualizados
+ * @returns {Promise<Array<Object>>} - Lista de trabajo ordenada
+ */
+async function buildWorkList(servers, forceUpdate) {
+    const lastReset = getLastRankingReset();
+    const pending = [];
+    const skipped = [];
+
+    for (const server of servers) {
+        const lastUpdate = await getServerLastUpdate(server.regionName, server.serverName);
+        const requested = requestedServers.has(getServerKey(server));
+
+        // Verificar si los datos ya están actualizados después del último reset (00:00 UTC+8)
+        if (!forceUpdate && !requested && lastUpdate && lastUpdate >= lastReset) {
+            logger.info(`Omitiendo servidor ${server.regionName} > ${server.serverName}: datos ya actualizados después del reset (${lastReset.toISOString()})`, 'Prefetch');
+            skipped.push(createWorkEntry(server, WORK_STATES.SKIPPED));
+            continue;
+        }
+
+        pending.push({ server, requested, lastUpdate });
+    }
+
+    // Sin datos previos primero; después, de la actualización más antigua a la más reciente
+    pending.sort((a, b) => {
+        if (a.requested !== b.requested) return a.requested ? -1 : 1;
+        return (a.lastUpdate ? a.lastUpdate.getTime() : 0) - (b.lastUpdate ? b.lastUpdate.getTime() : 0);
+    });
+
+    return pending.map(({ server }) => createWorkEntry(server)).concat(skipped);
+}
+
+/**
+ * Descarga un servidor cancelando la descarga si supera el tiempo máximo o si se cancela el prefetch
+ * @param {Object} server - { regionName, serverName }
+ * @param {number} timeoutMs - Tiempo máximo en milisegundos
+ * @returns {Promise<Array>} - Rankings del servidor
+ */
+async function fetchServerWithTimeout(server, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new Error(`Timeout: La operación tardó más de ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    // La carrera libera el hueco en cuanto se cancela, aunque el scraper tarde en cerrar su sesión
+    const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    activeControllers.add(controller);
+
+    try {
+        return await Promise.race([
+            fetchServerRankingData(server.regionName, server.serverName, true, 0, { signal: controller.signal }),
+            aborted
+        ]);
+    } finally {
+        clearTimeout(timer);
+        activeControllers.delete(controller);
+    }
+}
+
+/**
+ * Procesa la cola de servidores respetando los límites de concurrencia y la pausa entre
+ * descargas de una misma región (SCRAPER_DELAY)
+ * @param {Array<Object>} queue - Cola de servidores (puede crecer mientras se procesa)
+ * @param {Function} processServer - Función que procesa un servidor (no debe lanzar errores)
+ * @param {Object} limits - { concurrency, regionConcurrency }
+ * @returns {Promise<void>}
+ */
+async function runPrefetchQueue(queue, processServer, { concurrency, regionConcurrency }) {
+    const running = new Set();
+    const runningByRegion = {};
+    const nextStartByRegion = {};
+
+    // Siguiente servidor cuya región tenga hueco, con prioridad para los pedidos por usuarios
+    const takeNextServer = () => {
+        const hasRoom = server => (runningByRegion[server.regionName] || 0) < regionConcurrency;
+        let index = queue.findIndex(server => requestedServers.has(getServerKey(server)) && hasRoom(server));
+        if (index === -1) {
+            index = queue.findIndex(hasRoom);
+        }
+        return index === -1 ? null : queue.splice(index, 1)[0];
+    };
+
+    // Seguir mientras quede algo en cola o en curso: prioritizeServer puede añadir servidores
+    // mientras terminan las últimas descargas y no deben quedarse sin procesar
+    while ((queue.length > 0 || running.size > 0) && !prefetchStatus.paused) {
+        const server = queue.length > 0 && running.size < concurrency ? takeNextServer() : null;
+
+        if (!server) {
+            // Esperar a que termine alguna descarga para liberar hueco (o a que lleguen más servidores)
+            await Promise.race(running);
+            continue;
+        }
+
+        const { regionName } = server;
+        const now = Date.now();
+        const startAt = Math.max(now, nextStartByRegion[regionName] || 0);
+        nextStartByRegion[regionName] = startAt + SCRAPER_BEHAVIOR.REQUEST_DELAY_MS;
+        runningByRegion[regionName] = (runningByRegion[regionName] || 0) + 1;
+
+        const task = (async () => {
+            await delay(startAt - now);
+            if (!prefetchStatus.paused) {
+                await processServer(server);
+            }
+        })().finally(() => {
+            running.delete(task);
+            runningByRegion[regionName]--;
+        });
+
+        running.add(task);
+    }
+
+    await Promise.all(running);
 }
 
 /**
  * Realiza el prefetch de todos los servidores registrados
  * @param {Object} options - Opciones de configuración para el prefetch
- * @param {boolean} options.interactive - Si se debe preguntar al usuario antes de continuar después de errores
+ * @param {boolean} options.interactive - Si se debe esperar confirmación (vía API) antes de continuar después de errores
  * @param {number} options.confirmEvery - Número de servidores a procesar antes de pedir confirmación
  * @param {boolean} options.forceUpdate - Si se debe forzar la actualización aunque los datos ya estén actualizados
  * @param {number} options.maxConsecutiveFailures - Máximo número de fallos consecutivos permitidos antes de pausar
+ * @param {number} options.concurrency - Servidores descargados a la vez (por defecto PREFETCH_CONCURRENCY)
+ * @param {number} options.regionConcurrency - Servidores de una misma región a la vez (por defecto PREFETCH_REGION_CONCURRENCY)
+ * @param {number} options.serverTimeoutMs - Tiempo máximo por servidor (por defecto PREFETCH_SERVER_TIMEOUT_MS)
+ * @param {Array<Object>} options.priorityServers - Servidores { regionName, serverName } que se procesan primero
  */
 async function prefetchAllServers(options = {}) {
-    const { 
-        interactive = false, 
-        confirmEvery = 5,
-        forceUpdate = false,
-        maxConsecutiveFailures = 5 // Nuevo parámetro para limitar fallos consecutivos
-    } = options;
+    const { forceUpdate = false, priorityServers = [] } = options;
     
     // Evitar ejecuciones simultáneas
     if (prefetchStatus.isRunning) {
@@ -182,188 +497,366 @@ async function prefetchAllServers(options = {}) {
     
     // Iniciar prefetch
     prefetchStatus.isRunning = true;
+    
+    // Un error al preparar o ejecutar la lista no debe dejar el prefetch marcado en ejecución para siempre
+    try {
+        priorityServers.forEach(({ regionName, serverName }) => prioritizeServer(regionName, serverName));
+        
+        // Crear lista de todos los servidores
+        const servers = [];
+        for (const [regionName, regionData] of Object.entries(getServerRegions())) {
+            for (const serverName of Object.keys(regionData.servers)) {
+                servers.push({ regionName, serverName });
+            }
+        }
+        
+        logger.info(`Iniciando prefetch para ${servers.length} servidores...`, 'Prefetch');
+        
+        // Lista de trabajo persistente: permite reanudar la ejecución si el proceso se detiene
+        const startTime = new Date();
+        prefetchStatus.run = {
+            id: startTime.getTime().toString(36),
+            status: RUN_STATUS.RUNNING,
+            startTime: startTime.toISOString(),
+            operationId: null,
+            options: { forceUpdate },
+            servers: await buildWorkList(servers, forceUpdate)
+        };
+        
+        return await runPrefetch(options, 'Prefetch periódico de todos los servidores');
+    } finally {
+        markPrefetchStopped();
+    }
+}
+
+/**
+ * Reanuda la última ejecución del prefetch que no llegó a completarse (interrumpida por un
+ * reinicio, pausada o cancelada). Los servidores en curso vuelven a pendientes y los fallidos
+ * se reintentan mientras no superen PREFETCH_MAX_ATTEMPTS intentos
+ * @param {Object} options - Las mismas opciones que prefetchAllServers
+ * @returns {Promise<Object|null>} - Estado final del prefetch o null si no hay nada que reanudar
+ */
+async function resumePrefetch(options = {}) {
+    if (prefetchStatus.isRunning) {
+        logger.warn('Ya hay un prefetch en ejecución, ignorando solicitud', 'Prefetch');
+        return prefetchStatus;
+    }
+    
+    const resumable = getResumablePrefetch();
+    if (!resumable) {
+        logger.info('No hay ningún prefetch que reanudar', 'Prefetch');
+        return null;
+    }
+    
+    prefetchStatus.isRunning = true;
+    
+    try {
+        const run = prefetchStatus.run;
+        run.servers.forEach(entry => {
+            if (isResumableEntry(entry)) {
+                entry.state = WORK_STATES.PENDING;
+            }
+        });
+        run.status = RUN_STATUS.RUNNING;
+        
+        logger.info(`Reanudando prefetch ${run.id}: ${resumable.pendingServers} servidores pendientes`, 'Prefetch');
+        
+        return await runPrefetch(options, `Reanudación del prefetch ${run.id}`);
+    } finally {
+        markPrefetchStopped();
+    }
+}
+
+/**
+ * Cancela el prefetch en curso: no se inician más servidores y se interrumpen las descargas activas.
+ * Los servidores interrumpidos vuelven a pendientes para poder reanudar la ejecución
+ * @returns {boolean} - true si había un prefetch en ejecución
+ */
+function cancelPrefetch() {
+    if (!prefetchStatus.isRunning) {
+        return false;
+    }
+    
+    logger.warn('Cancelando el prefetch en curso...', 'Prefetch');
+    cancelRequested = true;
+    prefetchStatus.paused = true;
+    
+    activeControllers.forEach(controller => controller.abort(new Error('Prefetch cancelado')));
+    resolveConfirmation(false);
+    
+    return true;
+}
+
+/**
+ * Indica si un servidor de la lista de trabajo debe procesarse al reanudar
+ * @param {Object} entry - Entrada de la lista de trabajo
+ * @returns {boolean}
+ */
+function isResumableEntry(entry) {
+    return entry.state === WORK_STATES.PENDING ||
+        entry.state === WORK_STATES.RUNNING ||
+        (entry.state === WORK_STATES.FAILED && entry.attempts < CONFIG.PREFETCH_MAX_ATTEMPTS);
+}
+
+/**
+ * Obtiene un resumen de la ejecución que se puede reanudar
+ * @returns {Object|null} - { id, status, pendingServers, totalServers } o null si no hay ninguna
+ */
+function getResumablePrefetch() {
+    const run = prefetchStatus.run;
+    if (!run || run.status === RUN_STATUS.COMPLETED || prefetchStatus.isRunning) {
+        return null;
+    }
+    
+    const pendingServers = run.servers.filter(isResumableEntry).length;
+    if (pendingServers === 0) {
+        return null;
+    }
+    
+    return { id: run.id, status: run.status, pendingServers, totalServers: run.servers.length };
+}
+
+/**
+ * Resume el estado de la recolección de datos por servidor a partir de la última ejecución
+ * Los servidores se identifican como REGION_SERVIDOR (por ejemplo ASIA1_ASIA041)
+ * @returns {Object} - { isRunning, lastUpdate, completed, inProgress, pending, skipped, failed, errors }
+ */
+function getPrefetchStatus() {
+    const entries = prefetchStatus.run ? prefetchStatus.run.servers : [];
+    const keysIn = state => entries.filter(entry => entry.state === state).map(getServerKey);
+    const failed = entries.filter(entry => entry.state === WORK_STATES.FAILED);
+
+    return {
+        isRunning: prefetchStatus.isRunning,
+        lastUpdate: prefetchStatus.lastCompleted,
+        completed: keysIn(WORK_STATES.DONE),
+        inProgress: keysIn(WORK_STATES.RUNNING),
+        pending: keysIn(WORK_STATES.PENDING),
+        skipped: keysIn(WORK_STATES.SKIPPED),
+        failed: failed.map(getServerKey),
+        errors: Object.fromEntries(failed.map(entry => [getServerKey(entry), entry.lastError]))
+    };
+}
+
+/**
+ * Ejecuta los servidores pendientes de la lista de trabajo actual (prefetchStatus.run)
+ * @param {Object} options - Opciones de prefetchAllServers
+ * @param {string} description - Descripción de la operación para la base de datos
+ * @returns {Promise<Object>} - Estado final del prefetch
+ */
+async function runPrefetch(options, description) {
+    const { 
+        interactive = false, 
+        confirmEvery = 5,
+        maxConsecutiveFailures = 5, // Nuevo parámetro para limitar fallos consecutivos
+        concurrency = CONFIG.PREFETCH_CONCURRENCY,
+        regionConcurrency = CONFIG.PREFETCH_REGION_CONCURRENCY,
+        serverTimeoutMs = CONFIG.PREFETCH_SERVER_TIMEOUT_MS
+    } = options;
+    
+    const run = prefetchStatus.run;
+    
     prefetchStatus.startTime = new Date();
+    prefetchStatus.endTime = null;
     prefetchStatus.errors = [];
     prefetchStatus.lastError = null;
-    prefetchStatus.serversProcessed = 0;
     prefetchStatus.paused = false;
-    prefetchStatus.skippedServers = 0; // Contador de servidores omitidos por estar actualizados
     prefetchStatus.consecutiveFailures = 0; // Nuevo contador para fallos consecutivos
-    
-    // Crear lista de todos los servidores
-    const servers = [];
-    for (const [regionName, regionData] of Object.entries(SERVER_REGIONS)) {
-        for (const serverName of Object.keys(regionData.servers)) {
-            servers.push({ regionName, serverName });
-        }
-    }
-    
-    prefetchStatus.totalServers = servers.length;
-    logger.info(`Iniciando prefetch para ${servers.length} servidores...`, 'Prefetch');
+    prefetchStatus.inProgress = [];
+    prefetchStatus.awaitingConfirmation = null;
+    cancelRequested = false;
+    updateCountersFromRun(run);
     
     // Guardar estado inicial
     savePrefetchStatus();
     
-    // Iniciar operación en la base de datos
+    // Iniciar (o retomar) la operación en la base de datos
     const updateOperation = {
+        id: run.operationId,
         updateType: 'prefetch',
-        description: 'Prefetch periódico de todos los servidores',
+        description,
         status: 'running',
         startTime: prefetchStatus.startTime,
         affectedServers: prefetchStatus.totalServers
     };
-    logUpdateOperation(updateOperation);
-    
-    // Procesar cada servidor secuencialmente para no saturar el sistema
-    for (const server of servers) {
-        // Si el prefetch fue pausado por el usuario o alcanzamos el límite de fallos, salir del bucle
-        if (prefetchStatus.paused) {
-            logger.info('Prefetch detenido por el usuario', 'Prefetch');
-            break;
-        }
-
-        // Verificar si hemos alcanzado el máximo de fallos consecutivos
-        if (prefetchStatus.consecutiveFailures >= maxConsecutiveFailures) {
-            logger.warn(`Se alcanzó el límite de ${maxConsecutiveFailures} fallos consecutivos. Pausando el prefetch.`, 'Prefetch');
-            prefetchStatus.paused = true;
-            break;
-        }
-
-        try {
-            // Verificar si los datos ya están actualizados después del último reset (00:00 UTC+8)
-            // Solo si no estamos forzando la actualización
-            if (!forceUpdate && await isServerDataUpdatedAfterReset(server.regionName, server.serverName)) {
-                logger.info(`Omitiendo servidor ${server.regionName} > ${server.serverName}: datos ya actualizados después del último reset`, 'Prefetch');
-                prefetchStatus.skippedServers++;
-                prefetchStatus.serversProcessed++; // Incrementar contador aunque se omita
-                prefetchStatus.consecutiveFailures = 0; // Resetear contador de fallos cuando omitimos con éxito
-                continue; // Saltar a la siguiente iteración
-            }
-            
-            logger.info(`Procesando servidor: ${server.regionName} > ${server.serverName}`, 'Prefetch');
-            
-            const startTime = Date.now();
-            
-            // Configurar un timeout para la operación completa
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Timeout: La operación tardó demasiado')), 300000); // 5 minutos de timeout
-            });
-            
-            // Ejecutar el scraping con un timeout
-            const rankingsPromise = fetchServerRankingData(server.regionName, server.serverName, true);
-            
-            // Esperar a que se complete el scraping o se alcance el timeout
-            const rankings = await Promise.race([rankingsPromise, timeoutPromise]);
-            
-            const endTime = Date.now();
+    // Un error inesperado (base de datos, cola...) termina la ejecución como fallida en lugar de dejarla a medias
+    let failure = null;
+    try {
+        run.operationId = await logUpdateOperation(updateOperation);
+        
+        pendingQueue = run.servers.filter(entry => entry.state === WORK_STATES.PENDING);
+        
+        // En modo interactivo se procesa de uno en uno para no mezclar las preguntas
+        const limits = {
+            concurrency: interactive ? 1 : Math.max(1, concurrency),
+            regionConcurrency: interactive ? 1 : Math.max(1, regionConcurrency)
+        };
+        logger.info(`${pendingQueue.length} servidores pendientes (concurrencia: ${limits.concurrency}, por región: ${limits.regionConcurrency})`, 'Prefetch');
+        
+        const processServer = async (entry) => {
+            const serverKey = getServerKey(entry);
+            prefetchStatus.inProgress.push(serverKey);
+            requestedServers.delete(serverKey);
+            setEntryState(entry, WORK_STATES.RUNNING);
             
-            if (rankings && rankings.length > 0) {
-                // Guardar en caché para el sistema actual
-                setServerCache(`${server.regionName}_${server.serverName}`, rankings);
+            try {
+                logger.info(`Procesando servidor: ${entry.regionName} > ${entry.serverName}`, 'Prefetch');
                 
-                // Guardar en la base de datos para almacenamiento persistente
-                saveServerRankings(rankings, server.regionName, server.serverName);
+                const startTime = Date.now();
                 
-                logger.success(`Servidor ${server.regionName} > ${server.serverName} procesado: ${rankings.length} jugadores en ${(endTime - startTime) / 1000}s`, 'Prefetch');
+                // Ejecutar el scraping con un timeout que cancela la descarga
+                const rankings = await fetchServerWithTimeout(entry, serverTimeoutMs);
                 
-                // Resetear contador de fallos consecutivos cuando tenemos éxito
-                prefetchStatus.consecutiveFailures = 0;
-            } else {
-                // Si no hay rankings es probable que el servidor no exista
-                logger.warn(`Servidor ${server.regionName} > ${server.serverName} no devolvió datos, posiblemente no existe`, 'Prefetch');
+                const endTime = Date.now();
                 
-                // Marcar el servidor como inactivo en la base de datos
-                markServerAsInactive(server.regionName, server.serverName);
+                if (rankings && rankings.length > 0) {
+                    // Guardar en caché para el sistema actual
+                    await setServerCache(serverKey, rankings);
+                    
+                    // El scraper ya guardó el snapshot; solo queda marcar el servidor como actualizado
+                    await markServerUpdated(entry.regionName, entry.serverName);
+                    
+                    logger.success(`Servidor ${entry.regionName} > ${entry.serverName} procesado: ${rankings.length} jugadores en ${(endTime - startTime) / 1000}s`, 'Prefetch');
+                    setEntryState(entry, WORK_STATES.DONE);
+                    
+                    // Resetear contador de fallos consecutivos cuando tenemos éxito
+                    prefetchStatus.consecutiveFailures = 0;
+                } else {
+                    // Si no hay rankings es probable que el servidor no exista
+                    logger.warn(`Servidor ${entry.regionName} > ${entry.serverName} no devolvió datos, posiblemente no existe`, 'Prefetch');
+                    
+                    // Marcar el servidor como inactivo en la base de datos
+                    await markServerAsInactive(entry.regionName, entry.serverName);
+                    
+                    prefetchStatus.errors.push(`${entry.regionName} > ${entry.serverName}: Servidor posiblemente inexistente`);
+                    prefetchStatus.consecutiveFailures++;
+                    setEntryState(entry, WORK_STATES.FAILED, 'Servidor posiblemente inexistente');
+                    
+                    // Si estamos en modo interactivo, preguntar si continuar después de un servidor sin datos
+                    if (interactive) {
+                        await askToContinue(`Servidor ${entry.regionName} > ${entry.serverName} no devolvió datos. Es probable que el servidor no exista o esté inactivo.`);
+                    }
+                }
+                
+                // Actualizar contador
+                prefetchStatus.serversProcessed++;
+                
+                // Si estamos en modo interactivo y hemos procesado 'confirmEvery' servidores, preguntar si continuar
+                if (interactive && !prefetchStatus.paused && prefetchStatus.serversProcessed % confirmEvery === 0) {
+                    await askToContinue(`Se han procesado ${prefetchStatus.serversProcessed} de ${prefetchStatus.totalServers} servidores.`);
+                }
+            } catch (error) {
+                // Un servidor interrumpido por la cancelación queda pendiente para la reanudación
+                if (cancelRequested) {
+                    logger.info(`Descarga de ${entry.regionName} > ${entry.serverName} cancelada`, 'Prefetch');
+                    setEntryState(entry, WORK_STATES.PENDING);
+                    return;
+                }
                 
-                prefetchStatus.errors.push(`${server.regionName} > ${server.serverName}: Servidor posiblemente inexistente`);
+                // Incrementar contador de fallos consecutivos
                 prefetchStatus.consecutiveFailures++;
                 
-                // Si estamos en modo interactivo, preguntar si continuar después de un servidor sin datos
-                if (interactive) {
-                    const shouldContinue = await askToContinue(`Servidor ${server.regionName} > ${server.serverName} no devolvió datos. Es probable que el servidor no exista o esté inactivo.`);
-                    if (!shouldContinue) break;
+                logger.error(`Error al procesar servidor ${entry.regionName} > ${entry.serverName}: ${error.message}`, 'Prefetch');
+                
+                prefetchStatus.errors.push(`${entry.regionName} > ${entry.serverName}: ${error.message}`);
+                prefetchStatus.lastError = {
+                    server: `${entry.regionName} > ${entry.serverName}`,
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                };
+                prefetchStatus.serversProcessed++;
+                setEntryState(entry, WORK_STATES.FAILED, error.message);
+                
+                // Marcar el servidor como inactivo en caso de error
+                await markServerAsInactive(entry.regionName, entry.serverName);
+                
+                // Verificar si el error parece ser un problema de recursos o conexión
+                const isResourceError = error.message.includes('Target closed') || 
+                    error.message.includes('Session closed') ||
+                    error.message.includes('frame got detached') ||
+                    error.message.includes('Cannot find browser') ||
+                    error.message.includes('out of memory') ||
+                    error.message.includes('Timeout');
+                    
+                if (isResourceError) {
+                    logger.warn(`Error de recursos detectado. Esperando 10 segundos antes de continuar...`, 'Prefetch');
+                    await delay(10000); // 10 segundos de pausa
                 }
-            }
-            
-            // Actualizar contador
-            prefetchStatus.serversProcessed++;
-            
-            // Guardar estado periódicamente
-            if (prefetchStatus.serversProcessed % 5 === 0) {
-                savePrefetchStatus();
-            }
-            
-            // Si estamos en modo interactivo y hemos procesado 'confirmEvery' servidores, preguntar si continuar
-            if (interactive && prefetchStatus.serversProcessed % confirmEvery === 0) {
-                const shouldContinue = await askToContinue(`Se han procesado ${prefetchStatus.serversProcessed} de ${prefetchStatus.totalServers} servidores.`);
-                if (!shouldContinue) break;
-            }
-            
-            // Pequeña pausa para no sobrecargar el servidor objetivo y permitir la liberación de recursos
-            await new Promise(resolve => setTimeout(resolve, 3000)); // 3 segundos de pausa (aumentado para dar tiempo al GC)
-            
-        } catch (error) {
-            // Incrementar contador de fallos consecutivos
-            prefetchStatus.consecutiveFailures++;
-            
-            logger.error(`Error al procesar servidor ${server.regionName} > ${server.serverName}: ${error.message}`, 'Prefetch');
-            
-            prefetchStatus.errors.push(`${server.regionName} > ${server.serverName}: ${error.message}`);
-            prefetchStatus.lastError = {
-                server: `${server.regionName} > ${server.serverName}`,
-                message: error.message,
-                timestamp: new Date().toISOString()
-            };
-            
-            // Marcar el servidor como inactivo en caso de error
-            markServerAsInactive(server.regionName, server.serverName);
-            
-            // Verificar si el error parece ser un problema de recursos o conexión
-            const isResourceError = error.message.includes('Target closed') || 
-                error.message.includes('Session closed') ||
-                error.message.includes('frame got detached') ||
-                error.message.includes('Cannot find browser') ||
-                error.message.includes('out of memory') ||
-                error.message.includes('Timeout');
                 
-            if (isResourceError) {
-                logger.warn(`Error de recursos detectado. Esperando 10 segundos antes de continuar...`, 'Prefetch');
-                await new Promise(resolve => setTimeout(resolve, 10000)); // 10 segundos de pausa
-            }
-            
-            // Si estamos en modo interactivo, preguntar si continuar después de un error
-            if (interactive) {
-                const shouldContinue = await askToContinue(`Se produjo un error al procesar el servidor ${server.regionName} > ${server.serverName}: ${error.message}`);
-                if (!shouldContinue) break;
+                // Si estamos en modo interactivo, preguntar si continuar después de un error
+                if (interactive) {
+                    await askToContinue(`Se produjo un error al procesar el servidor ${entry.regionName} > ${entry.serverName}: ${error.message}`);
+                }
+            } finally {
+                prefetchStatus.inProgress = prefetchStatus.inProgress.filter(key => key !== serverKey);
             }
             
             // Verificar si hemos alcanzado el máximo de fallos consecutivos
-            if (prefetchStatus.consecutiveFailures >= maxConsecutiveFailures) {
+            if (!prefetchStatus.paused && prefetchStatus.consecutiveFailures >= maxConsecutiveFailures) {
                 logger.warn(`Se alcanzó el límite de ${maxConsecutiveFailures} fallos consecutivos. Pausando el prefetch.`, 'Prefetch');
                 prefetchStatus.paused = true;
             }
-        }
+        };
+        
+            
+        await runPrefetchQueue(pendingQueue, processServer, limits);
+    } catch (error) {
+        failure = error;
+        logger.error(`El prefetch ${run.id} se detuvo por un error: ${error.message}`, 'Prefetch');
+        prefetchStatus.lastError = { server: null, message: error.message, timestamp: new Date().toISOString() };
+    } finally {
+        pendingQueue = null;
+        prefetchStatus.inProgress = [];
+    }
+    
+    if (failure) {
+        run.status = RUN_STATUS.FAILED;
+        // Los servidores que quedaron a medias se retoman al reanudar
+        run.servers
+            .filter(entry => entry.state === WORK_STATES.RUNNING)
+            .forEach(entry => setEntryState(entry, WORK_STATES.PENDING));
+    } else if (cancelRequested) {
+        run.status = RUN_STATUS.CANCELLED;
+    } else if (prefetchStatus.paused) {
+        run.status = RUN_STATUS.PAUSED;
+    } else {
+        run.status = RUN_STATUS.COMPLETED;
+    }
+    
+    if (run.status !== RUN_STATUS.COMPLETED) {
+        logger.info(`Prefetch detenido antes de completar la cola (${run.status}); puede reanudarse con POST /api/prefetch/resume`, 'Prefetch');
     }
     
     // Finalizar prefetch
-    prefetchStatus.isRunning = false;
     prefetchStatus.endTime = new Date();
     prefetchStatus.lastCompleted = new Date().toISOString();
     
-    // Finalizar la operación en la base de datos
-    updateOperation.status = prefetchStatus.paused ? 'paused' : 'completed';
-    updateOperation.endTime = prefetchStatus.endTime;
-    logUpdateOperation(updateOperation);
-    
-    // Guardar estado final
-    savePrefetchStatus();
+    // El prefetch sigue en ejecución hasta terminar el cierre, para que otro no se inicie a la vez
+    try {
+        // Finalizar la operación en la base de datos
+        updateOperation.status = run.status;
+        updateOperation.endTime = prefetchStatus.endTime;
+        updateOperation.details = {
+            runId: run.id,
+            serversProcessed: prefetchStatus.serversProcessed,
+            skippedServers: prefetchStatus.skippedServers,
+            errors: prefetchStatus.errors.length
+        };
+        await logUpdateOperation(updateOperation);
+        
+        // Las descargas con navegador piden páginas al pool compartido; hasta el próximo prefetch
+        // no se necesita el navegador, así que se cierra para liberar memoria
+        await releaseIdleBrowser();
+    } finally {
+        // Guardar estado final
+        markPrefetchStopped();
+    }
     
-    // Cerrar la interfaz de readline si estamos en modo interactivo
-    if (interactive) {
-        rl.close();
+    if (failure) {
+        throw failure;
     }
     
-    logger.success(`Prefetch ${prefetchStatus.paused ? 'pausado' : 'completado'}: ${prefetchStatus.serversProcessed - prefetchStatus.skippedServers} servidores actualizados, ${prefetchStatus.skippedServers} omitidos (ya actualizados después del reset)`, 'Prefetch');
+    logger.success(`Prefetch ${run.status === RUN_STATUS.COMPLETED ? 'completado' : 'pausado'}: ${prefetchStatus.serversProcessed - prefetchStatus.skippedServers} servidores actualizados, ${prefetchStatus.skippedServers} omitidos (ya actualizados después del reset)`, 'Prefetch');
     
     if (prefetchStatus.errors.length > 0) {
         logger.warn(`Se encontraron ${prefetchStatus.errors.length} errores durante el prefetch`, 'Prefetch');
@@ -374,7 +867,15 @@ async function prefetchAllServers(options = {}) {
 }
 
 module.exports = {
+    WORK_STATES,
     initPrefetch,
     prefetchAllServers,
+    resumePrefetch,
+    cancelPrefetch,
+    continuePrefetch,
+    pausePrefetch,
+    getResumablePrefetch,
+    getPrefetchStatus,
+    prioritizeServer,
     prefetchStatus
-};
\ No newline at end of file
+};
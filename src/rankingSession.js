@@ -0,0 +1,381 @@
+/**
+ * Sesiones de descarga de páginas de ranking
+ *
+ * Una sesión abre la primera página de un ranking y permite pedir las siguientes:
+ * - HTTP: pide directamente el listado paginado con axios (sin navegador)
+ * - Navegador: abre la página con Puppeteer y pulsa el botón "Ver más"
+ *
+ * El modo se elige con SCRAPER_MODE (http, browser o auto). En modo auto se intenta
+ * HTTP en cada ejecución y, si la respuesta no sirve, se usa el navegador.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { HEADERS, SELECTORS, SCRAPER_BEHAVIOR, URLS } = require('./config');
+const { acquirePage } = require('./browserPool');
+const { delay } = require('./utils');
+const logger = require('./logger');
+
+// Modos de scraping soportados
+const SCRAPER_MODES = {
+    HTTP: 'http',
+    BROWSER: 'browser',
+    AUTO: 'auto'
+};
+
+// Mensajes de error de Puppeteer que indican que la sesión del navegador se perdió
+const CRITICAL_BROWSER_ERRORS = ['Target closed', 'Session closed', 'frame got detached'];
+
+/**
+ * Indica si un error corresponde a la pérdida de la sesión del navegador
+ * @param {Error} error - Error a comprobar
+ * @returns {boolean}
+ */
+function isCriticalBrowserError(error) {
+    return CRITICAL_BROWSER_ERRORS.some(message => (error.message || '').includes(message));
+}
+
+/**
+ * Cuenta las filas de ranking presentes en un HTML
+ * @param {string} html - HTML a analizar
+ * @returns {number} - Número de filas
+ */
+function countRankingRows(html) {
+    return cheerio.load(html)(SELECTORS.RANKING_ROW).length;
+}
+
+/**
+ * Construye la URL del listado paginado a partir de la URL de la página de ranking
+ * (conserva sus parámetros: ranktype, worldgroupid, worldid, classtype...)
+ * @param {string} rankingUrl - URL de la página de ranking
+ * @param {number} pageNumber - Número de página
+ * @returns {string} - URL del listado
+ */
+function buildListUrl(rankingUrl, pageNumber) {
+    const source = new URL(rankingUrl);
+    const target = new URL(URLS.RANKING_LIST);
+
+    source.searchParams.forEach((value, key) => target.searchParams.set(key, value));
+    target.searchParams.set(SCRAPER_BEHAVIOR.LIST_PAGE_PARAM, pageNumber);
+
+    return target.toString();
+}
+
+/**
+ * El listado devuelve solo filas <tr>; fuera de una tabla el parser HTML las descartaría
+ * @param {string} html - HTML recibido
+ * @returns {string} - HTML con las filas dentro de una tabla
+ */
+function wrapRowsFragment(html) {
+    return /<table[\s>]/i.test(html) ? html : `<table><tbody>${html}</tbody></table>`;
+}
+
+/**
+ * Descarga un HTML con axios
+ * @param {string} url - URL a descargar
+ * @param {Object} extraHeaders - Headers adicionales
+ * @param {AbortSignal} signal - Señal para cancelar la petición
+ * @returns {Promise<string>} - HTML recibido
+ */
+async function fetchHtml(url, extraHeaders = {}, signal) {
+    const response = await axios.get(url, {
+        headers: { ...HEADERS, ...extraHeaders },
+        timeout: SCRAPER_BEHAVIOR.HTTP_TIMEOUT_MS,
+        responseType: 'text',
+        signal
+    });
+
+    if (typeof response.data !== 'string') {
+        throw new Error(`Respuesta inesperada de ${url} (se esperaba HTML)`);
+    }
+
+    return response.data;
+}
+
+/**
+ * Abre una sesión HTTP: descarga la primera página y comprueba que el listado paginado responde
+ * @param {string} url - URL de la página de ranking
+ * @param {string} label - Etiqueta para los logs
+ * @param {AbortSignal} signal - Señal para cancelar las peticiones
+ * @param {boolean} requireListRows - Si es true, falla si la página 2 del listado no tiene filas
+ * @returns {Promise<Object>} - Sesión { mode, cumulative, firstPageHtml, nextPage, close }
+ */
+async function openHttpSession(url, label, signal, requireListRows = false) {
+    logger.scraper(`[HTTP] Descargando ${url}`);
+    const firstPageHtml = await fetchHtml(url, {}, signal);
+
+    if (countRankingRows(firstPageHtml) === 0) {
+        throw new Error('La página no contiene filas de ranking');
+    }
+
+    const listHeaders = { 'X-Requested-With': 'XMLHttpRequest', 'Referer': url };
+    const loadListPage = async (pageNumber) => {
+        const html = await fetchHtml(buildListUrl(url, pageNumber), listHeaders, signal);
+        return wrapRowsFragment(html);
+    };
+
+    // Se pide la página 2 al abrir la sesión: si el listado no responde, el modo auto
+    // aún puede recurrir al navegador antes de empezar
+    let prefetchedPage = null;
+    if (SCRAPER_BEHAVIOR.MAX_PAGES_TO_SCRAPE > 1) {
+        prefetchedPage = await loadListPage(2);
+        // Un listado sin filas puede ser un cambio de formato: en modo auto lo resuelve el navegador
+        if (requireListRows && countRankingRows(prefetchedPage) === 0) {
+            throw new Error('El listado paginado no devolvió filas para la página 2');
+        }
+    }
+
+    return {
+        mode: SCRAPER_MODES.HTTP,
+        cumulative: false, // Cada página contiene solo sus propias filas
+        firstPageHtml,
+
+        async nextPage(pageNumber) {
+            let html;
+
+            if (pageNumber === 2 && prefetchedPage !== null) {
+                html = prefetchedPage;
+                prefetchedPage = null;
+            } else {
+                await delay(SCRAPER_BEHAVIOR.REQUEST_DELAY_MS, signal);
+                logger.scraper(`[HTTP] Descargando página ${pageNumber} de ${label}`);
+                html = await loadListPage(pageNumber);
+            }
+
+            return countRankingRows(html) > 0 ? html : null;
+        },
+
+        async close() {}
+    };
+}
+
+/**
+ * Abre una sesión de navegador con una página prestada del pool de Puppeteer
+ * @param {string} url - URL de la página de ranking
+ * @param {string} label - Etiqueta para los logs y capturas de error
+ * @param {AbortSignal} signal - Señal para cancelar la sesión (cierra la página en curso)
+ * @returns {Promise<Object>} - Sesión { mode, cumulative, firstPageHtml, nextPage, close }
+ */
+async function openBrowserSession(url, label, signal) {
+    signal?.throwIfAborted();
+    const { page, release } = await acquirePage();
+
+    // La espera por un hueco del pool puede ser larga: si se canceló mientras tanto, devolver la página
+    if (signal?.aborted) {
+        await release();
+        signal.throwIfAborted();
+    }
+
+    // Cerrar la página interrumpe la navegación o la espera en curso
+    const onAbort = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Un cierre provocado por la cancelación no indica que el navegador esté roto
+    const isBroken = error => isCriticalBrowserError(error) && !signal?.aborted;
+    const releasePage = broken => {
+        signal?.removeEventListener('abort', onAbort);
+        return release({ broken });
+    };
+
+    try {
+        await page.setDefaultNavigationTimeout(60000); // 60 segundos para la navegación
+        await page.setDefaultTimeout(30000); // 30 segundos para otras operaciones
+        await page.setViewport({ width: 1280, height: 800 });
+
+        // Establecer los headers
+        await page.setExtraHTTPHeaders(HEADERS);
+
+        // Manejar errores de página
+        page.on('error', error => {
+            logger.error(`Error de página para ${label}: ${error}`, 'Scraper');
+        });
+
+        // Navegar a la página de ranking
+        logger.scraper(`Navegando a ${url}`);
+        await page.goto(url, {
+            waitUntil: 'networkidle2',
+            timeout: 60000
+        });
+
+        // Aceptar cookies si aparece el diálogo
+        try {
+            logger.scraper('Comprobando si hay diálogo de cookies...');
+            const cookieButton = await page.$(SELECTORS.COOKIE_ACCEPT_BUTTON);
+            if (cookieButton) {
+                await cookieButton.click();
+                logger.scraper('Aceptadas las cookies');
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        } catch (cookieError) {
+            logger.debug('No se encontró diálogo de cookies');
+        }
+
+        const firstPageHtml = await page.content();
+        let broken = false;
+
+        return {
+            mode: SCRAPER_MODES.BROWSER,
+            cumulative: true, // Cada clic añade filas a la misma página
+            firstPageHtml,
+
+            async nextPage(pageNumber) {
+                signal?.throwIfAborted();
+                try {
+                    return await loadMoreRows(page, label, pageNumber);
+                } catch (error) {
+                    signal?.throwIfAborted();
+                    broken = isBroken(error);
+                    throw error;
+                }
+            },
+
+            // Devuelve la página al pool (si la sesión del navegador se perdió, el pool lo relanza)
+            close: () => releasePage(broken)
+        };
+    } catch (error) {
+        await releasePage(isBroken(error));
+        signal?.throwIfAborted();
+        throw error;
+    }
+}
+
+/**
+ * Pulsa el botón "Ver más" y devuelve el HTML de la página con las nuevas filas
+ * @param {Object} page - Página de Puppeteer
+ * @param {string} label - Etiqueta para los logs y capturas de error
+ * @param {number} pageNumber - Número de la página que se va a cargar
+ * @returns {Promise<string|null>} - HTML actualizado o null si no hay más páginas
+ */
+async function loadMoreRows(page, label, pageNumber) {
+    try {
+        // Comprobar si existe el botón "Ver más"
+        logger.scraper(`Buscando botón "Ver más" con selector: ${SELECTORS.LOAD_MORE_BUTTON}`);
+
+        // Esperar a que el botón sea visible y esté habilitado
+        await page.waitForSelector(SELECTORS.LOAD_MORE_BUTTON, {
+            visible: true,
+            timeout: SCRAPER_BEHAVIOR.WAIT_FOR_SELECTOR_MS
+        }).catch(err => {
+            logger.debug(`Botón no encontrado: ${err.message}`, 'Scraper');
+            return null;
+        });
+
+        const loadMoreButton = await page.$(SELECTORS.LOAD_MORE_BUTTON);
+        if (!loadMoreButton) {
+            logger.scraper('No hay más páginas para cargar (botón no encontrado)');
+            return null;
+        }
+
+        // Hacer clic en el botón y esperar a que se carguen los datos
+        logger.scraper(`Haciendo clic para cargar página ${pageNumber}...`);
+
+        // Extraer el texto del botón para debugging
+        const buttonText = await page.evaluate(button => button.textContent, loadMoreButton)
+            .catch(err => {
+                logger.debug(`No se pudo obtener texto del botón: ${err.message}`, 'Scraper');
+                return "Desconocido";
+            });
+        logger.scraper(`Texto del botón: "${buttonText}"`);
+
+        // Contar elementos antes del clic
+        const countBefore = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
+            .catch(err => {
+                logger.debug(`Error al contar elementos: ${err.message}`, 'Scraper');
+                return 0;
+            });
+        logger.scraper(`Elementos antes del clic: ${countBefore}`);
+
+        // Hacer clic en el botón
+        await loadMoreButton.click().catch(err => {
+            logger.error(`Error al hacer clic en el botón: ${err.message}`, 'Scraper');
+            throw err; // Propagar el error
+        });
+
+        // Esperar a que se carguen los nuevos datos con manejo de errores
+        logger.scraper(`Esperando a que se carguen nuevos datos...`);
+        try {
+            await page.waitForFunction(
+                (previousCount, selector) => {
+                    const currentCount = document.querySelectorAll(selector).length;
+                    return currentCount > previousCount;
+                },
+                { timeout: SCRAPER_BEHAVIOR.WAIT_FOR_NAVIGATION_MS },
+                countBefore,
+                SELECTORS.RANKING_ROW
+            );
+        } catch (waitError) {
+            logger.error(`Error al esperar nuevos datos: ${waitError.message}`, 'Scraper');
+            // Verificar si la página todavía está disponible
+            if (isCriticalBrowserError(waitError)) {
+                throw waitError; // Propagar errores críticos
+            }
+            // Para otros errores, se detiene la carga de páginas
+            return null;
+        }
+
+        // Esperar un tiempo adicional para asegurar que todo se haya cargado
+        await new Promise(resolve => setTimeout(resolve, SCRAPER_BEHAVIOR.WAIT_BETWEEN_CLICKS_MS));
+
+        // Contar elementos después del clic
+        const countAfter = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
+            .catch(err => {
+                logger.debug(`Error al contar elementos después: ${err.message}`, 'Scraper');
+                return 0;
+            });
+        logger.scraper(`Elementos después del clic: ${countAfter} (añadidos: ${countAfter - countBefore})`);
+
+        return await page.content();
+    } catch (btnError) {
+        logger.error(`Error al cargar más páginas: ${btnError}`, 'Scraper');
+
+        // Verificar si es un error crítico relacionado con el cierre de sesión
+        if (isCriticalBrowserError(btnError)) {
+            throw btnError; // Propagar el error para reintentar
+        }
+
+        // Para otros errores, intentamos tomar una captura y se detiene la carga de páginas
+        const screenshotPath = `error_${label.replace(/\s*>\s*/g, '_').replace(/[^\w-]/g, '_')}_page_${pageNumber - 1}.png`;
+        await page.screenshot({ path: screenshotPath })
+            .then(() => logger.scraper(`Se guardó una captura de pantalla en ${screenshotPath}`))
+            .catch(screenshotError => logger.error(`No se pudo tomar captura de pantalla: ${screenshotError.message}`, 'Scraper'));
+        return null;
+    }
+}
+
+/**
+ * Abre una sesión de ranking según el modo configurado (SCRAPER_MODE)
+ * @param {string} url - URL de la página de ranking
+ * @param {string} label - Etiqueta para los logs
+ * @param {Object} options - { mode (por defecto el configurado), signal (AbortSignal para cancelar la descarga) }
+ * @returns {Promise<Object>} - Sesión { mode, cumulative, firstPageHtml, nextPage, close }
+ */
+async function openRankingSession(url, label, options = {}) {
+    const { mode = SCRAPER_BEHAVIOR.MODE, signal } = options;
+
+    if (mode === SCRAPER_MODES.BROWSER) {
+        return openBrowserSession(url, label, signal);
+    }
+
+    try {
+        return await openHttpSession(url, label, signal, mode !== SCRAPER_MODES.HTTP);
+    } catch (error) {
+        // Una cancelación no es motivo para recurrir al navegador
+        signal?.throwIfAborted();
+
+        if (mode === SCRAPER_MODES.HTTP) {
+            throw error;
+        }
+
+        logger.warn(`Modo HTTP no disponible para ${label} (${error.message}), usando el navegador`, 'Scraper');
+        logger.metric('scraper_http_fallback', 1);
+        return openBrowserSession(url, label, signal);
+    }
+}
+
+module.exports = {
+    SCRAPER_MODES,
+    isCriticalBrowserError,
+    buildListUrl,
+    fetchHtml,
+    openRankingSession
+};
@@ -1,188 +1,292 @@
 /**
  * Módulo para gestionar límites de tasa (rate limiting) para la API
  * Protege contra uso excesivo y abuse de la API
+ *
+ * Una solicitud con una clave de API válida (X-API-Key o api_key) cuenta solo para su clave
+ * (RATE_LIMIT_KEY_MAX); el resto, incluidas las que envían una clave no válida, cuentan para su
+ * IP (RATE_LIMIT_MAX). Las reglas por ruta
+ * (RATE_LIMIT_RULES y DEFAULT_ROUTE_RULES) tienen su propio contador; el resto de rutas
+ * comparten el límite general (RATE_LIMIT_MAX en RATE_LIMIT_WINDOW minutos).
+ *
+ * Los contadores son ventanas fijas guardadas en el almacén de estado (ver stateStore), así que con
+ * STATE_STORE=redis todas las instancias de la API comparten la misma cuota.
  */
 
+const { CONFIG } = require('./config');
 const logger = require('./logger');
+const { getStateStore } = require('./stateStore');
+const { normalizeRequestPath } = require('./utils');
+const { authenticateApiKey } = require('./apiKeys');
 
-// Configuración de límites por defecto
-const DEFAULT_LIMITS = {
-    // Límite general para todas las rutas
-    global: {
-        windowMs: 60 * 1000,         // 1 minuto
-        maxRequests: 60,             // 60 solicitudes por minuto
-        message: 'Demasiadas solicitudes, por favor intente nuevamente en un minuto.'
+// Reglas por ruta predeterminadas; las de RATE_LIMIT_RULES se comprueban antes
+// route admite globs (* dentro de un segmento, ** cualquier cosa) o expresiones con el prefijo regex:
+const DEFAULT_ROUTE_RULES = [
+    {
+        route: '/api/rankings/refresh',
+        methods: ['POST'],
+        windowMs: 5 * 60 * 1000,      // 5 minutos
+        maxRequests: 1,               // 1 solicitud cada 5 minutos
+        message: 'Operación de actualización limitada a una vez cada 5 minutos.'
     },
-    // Límite para rutas específicas
-    routes: {
-        '/api/refresh': {
-            windowMs: 5 * 60 * 1000,  // 5 minutos
-            maxRequests: 1,           // 1 solicitud cada 5 minutos
-            message: 'Operación de actualización limitada a una vez cada 5 minutos.'
-        },
-        '/api/cache/clear': {
-            windowMs: 60 * 1000,      // 1 minuto
-            maxRequests: 2,           // 2 solicitudes por minuto
-            message: 'Operación de limpieza de caché limitada a 2 veces por minuto.'
-        }
+    {
+        route: '/api/refresh',
+        windowMs: 5 * 60 * 1000,      // 5 minutos
+        maxRequests: 1,               // 1 solicitud cada 5 minutos
+        message: 'Actualización de todos los servidores limitada a una vez cada 5 minutos.'
+    },
+    {
+        route: '/api/cache/clear',
+        methods: ['POST'],
+        windowMs: 60 * 1000,          // 1 minuto
+        maxRequests: 2,               // 2 solicitudes por minuto
+        message: 'Operación de limpieza de caché limitada a 2 veces por minuto.'
     }
-};
+];
 
-// Almacenamiento de solicitudes por IP
-const requestStore = new Map();
+// Prefijo de los contadores en el almacén de estado ("ratelimit:<regla>|<identidad>")
+const COUNTER_PREFIX = 'ratelimit:';
 
 /**
- * Limpia entradas antiguas del almacén de solicitudes
+ * Convierte un glob de rutas en expresión regular
+ * Como las rutas de Express, no distingue mayúsculas y admite una barra final
+ * @param {string} glob - Ruta con * (un segmento) y ** (cualquier número de segmentos)
+ * @returns {RegExp}
  */
-function cleanupStore() {
-    const now = Date.now();
-    
-    requestStore.forEach((data, ip) => {
-        // Limpiar contadores obsoletos
-        Object.keys(data.counters).forEach(route => {
-            const routeData = data.counters[route];
-            
-            // Filtrar solo las solicitudes dentro de la ventana de tiempo activa
-            const activeRequests = routeData.requests.filter(timestamp => {
-                const windowMs = getRouteLimit(route).windowMs;
-                return now - timestamp < windowMs;
-            });
-            
-            if (activeRequests.length === 0) {
-                // Eliminar el contador de esta ruta si no hay solicitudes activas
-                delete data.counters[route];
-            } else {
-                // Actualizar la lista de solicitudes activas
-                routeData.requests = activeRequests;
-            }
-        });
-        
-        // Si no hay contadores para esta IP, eliminarla del almacén
-        if (Object.keys(data.counters).length === 0) {
-            requestStore.delete(ip);
-        }
-    });
+function globToRegExp(glob) {
+    const pattern = glob
+        .split(/(\*\*|\*)/)
+        .map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${pattern}/?$`, 'i');
+}
+
+/**
+ * Valida una regla y prepara su expresión de ruta
+ * @param {Object} rule - { route, methods, windowMs, maxRequests, keyMaxRequests, message }
+ * @returns {Object|null} - Regla compilada o null si no es válida
+ */
+function compileRule(rule) {
+    const { route, methods, windowMs, maxRequests, keyMaxRequests, message } = rule || {};
+
+    if (typeof route !== 'string' || !route || !(windowMs > 0) || !(maxRequests > 0)) {
+        logger.error(`Regla de rate limiting no válida (se necesitan route, windowMs y maxRequests): ${JSON.stringify(rule)}`, 'RateLimit');
+        return null;
+    }
+
+    let matcher;
+    try {
+        matcher = route.startsWith('regex:') ? new RegExp(route.slice('regex:'.length), 'i') : globToRegExp(route);
+    } catch (error) {
+        logger.error(`Expresión no válida en la regla de rate limiting ${route}: ${error.message}`, 'RateLimit');
+        return null;
+    }
+
+    return {
+        id: route,
+        matcher,
+        methods: Array.isArray(methods) ? methods.map(method => method.toUpperCase()) : null,
+        windowMs,
+        maxRequests,
+        keyMaxRequests: keyMaxRequests > 0 ? keyMaxRequests : maxRequests,
+        message: message || `Demasiadas solicitudes a ${route}, por favor intente nuevamente más tarde.`
+    };
 }
 
 /**
- * Obtiene la configuración de límites para una ruta específica
- * @param {string} route - Ruta de la solicitud
- * @returns {Object} - Configuración de límites
+ * Carga las reglas por ruta: primero las de RATE_LIMIT_RULES y después las predeterminadas
+ * @param {string} rulesJson - JSON con un array de reglas
+ * @returns {Array<Object>} - Reglas compiladas
  */
-function getRouteLimit(route) {
-    // Buscar primero una configuración específica para la ruta
-    for (const [pattern, config] of Object.entries(DEFAULT_LIMITS.routes)) {
-        // Coincidencia exacta de ruta
-        if (route === pattern) {
-            return config;
+function loadRouteRules(rulesJson) {
+    let configured = [];
+
+    if (rulesJson) {
+        try {
+            configured = JSON.parse(rulesJson);
+            if (!Array.isArray(configured)) {
+                throw new Error('se esperaba un array de reglas');
+            }
+        } catch (error) {
+            logger.error(`RATE_LIMIT_RULES no es válido, se usan las reglas predeterminadas: ${error.message}`, 'RateLimit');
+            configured = [];
         }
-        
-        // En el futuro podemos agregar soporte para patrones más complejos con expresiones regulares
     }
-    
-    // Si no hay configuración específica, usar la configuración global
-    return DEFAULT_LIMITS.global;
+
+    return [...configured, ...DEFAULT_ROUTE_RULES].map(compileRule).filter(Boolean);
 }
 
 /**
- * Verifica si una solicitud debe ser limitada
- * @param {string} ip - Dirección IP del cliente
- * @param {string} route - Ruta solicitada
- * @returns {Object} - Resultado de la verificación {limited, message, resetTime}
+ * Obtiene la regla que se aplica a una solicitud
+ * @param {string} path - Ruta de la solicitud (sin query); se normaliza para que /API/x/ cuente como /api/x
+ * @param {string} method - Método HTTP
+ * @param {Array<Object>} rules - Reglas por ruta compiladas
+ * @param {Object} globalRule - Regla general
+ * @returns {Object} - Regla de la ruta o la general
  */
-function shouldLimit(ip, route) {
+function getRouteLimit(path, method, rules, globalRule) {
+    const normalized = normalizeRequestPath(path);
+    const rule = rules.find(candidate =>
+        candidate.matcher.test(normalized) && (!candidate.methods || candidate.methods.includes(method.toUpperCase()))
+    );
+    return rule || globalRule;
+}
+
+/**
+ * Cuenta una solicitud en todos sus contadores y verifica si debe ser limitada
+ * @param {Array<Object>} identities - Identidades { id, maxRequests } que cuentan la solicitud (IP, clave de API)
+ * @param {Object} rule - Regla aplicada
+ * @param {Object} store - Almacén de estado (por defecto, el compartido)
+ * @returns {Promise<Object>} - Resultado de la verificación { limited, message, limit, remaining, resetTime, windowMs }
+ */
+async function shouldLimit(identities, rule, store = getStateStore()) {
     const now = Date.now();
-    const routeLimit = getRouteLimit(route);
-    
-    // Inicializar datos de la IP si no existen
-    if (!requestStore.has(ip)) {
-        requestStore.set(ip, {
-            counters: {},
-            lastRequest: now
-        });
-    }
-    
-    const ipData = requestStore.get(ip);
-    
-    // Inicializar contador de ruta si no existe
-    if (!ipData.counters[route]) {
-        ipData.counters[route] = {
-            requests: []
-        };
-    }
-    
-    const routeData = ipData.counters[route];
-    
-    // Filtrar las solicitudes dentro de la ventana de tiempo actual
-    const windowMs = routeLimit.windowMs;
-    routeData.requests = routeData.requests.filter(timestamp => now - timestamp < windowMs);
-    
-    // Verificar si se ha excedido el límite
-    const requestsCount = routeData.requests.length;
-    const limited = requestsCount >= routeLimit.maxRequests;
-    
-    // Si no está limitado, registrar la solicitud actual
-    if (!limited) {
-        routeData.requests.push(now);
-        ipData.lastRequest = now;
-    }
-    
-    // Calcular tiempo de reseteo
-    let resetTime = 0;
-    if (routeData.requests.length > 0) {
-        // El tiempo de reseteo es cuando expire la solicitud más antigua
-        resetTime = routeData.requests[0] + windowMs;
-    }
-    
+
+    // Cada contador empieza su ventana con la primera solicitud y caduca al terminarla
+    const counters = await Promise.all(identities.map(async ({ id, maxRequests }) => {
+        const { count, ttlMs } = await store.increment(`${COUNTER_PREFIX}${rule.id}|${id}`, rule.windowMs);
+        return { count, maxRequests, resetTime: now + (ttlMs !== null ? ttlMs : rule.windowMs) };
+    }));
+
+    const limited = counters.some(({ count, maxRequests }) => count > maxRequests);
+
+    // Las cabeceras describen el contador más restrictivo
+    const tightest = counters
+        .map(({ count, maxRequests, resetTime }) => ({
+            limit: maxRequests,
+            remaining: Math.max(0, maxRequests - count),
+            resetTime
+        }))
+        .sort((a, b) => a.remaining - b.remaining || b.resetTime - a.resetTime)[0];
+
     return {
         limited,
-        message: routeLimit.message,
-        resetTime,
-        remaining: Math.max(0, routeLimit.maxRequests - requestsCount),
-        limit: routeLimit.maxRequests,
-        windowMs
+        message: rule.message,
+        limit: tightest.limit,
+        remaining: tightest.remaining,
+        resetTime: tightest.resetTime,
+        windowMs: rule.windowMs
     };
 }
 
+/**
+ * Obtiene la clave de API de la solicitud, si la envía
+ * @param {Object} req - Solicitud Express
+ * @returns {string|null}
+ */
+function getRequestApiKey(req) {
+    const key = req.get('X-API-Key') || (req.query && req.query.api_key);
+    return typeof key === 'string' && key ? key : null;
+}
+
+/**
+ * Comprueba la clave de API de la solicitud y la deja en req.apiKey (requireApiKey ya no la vuelve a comprobar)
+ * @param {Object} req - Solicitud Express
+ * @param {Function} authenticate - Función que valida una clave (por defecto, authenticateApiKey)
+ * @returns {Promise<Object|null>} - { name, scope } o null si no envía una clave válida
+ */
+async function resolveApiKey(req, authenticate) {
+    if (req.apiKey) {
+        return req.apiKey;
+    }
+
+    const key = getRequestApiKey(req);
+    if (!key) {
+        return null;
+    }
+
+    try {
+        req.apiKey = await authenticate(key);
+    } catch (error) {
+        // Sin poder comprobarla, la solicitud cuenta como anónima
+        logger.error(`No se pudo comprobar la clave de API para el límite de tasa: ${error.message}`, 'RateLimit');
+        return null;
+    }
+
+    return req.apiKey;
+}
+
 /**
  * Middleware Express para limitar tasas de solicitudes
+ * Se aplica una sola vez, en index.js
+ * @param {Object} options - Sustituye a la configuración (enabled, maxRequests, keyMaxRequests, windowMs, rules, store, authenticate)
  * @returns {Function} - Middleware Express
  */
-function createRateLimiter() {
-    // Ejecutar limpieza del almacén cada 5 minutos
-    setInterval(cleanupStore, 5 * 60 * 1000);
-    
-    return function rateLimiter(req, res, next) {
-        const ip = req.ip || req.connection.remoteAddress;
-        const route = req.originalUrl || req.url;
-        
-        const result = shouldLimit(ip, route);
-        
-        // Añadir encabezados de límite de tasa
-        res.setHeader('X-RateLimit-Limit', result.limit);
-        res.setHeader('X-RateLimit-Remaining', result.remaining);
-        res.setHeader('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000));
-        
+function createRateLimiter(options = {}) {
+    const {
+        enabled = CONFIG.RATE_LIMIT_ENABLED,
+        maxRequests = CONFIG.RATE_LIMIT_MAX,
+        keyMaxRequests = CONFIG.RATE_LIMIT_KEY_MAX,
+        windowMs = CONFIG.RATE_LIMIT_WINDOW_MS,
+        rules = CONFIG.RATE_LIMIT_RULES,
+        store = null,
+        authenticate = authenticateApiKey
+    } = options;
+
+    const globalRule = {
+        id: 'global',
+        windowMs,
+        maxRequests,
+        keyMaxRequests: keyMaxRequests > 0 ? keyMaxRequests : maxRequests,
+        message: `Demasiadas solicitudes, por favor intente nuevamente en ${Math.ceil(windowMs / 60000)} minutos.`
+    };
+    const routeRules = loadRouteRules(rules);
+
+    return async function rateLimiter(req, res, next) {
+        if (!enabled) {
+            return next();
+        }
+
+        const ip = req.ip || req.socket.remoteAddress;
+        const rule = getRouteLimit(req.path, req.method, routeRules, globalRule);
+
+        // Una clave válida tiene su propia cuota; si no, cuenta la IP
+        const apiKey = await resolveApiKey(req, authenticate);
+        const identities = apiKey
+            ? [{ id: `key:${apiKey.name}`, maxRequests: rule.keyMaxRequests }]
+            : [{ id: `ip:${ip}`, maxRequests: rule.maxRequests }];
+
+        let result;
+        try {
+            result = await shouldLimit(identities, rule, store || getStateStore());
+        } catch (error) {
+            // Si el almacén de estado no responde, la API sigue atendiendo sin límite
+            logger.error(`No se pudo comprobar el límite de tasa, se deja pasar la solicitud: ${error.message}`, 'RateLimit');
+            return next();
+        }
+        const resetSeconds = Math.max(0, Math.ceil((result.resetTime - Date.now()) / 1000));
+
+        // Cabeceras estándar de límite de tasa (RateLimit-*)
+        res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`);
+        res.setHeader('RateLimit-Limit', result.limit);
+        res.setHeader('RateLimit-Remaining', result.remaining);
+        res.setHeader('RateLimit-Reset', resetSeconds);
+
         if (result.limited) {
             // Registrar evento de limitación
-            logger.warn(`Rate limit alcanzado para ${ip} en ruta ${route}`, 'RateLimit');
+            logger.warn(`Rate limit alcanzado para ${apiKey ? `la clave ${apiKey.name}` : ip} en ${req.method} ${req.path} (regla ${rule.id})`, 'RateLimit');
             logger.metric('rate_limit_exceeded', 1, 'RateLimit');
-            
+
             // Enviar respuesta de error
-            res.status(429).json({
+            res.setHeader('Retry-After', resetSeconds);
+            return res.status(429).json({
                 error: 'Too Many Requests',
                 message: result.message,
-                retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
+                retryAfter: resetSeconds
             });
-        } else {
-            next(); // Continuar con la siguiente función middleware
         }
+
+        next(); // Continuar con la siguiente función middleware
     };
 }
 
 module.exports = {
+    DEFAULT_ROUTE_RULES,
     createRateLimiter,
     shouldLimit,
     getRouteLimit,
-    cleanupStore
-};
\ No newline at end of file
+    globToRegExp
+};
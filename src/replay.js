@@ -0,0 +1,123 @@
+/**
+ * Reprocesado de páginas archivadas
+ *
+ * Vuelve a pasar por el parser las descargas de htmlArchive.js y guarda el resultado como snapshot
+ * con la fecha original de la descarga (fuente 'replay'). Sirve para recuperar los rankings de
+ * descargas que se parsearon mal, por ejemplo tras corregir un selector o activar un perfil nuevo.
+ * Si el resultado coincide con el snapshot vigente en esa fecha no se duplica.
+ */
+
+const { RANKING_TYPES, DEFAULT_RANKING_TYPE } = require('./config');
+const { listArchivedRuns, readArchivedPages } = require('./htmlArchive');
+const { parseRankingHtml, parseClanRankingHtml, mergeRankings, playerKey, clanKey } = require('./scraper');
+const { checkRankingHealth } = require('./parserHealth');
+const { initDatabase, insertRankingSnapshot, insertClanSnapshot, insertTypedRankingSnapshot } = require('./database');
+const logger = require('./logger');
+
+/**
+ * Reprocesa las descargas archivadas que cumplan los filtros
+ * @param {Object} filters - { server, kind ('players' o 'clans'), type, classType, fromDate, toDate } (ver listArchivedRuns)
+ * @param {Object} options - { dryRun: solo parsear y comprobar, sin guardar snapshots }
+ * @returns {Promise<Object>} - { timestamp, dryRun, runs, saved, unchanged, parsed, failed, results }
+ */
+async function replayArchive(filters = {}, options = {}) {
+    const { dryRun = false } = options;
+    const runs = listArchivedRuns(filters);
+    const summary = { timestamp: new Date().toISOString(), dryRun, runs: runs.length, saved: 0, unchanged: 0, parsed: 0, failed: 0, results: [] };
+
+    logger.info(`Reprocesando ${runs.length} descargas archivadas${dryRun ? ' (sin guardar)' : ''}...`, 'Replay');
+
+    if (!dryRun) {
+        await initDatabase();
+    }
+
+    for (const run of runs) {
+        const result = await replayRun(run, dryRun);
+        summary[result.status]++;
+        summary.results.push(result);
+    }
+
+    logger.success(`Reprocesado completado: ${summary.saved} snapshots guardados, ${summary.unchanged} sin cambios, ${summary.parsed} parseados y ${summary.failed} fallidos`, 'Replay');
+    return summary;
+}
+
+/**
+ * Reprocesa una descarga archivada
+ * @param {Object} run - Descarga devuelta por listArchivedRuns
+ * @param {boolean} dryRun - Solo parsear y comprobar
+ * @returns {Promise<Object>} - { run, server, kind, type, classType, timestamp, pages, entries, status, snapshotId?, problems? }
+ */
+async function replayRun(run, dryRun) {
+    const result = {
+        run: run.id,
+        server: run.server,
+        kind: run.kind,
+        type: run.type,
+        classType: run.classType,
+        timestamp: run.timestamp,
+        pages: run.pages,
+        entries: 0
+    };
+    const isClans = run.kind === 'clans';
+
+    try {
+        if (!isClans && !RANKING_TYPES[run.type]) {
+            throw new Error(`Tipo de ranking no soportado: ${run.type}`);
+        }
+
+        const pages = readArchivedPages(run);
+        if (pages.length === 0) {
+            throw new Error('La descarga no tiene páginas archivadas');
+        }
+
+        // Las páginas del navegador acumulan las filas anteriores; mergeRankings descarta las repetidas
+        const parse = isClans ? parseClanRankingHtml : html => parseRankingHtml(html, run.type);
+        const firstPage = parse(pages[0].html);
+        const entries = pages.slice(1).reduce(
+            (current, page) => mergeRankings(current, parse(page.html), isClans ? clanKey : playerKey),
+            firstPage
+        );
+        result.entries = entries.length;
+
+        // Mismas comprobaciones que en el scraping, sin poner el HTML en cuarentena
+        const problems = [
+            ...checkRankingHealth({ html: pages[0].html, rankings: firstPage, checkClass: !isClans }).problems,
+            ...checkRankingHealth({ rankings: entries, checkClass: !isClans }).problems
+        ];
+        if (entries.length === 0) {
+            problems.push('No se encontraron entradas en las páginas archivadas');
+        }
+        if (problems.length > 0) {
+            logger.warn(`Descarga ${run.id} descartada: ${problems.join('; ')}`, 'Replay');
+            return { ...result, status: 'failed', problems: [...new Set(problems)] };
+        }
+
+        if (dryRun) {
+            return { ...result, status: 'parsed' };
+        }
+
+        let snapshot;
+        if (isClans) {
+            snapshot = await insertClanSnapshot(entries, run.server, 'replay', { timestamp: run.timestamp });
+        } else if (run.type === DEFAULT_RANKING_TYPE && !run.classType) {
+            snapshot = await insertRankingSnapshot(entries, run.server, 'replay', { timestamp: run.timestamp });
+        } else {
+            snapshot = await insertTypedRankingSnapshot(entries, run.server, {
+                type: run.type,
+                classType: run.classType,
+                valueField: RANKING_TYPES[run.type].valueField,
+                source: 'replay',
+                timestamp: run.timestamp
+            });
+        }
+
+        return { ...result, status: snapshot.duplicate ? 'unchanged' : 'saved', snapshotId: snapshot.id };
+    } catch (error) {
+        logger.error(`Error al reprocesar la descarga ${run.id}: ${error.message}`, 'Replay');
+        return { ...result, status: 'failed', problems: [error.message] };
+    }
+}
+
+module.exports = {
+    replayArchive
+};
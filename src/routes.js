@@ -3,18 +3,56 @@
  */
 
 const express = require('express');
-const { fetchRankingData, fetchServerRankingData, buildServerUrl } = require('./scraper');
+const { fetchRankingData, fetchServerRankingData, fetchClanRankingData, fetchTypedRankingData, buildServerUrl, resolveClassType, debugRankingHtml } = require('./scraper');
 const { getQueryCache, setQueryCache, clearCache, getCacheStats, getServerCache } = require('./cache');
-const { SERVER_REGIONS, CONFIG } = require('./config');
+const { getBrowserPoolStatus } = require('./browserPool');
+const { getParserHealthStatus } = require('./parserHealth');
+const { getSelectorProfileStatus, reloadProfiles } = require('./selectorProfiles');
+const { replayArchive } = require('./replay');
+const { listScrapedHtml, findScrapedHtml } = require('./utils');
+const { requireApiKey, issueApiKey, revokeApiKey, listApiKeys, API_KEY_SCOPES } = require('./apiKeys');
+const { CONFIG, RANKING_TYPES, DEFAULT_RANKING_TYPE, CLASS_TYPES } = require('./config');
+const { getServerRegions, findServerRegion, discoverServers, getServerCatalogStatus } = require('./serverCatalog');
+const { fetchCharacterDetails, refreshTopCharacterDetails, getCharacterDetailsStatus } = require('./characterDetails');
+const {
+    getCharacter,
+    getCharacterDetails,
+    getCharacterRankingHistory,
+    getServerMerges,
+    getServerLineage,
+    getClanHistory,
+    getClanMembers,
+    recordServerMerge,
+    deleteServerMerge,
+    getSnapshotsList,
+    getSnapshotDetails,
+    getSnapshot,
+    getLatestSnapshot,
+    getEarliestSnapshot,
+    getSnapshotDiff,
+    getScrapeLocks
+} = require('./database');
+const { getInFlightKeys } = require('./scrapeLock');
 const logger = require('./logger');
 
 const router = express.Router();
 
-// Importar middleware de Rate Limiting
-const { rateLimiterMiddleware } = require('./rateLimit');
+// Límites de paginación para los endpoints de histórico
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
 
-// Aplicar middleware de Rate Limiting a todas las rutas
-router.use(rateLimiterMiddleware);
+// Tamaño de cada lista (subidas, bajadas, etc.) en los resúmenes de cambios
+const DEFAULT_DIFF_TOP = 10;
+const MAX_DIFF_TOP = 100;
+
+// El rate limiting se aplica una sola vez para toda la aplicación (index.js)
+
+// Con API_KEY_ENABLED=true las rutas que lanzan descargas o modifican datos exigen una clave 'admin'
+// (el resto, salvo / y /docs, una clave 'read'; ver src/apiKeys.js)
+const requireAdmin = requireApiKey('admin');
+
+// Las consultas con ?refresh=true descargan en el momento, así que también exigen una clave 'admin'
+const requireAdminToRefresh = (req, res, next) => (req.query.refresh === 'true' ? requireAdmin(req, res, next) : next());
 
 // Endpoint para la ruta raíz con información básica
 router.get('/', (req, res) => {
@@ -33,7 +71,15 @@ router.get('/', (req, res) => {
                 '/rankings/clan/:clan': 'Buscar por clan',
                 '/rankings/class/:className': 'Filtrar por clase',
                 '/servers': 'Listar todas las regiones y servidores disponibles',
-                '/rankings/search/:characterName': 'Buscar un personaje en todos los servidores'
+                '/rankings/search/:characterName': 'Buscar un personaje en todos los servidores',
+                '/history/characters/:server/:name': 'Histórico de ranking y poder de un personaje',
+                '/snapshots': 'Listar los snapshots de rankings almacenados',
+                '/servers/:region/:server/changes': 'Resumen de cambios de un servidor desde una fecha',
+                '/clans/ranking/:region/:server': 'Ranking de clanes de un servidor',
+                '/ranking-types': 'Tipos de ranking (type=) y clases (class=) disponibles',
+                '/characters/:server/:name': 'Ficha de un personaje (nivel, puntuaciones y logros)',
+                '/status': 'Estado de la recolección de datos por servidor',
+                '/debug/:fileId': 'Depurar el parser con una página HTML guardada'
             },
             documentation: '/docs',
             status: 'active'
@@ -54,6 +100,7 @@ router.get('/docs', (req, res) => {
             version: '1.0.0',
             description: 'API para consultar rankings de jugadores en MIR4, permitiendo búsquedas por servidor, clan, clase y personaje.',
             baseUrl: `${req.protocol}://${req.get('host')}`,
+            autenticacion: 'Con API_KEY_ENABLED=true todas las rutas salvo / y /docs requieren una clave en la cabecera X-API-Key (o el parámetro api_key); /admin/*, /debug, /refresh, las rutas POST que lanzan descargas o modifican datos y las fichas y rankings de clanes pedidos con ?refresh=true requieren una clave con alcance admin',
             endpoints: [
                 {
                     path: '/',
@@ -134,6 +181,20 @@ router.get('/docs', (req, res) => {
                     parameters: [],
                     response: 'Objeto JSON con todas las regiones y servidores organizados jerárquicamente'
                 },
+                {
+                    path: '/servers/discover',
+                    method: 'POST',
+                    description: 'Descubrir regiones y servidores en los desplegables de la página del ranking',
+                    parameters: [],
+                    response: 'Objeto JSON con confirmación de inicio y el resultado del descubrimiento anterior'
+                },
+                {
+                    path: '/servers/catalog',
+                    method: 'GET',
+                    description: 'Ver el estado del catálogo de servidores y el último descubrimiento',
+                    parameters: [],
+                    response: 'Objeto JSON con el número de regiones y servidores y los servidores nuevos o con IDs corregidos'
+                },
                 {
                     path: '/rankings/region/:region/server/:server',
                     method: 'GET',
@@ -141,10 +202,29 @@ router.get('/docs', (req, res) => {
                     parameters: [
                         { name: 'region', type: 'string', description: 'Nombre de la región' },
                         { name: 'server', type: 'string', description: 'Nombre del servidor' },
+                        { name: 'type', type: 'string', description: `Opcional. Tipo de ranking (${Object.keys(RANKING_TYPES).join(', ')}); por defecto ${DEFAULT_RANKING_TYPE}`, in: 'query' },
+                        { name: 'class', type: 'string', description: 'Opcional. Clase del ranking por clase (nombre o valor de classtype=)', in: 'query' },
                         { name: 'refresh', type: 'boolean', description: 'Opcional. Si es "true" fuerza una actualización del caché', in: 'query' }
                     ],
+                    response: 'Array de objetos con jugadores del servidor específico (el valor del ranking va en el campo propio de su tipo: powerScore en el ranking de poder)'
+                },
+                {
+                    path: '/server/:regionName/:serverName',
+                    method: 'GET',
+                    description: 'Alias de /rankings/region/:region/server/:server (admite los mismos parámetros de query)',
+                    parameters: [
+                        { name: 'regionName', type: 'string', description: 'Nombre de la región' },
+                        { name: 'serverName', type: 'string', description: 'Nombre del servidor' }
+                    ],
                     response: 'Array de objetos con jugadores del servidor específico'
                 },
+                {
+                    path: '/ranking-types',
+                    method: 'GET',
+                    description: 'Listar los tipos de ranking y las clases que admite el parámetro type/class',
+                    parameters: [],
+                    response: 'Objeto JSON con los tipos de ranking y las clases'
+                },
                 {
                     path: '/rankings/search/:characterName',
                     method: 'GET',
@@ -163,6 +243,256 @@ router.get('/docs', (req, res) => {
                     ],
                     response: 'Array de objetos con los resultados encontrados en todos los servidores'
                 },
+                {
+                    path: '/clans/ranking/:region/:server',
+                    method: 'GET',
+                    description: 'Obtener el ranking de clanes de un servidor (se guarda un snapshot en cada descarga)',
+                    parameters: [
+                        { name: 'region', type: 'string', description: 'Nombre de la región (ej: ASIA1)' },
+                        { name: 'server', type: 'string', description: 'Nombre del servidor (ej: ASIA011)' },
+                        { name: 'refresh', type: 'boolean', description: 'Opcional. Ignorar el caché y descargar el ranking (requiere alcance admin)', in: 'query' }
+                    ],
+                    response: 'Array de clanes con rank, clan, server, leader y powerScore'
+                },
+                {
+                    path: '/clans/:server/:clanName/history',
+                    method: 'GET',
+                    description: 'Obtener el histórico de un clan en el ranking de clanes de su servidor',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Servidor del clan' },
+                        { name: 'clanName', type: 'string', description: 'Nombre exacto del clan' },
+                        { name: 'fromDate', type: 'string', description: 'Opcional. Fecha ISO mínima', in: 'query' },
+                        { name: 'toDate', type: 'string', description: 'Opcional. Fecha ISO máxima', in: 'query' },
+                        { name: 'limit', type: 'number', description: `Opcional. Resultados por página (máximo ${MAX_PAGE_SIZE})`, in: 'query' },
+                        { name: 'offset', type: 'number', description: 'Opcional. Desplazamiento para la paginación', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con las entradas históricas del clan y la paginación. 404 si el clan no aparece en ningún snapshot'
+                },
+                {
+                    path: '/clans/:server/:clanName/members',
+                    method: 'GET',
+                    description: 'Obtener los miembros de un clan según el último ranking de jugadores del servidor',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Servidor del clan' },
+                        { name: 'clanName', type: 'string', description: 'Nombre exacto del clan' }
+                    ],
+                    response: 'Objeto JSON con el snapshot de referencia y los jugadores del clan (con su characterId)'
+                },
+                {
+                    path: '/characters/:server/:name',
+                    method: 'GET',
+                    description: 'Obtener la ficha más reciente de un personaje (nivel, prestigio, puntuaciones y logros)',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Servidor del personaje' },
+                        { name: 'name', type: 'string', description: 'Nombre exacto del personaje' },
+                        { name: 'history', type: 'boolean', description: 'Opcional. Incluir las últimas fichas y el histórico de ranking', in: 'query' },
+                        { name: 'refresh', type: 'boolean', description: 'Opcional. Descargar la ficha en este momento antes de responder (requiere alcance admin)', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con el personaje, su ficha (details) y su posición actual. 404 si el personaje no existe'
+                },
+                {
+                    path: '/characters/refresh',
+                    method: 'POST',
+                    description: `Actualizar en segundo plano las fichas de los ${CONFIG.CHARACTER_DETAILS_TOP_N} primeros personajes de cada servidor`,
+                    parameters: [
+                        { name: 'topN', type: 'number', description: 'Opcional. Personajes por servidor', in: 'body' }
+                    ],
+                    response: 'Confirmación de inicio. 409 si ya hay una actualización en curso'
+                },
+                {
+                    path: '/characters/refresh-status',
+                    method: 'GET',
+                    description: 'Estado de la actualización de fichas de personajes',
+                    parameters: [],
+                    response: 'Objeto JSON con running y el resultado de la última actualización'
+                },
+                {
+                    path: '/history/characters/:server/:name',
+                    method: 'GET',
+                    description: 'Obtener el histórico de ranking y poder de un personaje a partir de los snapshots almacenados',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Servidor del personaje' },
+                        { name: 'name', type: 'string', description: 'Nombre exacto del personaje' },
+                        { name: 'fromDate', type: 'string', description: 'Opcional. Fecha ISO mínima', in: 'query' },
+                        { name: 'toDate', type: 'string', description: 'Opcional. Fecha ISO máxima', in: 'query' },
+                        { name: 'limit', type: 'number', description: `Opcional. Resultados por página (máximo ${MAX_PAGE_SIZE})`, in: 'query' },
+                        { name: 'offset', type: 'number', description: 'Opcional. Desplazamiento para la paginación', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con el personaje, el linaje de su servidor, sus entradas históricas (incluidas las de servidores fusionados en el suyo) y la paginación. 404 si el personaje no existe'
+                },
+                {
+                    path: '/servers/:server/lineage',
+                    method: 'GET',
+                    description: 'Obtener el linaje de un servidor: fusiones y renombrados en los que participa',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Nombre del servidor' }
+                    ],
+                    response: 'Objeto JSON con el servidor actual del linaje, sus servidores y las fusiones'
+                },
+                {
+                    path: '/admin/servers/merges',
+                    method: 'GET',
+                    description: 'Listar las fusiones y renombrados de servidores registrados (manuales y detectados)',
+                    parameters: [],
+                    response: 'Objeto JSON con las fusiones registradas'
+                },
+                {
+                    path: '/admin/servers/merges',
+                    method: 'POST',
+                    description: 'Declarar que un servidor se fusionó en otro o se renombró',
+                    parameters: [
+                        { name: 'source', type: 'string', description: 'Servidor que deja de existir (body)' },
+                        { name: 'target', type: 'string', description: 'Servidor que recibe a sus personajes (body)' },
+                        { name: 'mergedAt', type: 'string', description: 'Opcional. Fecha ISO de la fusión (body)' }
+                    ],
+                    response: 'Objeto JSON con la fusión registrada. 409 si crearía un ciclo'
+                },
+                {
+                    path: '/admin/servers/merges/:source',
+                    method: 'DELETE',
+                    description: 'Eliminar la fusión registrada de un servidor',
+                    parameters: [
+                        { name: 'source', type: 'string', description: 'Servidor de origen de la fusión' }
+                    ],
+                    response: 'Objeto JSON con confirmación. 404 si no hay fusión registrada'
+                },
+                {
+                    path: '/snapshots',
+                    method: 'GET',
+                    description: 'Listar los snapshots de rankings almacenados',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Opcional. Filtrar por servidor', in: 'query' },
+                        { name: 'fromDate', type: 'string', description: 'Opcional. Fecha ISO mínima', in: 'query' },
+                        { name: 'toDate', type: 'string', description: 'Opcional. Fecha ISO máxima', in: 'query' },
+                        { name: 'limit', type: 'number', description: `Opcional. Resultados por página (máximo ${MAX_PAGE_SIZE})`, in: 'query' },
+                        { name: 'offset', type: 'number', description: 'Opcional. Desplazamiento para la paginación', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con la lista de snapshots y la paginación'
+                },
+                {
+                    path: '/snapshots/latest',
+                    method: 'GET',
+                    description: 'Obtener el snapshot más reciente con sus entradas',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Opcional. Filtrar por servidor', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con el snapshot y sus entradas. 404 si no hay snapshots'
+                },
+                {
+                    path: '/snapshots/:id',
+                    method: 'GET',
+                    description: 'Obtener un snapshot concreto con sus entradas',
+                    parameters: [
+                        { name: 'id', type: 'number', description: 'ID del snapshot' }
+                    ],
+                    response: 'Objeto JSON con el snapshot y sus entradas. 404 si no existe'
+                },
+                {
+                    path: '/snapshots/:oldId/diff/:newId',
+                    method: 'GET',
+                    description: 'Comparar dos snapshots del mismo servidor',
+                    parameters: [
+                        { name: 'oldId', type: 'number', description: 'ID del snapshot anterior' },
+                        { name: 'newId', type: 'number', description: 'ID del snapshot nuevo' },
+                        { name: 'top', type: 'number', description: `Opcional. Tamaño de cada lista (máximo ${MAX_DIFF_TOP})`, in: 'query' }
+                    ],
+                    response: 'Objeto JSON con nuevos jugadores, bajas, mayores subidas y bajadas y cambios de clan'
+                },
+                {
+                    path: '/servers/:region/:server/changes',
+                    method: 'GET',
+                    description: 'Obtener los cambios de un servidor desde una fecha',
+                    parameters: [
+                        { name: 'region', type: 'string', description: 'Nombre de la región' },
+                        { name: 'server', type: 'string', description: 'Nombre del servidor' },
+                        { name: 'since', type: 'string', description: 'Opcional. Fecha ISO de referencia (por defecto, hace 24 horas)', in: 'query' },
+                        { name: 'top', type: 'number', description: `Opcional. Tamaño de cada lista (máximo ${MAX_DIFF_TOP})`, in: 'query' }
+                    ],
+                    response: 'Objeto JSON con el mismo formato que /snapshots/:oldId/diff/:newId'
+                },
+                {
+                    path: '/parser/health',
+                    method: 'GET',
+                    description: 'Ver el resultado de las comprobaciones de estructura del HTML en cada scraping',
+                    parameters: [],
+                    response: 'Objeto JSON con comprobaciones, fallos, el último fallo (con el id de la cuarentena) y el último resultado de cada scraping'
+                },
+                {
+                    path: '/debug',
+                    method: 'GET',
+                    description: 'Listar las páginas HTML guardadas en SCRAPED_PAGES_DIR que se pueden depurar',
+                    parameters: [],
+                    response: 'Objeto JSON con el directorio y los archivos (id, prefijo, tamaño y fecha) del más reciente al más antiguo'
+                },
+                {
+                    path: '/debug/:fileId',
+                    method: 'GET',
+                    description: 'Pasar el parser del ranking por una página guardada y ver cómo se extrajo cada campo de cada fila',
+                    parameters: [
+                        { name: 'fileId', type: 'string', description: 'Nombre del archivo (con o sin .html) o prefijo con el que se guardó, ej: SA2_SA052_page_6 (se usa el más reciente)' },
+                        { name: 'type', type: 'string', description: `Opcional. Tipo de ranking (${Object.keys(RANKING_TYPES).join(', ')}); por defecto el del prefijo del archivo o ${DEFAULT_RANKING_TYPE}`, in: 'query' }
+                    ],
+                    response: 'Objeto JSON con las filas aceptadas (rankings) y, por fila, el selector de cada campo, la alternativa que encontró elementos, el texto extraído y el valor interpretado'
+                },
+                {
+                    path: '/admin/keys',
+                    method: 'GET',
+                    description: 'Listar las claves de API con su alcance y sus contadores de uso (requiere clave admin si API_KEY_ENABLED=true)',
+                    parameters: [
+                        { name: 'includeRevoked', type: 'boolean', description: 'Opcional. Si es "true" incluye las claves revocadas', in: 'query' }
+                    ],
+                    response: 'Objeto JSON con enabled y las claves (nombre, prefijo, alcance, usageCount, lastUsedAt, createdAt, revokedAt)'
+                },
+                {
+                    path: '/admin/keys',
+                    method: 'POST',
+                    description: 'Emitir una clave de API; la clave en claro solo se devuelve en esta respuesta',
+                    parameters: [
+                        { name: 'name', type: 'string', description: 'Nombre de la clave (body)' },
+                        { name: 'scope', type: 'string', description: 'Opcional. Alcance: read (consultas) o admin (rutas que lanzan descargas o modifican datos); por defecto read (body)' }
+                    ],
+                    response: 'Objeto JSON con la clave emitida (201), 400 si el nombre o el alcance no son válidos o 409 si ya existe una clave activa con ese nombre'
+                },
+                {
+                    path: '/admin/keys/:name',
+                    method: 'DELETE',
+                    description: 'Revocar una clave de API',
+                    parameters: [
+                        { name: 'name', type: 'string', description: 'Nombre de la clave' }
+                    ],
+                    response: 'Objeto JSON con confirmación o 404 si no hay ninguna clave activa con ese nombre'
+                },
+                {
+                    path: '/admin/profiles',
+                    method: 'GET',
+                    description: 'Ver el perfil de selectores activo, la validación de cada perfil disponible y los iconos de clase desconocidos',
+                    parameters: [],
+                    response: 'Objeto JSON con el perfil activo, los perfiles con su validación contra el fixture y los iconos desconocidos'
+                },
+                {
+                    path: '/admin/profiles/reload',
+                    method: 'POST',
+                    description: 'Volver a leer los perfiles de selectores y activar uno sin reiniciar la API',
+                    parameters: [
+                        { name: 'version', type: 'number', description: 'Opcional. Versión a activar (body); por defecto SELECTOR_PROFILE o la mayor válida' }
+                    ],
+                    response: 'Objeto JSON con el perfil activo y los perfiles leídos. 404 si la versión no existe, 400 si no supera la validación'
+                },
+                {
+                    path: '/admin/replay',
+                    method: 'POST',
+                    description: 'Reprocesar las páginas de ranking archivadas (HTML_ARCHIVE) y guardarlas como snapshots con su fecha original',
+                    parameters: [
+                        { name: 'server', type: 'string', description: 'Opcional. Servidor (body)' },
+                        { name: 'kind', type: 'string', description: 'Opcional. players o clans (body)' },
+                        { name: 'type', type: 'string', description: `Opcional. Tipo de ranking (${Object.keys(RANKING_TYPES).join(', ')}) (body)` },
+                        { name: 'class', type: 'string', description: 'Opcional. Clase por nombre o classtype (body)' },
+                        { name: 'fromDate', type: 'string', description: 'Opcional. Fecha ISO mínima de la descarga (body)' },
+                        { name: 'toDate', type: 'string', description: 'Opcional. Fecha ISO máxima de la descarga (body)' },
+                        { name: 'dryRun', type: 'boolean', description: 'Opcional. Solo parsear y comprobar, sin guardar (body)' }
+                    ],
+                    response: 'Objeto JSON con el resultado de cada descarga (saved, unchanged, parsed o failed con sus problemas)'
+                },
                 {
                     path: '/cache/stats',
                     method: 'GET',
@@ -187,9 +517,62 @@ router.get('/docs', (req, res) => {
                 {
                     path: '/prefetch/start',
                     method: 'POST',
-                    description: 'Iniciar manualmente un proceso de prefetch',
-                    parameters: [],
+                    description: 'Iniciar manualmente un proceso de prefetch (o priorizar servidores en el que está en curso)',
+                    parameters: [
+                        { name: 'servers', type: 'array', description: 'Servidores { region, server } que se procesan primero (body, opcional)' },
+                        { name: 'interactive', type: 'boolean', description: 'Pedir confirmación tras errores y cada confirmEvery servidores (body, opcional)' },
+                        { name: 'confirmEvery', type: 'number', description: 'Servidores entre confirmaciones en modo interactivo (body, opcional, por defecto 5)' }
+                    ],
                     response: 'Objeto JSON con confirmación de inicio del proceso'
+                },
+                {
+                    path: '/prefetch/resume',
+                    method: 'POST',
+                    description: 'Reanudar el último prefetch interrumpido, pausado, cancelado o fallido',
+                    parameters: [],
+                    response: 'Objeto JSON con la ejecución reanudada y sus servidores pendientes'
+                },
+                {
+                    path: '/prefetch/cancel',
+                    method: 'POST',
+                    description: 'Cancelar el prefetch en curso',
+                    parameters: [],
+                    response: 'Objeto JSON con confirmación de la cancelación'
+                },
+                {
+                    path: '/prefetch/continue',
+                    method: 'POST',
+                    description: 'Confirmar que el prefetch que espera confirmación debe continuar',
+                    parameters: [],
+                    response: 'Objeto JSON con confirmación'
+                },
+                {
+                    path: '/prefetch/pause',
+                    method: 'POST',
+                    description: 'Pausar el prefetch en curso (o responder "pausar" a la confirmación pendiente)',
+                    parameters: [],
+                    response: 'Objeto JSON con confirmación de la pausa'
+                },
+                {
+                    path: '/status',
+                    method: 'GET',
+                    description: 'Estado de la recolección de datos por servidor en el último prefetch',
+                    parameters: [],
+                    response: 'Objeto JSON con lastUpdate y las listas completed, inProgress, pending, skipped y failed (REGION_SERVIDOR), más el error de cada servidor fallido y scrapeLocks (descargas en curso en este proceso y locks de la base de datos)'
+                },
+                {
+                    path: '/latest',
+                    method: 'GET',
+                    description: 'Información sobre los últimos datos cargados por el prefetch',
+                    parameters: [],
+                    response: 'Objeto JSON con timestamp (último prefetch completado) y los servidores actualizados'
+                },
+                {
+                    path: '/refresh',
+                    method: 'GET',
+                    description: 'Refrescar todos los servidores con un prefetch forzado en segundo plano',
+                    parameters: [],
+                    response: 'Objeto JSON con la confirmación (202) o 409 si ya hay un prefetch en ejecución'
                 }
             ],
             ejemplos: {
@@ -218,6 +601,10 @@ router.get('/docs', (req, res) => {
     }
 });
 
+// Las rutas siguientes requieren clave de API si la autenticación está activa
+router.use(requireApiKey('read'));
+router.use('/admin', requireAdmin);
+
 // Endpoint para obtener todo el ranking
 router.get('/rankings', async (req, res) => {
     try {
@@ -232,7 +619,7 @@ router.get('/rankings', async (req, res) => {
 });
 
 // Endpoint para forzar actualización del caché
-router.post('/rankings/refresh', async (req, res) => {
+router.post('/rankings/refresh', requireAdmin, async (req, res) => {
     try {
         logger.route('Forzando actualización del caché');
         const rankings = await fetchRankingData(true); // forzar refresco
@@ -258,7 +645,7 @@ router.get('/rankings/range/:start/:end', async (req, res) => {
         logger.route(`Solicitando rango de rankings: ${start}-${end}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Rango enviado desde caché: ${cachedResult.length} registros`, 'API');
             return res.json(cachedResult);
@@ -268,7 +655,7 @@ router.get('/rankings/range/:start/:end', async (req, res) => {
         const rangeRankings = rankings.slice(start - 1, end);
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, rangeRankings);
+        await setQueryCache(cacheKey, rangeRankings);
         
         logger.success(`Rango enviado: ${rangeRankings.length} registros`, 'API');
         res.json(rangeRankings);
@@ -287,7 +674,7 @@ router.get('/rankings/server/:server', async (req, res) => {
         logger.route(`Buscando por servidor: ${server}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Resultados de servidor desde caché: ${cachedResult.length} registros`, 'API');
             return res.json(cachedResult);
@@ -297,7 +684,7 @@ router.get('/rankings/server/:server', async (req, res) => {
         const serverRankings = rankings.filter(rank => rank.server.includes(server));
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, serverRankings);
+        await setQueryCache(cacheKey, serverRankings);
         
         logger.success(`Resultados de servidor enviados: ${serverRankings.length} registros`, 'API');
         res.json(serverRankings);
@@ -316,7 +703,7 @@ router.get('/rankings/clan/:clan', async (req, res) => {
         logger.route(`Buscando por clan: ${clan}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Resultados de clan desde caché: ${cachedResult.length} registros`, 'API');
             return res.json(cachedResult);
@@ -328,7 +715,7 @@ router.get('/rankings/clan/:clan', async (req, res) => {
         );
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, clanRankings);
+        await setQueryCache(cacheKey, clanRankings);
         
         logger.success(`Resultados de clan enviados: ${clanRankings.length} registros`, 'API');
         res.json(clanRankings);
@@ -347,7 +734,7 @@ router.get('/rankings/class/:className', async (req, res) => {
         logger.route(`Buscando por clase: ${className}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Resultados de clase desde caché: ${cachedResult.length} registros`, 'API');
             return res.json(cachedResult);
@@ -359,7 +746,7 @@ router.get('/rankings/class/:className', async (req, res) => {
         );
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, classRankings);
+        await setQueryCache(cacheKey, classRankings);
         
         logger.success(`Resultados de clase enviados: ${classRankings.length} registros`, 'API');
         res.json(classRankings);
@@ -377,7 +764,7 @@ router.get('/rankings/stats', async (req, res) => {
         logger.route('Solicitando estadísticas');
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success('Estadísticas enviadas desde caché', 'API');
             return res.json(cachedResult);
@@ -402,7 +789,7 @@ router.get('/rankings/stats', async (req, res) => {
         };
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, stats);
+        await setQueryCache(cacheKey, stats);
         
         logger.success('Estadísticas enviadas', 'API');
         res.json(stats);
@@ -422,12 +809,13 @@ router.get('/servers', (req, res) => {
         const serverList = {};
         
         // Convertir el objeto de regiones a un formato más amigable para la API
-        for (const [regionName, regionData] of Object.entries(SERVER_REGIONS)) {
+        for (const [regionName, regionData] of Object.entries(getServerRegions())) {
             serverList[regionName] = {
                 id: regionData.id,
                 servers: Object.keys(regionData.servers).map(serverName => ({
                     id: regionData.servers[serverName].id,
                     name: serverName,
+                    source: regionData.servers[serverName].source || 'config',
                     url: buildServerUrl(regionName, serverName)
                 }))
             };
@@ -441,8 +829,45 @@ router.get('/servers', (req, res) => {
     }
 });
 
-// Endpoint para obtener el ranking de un servidor específico
-router.get('/rankings/region/:region/server/:server', async (req, res) => {
+// Endpoint para descubrir las regiones y servidores publicados en la página del ranking
+router.post('/servers/discover', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando descubrimiento de servidores');
+        
+        if (getServerCatalogStatus().discovering) {
+            return res.status(409).json({ error: 'Ya hay un descubrimiento de servidores en curso' });
+        }
+        
+        // No esperar a que termine, ejecutar en segundo plano
+        discoverServers().catch(err => {
+            logger.error(`Error en el descubrimiento de servidores: ${err.message}`, 'API');
+        });
+        
+        res.json({
+            success: true,
+            message: 'Descubrimiento de servidores iniciado',
+            lastDiscovery: getServerCatalogStatus().lastDiscovery,
+            note: 'El resultado se puede consultar en GET /api/servers/catalog'
+        });
+    } catch (error) {
+        logger.error(`Error al iniciar el descubrimiento de servidores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al iniciar el descubrimiento de servidores' });
+    }
+});
+
+// Endpoint para ver el estado del catálogo de servidores y el último descubrimiento
+router.get('/servers/catalog', (req, res) => {
+    try {
+        logger.route('Solicitando estado del catálogo de servidores');
+        res.json(getServerCatalogStatus());
+    } catch (error) {
+        logger.error(`Error al obtener el estado del catálogo: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el estado del catálogo de servidores' });
+    }
+});
+
+// Endpoint para obtener el ranking de un servidor específico (/server/:region/:server es un alias)
+router.get(['/rankings/region/:region/server/:server', '/server/:region/:server'], async (req, res) => {
     try {
         const regionName = req.params.region.toUpperCase();
         const serverName = req.params.server.toUpperCase();
@@ -450,21 +875,34 @@ router.get('/rankings/region/:region/server/:server', async (req, res) => {
         logger.route(`Solicitando ranking para servidor específico: ${regionName} > ${serverName}`);
         
         // Verificar si la región y servidor existen
-        if (!SERVER_REGIONS[regionName]) {
+        if (!getServerRegions()[regionName]) {
             logger.warn(`Región solicitada no existe: ${regionName}`, 'API');
             return res.status(404).json({ error: `La región '${regionName}' no está registrada en el sistema` });
         }
         
-        if (!SERVER_REGIONS[regionName].servers[serverName]) {
+        if (!getServerRegions()[regionName].servers[serverName]) {
             logger.warn(`Servidor solicitado no existe: ${serverName} en región ${regionName}`, 'API');
             return res.status(404).json({ error: `El servidor '${serverName}' no está registrado en la región '${regionName}'` });
         }
         
+        // Tipo de ranking y clase (por defecto el ranking de poder de todas las clases)
+        const type = (req.query.type || DEFAULT_RANKING_TYPE).toLowerCase();
+        if (!RANKING_TYPES[type]) {
+            return res.status(400).json({ error: `Tipo de ranking no soportado: '${type}'. Tipos disponibles: ${Object.keys(RANKING_TYPES).join(', ')}` });
+        }
+        
+        const classType = resolveClassType(req.query.class);
+        if (classType === null) {
+            return res.status(400).json({ error: `Clase no válida: '${req.query.class}'. Clases disponibles: ${Object.keys(CLASS_TYPES).join(', ')}` });
+        }
+        
         // Obtener los datos
         const forceRefresh = req.query.refresh === 'true';
-        const rankings = await fetchServerRankingData(regionName, serverName, forceRefresh);
+        const rankings = type === DEFAULT_RANKING_TYPE && classType === 0
+            ? await fetchServerRankingData(regionName, serverName, forceRefresh)
+            : await fetchTypedRankingData(regionName, serverName, { type, classType, forceRefresh });
         
-        logger.success(`Rankings de servidor enviados: ${rankings.length} registros de ${regionName} > ${serverName}`, 'API');
+        logger.success(`Rankings de servidor enviados: ${rankings.length} registros de ${regionName} > ${serverName} (${type})`, 'API');
         res.json(rankings);
     } catch (error) {
         logger.error(`Error al obtener ranking de servidor: ${error.message}`, 'API');
@@ -472,6 +910,27 @@ router.get('/rankings/region/:region/server/:server', async (req, res) => {
     }
 });
 
+// Endpoint para listar los tipos de ranking y las clases disponibles
+router.get('/ranking-types', (req, res) => {
+    try {
+        logger.route('Solicitando tipos de ranking');
+        
+        const types = Object.entries(RANKING_TYPES).map(([type, definition]) => ({
+            type,
+            name: definition.name,
+            rankType: definition.rankType,
+            valueField: definition.valueField,
+            default: type === DEFAULT_RANKING_TYPE
+        }));
+        const classes = Object.entries(CLASS_TYPES).map(([name, classType]) => ({ name, classType }));
+        
+        res.json({ types, classes });
+    } catch (error) {
+        logger.error(`Error al listar los tipos de ranking: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener los tipos de ranking' });
+    }
+});
+
 // Endpoint para buscar un personaje en todos los servidores registrados
 router.get('/rankings/search/:characterName', async (req, res) => {
     try {
@@ -481,7 +940,7 @@ router.get('/rankings/search/:characterName', async (req, res) => {
         logger.route(`Buscando personaje en todos los servidores: ${characterName}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Resultados de búsqueda desde caché para '${characterName}': ${cachedResult.length} resultados`, 'API');
             return res.json(cachedResult);
@@ -493,7 +952,7 @@ router.get('/rankings/search/:characterName', async (req, res) => {
         
         // Primera búsqueda en el ranking principal (si está disponible)
         try {
-            const mainRankings = getServerCache('main');
+            const mainRankings = await getServerCache('main');
             if (mainRankings) {
                 const matches = mainRankings.filter(player => 
                     player.character.toLowerCase().includes(characterName.toLowerCase())
@@ -505,11 +964,11 @@ router.get('/rankings/search/:characterName', async (req, res) => {
         }
         
         // Preparar promesas para buscar en cada servidor
-        for (const [regionName, regionData] of Object.entries(SERVER_REGIONS)) {
+        for (const [regionName, regionData] of Object.entries(getServerRegions())) {
             for (const [serverName] of Object.entries(regionData.servers)) {
                 // Verificar si ya tenemos datos en caché para este servidor
                 const serverKey = `${regionName}_${serverName}`;
-                const cachedServerData = getServerCache(serverKey);
+                const cachedServerData = await getServerCache(serverKey);
                 
                 if (cachedServerData) {
                     // Si tenemos datos en caché, filtrar directamente
@@ -564,7 +1023,7 @@ router.get('/rankings/search/:characterName', async (req, res) => {
         results.sort((a, b) => b.powerScore - a.powerScore);
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, results);
+        await setQueryCache(cacheKey, results);
         
         logger.success(`Búsqueda completada para '${characterName}': ${results.length} resultados encontrados`, 'API');
         res.json(results);
@@ -583,7 +1042,7 @@ router.get('/rankings/clan-global/:clanName', async (req, res) => {
         logger.route(`Buscando clan en todos los servidores: ${clanName}`);
         
         // Intentar obtener del caché
-        const cachedResult = getQueryCache(cacheKey);
+        const cachedResult = await getQueryCache(cacheKey);
         if (cachedResult) {
             logger.success(`Resultados de búsqueda de clan desde caché para '${clanName}': ${cachedResult.length} resultados`, 'API');
             return res.json(cachedResult);
@@ -594,11 +1053,11 @@ router.get('/rankings/clan-global/:clanName', async (req, res) => {
         const searchPromises = [];
         
         // Preparar promesas para buscar en cada servidor
-        for (const [regionName, regionData] of Object.entries(SERVER_REGIONS)) {
+        for (const [regionName, regionData] of Object.entries(getServerRegions())) {
             for (const [serverName] of Object.entries(regionData.servers)) {
                 // Verificar si ya tenemos datos en caché para este servidor
                 const serverKey = `${regionName}_${serverName}`;
-                const cachedServerData = getServerCache(serverKey);
+                const cachedServerData = await getServerCache(serverKey);
                 
                 if (cachedServerData) {
                     // Si tenemos datos en caché, filtrar directamente
@@ -653,7 +1112,7 @@ router.get('/rankings/clan-global/:clanName', async (req, res) => {
         results.sort((a, b) => b.powerScore - a.powerScore);
         
         // Guardar en caché para futuras consultas
-        setQueryCache(cacheKey, results);
+        await setQueryCache(cacheKey, results);
         
         logger.success(`Búsqueda de clan completada para '${clanName}': ${results.length} resultados encontrados`, 'API');
         res.json(results);
@@ -663,52 +1122,744 @@ router.get('/rankings/clan-global/:clanName', async (req, res) => {
     }
 });
 
-// Endpoint para ver estadísticas del caché
-router.get('/cache/stats', (req, res) => {
+// ENDPOINTS DEL RANKING DE CLANES
+
+// Endpoint para obtener el ranking de clanes de un servidor
+router.get('/clans/ranking/:region/:server', requireAdminToRefresh, async (req, res) => {
     try {
-        logger.route('Solicitando estadísticas del caché');
-        const stats = getCacheStats();
-        logger.success('Estadísticas de caché enviadas', 'API');
-        res.json(stats);
+        const regionName = req.params.region.toUpperCase();
+        const serverName = req.params.server.toUpperCase();
+        
+        logger.route(`Solicitando ranking de clanes de ${regionName} > ${serverName}`);
+        
+        if (!getServerRegions()[regionName]) {
+            logger.warn(`Región solicitada no existe: ${regionName}`, 'API');
+            return res.status(404).json({ error: `La región '${regionName}' no está registrada en el sistema` });
+        }
+        
+        if (!getServerRegions()[regionName].servers[serverName]) {
+            logger.warn(`Servidor solicitado no existe: ${serverName} en región ${regionName}`, 'API');
+            return res.status(404).json({ error: `El servidor '${serverName}' no está registrado en la región '${regionName}'` });
+        }
+        
+        const forceRefresh = req.query.refresh === 'true';
+        const clans = await fetchClanRankingData(regionName, serverName, forceRefresh);
+        
+        logger.success(`Ranking de clanes enviado: ${clans.length} clanes de ${regionName} > ${serverName}`, 'API');
+        res.json(clans);
     } catch (error) {
-        logger.error(`Error al obtener estadísticas de caché: ${error.message}`, 'API');
-        res.status(500).json({ error: 'Error al obtener estadísticas del caché' });
+        logger.error(`Error al obtener ranking de clanes: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el ranking de clanes del servidor' });
     }
 });
 
-// Endpoint para limpiar el caché
-router.post('/cache/clear', (req, res) => {
+// Endpoint para obtener el histórico de un clan
+router.get('/clans/:server/:clanName/history', async (req, res) => {
     try {
-        logger.route('Solicitando limpieza del caché');
-        clearCache();
-        logger.success('Caché limpiado exitosamente', 'API');
-        res.json({ 
-            success: true,
-            message: 'Caché limpiado exitosamente' 
+        const server = req.params.server.toUpperCase();
+        const { clanName } = req.params;
+        
+        logger.route(`Solicitando histórico del clan ${clanName} (${server})`);
+        
+        const dateRange = parseDateRange(req.query);
+        if (dateRange.error) {
+            return res.status(400).json({ error: dateRange.error });
+        }
+        
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ error: pagination.error });
+        }
+        
+        const history = await getClanHistory(clanName, server, { ...dateRange, ...pagination });
+        if (history.length === 0 && pagination.offset === 0 && !dateRange.fromDate && !dateRange.toDate) {
+            logger.warn(`Clan sin histórico: ${clanName} (${server})`, 'API');
+            return res.status(404).json({ error: `No hay histórico del clan ${clanName} en ${server}` });
+        }
+        
+        logger.success(`Histórico del clan enviado: ${history.length} registros`, 'API');
+        res.json({
+            clan: clanName,
+            server,
+            history,
+            pagination: { ...pagination, count: history.length }
         });
     } catch (error) {
-        logger.error(`Error al limpiar caché: ${error.message}`, 'API');
-        res.status(500).json({ error: 'Error al limpiar el caché' });
+        logger.error(`Error al obtener histórico del clan: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el histórico del clan' });
     }
 });
 
-// NUEVOS ENDPOINTS PARA LA GESTIÓN DEL PREFETCH
-
-// Importar el módulo de prefetch
-const { prefetchAllServers } = require('./prefetch');
-const fs = require('fs');
-const path = require('path');
-
-// Ruta del archivo de estado del prefetch
-const PREFETCH_STATUS_FILE = path.join(process.cwd(), CONFIG.DATA_DIR, 'prefetch_status.json');
-
-// Endpoint para ver el estado actual del prefetch
-router.get('/prefetch/status', (req, res) => {
+// Endpoint para obtener los miembros de un clan (jugadores del último ranking del servidor)
+router.get('/clans/:server/:clanName/members', async (req, res) => {
     try {
-        logger.route('Solicitando estado del prefetch');
+        const server = req.params.server.toUpperCase();
+        const { clanName } = req.params;
         
-        if (fs.existsSync(PREFETCH_STATUS_FILE)) {
-            const statusData = fs.readFileSync(PREFETCH_STATUS_FILE, 'utf8');
+        logger.route(`Solicitando miembros del clan ${clanName} (${server})`);
+        
+        const roster = await getClanMembers(clanName, server);
+        if (!roster) {
+            logger.warn(`No hay snapshots almacenados para ${server}`, 'API');
+            return res.status(404).json({ error: `No hay snapshots disponibles para el servidor ${server}` });
+        }
+        
+        logger.success(`Miembros del clan enviados: ${roster.members.length} jugadores`, 'API');
+        res.json({
+            clan: clanName,
+            server,
+            snapshot: roster.snapshot,
+            members: roster.members,
+            count: roster.members.length
+        });
+    } catch (error) {
+        logger.error(`Error al obtener miembros del clan: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener los miembros del clan' });
+    }
+});
+
+// ENDPOINTS DE FICHAS DE PERSONAJES
+
+// Endpoint para iniciar la actualización de las fichas de los primeros de cada servidor
+router.post('/characters/refresh', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando actualización de fichas de personajes');
+        
+        if (getCharacterDetailsStatus().running) {
+            return res.status(409).json({ error: 'Ya hay una actualización de fichas en curso' });
+        }
+        
+        const topN = req.body && req.body.topN !== undefined ? parseInt(req.body.topN, 10) : CONFIG.CHARACTER_DETAILS_TOP_N;
+        if (!Number.isInteger(topN) || topN < 1) {
+            return res.status(400).json({ error: 'El parámetro topN debe ser un entero positivo' });
+        }
+        
+        // No esperar a que termine, ejecutar en segundo plano
+        refreshTopCharacterDetails({ topN }).catch(err => {
+            logger.error(`Error en la actualización de fichas: ${err.message}`, 'API');
+        });
+        
+        res.json({
+            success: true,
+            message: `Actualización de fichas iniciada (${topN} personajes por servidor)`,
+            lastRun: getCharacterDetailsStatus().lastRun,
+            note: 'El resultado se puede consultar en GET /api/characters/refresh-status'
+        });
+    } catch (error) {
+        logger.error(`Error al iniciar la actualización de fichas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al iniciar la actualización de fichas' });
+    }
+});
+
+// Endpoint para ver el estado de la actualización de fichas
+router.get('/characters/refresh-status', (req, res) => {
+    try {
+        logger.route('Solicitando estado de la actualización de fichas');
+        res.json(getCharacterDetailsStatus());
+    } catch (error) {
+        logger.error(`Error al obtener el estado de las fichas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el estado de la actualización de fichas' });
+    }
+});
+
+// Endpoint para obtener la ficha de un personaje
+router.get('/characters/:server/:name', requireAdminToRefresh, async (req, res) => {
+    try {
+        const server = req.params.server.toUpperCase();
+        const { name } = req.params;
+        const includeHistory = req.query.history === 'true';
+        
+        logger.route(`Solicitando ficha del personaje ${name} (${server})`);
+        
+        // Descargar la ficha en el momento si se pide
+        if (req.query.refresh === 'true') {
+            const regionName = findServerRegion(server);
+            if (!regionName) {
+                return res.status(404).json({ error: `El servidor '${server}' no está registrado en el sistema` });
+            }
+            
+            try {
+                await fetchCharacterDetails(regionName, server, name);
+            } catch (error) {
+                return res.status(500).json({ error: `Error al descargar la ficha del personaje ${name}` });
+            }
+        }
+        
+        const character = await getCharacterDetails(name, server, includeHistory);
+        if (!character) {
+            logger.warn(`Personaje no encontrado: ${name} (${server})`, 'API');
+            return res.status(404).json({ error: `No se encontró el personaje ${name} en ${server}` });
+        }
+        
+        logger.success(`Ficha del personaje enviada: ${name} (${server})`, 'API');
+        res.json(character);
+    } catch (error) {
+        logger.error(`Error al obtener la ficha del personaje: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener la ficha del personaje' });
+    }
+});
+
+// ENDPOINTS DE HISTÓRICO (basados en los snapshots almacenados)
+
+// Endpoint para obtener el histórico de un personaje
+router.get('/history/characters/:server/:name', async (req, res) => {
+    try {
+        const server = req.params.server.toUpperCase();
+        const { name } = req.params;
+        
+        logger.route(`Solicitando histórico del personaje ${name} (${server})`);
+        
+        const dateRange = parseDateRange(req.query);
+        if (dateRange.error) {
+            return res.status(400).json({ error: dateRange.error });
+        }
+        
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ error: pagination.error });
+        }
+        
+        const character = await getCharacter(name, server);
+        if (!character) {
+            logger.warn(`Personaje no encontrado: ${name} (${server})`, 'API');
+            return res.status(404).json({ error: `No se encontró el personaje ${name} en ${server}` });
+        }
+        
+        const history = await getCharacterRankingHistory(name, server, {
+            ...dateRange,
+            ...pagination
+        });
+        
+        // Servidores fusionados o renombrados cuyo histórico se incluye
+        const lineage = await getServerLineage(server);
+        
+        logger.success(`Histórico enviado: ${history.length} registros`, 'API');
+        res.json({
+            character,
+            lineage: { current: lineage.current, servers: lineage.servers, merges: lineage.merges },
+            history,
+            pagination: { ...pagination, count: history.length }
+        });
+    } catch (error) {
+        logger.error(`Error al obtener histórico del personaje: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el histórico del personaje' });
+    }
+});
+
+// Endpoint para obtener el linaje de un servidor (fusiones y renombrados)
+router.get('/servers/:server/lineage', async (req, res) => {
+    try {
+        const server = req.params.server.toUpperCase();
+        
+        logger.route(`Solicitando linaje del servidor ${server}`);
+        
+        const lineage = await getServerLineage(server);
+        res.json(lineage);
+    } catch (error) {
+        logger.error(`Error al obtener el linaje del servidor: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el linaje del servidor' });
+    }
+});
+
+// ENDPOINTS DE ADMINISTRACIÓN DE FUSIONES DE SERVIDORES
+
+// Endpoint para listar las fusiones y renombrados registrados
+router.get('/admin/servers/merges', async (req, res) => {
+    try {
+        logger.route('Solicitando fusiones de servidores');
+        
+        const merges = await getServerMerges();
+        res.json({ merges, count: merges.length });
+    } catch (error) {
+        logger.error(`Error al obtener las fusiones de servidores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener las fusiones de servidores' });
+    }
+});
+
+// Endpoint para declarar que un servidor se fusionó en otro (o se renombró)
+// Body: { source, target, mergedAt (opcional, ISO 8601) }
+router.post('/admin/servers/merges', async (req, res) => {
+    try {
+        const source = typeof (req.body && req.body.source) === 'string' ? req.body.source.trim().toUpperCase() : '';
+        const target = typeof (req.body && req.body.target) === 'string' ? req.body.target.trim().toUpperCase() : '';
+        
+        logger.route(`Declarando fusión de servidores: ${source} -> ${target}`);
+        
+        if (!source || !target) {
+            return res.status(400).json({ error: 'Se requieren los campos source y target' });
+        }
+        
+        if (source === target) {
+            return res.status(400).json({ error: 'Un servidor no puede fusionarse consigo mismo' });
+        }
+        
+        const mergedAt = req.body.mergedAt ? new Date(req.body.mergedAt) : new Date();
+        if (isNaN(mergedAt.getTime())) {
+            return res.status(400).json({ error: 'El campo mergedAt no es una fecha válida' });
+        }
+        
+        const lineage = await getServerLineage(target);
+        if (lineage.current === source) {
+            return res.status(409).json({ error: `${target} ya se fusionó en ${source}; la fusión crearía un ciclo` });
+        }
+        
+        const merge = await recordServerMerge(source, target, { mergedAt: mergedAt.toISOString() });
+        
+        logger.success(`Fusión registrada: ${source} -> ${target}`, 'API');
+        res.status(201).json({ success: true, merge });
+    } catch (error) {
+        logger.error(`Error al registrar la fusión de servidores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al registrar la fusión de servidores' });
+    }
+});
+
+// Endpoint para eliminar una fusión registrada (por ejemplo, una detección automática errónea)
+router.delete('/admin/servers/merges/:source', async (req, res) => {
+    try {
+        const source = req.params.source.toUpperCase();
+        
+        logger.route(`Eliminando fusión del servidor ${source}`);
+        
+        if (!(await deleteServerMerge(source))) {
+            return res.status(404).json({ error: `No hay ninguna fusión registrada para ${source}` });
+        }
+        
+        res.json({ success: true, message: `Fusión de ${source} eliminada` });
+    } catch (error) {
+        logger.error(`Error al eliminar la fusión de servidores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al eliminar la fusión de servidores' });
+    }
+});
+
+// Endpoint para listar los snapshots almacenados
+router.get('/snapshots', async (req, res) => {
+    try {
+        logger.route('Solicitando lista de snapshots');
+        
+        const dateRange = parseDateRange(req.query);
+        if (dateRange.error) {
+            return res.status(400).json({ error: dateRange.error });
+        }
+        
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({ error: pagination.error });
+        }
+        
+        const filters = { ...dateRange, offset: pagination.offset };
+        if (req.query.server) {
+            filters.server = req.query.server.toUpperCase();
+        }
+        
+        const snapshots = await getSnapshotsList(filters, pagination.limit);
+        
+        logger.success(`Lista de snapshots enviada: ${snapshots.length} registros`, 'API');
+        res.json({
+            snapshots,
+            pagination: { ...pagination, count: snapshots.length }
+        });
+    } catch (error) {
+        logger.error(`Error al listar snapshots: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener la lista de snapshots' });
+    }
+});
+
+// Endpoint para obtener el snapshot más reciente (debe ir antes de /snapshots/:id)
+router.get('/snapshots/latest', async (req, res) => {
+    try {
+        const server = req.query.server ? req.query.server.toUpperCase() : undefined;
+        
+        logger.route(`Solicitando último snapshot${server ? ` de ${server}` : ''}`);
+        
+        const latest = await getLatestSnapshot({ server });
+        if (!latest) {
+            logger.warn('No hay snapshots almacenados', 'API');
+            return res.status(404).json({ error: 'No hay snapshots disponibles' });
+        }
+        
+        const snapshot = await getSnapshotDetails(latest.id);
+        
+        logger.success(`Último snapshot enviado: ${latest.id}`, 'API');
+        res.json(snapshot);
+    } catch (error) {
+        logger.error(`Error al obtener el último snapshot: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el último snapshot' });
+    }
+});
+
+// Endpoint para obtener un snapshot concreto
+router.get('/snapshots/:id', async (req, res) => {
+    try {
+        const snapshotId = parseInt(req.params.id);
+        
+        logger.route(`Solicitando snapshot: ${req.params.id}`);
+        
+        if (!Number.isInteger(snapshotId) || snapshotId <= 0) {
+            return res.status(400).json({ error: 'El ID del snapshot debe ser un entero positivo' });
+        }
+        
+        const snapshot = await getSnapshotDetails(snapshotId);
+        if (!snapshot) {
+            logger.warn(`Snapshot no encontrado: ${snapshotId}`, 'API');
+            return res.status(404).json({ error: `No se encontró el snapshot ${snapshotId}` });
+        }
+        
+        logger.success(`Snapshot enviado: ${snapshotId}`, 'API');
+        res.json(snapshot);
+    } catch (error) {
+        logger.error(`Error al obtener snapshot: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el snapshot' });
+    }
+});
+
+// Endpoint para comparar dos snapshots del mismo servidor
+router.get('/snapshots/:oldId/diff/:newId', async (req, res) => {
+    try {
+        const oldId = parseInt(req.params.oldId);
+        const newId = parseInt(req.params.newId);
+        
+        logger.route(`Solicitando diferencias entre snapshots ${req.params.oldId} y ${req.params.newId}`);
+        
+        if (!Number.isInteger(oldId) || oldId <= 0 || !Number.isInteger(newId) || newId <= 0) {
+            return res.status(400).json({ error: 'Los IDs de los snapshots deben ser enteros positivos' });
+        }
+        
+        const topN = parseDiffTop(req.query);
+        if (topN === null) {
+            return res.status(400).json({ error: `El parámetro top debe ser un entero entre 1 y ${MAX_DIFF_TOP}` });
+        }
+        
+        const [oldSnapshot, newSnapshot] = await Promise.all([getSnapshot(oldId), getSnapshot(newId)]);
+        
+        if (!oldSnapshot || !newSnapshot) {
+            const missingId = !oldSnapshot ? oldId : newId;
+            logger.warn(`Snapshot no encontrado: ${missingId}`, 'API');
+            return res.status(404).json({ error: `No se encontró el snapshot ${missingId}` });
+        }
+        
+        if (oldSnapshot.server !== newSnapshot.server) {
+            return res.status(400).json({ error: 'Los snapshots deben ser del mismo servidor' });
+        }
+        
+        const diff = await getSnapshotDiff(oldId, newId, { topN });
+        
+        logger.success(`Diferencias enviadas entre snapshots ${oldId} y ${newId}`, 'API');
+        res.json(diff);
+    } catch (error) {
+        logger.error(`Error al comparar snapshots: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al comparar los snapshots' });
+    }
+});
+
+// Endpoint para obtener los cambios de un servidor desde una fecha
+router.get('/servers/:region/:server/changes', async (req, res) => {
+    try {
+        const regionName = req.params.region.toUpperCase();
+        const serverName = req.params.server.toUpperCase();
+        
+        logger.route(`Solicitando cambios de ${regionName} > ${serverName}`);
+        
+        if (!getServerRegions()[regionName]) {
+            logger.warn(`Región solicitada no existe: ${regionName}`, 'API');
+            return res.status(404).json({ error: `La región '${regionName}' no está registrada en el sistema` });
+        }
+        
+        if (!getServerRegions()[regionName].servers[serverName]) {
+            logger.warn(`Servidor solicitado no existe: ${serverName} en región ${regionName}`, 'API');
+            return res.status(404).json({ error: `El servidor '${serverName}' no está registrado en la región '${regionName}'` });
+        }
+        
+        // Por defecto, los cambios de las últimas 24 horas
+        const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+        if (isNaN(since.getTime())) {
+            return res.status(400).json({ error: 'El parámetro since no es una fecha válida' });
+        }
+        
+        const topN = parseDiffTop(req.query);
+        if (topN === null) {
+            return res.status(400).json({ error: `El parámetro top debe ser un entero entre 1 y ${MAX_DIFF_TOP}` });
+        }
+        
+        const newSnapshot = await getLatestSnapshot({ server: serverName });
+        if (!newSnapshot) {
+            logger.warn(`No hay snapshots almacenados para ${serverName}`, 'API');
+            return res.status(404).json({ error: `No hay snapshots disponibles para el servidor ${serverName}` });
+        }
+        
+        // Referencia: el último snapshot anterior a "since" o, si no existe, el primero posterior
+        const sinceIso = since.toISOString();
+        const oldSnapshot = await getLatestSnapshot({ server: serverName, toDate: sinceIso }) ||
+            await getEarliestSnapshot({ server: serverName, fromDate: sinceIso }) ||
+            newSnapshot;
+        
+        const diff = await getSnapshotDiff(oldSnapshot.id, newSnapshot.id, { topN });
+        
+        logger.success(`Cambios enviados para ${serverName} desde ${sinceIso}`, 'API');
+        res.json({ regionName, serverName, since: sinceIso, ...diff });
+    } catch (error) {
+        logger.error(`Error al obtener cambios del servidor: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener los cambios del servidor' });
+    }
+});
+
+// Endpoint para ver el estado de las comprobaciones del parser
+router.get('/parser/health', (req, res) => {
+    try {
+        logger.route('Solicitando estado del parser');
+        res.json(getParserHealthStatus());
+    } catch (error) {
+        logger.error(`Error al obtener el estado del parser: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el estado del parser' });
+    }
+});
+
+// Endpoint para listar las páginas guardadas en SCRAPED_PAGES_DIR que se pueden depurar
+router.get('/debug', requireAdmin, (req, res) => {
+    try {
+        logger.route('Listando páginas guardadas para depuración');
+        const files = listScrapedHtml();
+        res.json({ directory: CONFIG.SCRAPED_PAGES_DIR, count: files.length, files });
+    } catch (error) {
+        logger.error(`Error al listar las páginas guardadas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al listar las páginas guardadas' });
+    }
+});
+
+// Endpoint para depurar el parser sobre una página guardada
+// fileId: nombre del archivo (con o sin .html) o su prefijo (el más reciente). Query: type (por defecto el del prefijo)
+router.get('/debug/:fileId', requireAdmin, (req, res) => {
+    try {
+        logger.route(`Depurando el parser con la página ${req.params.fileId}`);
+        
+        const file = findScrapedHtml(req.params.fileId);
+        if (!file) {
+            return res.status(404).json({ error: `No se encontró ninguna página guardada para '${req.params.fileId}'` });
+        }
+        
+        // Las páginas de clanes y las fichas de personajes no usan el parser del ranking de jugadores
+        if (/^(clan|character)_/.test(file.prefix)) {
+            return res.status(400).json({ error: `La página '${file.id}' no es del ranking de jugadores` });
+        }
+        
+        // Los rankings por tipo se guardan como <tipo>_<clase>_<región>_<servidor>
+        const prefixType = file.prefix.split('_')[0];
+        const type = (req.query.type || (RANKING_TYPES[prefixType] ? prefixType : DEFAULT_RANKING_TYPE)).toLowerCase();
+        if (!RANKING_TYPES[type]) {
+            return res.status(400).json({ error: `Tipo de ranking no soportado: '${type}'. Tipos disponibles: ${Object.keys(RANKING_TYPES).join(', ')}` });
+        }
+        
+        const html = fs.readFileSync(file.path, 'utf8');
+        const result = debugRankingHtml(html, type);
+        
+        logger.success(`Página ${file.id} depurada: ${result.rankings.length} de ${result.rowCount} filas aceptadas`, 'API');
+        res.json({ file: file.id, size: html.length, ...result });
+    } catch (error) {
+        logger.error(`Error al depurar la página guardada: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al depurar la página guardada' });
+    }
+});
+
+// ENDPOINTS DE ADMINISTRACIÓN DE CLAVES DE API
+
+// Endpoint para listar las claves de API y sus contadores de uso (?includeRevoked=true para ver las revocadas)
+router.get('/admin/keys', async (req, res) => {
+    try {
+        logger.route('Solicitando claves de API');
+        res.json(await listApiKeys({ includeRevoked: req.query.includeRevoked === 'true' }));
+    } catch (error) {
+        logger.error(`Error al listar las claves de API: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener las claves de API' });
+    }
+});
+
+// Endpoint para emitir una clave de API
+// Body: { name, scope ('read' o 'admin', por defecto 'read') }
+router.post('/admin/keys', async (req, res) => {
+    try {
+        const body = req.body || {};
+        
+        logger.route(`Emitiendo clave de API: ${body.name}`);
+        
+        const apiKey = await issueApiKey({ name: body.name, scope: body.scope || 'read' });
+        
+        res.status(201).json({
+            ...apiKey,
+            note: 'Guarda la clave ahora: no se puede volver a consultar'
+        });
+    } catch (error) {
+        if (error.code === 'API_KEY_INVALID') {
+            return res.status(400).json({ error: error.message, scopes: API_KEY_SCOPES });
+        }
+        if (error.code === 'API_KEY_EXISTS') {
+            return res.status(409).json({ error: error.message });
+        }
+        
+        logger.error(`Error al emitir la clave de API: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al emitir la clave de API' });
+    }
+});
+
+// Endpoint para revocar una clave de API
+router.delete('/admin/keys/:name', async (req, res) => {
+    try {
+        logger.route(`Revocando clave de API: ${req.params.name}`);
+        
+        if (!await revokeApiKey(req.params.name)) {
+            return res.status(404).json({ error: `No hay ninguna clave activa con el nombre '${req.params.name}'` });
+        }
+        
+        res.json({ success: true, name: req.params.name });
+    } catch (error) {
+        logger.error(`Error al revocar la clave de API: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al revocar la clave de API' });
+    }
+});
+
+// ENDPOINTS DE ADMINISTRACIÓN DE PERFILES DE SELECTORES
+
+// Endpoint para ver los perfiles de selectores y los iconos de clase desconocidos
+router.get('/admin/profiles', (req, res) => {
+    try {
+        logger.route('Solicitando perfiles de selectores');
+        res.json(getSelectorProfileStatus());
+    } catch (error) {
+        logger.error(`Error al obtener los perfiles de selectores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener los perfiles de selectores' });
+    }
+});
+
+// Endpoint para recargar los perfiles de selectores sin reiniciar
+// Body: { version (opcional) }
+router.post('/admin/profiles/reload', (req, res) => {
+    try {
+        const version = req.body && req.body.version != null ? Number(req.body.version) : null;
+        
+        logger.route(`Recargando perfiles de selectores${version !== null ? ` (v${version})` : ''}`);
+        
+        if (version !== null && (!Number.isInteger(version) || version < 1)) {
+            return res.status(400).json({ error: 'El campo version debe ser un entero positivo' });
+        }
+        
+        const result = reloadProfiles({ version });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'PROFILE_NOT_FOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'PROFILE_INVALID') {
+            return res.status(400).json({ error: error.message, problems: error.problems });
+        }
+        logger.error(`Error al recargar los perfiles de selectores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al recargar los perfiles de selectores' });
+    }
+});
+
+// Endpoint para reprocesar las páginas archivadas y guardarlas como snapshots
+// Body: { server, kind, type, class, fromDate, toDate, dryRun } (todos opcionales)
+router.post('/admin/replay', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const filters = {};
+        
+        logger.route(`Reprocesando páginas archivadas${body.server ? ` de ${body.server}` : ''}`);
+        
+        if (body.server) {
+            filters.server = String(body.server).toUpperCase();
+            if (!/^[A-Z0-9]+$/.test(filters.server)) {
+                return res.status(400).json({ error: `Servidor no válido: '${body.server}'` });
+            }
+        }
+        
+        if (body.kind) {
+            if (!['players', 'clans'].includes(body.kind)) {
+                return res.status(400).json({ error: 'El campo kind debe ser players o clans' });
+            }
+            filters.kind = body.kind;
+        }
+        
+        if (body.type) {
+            filters.type = String(body.type).toLowerCase();
+            if (!RANKING_TYPES[filters.type]) {
+                return res.status(400).json({ error: `Tipo de ranking no soportado: '${body.type}'. Tipos disponibles: ${Object.keys(RANKING_TYPES).join(', ')}` });
+            }
+        }
+        
+        if (body.class != null && body.class !== '') {
+            filters.classType = resolveClassType(String(body.class));
+            if (filters.classType === null) {
+                return res.status(400).json({ error: `Clase no válida: '${body.class}'. Clases disponibles: ${Object.keys(CLASS_TYPES).join(', ')}` });
+            }
+        }
+        
+        const dateRange = parseDateRange(body);
+        if (dateRange.error) {
+            return res.status(400).json({ error: dateRange.error });
+        }
+        
+        const summary = await replayArchive({ ...filters, ...dateRange }, { dryRun: body.dryRun === true });
+        res.json(summary);
+    } catch (error) {
+        logger.error(`Error al reprocesar las páginas archivadas: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al reprocesar las páginas archivadas' });
+    }
+});
+
+// Endpoint para ver estadísticas del caché
+router.get('/cache/stats', async (req, res) => {
+    try {
+        logger.route('Solicitando estadísticas del caché');
+        const stats = await getCacheStats();
+        logger.success('Estadísticas de caché enviadas', 'API');
+        res.json(stats);
+    } catch (error) {
+        logger.error(`Error al obtener estadísticas de caché: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener estadísticas del caché' });
+    }
+});
+
+// Endpoint para limpiar el caché
+router.post('/cache/clear', requireAdmin, async (req, res) => {
+    try {
+        logger.route('Solicitando limpieza del caché');
+        await clearCache();
+        logger.success('Caché limpiado exitosamente', 'API');
+        res.json({ 
+            success: true,
+            message: 'Caché limpiado exitosamente' 
+        });
+    } catch (error) {
+        logger.error(`Error al limpiar caché: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al limpiar el caché' });
+    }
+});
+
+// NUEVOS ENDPOINTS PARA LA GESTIÓN DEL PREFETCH
+
+// Importar el módulo de prefetch
+const {
+    prefetchAllServers,
+    resumePrefetch,
+    cancelPrefetch,
+    continuePrefetch,
+    pausePrefetch,
+    getResumablePrefetch,
+    getPrefetchStatus,
+    prioritizeServer,
+    prefetchStatus
+} = require('./prefetch');
+const fs = require('fs');
+const path = require('path');
+
+// Ruta del archivo de estado del prefetch
+const PREFETCH_STATUS_FILE = path.join(process.cwd(), CONFIG.DATA_DIR, 'prefetch_status.json');
+
+// Endpoint para ver el estado actual del prefetch
+router.get('/prefetch/status', (req, res) => {
+    try {
+        logger.route('Solicitando estado del prefetch');
+        
+        if (fs.existsSync(PREFETCH_STATUS_FILE)) {
+            const statusData = fs.readFileSync(PREFETCH_STATUS_FILE, 'utf8');
             const status = JSON.parse(statusData);
             
             // Calcular tiempo desde la última actualización
@@ -727,6 +1878,9 @@ router.get('/prefetch/status', (req, res) => {
                 };
             }
             
+            // Uso del pool de navegadores compartido por las descargas
+            status.browserPool = getBrowserPoolStatus();
+            
             logger.success('Estado del prefetch enviado', 'API');
             res.json(status);
         } else {
@@ -743,19 +1897,30 @@ router.get('/prefetch/status', (req, res) => {
 });
 
 // Endpoint para iniciar manualmente un prefetch
-router.post('/prefetch/start', (req, res) => {
+// Body opcional: { servers: [{ region, server }] } con servidores que deben procesarse primero,
+// { interactive: true, confirmEvery } para pedir confirmación por /prefetch/continue o /prefetch/pause
+router.post('/prefetch/start', requireAdmin, (req, res) => {
     try {
         logger.route('Solicitando inicio manual del prefetch');
         
-        // Verificar si hay un prefetch en ejecución
-        let isRunning = false;
-        if (fs.existsSync(PREFETCH_STATUS_FILE)) {
-            const statusData = fs.readFileSync(PREFETCH_STATUS_FILE, 'utf8');
-            const status = JSON.parse(statusData);
-            isRunning = status.isRunning;
+        const priorityServers = parsePriorityServers(req.body);
+        if (priorityServers.error) {
+            return res.status(400).json({ error: priorityServers.error });
         }
         
-        if (isRunning) {
+        // Verificar si hay un prefetch en ejecución (en este proceso: el archivo puede venir de uno que se detuvo)
+        if (prefetchStatus.isRunning) {
+            // Con un prefetch en curso, los servidores pedidos pasan al principio de su cola
+            if (priorityServers.length > 0) {
+                priorityServers.forEach(({ regionName, serverName }) => prioritizeServer(regionName, serverName));
+                logger.info(`Priorizados ${priorityServers.length} servidores en el prefetch en curso`, 'API');
+                return res.status(202).json({
+                    success: true,
+                    message: 'Los servidores indicados se procesarán a continuación en el prefetch en curso',
+                    prioritized: priorityServers
+                });
+            }
+            
             logger.warn('Se solicitó prefetch pero ya hay uno en ejecución', 'API');
             return res.status(409).json({ 
                 error: 'Ya hay un proceso de prefetch en ejecución',
@@ -767,13 +1932,21 @@ router.post('/prefetch/start', (req, res) => {
         logger.info('Iniciando prefetch manual', 'API');
         
         // No esperar a que termine, ejecutar en segundo plano
-        prefetchAllServers().catch(err => {
+        const interactive = Boolean(req.body && req.body.interactive === true);
+        const confirmEvery = parseInt(req.body && req.body.confirmEvery, 10);
+        
+        prefetchAllServers({
+            priorityServers,
+            interactive,
+            ...(confirmEvery > 0 ? { confirmEvery } : {})
+        }).catch(err => {
             logger.error(`Error en prefetch manual: ${err.message}`, 'API');
         });
         
         res.json({ 
             success: true,
             message: 'Proceso de prefetch iniciado exitosamente',
+            prioritized: priorityServers,
             note: 'Este proceso se ejecuta en segundo plano y puede tardar varios minutos en completarse'
         });
     } catch (error) {
@@ -782,6 +1955,185 @@ router.post('/prefetch/start', (req, res) => {
     }
 });
 
+// Endpoint para reanudar el último prefetch que no llegó a completarse
+router.post('/prefetch/resume', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando reanudación del prefetch');
+        
+        if (prefetchStatus.isRunning) {
+            logger.warn('Se solicitó reanudar el prefetch pero ya hay uno en ejecución', 'API');
+            return res.status(409).json({ error: 'Ya hay un proceso de prefetch en ejecución' });
+        }
+        
+        const resumable = getResumablePrefetch();
+        if (!resumable) {
+            return res.status(404).json({ error: 'No hay ningún prefetch pendiente de reanudar' });
+        }
+        
+        // No esperar a que termine, ejecutar en segundo plano
+        resumePrefetch().catch(err => {
+            logger.error(`Error al reanudar el prefetch: ${err.message}`, 'API');
+        });
+        
+        res.json({
+            success: true,
+            message: 'Prefetch reanudado',
+            run: resumable
+        });
+    } catch (error) {
+        logger.error(`Error al reanudar prefetch: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al reanudar el proceso de prefetch' });
+    }
+});
+
+// Endpoint para cancelar el prefetch en curso (los servidores pendientes se pueden reanudar después)
+router.post('/prefetch/cancel', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando cancelación del prefetch');
+        
+        if (!cancelPrefetch()) {
+            return res.status(409).json({ error: 'No hay ningún prefetch en ejecución' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Cancelando el prefetch; las descargas en curso se interrumpen y el resto queda pendiente'
+        });
+    } catch (error) {
+        logger.error(`Error al cancelar prefetch: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al cancelar el proceso de prefetch' });
+    }
+});
+
+// Endpoint para responder "continuar" al prefetch que espera confirmación
+router.post('/prefetch/continue', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando continuar el prefetch');
+        
+        if (!continuePrefetch()) {
+            return res.status(409).json({ error: 'El prefetch no está esperando confirmación' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'El prefetch continúa'
+        });
+    } catch (error) {
+        logger.error(`Error al continuar prefetch: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al continuar el proceso de prefetch' });
+    }
+});
+
+// Endpoint para pausar el prefetch en curso (se puede reanudar con /prefetch/resume)
+router.post('/prefetch/pause', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando pausa del prefetch');
+        
+        if (!pausePrefetch()) {
+            return res.status(409).json({ error: 'No hay ningún prefetch en ejecución' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Prefetch pausado; las descargas en curso terminan y el resto queda pendiente de reanudar'
+        });
+    } catch (error) {
+        logger.error(`Error al pausar prefetch: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al pausar el proceso de prefetch' });
+    }
+});
+
+// Endpoint para ver el estado de la recolección de datos por servidor (REGION_SERVIDOR)
+router.get('/status', async (req, res) => {
+    try {
+        logger.route('Solicitando estado de la recolección de datos');
+        res.json({
+            ...getPrefetchStatus(),
+            // Descargas en curso en este proceso y locks de servidores tomados por cualquier proceso
+            scrapeLocks: {
+                inFlight: getInFlightKeys(),
+                held: await getScrapeLocks()
+            }
+        });
+    } catch (error) {
+        logger.error(`Error al obtener el estado de la recolección: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener el estado de la recolección de datos' });
+    }
+});
+
+// Endpoint con la fecha del último prefetch completado y los servidores que se actualizaron
+router.get('/latest', (req, res) => {
+    try {
+        logger.route('Solicitando últimos datos cargados');
+        
+        const status = getPrefetchStatus();
+        res.json({
+            timestamp: status.lastUpdate,
+            isRunning: Boolean(status.isRunning),
+            count: status.completed.length,
+            servers: status.completed
+        });
+    } catch (error) {
+        logger.error(`Error al obtener los últimos datos cargados: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al obtener los últimos datos cargados' });
+    }
+});
+
+// Endpoint para refrescar todos los servidores (prefetch forzado en segundo plano)
+router.get('/refresh', requireAdmin, (req, res) => {
+    try {
+        logger.route('Solicitando actualización de todos los servidores');
+        
+        if (getPrefetchStatus().isRunning) {
+            logger.warn('Se solicitó refrescar los servidores pero ya hay un prefetch en ejecución', 'API');
+            return res.status(409).json({ error: 'Ya hay un proceso de prefetch en ejecución' });
+        }
+        
+        // No esperar a que termine, ejecutar en segundo plano
+        prefetchAllServers({ forceUpdate: true }).catch(err => {
+            logger.error(`Error al refrescar los servidores: ${err.message}`, 'API');
+        });
+        
+        res.status(202).json({
+            success: true,
+            message: 'Proceso de actualización de todos los servidores iniciado',
+            status: '/api/status'
+        });
+    } catch (error) {
+        logger.error(`Error al refrescar los servidores: ${error.message}`, 'API');
+        res.status(500).json({ error: 'Error al iniciar la actualización de los servidores' });
+    }
+});
+
+/**
+ * Extrae y valida la lista de servidores prioritarios del body de la petición
+ * @param {Object} body - Body de la petición ({ servers: [{ region, server }] })
+ * @returns {Array<Object>|Object} - Servidores { regionName, serverName } o { error } si no son válidos
+ */
+function parsePriorityServers(body) {
+    const servers = body && body.servers;
+    if (servers === undefined) {
+        return [];
+    }
+    
+    if (!Array.isArray(servers)) {
+        return { error: 'El campo servers debe ser una lista de { region, server }' };
+    }
+    
+    const result = [];
+    for (const entry of servers) {
+        const regionName = entry && entry.region;
+        const serverName = entry && entry.server;
+        
+        if (!getServerRegions()[regionName] || !getServerRegions()[regionName].servers[serverName]) {
+            return { error: `Servidor no encontrado: ${regionName} > ${serverName}` };
+        }
+        result.push({ regionName, serverName });
+    }
+    
+    return result;
+}
+
 /**
  * Obtiene una representación legible de la diferencia de tiempo entre dos fechas
  * @param {Date} startDate - Fecha de inicio
@@ -807,4 +2159,65 @@ function getTimeDifferenceFormatted(startDate, endDate = new Date()) {
     }
 }
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Extrae y valida los parámetros de paginación de la query
+ * @param {Object} query - Query de la petición
+ * @returns {Object} - { limit, offset } o { error } si los valores no son válidos
+ */
+function parsePagination(query) {
+    const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+    const offset = query.offset !== undefined ? Number(query.offset) : 0;
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `El parámetro limit debe ser un entero entre 1 y ${MAX_PAGE_SIZE}` };
+    }
+    
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: 'El parámetro offset debe ser un entero mayor o igual a 0' };
+    }
+    
+    return { limit, offset };
+}
+
+/**
+ * Extrae y valida el rango de fechas de la query, normalizándolo a ISO
+ * @param {Object} query - Query de la petición
+ * @returns {Object} - { fromDate, toDate } o { error } si alguna fecha no es válida
+ */
+function parseDateRange(query) {
+    const range = {};
+    
+    for (const key of ['fromDate', 'toDate']) {
+        if (!query[key]) continue;
+        
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+            return { error: `El parámetro ${key} no es una fecha válida` };
+        }
+        
+        // Una fecha sin hora como límite superior incluye el día completo
+        if (key === 'toDate' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+        
+        range[key] = date.toISOString();
+    }
+    
+    if (range.fromDate && range.toDate && range.fromDate > range.toDate) {
+        return { error: 'fromDate debe ser anterior a toDate' };
+    }
+    
+    return range;
+}
+
+/**
+ * Extrae y valida el tamaño de las listas de un resumen de cambios
+ * @param {Object} query - Query de la petición
+ * @returns {number|null} - Tamaño de las listas o null si no es válido
+ */
+function parseDiffTop(query) {
+    const top = query.top !== undefined ? Number(query.top) : DEFAULT_DIFF_TOP;
+    return Number.isInteger(top) && top >= 1 && top <= MAX_DIFF_TOP ? top : null;
+}
+
+module.exports = router;
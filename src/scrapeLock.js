@@ -0,0 +1,192 @@
+/**
+ * Deduplicación de descargas de un mismo servidor
+ *
+ * Dentro de un proceso, las llamadas simultáneas con la misma clave comparten una única descarga
+ * (single-flight). Entre procesos, la tabla scrape_locks garantiza que solo uno descargue cada
+ * servidor: el lock se renueva mientras dura la descarga y caduca (SCRAPE_LOCK_LEASE) si el
+ * proceso que lo tenía muere, para que otro pueda tomarlo.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { CONFIG } = require('./config');
+const { delay } = require('./utils');
+const { acquireScrapeLock, renewScrapeLock, releaseScrapeLock } = require('./database');
+const logger = require('./logger');
+
+// Cada cuánto se vuelve a intentar tomar un lock que tiene otro proceso
+const LOCK_POLL_MS = 2000;
+
+// Identificador de este proceso en los locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Descargas en curso en este proceso (clave -> { promise, controller, callers })
+const inFlight = new Map();
+
+/**
+ * Espera el resultado de una descarga compartida, abandonándola si se cancela la señal del llamador
+ * @param {Object} flight - Descarga en curso
+ * @param {AbortSignal} signal - Señal del llamador (opcional)
+ * @returns {Promise<any>}
+ */
+function joinFlight(flight, signal) {
+    flight.callers++;
+
+    if (!signal) {
+        return flight.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            reject(signal.reason);
+            // La descarga solo se cancela cuando la han abandonado todos los que la esperaban
+            flight.callers--;
+            if (flight.callers === 0) {
+                flight.controller.abort(signal.reason);
+            }
+        };
+
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        flight.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Ejecuta una tarea compartiéndola con las llamadas simultáneas de la misma clave
+ * Las llamadas que se unen reciben el resultado (o el error) de la primera. Cada una puede
+ * abandonar la espera con su propia señal; la tarea recibe una señal que solo se cancela
+ * cuando todas la han abandonado
+ * @param {string} key - Clave de la descarga (p. ej. ASIA1_ASIA011)
+ * @param {Function} task - Función asíncrona que hace la descarga; recibe la señal compartida
+ * @param {Object} options - { signal: señal del llamador }
+ * @returns {Promise<any>}
+ */
+function singleFlight(key, task, options = {}) {
+    const { signal } = options;
+    const current = inFlight.get(key);
+
+    // Una descarga que ya abandonaron todos se está cancelando: no se reutiliza
+    if (current && !current.controller.signal.aborted) {
+        logger.debug(`Uniéndose a la descarga en curso de ${key}`, 'ScrapeLock');
+        logger.metric('scrape_single_flight_joined', 1, 'ScrapeLock');
+        return joinFlight(current, signal);
+    }
+
+    const flight = { controller: new AbortController(), callers: 0 };
+    flight.promise = Promise.resolve()
+        .then(() => task(flight.controller.signal))
+        .finally(() => {
+            if (inFlight.get(key) === flight) {
+                inFlight.delete(key);
+            }
+        });
+    // El rechazo se entrega a cada llamador; así no queda como rechazo sin manejar si todos abandonaron
+    flight.promise.catch(() => {});
+    inFlight.set(key, flight);
+    return joinFlight(flight, signal);
+}
+
+/**
+ * Toma el lock de una clave en la base de datos, esperando si lo tiene otro proceso
+ * @param {string} key - Clave del lock
+ * @param {Object} options - { signal, leaseMs, waitMs, pollMs } (por defecto, SCRAPE_LOCK_*)
+ * @returns {Promise<Object|null>} - { key, owner, waited, release() } o null si los locks están desactivados o la base de datos falla
+ */
+async function acquireLock(key, options = {}) {
+    const {
+        signal,
+        enabled = CONFIG.SCRAPE_LOCK_ENABLED,
+        leaseMs = CONFIG.SCRAPE_LOCK_LEASE_MS,
+        waitMs = CONFIG.SCRAPE_LOCK_WAIT_MS,
+        pollMs = LOCK_POLL_MS
+    } = options;
+
+    if (!enabled) {
+        return null;
+    }
+
+    // Un owner por descarga: dos descargas del mismo proceso también se excluyen
+    const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + waitMs;
+    let waited = false;
+
+    for (;;) {
+        let acquired;
+        try {
+            acquired = await acquireScrapeLock(key, owner, leaseMs);
+        } catch (error) {
+            // Sin base de datos no se puede coordinar con otros procesos, pero sí descargar
+            logger.error(`No se pudo tomar el lock de ${key}, se descarga sin él: ${error.message}`, 'ScrapeLock');
+            return null;
+        }
+
+        if (acquired) {
+            break;
+        }
+
+        if (Date.now() + pollMs > deadline) {
+            const error = new Error(`Otro proceso lleva más de ${Math.round(waitMs / 1000)}s descargando ${key}`);
+            error.code = 'SCRAPE_LOCK_TIMEOUT';
+            throw error;
+        }
+
+        if (!waited) {
+            logger.info(`Otro proceso está descargando ${key}, esperando a que termine...`, 'ScrapeLock');
+            logger.metric('scrape_lock_wait', 1, 'ScrapeLock');
+            waited = true;
+        }
+        await delay(pollMs, signal);
+    }
+
+    // Renovar el lock mientras dure la descarga; si el proceso muere, caduca solo
+    const renewTimer = setInterval(() => {
+        renewScrapeLock(key, owner, leaseMs)
+            .then(renewed => {
+                if (!renewed) {
+                    logger.warn(`El lock de ${key} caducó y lo tomó otro proceso`, 'ScrapeLock');
+                }
+            })
+            .catch(error => logger.error(`No se pudo renovar el lock de ${key}: ${error.message}`, 'ScrapeLock'));
+    }, Math.max(1000, Math.floor(leaseMs / 3)));
+    renewTimer.unref();
+
+    let released = false;
+
+    return {
+        key,
+        owner,
+        waited,
+        async release() {
+            if (released) {
+                return;
+            }
+            released = true;
+            clearInterval(renewTimer);
+            try {
+                await releaseScrapeLock(key, owner);
+            } catch (error) {
+                // Si no se puede borrar, caduca al terminar el lease
+                logger.error(`No se pudo liberar el lock de ${key}: ${error.message}`, 'ScrapeLock');
+            }
+        }
+    };
+}
+
+/**
+ * Claves que se están descargando en este proceso
+ * @returns {Array<string>}
+ */
+function getInFlightKeys() {
+    return Array.from(inFlight.keys());
+}
+
+module.exports = {
+    singleFlight,
+    acquireLock,
+    getInFlightKeys
+};
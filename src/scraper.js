@@ -4,53 +4,66 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const puppeteer = require('puppeteer');
-const { CHARACTER_CLASSES, HEADERS, CONFIG, SERVER_REGIONS, SELECTORS, SCRAPER_BEHAVIOR, URLS } = require('./config');
-const { extractImageUrlFromStyle, saveScrapedHtml } = require('./utils');
+const { CHARACTER_CLASSES, HEADERS, CONFIG, SELECTORS, SCRAPER_BEHAVIOR, RANKING_TYPES, DEFAULT_RANKING_TYPE, CLASS_TYPES, URLS } = require('./config');
+const { getServerRegions } = require('./serverCatalog');
+const { extractImageUrlFromStyle, saveScrapedHtml, delay } = require('./utils');
 const { getMainCache, setMainCache, getServerCache, setServerCache } = require('./cache');
-const { getServerRankings } = require('./database');
+const { getServerRankings, getLatestClanRanking, getLatestTypedRanking, initDatabase, insertRankingSnapshot, insertClanSnapshot, insertTypedRankingSnapshot, GLOBAL_SERVER } = require('./database');
+const { openRankingSession, isCriticalBrowserError } = require('./rankingSession');
+const { assertRankingHealth } = require('./parserHealth');
+const { recordUnknownIcon } = require('./selectorProfiles');
+const { createArchiveRun, archivePage } = require('./htmlArchive');
+const { singleFlight, acquireLock } = require('./scrapeLock');
 const logger = require('./logger');
 
 /**
  * Procesa el HTML del ranking para extraer los datos de los jugadores
  * @param {string} html - El HTML a procesar
+ * @param {string} type - Tipo de ranking (RANKING_TYPES); define los selectores y el campo del valor
  * @returns {Array} - Datos de rankings procesados
  */
-function parseRankingHtml(html) {
+function parseRankingHtml(html, type = DEFAULT_RANKING_TYPE) {
     const $ = cheerio.load(html);
     const rankings = [];
+    const rankingType = RANKING_TYPES[type];
+    const selectors = { ...SELECTORS, VALUE: SELECTORS[rankingType.valueSelector] };
 
     // Seleccionar las filas del ranking usando los selectores configurables
-    $(SELECTORS.RANKING_ROW).each((index, element) => {
+    $(selectors.RANKING_ROW).each((index, element) => {
         try {
             const $row = $(element);
             
             // Extraer rank (número de ranking)
-            const rankElement = $row.find(SELECTORS.RANK_NUMBER);
+            const rankElement = $row.find(selectors.RANK_NUMBER);
             const rank = rankElement.text().trim();
             
             // Extraer character y la URL de la imagen
-            const characterElement = $row.find(SELECTORS.CHARACTER_NAME);
+            const characterElement = $row.find(selectors.CHARACTER_NAME);
             const character = characterElement.text().trim();
             
-            const userIconElement = $row.find(SELECTORS.CHARACTER_ICON);
+            const userIconElement = $row.find(selectors.CHARACTER_ICON);
             const styleAttr = userIconElement.attr('style');
             const imgUrl = extractImageUrlFromStyle(styleAttr);
             
             const characterClass = imgUrl ? (CHARACTER_CLASSES[imgUrl] || 'Desconocido') : 'Desconocido';
             
             // Extraer server
-            const serverElement = $row.find(SELECTORS.SERVER_NAME);
+            const serverElement = $row.find(selectors.SERVER_NAME);
             const server = serverElement.text().trim();
             
+            // Registrar los iconos sin clase asignada para poder añadirlos a un perfil de selectores
+            if (imgUrl && !CHARACTER_CLASSES[imgUrl]) {
+                recordUnknownIcon(imgUrl, { character, server });
+            }
+            
             // Extraer clan
-            const clanElement = $row.find(SELECTORS.CLAN_NAME);
+            const clanElement = $row.find(selectors.CLAN_NAME);
             const clan = clanElement.text().trim();
             
-            // Extraer powerScore
-            const powerScoreElement = $row.find(SELECTORS.POWER_SCORE);
-            const powerScoreText = powerScoreElement.text().trim();
-            const powerScore = powerScoreText ? parseInt(powerScoreText.replace(/,/g, '')) : 0;
+            // Extraer el valor del ranking (powerScore en el ranking de poder, level en el de nivel...)
+            const valueElement = $row.find(selectors.VALUE);
+            const valueText = valueElement.text().trim();
+            const value = parseRankingValue(valueText);
             
             if (rank && character) {
                 const playerData = {
@@ -60,7 +73,7 @@ function parseRankingHtml(html) {
                     imageUrl: imgUrl,
                     server,
                     clan,
-                    powerScore
+                    [rankingType.valueField]: value
                 };
                 
                 rankings.push(playerData);
@@ -76,15 +89,142 @@ function parseRankingHtml(html) {
     return rankings;
 }
 
+/**
+ * Convierte el texto del valor de una fila ("1,234,567", "Lv. 130"...) en número
+ * @param {string} valueText - Texto extraído de la celda del valor
+ * @returns {number} - Valor numérico (0 si no se puede interpretar)
+ */
+function parseRankingValue(valueText) {
+    return valueText ? parseInt(valueText.replace(/,/g, '').replace(/^\D+/, '')) || 0 : 0;
+}
+
+// Campos de cada fila y la clave de SELECTORS con la que se extraen (ver debugRankingHtml)
+const DEBUG_ROW_FIELDS = {
+    rank: 'RANK_NUMBER',
+    character: 'CHARACTER_NAME',
+    icon: 'CHARACTER_ICON',
+    server: 'SERVER_NAME',
+    clan: 'CLAN_NAME',
+    value: 'VALUE'
+};
+
+/**
+ * Busca qué alternativa de un selector ("a, b") encuentra elementos dentro de la fila
+ * @param {Object} $row - Fila de cheerio
+ * @param {string} selector - Selector configurado
+ * @returns {string|null} - Alternativa que encontró elementos o null si ninguna
+ */
+function findMatchingSelector($row, selector) {
+    const alternatives = selector.split(',').map(part => part.trim()).filter(Boolean);
+    return alternatives.find(alternative => $row.find(alternative).length > 0) || null;
+}
+
+/**
+ * Procesa el HTML del ranking igual que parseRankingHtml y devuelve además, para cada fila,
+ * cómo se extrajo cada campo. Lo usa GET /api/debug/:fileId para revisar páginas guardadas
+ * @param {string} html - El HTML a procesar
+ * @param {string} type - Tipo de ranking (RANKING_TYPES)
+ * @returns {Object} - { type, rowSelector, rowCount, rankings, rows } donde cada fila tiene
+ *   { index, accepted, fields: { campo: { selector, matchedSelector, matches, raw, parsed } } }
+ */
+function debugRankingHtml(html, type = DEFAULT_RANKING_TYPE) {
+    const $ = cheerio.load(html);
+    const rankingType = RANKING_TYPES[type];
+    const selectors = { ...SELECTORS, VALUE: SELECTORS[rankingType.valueSelector] };
+    const rows = [];
+
+    $(selectors.RANKING_ROW).each((index, element) => {
+        const $row = $(element);
+        const fields = {};
+
+        for (const [field, selectorKey] of Object.entries(DEBUG_ROW_FIELDS)) {
+            const selector = selectors[selectorKey];
+            const matches = $row.find(selector);
+            // El icono no tiene texto: la clase se deduce de la URL de su estilo
+            const raw = field === 'icon' ? (matches.attr('style') || null) : matches.text().trim();
+
+            let parsed = raw;
+            if (field === 'rank') {
+                parsed = parseInt(raw) || null;
+            } else if (field === 'value') {
+                parsed = parseRankingValue(raw);
+            } else if (field === 'icon') {
+                const imageUrl = extractImageUrlFromStyle(raw);
+                parsed = { imageUrl, class: imageUrl ? (CHARACTER_CLASSES[imageUrl] || 'Desconocido') : 'Desconocido' };
+            }
+
+            fields[field] = {
+                selector,
+                matchedSelector: findMatchingSelector($row, selector),
+                matches: matches.length,
+                raw,
+                parsed
+            };
+        }
+
+        // parseRankingHtml descarta las filas sin posición o sin nombre
+        rows.push({ index, accepted: Boolean(fields.rank.raw && fields.character.raw), fields });
+    });
+
+    return {
+        type,
+        rowSelector: selectors.RANKING_ROW,
+        rowCount: rows.length,
+        rankings: parseRankingHtml(html, type),
+        rows
+    };
+}
+
+/**
+ * Procesa el HTML del ranking de clanes (ranktype=2) para extraer los datos de los clanes
+ * @param {string} html - El HTML a procesar
+ * @returns {Array} - Clanes { rank, clan, server, leader, powerScore }
+ */
+function parseClanRankingHtml(html) {
+    const $ = cheerio.load(html);
+    const clans = [];
+
+    $(SELECTORS.RANKING_ROW).each((index, element) => {
+        try {
+            const $row = $(element);
+            
+            const rank = $row.find(SELECTORS.RANK_NUMBER).text().trim();
+            const clan = $row.find(SELECTORS.CLAN_RANKING_NAME).text().trim();
+            const server = $row.find(SELECTORS.CLAN_RANKING_SERVER).text().trim();
+            const leader = $row.find(SELECTORS.CLAN_RANKING_LEADER).text().trim();
+            
+            const powerScoreText = $row.find(SELECTORS.POWER_SCORE).text().trim();
+            const powerScore = powerScoreText ? parseInt(powerScoreText.replace(/,/g, '')) : 0;
+            
+            if (rank && clan) {
+                clans.push({
+                    rank: parseInt(rank) || index + 1,
+                    clan,
+                    server,
+                    leader,
+                    powerScore
+                });
+            }
+        } catch (rowError) {
+            logger.error(`Error procesando fila de clan: ${rowError}`, 'Scraper');
+        }
+    });
+
+    return clans;
+}
+
 /**
  * Construye la URL de un servidor específico
  * @param {string} regionName - Nombre de la región
  * @param {string} serverName - Nombre del servidor
+ * @param {string} baseUrl - URL del ranking (por defecto el de poder; URLS.RANKING_CLAN para clanes)
+ * @param {number} classType - Opcional. Valor de classtype= para los rankings por clase (CLASS_TYPES)
  * @returns {string} - URL completa del servidor
  */
-function buildServerUrl(regionName, serverName) {
+function buildServerUrl(regionName, serverName, baseUrl = CONFIG.RANKING_URL, classType = null) {
     try {
-        const region = SERVER_REGIONS[regionName];
+        // Catálogo descubierto en la web (con SERVER_REGIONS como semilla)
+        const region = getServerRegions()[regionName];
         if (!region) {
             throw new Error(`Región no encontrada: ${regionName}`);
         }
@@ -94,13 +234,57 @@ function buildServerUrl(regionName, serverName) {
             throw new Error(`Servidor no encontrado: ${serverName} en región ${regionName}`);
         }
         
-        return `${CONFIG.RANKING_URL}&worldgroupid=${region.id}&worldid=${server.id}&classtype=&searchname=`;
+        return `${baseUrl}&worldgroupid=${region.id}&worldid=${server.id}&classtype=${classType || ''}&searchname=`;
     } catch (error) {
         logger.error(`Error construyendo URL de servidor: ${error.message}`, 'Scraper');
         throw error;
     }
 }
 
+/**
+ * URL base de un tipo de ranking de jugadores (la del ranking de poder con su ranktype=)
+ * @param {string} type - Tipo de ranking (RANKING_TYPES)
+ * @returns {string}
+ */
+function getRankingTypeUrl(type) {
+    if (type === DEFAULT_RANKING_TYPE) {
+        return URLS.RANKING_POWER;
+    }
+    
+    const url = new URL(URLS.RANKING_POWER);
+    url.searchParams.set('ranktype', RANKING_TYPES[type].rankType);
+    return url.toString();
+}
+
+/**
+ * Convierte una clase recibida por la API (nombre o valor de classtype=) en su valor de classtype=
+ * @param {string|number} value - Nombre de la clase (sin distinguir mayúsculas) o su número
+ * @returns {number|null} - Valor de classtype= (0 = todas las clases) o null si la clase no existe
+ */
+function resolveClassType(value) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    
+    const classTypes = Object.values(CLASS_TYPES);
+    if (/^\d+$/.test(String(value))) {
+        const classType = parseInt(value, 10);
+        return classTypes.includes(classType) ? classType : null;
+    }
+    
+    const className = Object.keys(CLASS_TYPES).find(name => name.toLowerCase() === String(value).toLowerCase());
+    return className ? CLASS_TYPES[className] : null;
+}
+
+/**
+ * Devuelve el rank más alto de una lista de jugadores
+ * @param {Array} players - Jugadores con su rank
+ * @returns {number}
+ */
+function getMaxRank(players) {
+    return players.reduce((max, player) => Math.max(max, player.rank || 0), 0);
+}
+
 /**
  * Compara los datos existentes en la base de datos con los datos recién scrapeados
  * para determinar si es necesario continuar con el scraping completo
@@ -144,9 +328,12 @@ async function shouldContinueScraping(scrapedData, regionName = null, serverName
                 return true;
             }
             
-            // Primera comparación rápida: número de jugadores
-            if (Math.abs(scrapedData.length - serverDigest.stats.total_players) > serverDigest.stats.total_players * 0.1) {
-                logger.scraper(`➡️ OPTIMIZACIÓN: Diferencia significativa en el número de jugadores (${scrapedData.length} vs ${serverDigest.stats.total_players}). Continuando con scraping completo.`);
+            // Primera comparación rápida: número de jugadores. El digest cuenta el ranking completo y aquí
+            // solo hay la primera página, así que se compara con los que guardamos hasta el mismo rank
+            const maxRank = getMaxRank(scrapedData);
+            const expectedPlayers = Math.min(serverDigest.stats.total_players, maxRank);
+            if (Math.abs(scrapedData.length - expectedPlayers) > expectedPlayers * 0.1) {
+                logger.scraper(`➡️ OPTIMIZACIÓN: Diferencia significativa en el número de jugadores (${scrapedData.length} vs ${expectedPlayers}). Continuando con scraping completo.`);
                 return true;
             }
             
@@ -155,7 +342,7 @@ async function shouldContinueScraping(scrapedData, regionName = null, serverName
             const scrapedTop10 = scrapedData.filter(p => p.rank <= 10);
             
             // Crear un objeto para comparar más fácilmente
-            const digestTop10Names = new Set(serverDigest.topPlayers.map(p => p.character_name));
+            const digestTop10Names = new Set(serverDigest.topPlayers.filter(p => p.rank <= maxRank).map(p => p.character_name));
             const scrapedTop10Names = new Set(scrapedTop10.map(p => p.character));
             
             // Contar cuántos nombres coinciden
@@ -178,7 +365,9 @@ async function shouldContinueScraping(scrapedData, regionName = null, serverName
         }
         
         // Para el ranking general, usar una comparación más simple con los datos existentes
-        const existingData = getServerRankings(regionName, serverName);  
+        // (solo los de las mismas posiciones que la página scrapeada)
+        const maxRank = getMaxRank(scrapedData);
+        const existingData = (await getServerRankings(regionName, serverName)).filter(player => player.rank <= maxRank);
 
         // Si no hay datos en la base de datos, debemos continuar el scraping
         if (!existingData || existingData.length === 0) {
@@ -209,6 +398,33 @@ async function shouldContinueScraping(scrapedData, regionName = null, serverName
     }
 }
 
+/**
+ * Guarda un ranking scrapeado como snapshot en la base de datos
+ * Los errores se registran pero no interrumpen el scraping
+ * @param {Array} rankings - Datos del ranking scrapeado
+ * @param {string} server - Servidor del snapshot (GLOBAL_SERVER para el ranking general)
+ * @returns {Promise<Object|null>} - Información del snapshot o null si no se pudo guardar
+ */
+async function saveRankingSnapshot(rankings, server) {
+    try {
+        await initDatabase();
+        // Cada ranking de servidor descargado se compara con los demás para detectar fusiones
+        const snapshot = await insertRankingSnapshot(rankings, server, 'scraper', { detectMerges: true });
+        
+        if (snapshot.duplicate) {
+            logger.scraper(`Ranking de ${server} sin cambios, se reutiliza el snapshot ${snapshot.id}`);
+        } else {
+            logger.scraper(`Snapshot ${snapshot.id} guardado para ${server}: ${snapshot.insertedCount} entradas`);
+            logger.metric(`snapshot_saved_${server}`, snapshot.insertedCount);
+        }
+        
+        return snapshot;
+    } catch (error) {
+        logger.error(`Error al guardar snapshot de ${server}: ${error.message}`, 'Scraper');
+        return null;
+    }
+}
+
 /**
  * Verifica si el sitio permite el scraping según robots.txt
  * @returns {Promise<boolean>} - True si está permitido, false si no
@@ -263,16 +479,120 @@ async function checkRobotsTxt() {
     }
 }
 
+/**
+ * Carga las páginas siguientes a la primera a través de una sesión de ranking
+ * @param {Object} session - Sesión abierta con openRankingSession
+ * @param {Array} firstPageRankings - Entradas de la primera página
+ * @param {Object} options - { label, htmlPrefix, metricName, signal, parse (por defecto parseRankingHtml), entryKey, archive }
+ * @returns {Promise<Object>} - { rankings, pagesLoaded }
+ */
+async function loadRemainingPages(session, firstPageRankings, options) {
+    const { label, htmlPrefix, metricName, signal, parse = parseRankingHtml, entryKey = playerKey, archive = null } = options;
+    let allRankings = firstPageRankings;
+    let pagesLoaded = 1;
+
+    while (pagesLoaded < CONFIG.MAX_PAGES_TO_SCRAPE) {
+        const pageHtml = await session.nextPage(pagesLoaded + 1);
+        signal?.throwIfAborted();
+        if (!pageHtml) {
+            logger.scraper('No hay más páginas para cargar');
+            break;
+        }
+
+        // En el navegador la página acumula todas las filas; por HTTP cada página trae solo las suyas
+        const pageRankings = parse(pageHtml);
+        const newRankings = session.cumulative ? pageRankings : mergeRankings(allRankings, pageRankings, entryKey);
+
+        // Verificar si se obtuvieron nuevos datos
+        if (newRankings.length <= allRankings.length) {
+            logger.scraper(`No se obtuvieron nuevos datos (actual: ${newRankings.length}, anterior: ${allRankings.length}), deteniendo el scraping`);
+            break;
+        }
+
+        pagesLoaded++;
+        logger.scraper(`Página ${pagesLoaded} cargada${label ? ` para ${label}` : ''}: ${newRankings.length} entradas en total`);
+
+        // Actualizar la lista completa de rankings
+        allRankings = newRankings;
+
+        // Guardar el HTML de cada página para debugging (y en el archivo, si está activado)
+        await saveScrapedHtml(pageHtml, `${htmlPrefix}_page_${pagesLoaded}`);
+        archivePage(archive, pagesLoaded, pageHtml);
+
+        // Registrar métrica de progreso
+        logger.metric(metricName, pagesLoaded);
+    }
+
+    return { rankings: allRankings, pagesLoaded };
+}
+
+/**
+ * Clave que identifica a un jugador dentro de un ranking
+ * @param {Object} player - Entrada del ranking de jugadores
+ * @returns {string}
+ */
+function playerKey(player) {
+    return `${player.rank}|${player.character}`;
+}
+
+/**
+ * Clave que identifica a un clan dentro del ranking de clanes
+ * @param {Object} entry - Entrada del ranking de clanes
+ * @returns {string}
+ */
+function clanKey(entry) {
+    return `${entry.rank}|${entry.clan}`;
+}
+
+/**
+ * Añade a una lista de entradas las de una nueva página, descartando las repetidas
+ * @param {Array} current - Entradas ya cargadas
+ * @param {Array} pageRankings - Entradas de la nueva página
+ * @param {Function} entryKey - Función que devuelve la clave de una entrada
+ * @returns {Array} - Lista combinada
+ */
+function mergeRankings(current, pageRankings, entryKey = playerKey) {
+    const seen = new Set(current.map(entryKey));
+    const added = pageRankings.filter(entry => !seen.has(entryKey(entry)));
+
+    return current.concat(added);
+}
+
 /**
  * Obtiene y parsea los datos del ranking de MIR4 para un servidor específico
+ * Las llamadas simultáneas para el mismo servidor comparten una única descarga, que solo se cancela
+ * cuando la han cancelado todas
  * @param {string} regionName - Nombre de la región (ej: ASIA, IMENA)
  * @param {string} serverName - Nombre del servidor (ej: ASIA011, IMENA011)
  * @param {boolean} forceRefresh - Si es true, ignora el caché y hace un nuevo scraping
  * @param {number} retryCount - Número de intentos realizados (para manejo de reintentos)
+ * @param {Object} options - Opciones adicionales
+ * @param {AbortSignal} options.signal - Señal para cancelar la descarga (p. ej. por timeout del prefetch)
  * @returns {Promise<Array>} - Datos de rankings procesados
  */
-async function fetchServerRankingData(regionName, serverName, forceRefresh = false, retryCount = 0) {
-    let browser = null;
+function fetchServerRankingData(regionName, serverName, forceRefresh = false, retryCount = 0, options = {}) {
+    const flightKey = `${regionName}_${serverName}${forceRefresh ? ':force' : ''}`;
+    return singleFlight(
+        flightKey,
+        sharedSignal => scrapeServerRankingData(regionName, serverName, forceRefresh, retryCount, { ...options, signal: sharedSignal }),
+        { signal: options.signal }
+    );
+}
+
+/**
+ * Descarga el ranking de un servidor con el lock de la base de datos (ver fetchServerRankingData)
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {boolean} forceRefresh - Si es true, ignora el caché y hace un nuevo scraping
+ * @param {number} retryCount - Número de intentos realizados
+ * @param {Object} options - { signal, heldLock (lock que ya tiene el intento anterior) }
+ * @returns {Promise<Array>} - Datos de rankings procesados
+ */
+async function scrapeServerRankingData(regionName, serverName, forceRefresh = false, retryCount = 0, options = {}) {
+    const { signal, heldLock = null } = options;
+    let session = null;
+    // Lock tomado por esta llamada (los reintentos reutilizan el del primer intento)
+    let lock = null;
     
     try {
         // Registrar inicio del scraping para este servidor
@@ -284,7 +604,7 @@ async function fetchServerRankingData(regionName, serverName, forceRefresh = fal
         
         // Verificar si tenemos datos en caché y no se forzó refresco
         if (!forceRefresh) {
-            const cachedData = getServerCache(cacheKey);
+            const cachedData = await getServerCache(cacheKey);
             if (cachedData) {
                 logger.scraper(`Usando datos en caché para ${regionName} > ${serverName} (${cachedData.length} jugadores)`);
                 logger.endScraperRun(true, `Usado caché para ${regionName}>${serverName} (${cachedData.length} jugadores)`);
@@ -302,266 +622,129 @@ async function fetchServerRankingData(regionName, serverName, forceRefresh = fal
             }
         }
         
+        // Solo un proceso descarga cada servidor a la vez
+        if (!heldLock) {
+            lock = await acquireLock(`ranking:${cacheKey}`, { signal });
+        }
+        if (lock && lock.waited && !forceRefresh) {
+            // Otro proceso acaba de descargarlo: usar sus datos (caché compartido o base de datos)
+            const sharedData = await getServerCache(cacheKey) || await getServerRankings(regionName, serverName);
+            if (sharedData && sharedData.length > 0) {
+                logger.scraper(`Usando los datos que otro proceso acaba de descargar para ${regionName} > ${serverName} (${sharedData.length} jugadores)`);
+                logger.endScraperRun(true, `Reutilizada la descarga de otro proceso para ${regionName}>${serverName}`);
+                return sharedData;
+            }
+        }
+        
         logger.scraper(`Iniciando scraping del ranking para ${regionName} > ${serverName}...`);
         
         // Construir la URL específica del servidor
         const serverUrl = buildServerUrl(regionName, serverName);
         logger.scraper(`URL del servidor: ${serverUrl}`);
         
-        // Iniciar el navegador
-        const browser = await puppeteer.launch({
-            headless: SCRAPER_BEHAVIOR.BROWSER_HEADLESS,
-            args: SCRAPER_BEHAVIOR.BROWSER_ARGS,
-            timeout: 60000 // 60 segundos para iniciar el navegador
-        });
+        // Abrir la sesión (HTTP o navegador según SCRAPER_MODE)
+        session = await openRankingSession(serverUrl, `${regionName} > ${serverName}`, { signal });
+        logger.scraper(`Modo de scraping para ${regionName} > ${serverName}: ${session.mode}`);
         
-        const page = await browser.newPage();
-        await page.setDefaultNavigationTimeout(60000); // 60 segundos para la navegación
-        await page.setDefaultTimeout(30000); // 30 segundos para otras operaciones
-        await page.setViewport({ width: 1280, height: 800 });
+        // Archivar la página antes de comprobarla: si el HTML cambió, podrá reprocesarse al corregir los selectores
+        const archive = createArchiveRun({ region: regionName, server: serverName, url: serverUrl });
+        archivePage(archive, 1, session.firstPageHtml);
         
-        // Establecer los headers
-        await page.setExtraHTTPHeaders(HEADERS);
+        const firstPageHtml = session.firstPageHtml;
+        const firstPageRankings = parseRankingHtml(firstPageHtml);
         
-        // Manejar errores de página
-        page.on('error', error => {
-            logger.error(`Error de página para ${regionName} > ${serverName}: ${error}`, 'Scraper');
-        });
+        // Comprobar que la página conserva la estructura esperada antes de usar sus datos
+        assertRankingHealth({ html: firstPageHtml, rankings: firstPageRankings }, { label: `${regionName} > ${serverName}`, url: serverUrl });
         
-        try {
-            // Navegar a la página de ranking del servidor específico
-            logger.scraper(`Navegando a ${serverUrl}`);
-            await page.goto(serverUrl, { 
-                waitUntil: 'networkidle2',
-                timeout: 60000
-            });
-            
-            // Aceptar cookies si aparece el diálogo
-            try {
-                logger.scraper('Comprobando si hay diálogo de cookies...');
-                const cookieButton = await page.$(SELECTORS.COOKIE_ACCEPT_BUTTON);
-                if (cookieButton) {
-                    await cookieButton.click();
-                    logger.scraper('Aceptadas las cookies');
-                    // Reemplazar waitForTimeout con una espera usando setTimeout
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            } catch (cookieError) {
-                logger.debug('No se encontró diálogo de cookies');
-            }
-            
-            let currentPageHtml = await page.content();
-            let allRankings = parseRankingHtml(currentPageHtml);
-            
-            logger.scraper(`Página 1 cargada para ${regionName} > ${serverName}: ${allRankings.length} jugadores`);
-            
-            // Guardar el HTML inicial
-            const htmlFileName = `${regionName}_${serverName}`;
-            await saveScrapedHtml(currentPageHtml, htmlFileName);
-            
-            // Verificar si es necesario continuar con el scraping
-            if (!forceRefresh) {
-                const shouldContinue = await shouldContinueScraping(allRankings, regionName, serverName);
-                if (!shouldContinue) {
-                    logger.scraper(`Usando datos existentes para ${regionName} > ${serverName}, omitiendo scraping adicional`);
-                    await browser.close();
-                    browser = null;
-                    
-                    // Si no hay datos en caché, usar los de la base de datos
-                    const existingData = getServerCache(cacheKey);
-                    if (existingData) {
-                        // Añadir información de región/servidor a cada jugador
-                        return existingData.map(player => ({
-                            ...player,
-                            regionName,
-                            serverName
-                        }));
-                    }
-                    
-                    // Si no hay datos en caché, usar los de la base de datos
-                    const dbData = getServerRankings(regionName, serverName);
-                    if (dbData && dbData.length > 0) {
-                        // Guardar en caché para futuras consultas
-                        setServerCache(cacheKey, dbData);
-                        return dbData;
-                    }
+        logger.scraper(`Página 1 cargada para ${regionName} > ${serverName}: ${firstPageRankings.length} jugadores`);
+        
+        // Guardar el HTML inicial
+        const htmlFileName = `${regionName}_${serverName}`;
+        await saveScrapedHtml(firstPageHtml, htmlFileName);
+        
+        // Verificar si es necesario continuar con el scraping
+        if (!forceRefresh) {
+            const shouldContinue = await shouldContinueScraping(firstPageRankings, regionName, serverName);
+            if (!shouldContinue) {
+                logger.scraper(`Usando datos existentes para ${regionName} > ${serverName}, omitiendo scraping adicional`);
+                await session.close();
+                session = null;
+                
+                const existingData = await getServerCache(cacheKey);
+                if (existingData) {
+                    // Añadir información de región/servidor a cada jugador
+                    return existingData.map(player => ({
+                        ...player,
+                        regionName,
+                        serverName
+                    }));
                 }
-            }
-            
-            // Cargar más páginas haciendo clic en el botón "Ver más"
-            let pagesLoaded = 1;
-            
-            while (pagesLoaded < CONFIG.MAX_PAGES_TO_SCRAPE) {
-                try {
-                    // Comprobar si existe el botón "Ver más"
-                    logger.scraper(`Buscando botón "Ver más" con selector: ${CONFIG.LOAD_MORE_BUTTON_SELECTOR}`);
-                    
-                    // Esperar a que el botón sea visible y esté habilitado
-                    await page.waitForSelector(CONFIG.LOAD_MORE_BUTTON_SELECTOR, { 
-                        visible: true,
-                        timeout: SCRAPER_BEHAVIOR.WAIT_FOR_SELECTOR_MS
-                    }).catch(err => {
-                        logger.debug(`Botón no encontrado: ${err.message}`, 'Scraper');
-                        return null;
-                    });
-                    
-                    const loadMoreButton = await page.$(CONFIG.LOAD_MORE_BUTTON_SELECTOR);
-                    if (!loadMoreButton) {
-                        logger.scraper('No hay más páginas para cargar (botón no encontrado)');
-                        break;
-                    }
-                    
-                    // Hacer clic en el botón y esperar a que se carguen los datos
-                    logger.scraper(`Haciendo clic para cargar página ${pagesLoaded + 1}...`);
-                    
-                    // Extraer el texto del botón para debugging
-                    const buttonText = await page.evaluate(button => button.textContent, loadMoreButton)
-                        .catch(err => {
-                            logger.debug(`No se pudo obtener texto del botón: ${err.message}`, 'Scraper');
-                            return "Desconocido";
-                        });
-                    logger.scraper(`Texto del botón: "${buttonText}"`);
-                    
-                    // Contar elementos antes del clic
-                    const countBefore = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
-                        .catch(err => {
-                            logger.debug(`Error al contar elementos: ${err.message}`, 'Scraper');
-                            return 0;
-                        });
-                    logger.scraper(`Elementos antes del clic: ${countBefore}`);
-                    
-                    // Hacer clic en el botón
-                    await loadMoreButton.click().catch(err => {
-                        logger.error(`Error al hacer clic en el botón: ${err.message}`, 'Scraper');
-                        throw err; // Propagar el error
-                    });
-                    
-                    // Esperar a que se carguen los nuevos datos con manejo de errores
-                    logger.scraper(`Esperando a que se carguen nuevos datos...`);
-                    try {
-                        await page.waitForFunction(
-                            (previousCount, selector) => {
-                                const currentCount = document.querySelectorAll(selector).length;
-                                return currentCount > previousCount;
-                            },
-                            { timeout: SCRAPER_BEHAVIOR.WAIT_FOR_NAVIGATION_MS },
-                            countBefore,
-                            SELECTORS.RANKING_ROW
-                        );
-                    } catch (waitError) {
-                        logger.error(`Error al esperar nuevos datos: ${waitError.message}`, 'Scraper');
-                        // Verificar si la página todavía está disponible
-                        if (waitError.message.includes('Target closed') || 
-                            waitError.message.includes('Session closed') || 
-                            waitError.message.includes('frame got detached')) {
-                            throw waitError; // Propagar errores críticos
-                        }
-                        // Para otros errores, intentamos continuar
-                        break;
-                    }
-                    
-                    // Esperar un tiempo adicional para asegurar que todo se haya cargado
-                    await new Promise(resolve => setTimeout(resolve, SCRAPER_BEHAVIOR.WAIT_BETWEEN_CLICKS_MS));
-                    
-                    // Contar elementos después del clic
-                    const countAfter = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
-                        .catch(err => {
-                            logger.debug(`Error al contar elementos después: ${err.message}`, 'Scraper');
-                            return 0;
-                        });
-                    logger.scraper(`Elementos después del clic: ${countAfter} (añadidos: ${countAfter - countBefore})`);
-                    
-                    // Obtener el nuevo contenido y parsear los datos
-                    currentPageHtml = await page.content();
-                    const newRankings = parseRankingHtml(currentPageHtml);
-                    
-                    // Verificar si se obtuvieron nuevos datos
-                    if (newRankings.length <= allRankings.length) {
-                        logger.scraper(`No se obtuvieron nuevos datos (actual: ${newRankings.length}, anterior: ${allRankings.length}), deteniendo el scraping`);
-                        break;
-                    }
-                    
-                    pagesLoaded++;
-                    logger.scraper(`Página ${pagesLoaded} cargada para ${regionName} > ${serverName}: ${newRankings.length} jugadores en total`);
-                    
-                    // Actualizar la lista completa de rankings
-                    allRankings = newRankings;
-                    
-                    // Guardar el HTML de cada página para debugging
-                    await saveScrapedHtml(currentPageHtml, `${htmlFileName}_page_${pagesLoaded}`);
-                    
-                    // Registrar métrica de progreso
-                    logger.metric(`scraper_page_loaded_${regionName}_${serverName}`, pagesLoaded);
-
-                } catch (btnError) {
-                    logger.error(`Error al cargar más páginas: ${btnError}`, 'Scraper');
-                    
-                    // Verificar si es un error crítico relacionado con el cierre de sesión
-                    if (btnError.message.includes('Target closed') || 
-                        btnError.message.includes('Session closed') || 
-                        btnError.message.includes('frame got detached')) {
-                        throw btnError; // Propagar el error para reintentar
-                    }
-                    
-                    // Para otros errores, intentamos tomar una captura y continuamos
-                    try {
-                        await page.screenshot({path: `error_${regionName}_${serverName}_page_${pagesLoaded}.png`}).catch(() => {});
-                        logger.scraper(`Se guardó una captura de pantalla en error_${regionName}_${serverName}_page_${pagesLoaded}.png`);
-                    } catch (screenshotError) {
-                        logger.error(`No se pudo tomar captura de pantalla: ${screenshotError.message}`, 'Scraper');
-                    }
-                    break;
+                
+                // Si no hay datos en caché, usar los de la base de datos
+                const dbData = await getServerRankings(regionName, serverName);
+                if (dbData && dbData.length > 0) {
+                    // Guardar en caché para futuras consultas
+                    await setServerCache(cacheKey, dbData);
+                    return dbData;
                 }
             }
-            
-            // Cerrar el navegador correctamente
-            await browser.close();
-            browser = null;
-            
-            if (allRankings.length === 0) {
-                logger.error(`No se encontraron datos en la página de ${regionName} > ${serverName}`, 'Scraper');
-                throw new Error(`No se encontraron datos en la página de ${regionName} > ${serverName}`);
-            }
+        }
+        
+        // Cargar el resto de páginas
+        const { rankings, pagesLoaded } = await loadRemainingPages(session, firstPageRankings, {
+            label: `${regionName} > ${serverName}`,
+            htmlPrefix: htmlFileName,
+            metricName: `scraper_page_loaded_${regionName}_${serverName}`,
+            signal,
+            archive
+        });
+        let allRankings = rankings;
+        
+        // Cerrar la sesión correctamente
+        await session.close();
+        session = null;
+        
+        assertRankingHealth({ rankings: allRankings }, { label: `${regionName} > ${serverName}`, url: serverUrl });
+        
+        if (allRankings.length === 0) {
+            logger.error(`No se encontraron datos en la página de ${regionName} > ${serverName}`, 'Scraper');
+            throw new Error(`No se encontraron datos en la página de ${regionName} > ${serverName}`);
+        }
 
-            // Mostrar resumen de clases
-            const classCount = allRankings.reduce((acc, curr) => {
-                acc[curr.class] = (acc[curr.class] || 0) + 1;
-                return acc;
-            }, {});
+        // Mostrar resumen de clases
+        const classCount = allRankings.reduce((acc, curr) => {
+            acc[curr.class] = (acc[curr.class] || 0) + 1;
+            return acc;
+        }, {});
 
-            logger.scraper(`Scraping completado exitosamente para ${regionName} > ${serverName}: ${allRankings.length} jugadores en total`);
-            logger.table(classCount);
-            
-            // Guardar los datos en caché para futuras consultas
-            setServerCache(cacheKey, allRankings);
-            
-            // Añadir información de región/servidor a cada jugador
-            allRankings = allRankings.map(player => ({
-                ...player,
-                regionName,
-                serverName
-            }));
-            
-            // Registrar éxito
-            logger.endScraperRun(true, `${regionName}>${serverName}: ${allRankings.length} jugadores en ${pagesLoaded} páginas`);
-            logger.metric(`scraper_success_${regionName}_${serverName}`, allRankings.length);
-            
-            return allRankings;
-        } catch (pageError) {
-            logger.error(`Error en la navegación para ${regionName} > ${serverName}: ${pageError}`, 'Scraper');
-            
-            // Cerrar el navegador si aún está abierto
-            if (browser) {
-                await browser.close().catch(() => {});
-                browser = null;
-            }
-            
-            throw pageError;
-        }
+        logger.scraper(`Scraping completado exitosamente para ${regionName} > ${serverName}: ${allRankings.length} jugadores en total`);
+        logger.table(classCount);
+        
+        // Si la descarga se canceló mientras tanto, no se guardan datos que el llamador ya descartó
+        signal?.throwIfAborted();
+        
+        // Guardar los datos en caché para futuras consultas
+        await setServerCache(cacheKey, allRankings);
+        
+        // Guardar el snapshot en la base de datos para conservar el histórico
+        await saveRankingSnapshot(allRankings, serverName);
+        
+        // Añadir información de región/servidor a cada jugador
+        allRankings = allRankings.map(player => ({
+            ...player,
+            regionName,
+            serverName
+        }));
+        
+        // Registrar éxito
+        logger.endScraperRun(true, `${regionName}>${serverName}: ${allRankings.length} jugadores en ${pagesLoaded} páginas`);
+        logger.metric(`scraper_success_${regionName}_${serverName}`, allRankings.length);
+        
+        return allRankings;
     } catch (error) {
-        // Cerrar el navegador si aún está abierto
-        if (browser) {
-            await browser.close().catch(() => {});
+        // Cerrar la sesión si aún está abierta
+        if (session) {
+            await session.close();
         }
         
         logger.error(`Error fetchServerRankingData para ${regionName} > ${serverName}: ${error.message}`, 'Scraper');
@@ -571,32 +754,37 @@ async function fetchServerRankingData(regionName, serverName, forceRefresh = fal
         logger.metric(`scraper_error_${regionName}_${serverName}`, 1);
         
         // Implementar reintentos para errores relacionados con el cierre de la sesión
+        // (una descarga cancelada no se reintenta)
         const MAX_RETRIES = SCRAPER_BEHAVIOR.MAX_RETRIES;
-        if (retryCount < MAX_RETRIES && (
-            error.message.includes('Target closed') || 
-            error.message.includes('Session closed') || 
-            error.message.includes('frame got detached')
-        )) {
+        if (retryCount < MAX_RETRIES && !signal?.aborted && isCriticalBrowserError(error)) {
             // Esperar un poco antes de reintentar
             const waitTime = (retryCount + 1) * SCRAPER_BEHAVIOR.RETRY_DELAY_MS; // Espera incremental
             logger.warn(`Reintentando en ${waitTime/1000}s (intento ${retryCount + 1} de ${MAX_RETRIES})...`, 'Scraper');
-            await new Promise(resolve => setTimeout(resolve, waitTime));
+            await delay(waitTime, signal);
             
-            return fetchServerRankingData(regionName, serverName, forceRefresh, retryCount + 1);
+            // El reintento sigue con el mismo lock, que se libera cuando termina
+            return await scrapeServerRankingData(regionName, serverName, forceRefresh, retryCount + 1, {
+                ...options,
+                heldLock: heldLock || lock
+            });
         }
         
         throw error;
+    } finally {
+        if (lock) {
+            await lock.release();
+        }
     }
 }
 
 /**
- * Obtiene y parsea los datos del ranking de MIR4 usando Puppeteer para cargar todos los jugadores
+ * Obtiene y parsea los datos del ranking global de MIR4 (por HTTP o, si no es posible, con Puppeteer)
  * @param {boolean} forceRefresh - Si es true, ignora el caché y hace un nuevo scraping
  * @param {number} retryCount - Número de intentos realizados (para manejo de reintentos)
  * @returns {Promise<Array>} - Datos de rankings procesados
  */
 async function fetchRankingData(forceRefresh = false, retryCount = 0) {
-    let browser = null;
+    let session = null;
     
     try {
         // Registrar inicio del scraping
@@ -605,7 +793,7 @@ async function fetchRankingData(forceRefresh = false, retryCount = 0) {
         
         // Verificar si tenemos datos en caché y no se forzó refresco
         if (!forceRefresh) {
-            const cachedData = getMainCache();
+            const cachedData = await getMainCache();
             if (cachedData) {
                 logger.scraper(`Usando datos en caché (${cachedData.length} jugadores)`);
                 logger.endScraperRun(true, `Usado caché global (${cachedData.length} jugadores)`);
@@ -625,233 +813,82 @@ async function fetchRankingData(forceRefresh = false, retryCount = 0) {
         
         logger.scraper('Iniciando scraping completo del ranking desde la fuente...');
         
-        // Iniciar el navegador
-        const browser = await puppeteer.launch({
-            headless: SCRAPER_BEHAVIOR.BROWSER_HEADLESS,
-            args: SCRAPER_BEHAVIOR.BROWSER_ARGS,
-            timeout: 60000 // 60 segundos para iniciar el navegador
-        });
+        // Abrir la sesión (HTTP o navegador según SCRAPER_MODE)
+        session = await openRankingSession(CONFIG.RANKING_URL, 'global');
+        logger.scraper(`Modo de scraping: ${session.mode}`);
         
-        const page = await browser.newPage();
-        await page.setDefaultNavigationTimeout(60000); // 60 segundos para la navegación
-        await page.setDefaultTimeout(30000); // 30 segundos para otras operaciones
-        await page.setViewport({ width: 1280, height: 800 });
+        const archive = createArchiveRun({ server: GLOBAL_SERVER, url: CONFIG.RANKING_URL });
+        archivePage(archive, 1, session.firstPageHtml);
         
-        // Establecer los headers
-        await page.setExtraHTTPHeaders(HEADERS);
+        const firstPageHtml = session.firstPageHtml;
+        const firstPageRankings = parseRankingHtml(firstPageHtml);
         
-        // Manejar errores de página
-        page.on('error', error => {
-            logger.error(`Error de página: ${error}`, 'Scraper');
-        });
+        // Comprobar que la página conserva la estructura esperada antes de usar sus datos
+        assertRankingHealth({ html: firstPageHtml, rankings: firstPageRankings }, { label: 'global', url: CONFIG.RANKING_URL });
         
-        try {
-            // Navegar a la página de ranking
-            logger.scraper(`Navegando a ${CONFIG.RANKING_URL}`);
-            await page.goto(CONFIG.RANKING_URL, { 
-                waitUntil: 'networkidle2',
-                timeout: 60000
-            });
-            
-            // Aceptar cookies si aparece el diálogo
-            try {
-                logger.scraper('Comprobando si hay diálogo de cookies...');
-                const cookieButton = await page.$(SELECTORS.COOKIE_ACCEPT_BUTTON);
-                if (cookieButton) {
-                    await cookieButton.click();
-                    logger.scraper('Aceptadas las cookies');
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            } catch (cookieError) {
-                logger.debug('No se encontró diálogo de cookies');
-            }
-            
-            let currentPageHtml = await page.content();
-            let allRankings = parseRankingHtml(currentPageHtml);
-            
-            logger.scraper(`Página 1 cargada: ${allRankings.length} jugadores`);
-            
-            // Guardar el HTML inicial
-            await saveScrapedHtml(currentPageHtml);
-            
-            // Verificar si es necesario continuar con el scraping
-            if (!forceRefresh) {
-                const shouldContinue = await shouldContinueScraping(allRankings);
-                if (!shouldContinue) {
-                    logger.scraper('Usando datos existentes, omitiendo scraping adicional');
-                    await browser.close();
-                    browser = null;
-                    return getMainCache();
-                }
-            }
-            
-            // Cargar más páginas haciendo clic en el botón "Ver más"
-            let pagesLoaded = 1;
-            
-            while (pagesLoaded < CONFIG.MAX_PAGES_TO_SCRAPE) {
-                try {
-                    // Comprobar si existe el botón "Ver más"
-                    logger.scraper(`Buscando botón "Ver más" con selector: ${CONFIG.LOAD_MORE_BUTTON_SELECTOR}`);
-                    
-                    // Esperar a que el botón sea visible y esté habilitado
-                    await page.waitForSelector(CONFIG.LOAD_MORE_BUTTON_SELECTOR, { 
-                        visible: true,
-                        timeout: SCRAPER_BEHAVIOR.WAIT_FOR_SELECTOR_MS
-                    }).catch(err => {
-                        logger.debug(`Botón no encontrado: ${err.message}`, 'Scraper');
-                        return null;
-                    });
-                    
-                    const loadMoreButton = await page.$(CONFIG.LOAD_MORE_BUTTON_SELECTOR);
-                    if (!loadMoreButton) {
-                        logger.scraper('No hay más páginas para cargar (botón no encontrado)');
-                        break;
-                    }
-                    
-                    // Hacer clic en el botón y esperar a que se carguen los datos
-                    logger.scraper(`Haciendo clic para cargar página ${pagesLoaded + 1}...`);
-                    
-                    // Extraer el texto del botón para debugging
-                    const buttonText = await page.evaluate(button => button.textContent, loadMoreButton)
-                        .catch(err => {
-                            logger.debug(`No se pudo obtener texto del botón: ${err.message}`, 'Scraper');
-                            return "Desconocido";
-                        });
-                    logger.scraper(`Texto del botón: "${buttonText}"`);
-                    
-                    // Contar elementos antes del clic
-                    const countBefore = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
-                        .catch(err => {
-                            logger.debug(`Error al contar elementos: ${err.message}`, 'Scraper');
-                            return 0;
-                        });
-                    logger.scraper(`Elementos antes del clic: ${countBefore}`);
-                    
-                    // Hacer clic en el botón
-                    await loadMoreButton.click().catch(err => {
-                        logger.error(`Error al hacer clic en el botón: ${err.message}`, 'Scraper');
-                        throw err; // Propagar el error
-                    });
-                    
-                    // Esperar a que se carguen los nuevos datos con manejo de errores
-                    logger.scraper(`Esperando a que se carguen nuevos datos...`);
-                    try {
-                        await page.waitForFunction(
-                            (previousCount, selector) => {
-                                const currentCount = document.querySelectorAll(selector).length;
-                                return currentCount > previousCount;
-                            },
-                            { timeout: SCRAPER_BEHAVIOR.WAIT_FOR_NAVIGATION_MS },
-                            countBefore,
-                            SELECTORS.RANKING_ROW
-                        );
-                    } catch (waitError) {
-                        logger.error(`Error al esperar nuevos datos: ${waitError.message}`, 'Scraper');
-                        // Verificar si la página todavía está disponible
-                        if (waitError.message.includes('Target closed') || 
-                            waitError.message.includes('Session closed') || 
-                            waitError.message.includes('frame got detached')) {
-                            throw waitError; // Propagar errores críticos
-                        }
-                        // Para otros errores, intentamos continuar
-                        break;
-                    }
-                    
-                    // Esperar un tiempo adicional para asegurar que todo se haya cargado
-                    await new Promise(resolve => setTimeout(resolve, CONFIG.WAIT_BETWEEN_CLICKS_MS));
-                    
-                    // Contar elementos después del clic
-                    const countAfter = await page.$$eval(SELECTORS.RANKING_ROW, rows => rows.length)
-                        .catch(err => {
-                            logger.debug(`Error al contar elementos después: ${err.message}`, 'Scraper');
-                            return 0;
-                        });
-                    logger.scraper(`Elementos después del clic: ${countAfter} (añadidos: ${countAfter - countBefore})`);
-                    
-                    // Obtener el nuevo contenido y parsear los datos
-                    currentPageHtml = await page.content();
-                    const newRankings = parseRankingHtml(currentPageHtml);
-                    
-                    // Verificar si se obtuvieron nuevos datos
-                    if (newRankings.length <= allRankings.length) {
-                        logger.scraper(`No se obtuvieron nuevos datos (actual: ${newRankings.length}, anterior: ${allRankings.length}), deteniendo el scraping`);
-                        break;
-                    }
-                    
-                    pagesLoaded++;
-                    logger.scraper(`Página ${pagesLoaded} cargada: ${newRankings.length} jugadores en total`);
-                    
-                    // Actualizar la lista completa de rankings
-                    allRankings = newRankings;
-                    
-                    // Guardar el HTML de cada página para debugging
-                    await saveScrapedHtml(currentPageHtml, `ranking_page_${pagesLoaded}`);
-                    
-                    // Registrar métrica de progreso
-                    logger.metric('scraper_page_loaded', pagesLoaded);
-                    
-                } catch (btnError) {
-                    logger.error(`Error al cargar más páginas: ${btnError}`, 'Scraper');
-                    
-                    // Verificar si es un error crítico relacionado con el cierre de sesión
-                    if (btnError.message.includes('Target closed') || 
-                        btnError.message.includes('Session closed') || 
-                        btnError.message.includes('frame got detached')) {
-                        throw btnError; // Propagar el error para reintentar
-                    }
-                    
-                    // Para otros errores, intentamos tomar una captura y continuamos
-                    try {
-                        await page.screenshot({path: `error_page_${pagesLoaded}.png`}).catch(() => {});
-                        logger.scraper(`Se guardó una captura de pantalla en error_page_${pagesLoaded}.png`);
-                    } catch (screenshotError) {
-                        logger.error(`No se pudo tomar captura de pantalla: ${screenshotError.message}`, 'Scraper');
-                    }
-                    break;
-                }
-            }
-            
-            // Cerrar el navegador correctamente
-            await browser.close();
-            browser = null;
-            
-            if (allRankings.length === 0) {
-                logger.error('No se encontraron datos en la página', 'Scraper');
-                throw new Error('No se encontraron datos en la página');
+        logger.scraper(`Página 1 cargada: ${firstPageRankings.length} jugadores`);
+        
+        // Guardar el HTML inicial
+        await saveScrapedHtml(firstPageHtml);
+        
+        // Verificar si es necesario continuar con el scraping
+        if (!forceRefresh) {
+            const shouldContinue = await shouldContinueScraping(firstPageRankings);
+            // El caché global está vacío (si no, no habríamos llegado aquí): usar el último snapshot guardado
+            const storedRankings = shouldContinue ? [] : await getServerRankings();
+            if (storedRankings.length > 0) {
+                logger.scraper('Usando datos existentes, omitiendo scraping adicional');
+                await session.close();
+                session = null;
+                
+                await setMainCache(storedRankings);
+                logger.endScraperRun(true, `Global: sin cambios en la página 1, usado el snapshot guardado (${storedRankings.length} jugadores)`);
+                return storedRankings;
             }
+        }
+        
+        // Cargar el resto de páginas
+        const { rankings: allRankings, pagesLoaded } = await loadRemainingPages(session, firstPageRankings, {
+            htmlPrefix: 'ranking',
+            metricName: 'scraper_page_loaded',
+            archive
+        });
+        
+        // Cerrar la sesión correctamente
+        await session.close();
+        session = null;
+        
+        assertRankingHealth({ rankings: allRankings }, { label: 'global', url: CONFIG.RANKING_URL });
+        
+        if (allRankings.length === 0) {
+            logger.error('No se encontraron datos en la página', 'Scraper');
+            throw new Error('No se encontraron datos en la página');
+        }
 
-            // Mostrar resumen de clases
-            const classCount = allRankings.reduce((acc, curr) => {
-                acc[curr.class] = (acc[curr.class] || 0) + 1;
-                return acc;
-            }, {});
+        // Mostrar resumen de clases
+        const classCount = allRankings.reduce((acc, curr) => {
+            acc[curr.class] = (acc[curr.class] || 0) + 1;
+            return acc;
+        }, {});
 
-            logger.scraper(`Scraping completado exitosamente: ${allRankings.length} jugadores en total`);
-            logger.table(classCount);
-            
-            // Guardar los datos en caché para futuras consultas
-            setMainCache(allRankings);
-            
-            // Registrar éxito
-            logger.endScraperRun(true, `Global: ${allRankings.length} jugadores en ${pagesLoaded} páginas`);
-            logger.metric('scraper_success', allRankings.length);
-            
-            return allRankings;
-        } catch (pageError) {
-            logger.error(`Error en la navegación: ${pageError}`, 'Scraper');
-            
-            // Cerrar el navegador si aún está abierto
-            if (browser) {
-                await browser.close().catch(() => {});
-                browser = null;
-            }
-            
-            throw pageError;
-        }
+        logger.scraper(`Scraping completado exitosamente: ${allRankings.length} jugadores en total`);
+        logger.table(classCount);
+        
+        // Guardar los datos en caché para futuras consultas
+        await setMainCache(allRankings);
+        
+        // Guardar el snapshot en la base de datos para conservar el histórico
+        await saveRankingSnapshot(allRankings, GLOBAL_SERVER);
+        
+        // Registrar éxito
+        logger.endScraperRun(true, `Global: ${allRankings.length} jugadores en ${pagesLoaded} páginas`);
+        logger.metric('scraper_success', allRankings.length);
+        
+        return allRankings;
     } catch (error) {
-        // Cerrar el navegador si aún está abierto
-        if (browser) {
-            await browser.close().catch(() => {});
+        // Cerrar la sesión si aún está abierta
+        if (session) {
+            await session.close();
         }
         
         logger.error(`Error fetchRankingData: ${error.message}`, 'Scraper');
@@ -865,11 +902,7 @@ async function fetchRankingData(forceRefresh = false, retryCount = 0) {
         
         // Implementar reintentos para errores relacionados con el cierre de la sesión
         const MAX_RETRIES = SCRAPER_BEHAVIOR.MAX_RETRIES;
-        if (retryCount < MAX_RETRIES && (
-            error.message.includes('Target closed') || 
-            error.message.includes('Session closed') || 
-            error.message.includes('frame got detached')
-        )) {
+        if (retryCount < MAX_RETRIES && isCriticalBrowserError(error)) {
             // Esperar un poco antes de reintentar
             const waitTime = (retryCount + 1) * SCRAPER_BEHAVIOR.RETRY_DELAY_MS;
             logger.warn(`Reintentando en ${waitTime/1000}s (intento ${retryCount + 1} de ${MAX_RETRIES})...`, 'Scraper');
@@ -882,10 +915,270 @@ async function fetchRankingData(forceRefresh = false, retryCount = 0) {
     }
 }
 
+/**
+ * Obtiene y parsea el ranking de clanes (ranktype=2) de un servidor y guarda un snapshot
+ * Como en fetchServerRankingData, las llamadas simultáneas comparten una única descarga
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {boolean} forceRefresh - Si es true, ignora el caché y hace un nuevo scraping
+ * @param {Object} options - Opciones adicionales
+ * @param {AbortSignal} options.signal - Señal para cancelar la descarga
+ * @returns {Promise<Array>} - Clanes { rank, clan, server, leader, powerScore }
+ */
+function fetchClanRankingData(regionName, serverName, forceRefresh = false, options = {}) {
+    const flightKey = `clan_${regionName}_${serverName}${forceRefresh ? ':force' : ''}`;
+    return singleFlight(
+        flightKey,
+        sharedSignal => scrapeClanRankingData(regionName, serverName, forceRefresh, { ...options, signal: sharedSignal }),
+        { signal: options.signal }
+    );
+}
+
+/**
+ * Descarga el ranking de clanes de un servidor con el lock de la base de datos (ver fetchClanRankingData)
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {boolean} forceRefresh - Si es true, ignora el caché y hace un nuevo scraping
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array>} - Clanes { rank, clan, server, leader, powerScore }
+ */
+async function scrapeClanRankingData(regionName, serverName, forceRefresh = false, options = {}) {
+    const { signal } = options;
+    const label = `clanes ${regionName} > ${serverName}`;
+    const cacheKey = `clan_${regionName}_${serverName}`;
+    let session = null;
+    let lock = null;
+    
+    try {
+        if (!forceRefresh) {
+            const cachedData = await getServerCache(cacheKey);
+            if (cachedData) {
+                logger.scraper(`Usando datos en caché para ${label} (${cachedData.length} clanes)`);
+                return cachedData;
+            }
+        }
+        
+        if (SCRAPER_BEHAVIOR.RESPECT_ROBOTS_TXT && !(await checkRobotsTxt())) {
+            logger.alert(`El scraping no está permitido según robots.txt para ${label}`, 'Scraper');
+            throw new Error('El scraping no está permitido según robots.txt');
+        }
+        
+        // Solo un proceso descarga cada ranking a la vez
+        lock = await acquireLock(`ranking:${cacheKey}`, { signal });
+        if (lock && lock.waited && !forceRefresh) {
+            // Otro proceso acaba de descargarlo: usar sus datos (caché compartido o base de datos)
+            const cachedData = await getServerCache(cacheKey);
+            const latest = cachedData ? null : await getLatestClanRanking(serverName);
+            const sharedData = cachedData || (latest ? latest.clans.map(entry => ({ ...entry, server: serverName })) : null);
+            if (sharedData && sharedData.length > 0) {
+                logger.scraper(`Usando los datos que otro proceso acaba de descargar para ${label} (${sharedData.length} clanes)`);
+                return sharedData;
+            }
+        }
+        
+        const clanUrl = buildServerUrl(regionName, serverName, URLS.RANKING_CLAN);
+        logger.scraper(`Iniciando scraping del ranking de ${label}: ${clanUrl}`);
+        
+        session = await openRankingSession(clanUrl, label, { signal });
+        
+        const archive = createArchiveRun({ kind: 'clans', region: regionName, server: serverName, url: clanUrl });
+        archivePage(archive, 1, session.firstPageHtml);
+        
+        const firstPageClans = parseClanRankingHtml(session.firstPageHtml);
+        assertRankingHealth({ html: session.firstPageHtml, rankings: firstPageClans, checkClass: false }, { label, url: clanUrl });
+        const htmlFileName = `clan_${regionName}_${serverName}`;
+        await saveScrapedHtml(session.firstPageHtml, htmlFileName);
+        
+        const { rankings: clans, pagesLoaded } = await loadRemainingPages(session, firstPageClans, {
+            label,
+            htmlPrefix: htmlFileName,
+            metricName: `scraper_clan_page_loaded_${regionName}_${serverName}`,
+            signal,
+            parse: parseClanRankingHtml,
+            entryKey: clanKey,
+            archive
+        });
+        
+        await session.close();
+        session = null;
+        
+        assertRankingHealth({ rankings: clans, checkClass: false }, { label, url: clanUrl });
+        
+        if (clans.length === 0) {
+            throw new Error(`No se encontraron clanes en la página de ${regionName} > ${serverName}`);
+        }
+        
+        signal?.throwIfAborted();
+        
+        await setServerCache(cacheKey, clans);
+        
+        // Guardar el snapshot para el histórico de clanes
+        try {
+            const snapshot = await insertClanSnapshot(clans, serverName, 'scraper');
+            if (!snapshot.duplicate) {
+                logger.metric(`clan_snapshot_saved_${serverName}`, clans.length);
+            }
+        } catch (error) {
+            logger.error(`Error al guardar snapshot de clanes de ${serverName}: ${error.message}`, 'Scraper');
+        }
+        
+        logger.scraper(`Ranking de ${label} completado: ${clans.length} clanes en ${pagesLoaded} páginas`);
+        return clans;
+    } catch (error) {
+        if (session) {
+            await session.close();
+        }
+        
+        logger.error(`Error fetchClanRankingData para ${regionName} > ${serverName}: ${error.message}`, 'Scraper');
+        logger.metric(`scraper_clan_error_${regionName}_${serverName}`, 1);
+        throw error;
+    } finally {
+        if (lock) {
+            await lock.release();
+        }
+    }
+}
+
+/**
+ * Obtiene un tipo de ranking de jugadores de un servidor (nivel, ranking por clase...) y guarda su snapshot
+ * El ranking de poder de todas las clases se obtiene con fetchServerRankingData
+ * Como en fetchServerRankingData, las llamadas simultáneas comparten una única descarga
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {Object} options - { type, classType (0 = todas las clases), forceRefresh, signal }
+ * @returns {Promise<Array>} - Jugadores { rank, character, class, imageUrl, server, clan, [valueField] }
+ */
+function fetchTypedRankingData(regionName, serverName, options = {}) {
+    const { type = DEFAULT_RANKING_TYPE, classType = 0, forceRefresh = false } = options;
+    const flightKey = `${type}_${classType}_${regionName}_${serverName}${forceRefresh ? ':force' : ''}`;
+    return singleFlight(
+        flightKey,
+        sharedSignal => scrapeTypedRankingData(regionName, serverName, { ...options, signal: sharedSignal }),
+        { signal: options.signal }
+    );
+}
+
+/**
+ * Descarga un tipo de ranking de un servidor con el lock de la base de datos (ver fetchTypedRankingData)
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @param {Object} options - { type, classType, forceRefresh, signal }
+ * @returns {Promise<Array>} - Jugadores { rank, character, class, imageUrl, server, clan, [valueField] }
+ */
+async function scrapeTypedRankingData(regionName, serverName, options = {}) {
+    const { type = DEFAULT_RANKING_TYPE, classType = 0, forceRefresh = false, signal } = options;
+    const rankingType = RANKING_TYPES[type];
+    if (!rankingType) {
+        throw new Error(`Tipo de ranking no soportado: ${type}`);
+    }
+    
+    const label = `${rankingType.name}${classType ? ` (clase ${classType})` : ''} ${regionName} > ${serverName}`;
+    const cacheKey = `${type}_${classType}_${regionName}_${serverName}`;
+    let session = null;
+    let lock = null;
+    
+    try {
+        if (!forceRefresh) {
+            const cachedData = await getServerCache(cacheKey);
+            if (cachedData) {
+                logger.scraper(`Usando datos en caché para ${label} (${cachedData.length} jugadores)`);
+                return cachedData;
+            }
+        }
+        
+        if (SCRAPER_BEHAVIOR.RESPECT_ROBOTS_TXT && !(await checkRobotsTxt())) {
+            logger.alert(`El scraping no está permitido según robots.txt para ${label}`, 'Scraper');
+            throw new Error('El scraping no está permitido según robots.txt');
+        }
+        
+        // Solo un proceso descarga cada ranking a la vez
+        lock = await acquireLock(`ranking:${cacheKey}`, { signal });
+        if (lock && lock.waited && !forceRefresh) {
+            // Otro proceso acaba de descargarlo: usar sus datos (caché compartido o base de datos)
+            const cachedData = await getServerCache(cacheKey);
+            const latest = cachedData ? null : await getLatestTypedRanking(serverName, type, classType);
+            const sharedData = cachedData || (latest
+                ? latest.rankings.map(({ value, characterId, ...player }) => ({ ...player, server: serverName, [rankingType.valueField]: value }))
+                : null);
+            if (sharedData && sharedData.length > 0) {
+                logger.scraper(`Usando los datos que otro proceso acaba de descargar para ${label} (${sharedData.length} jugadores)`);
+                return sharedData;
+            }
+        }
+        
+        const rankingUrl = buildServerUrl(regionName, serverName, getRankingTypeUrl(type), classType);
+        logger.scraper(`Iniciando scraping del ranking ${label}: ${rankingUrl}`);
+        
+        session = await openRankingSession(rankingUrl, label, { signal });
+        
+        const archive = createArchiveRun({ type, classType, region: regionName, server: serverName, url: rankingUrl });
+        archivePage(archive, 1, session.firstPageHtml);
+        
+        const parse = html => parseRankingHtml(html, type);
+        const htmlFileName = `${type}_${classType}_${regionName}_${serverName}`;
+        await saveScrapedHtml(session.firstPageHtml, htmlFileName);
+        
+        const firstPageRankings = parse(session.firstPageHtml);
+        assertRankingHealth({ html: session.firstPageHtml, rankings: firstPageRankings }, { label, url: rankingUrl });
+        
+        const { rankings, pagesLoaded } = await loadRemainingPages(session, firstPageRankings, {
+            label,
+            htmlPrefix: htmlFileName,
+            metricName: `scraper_${type}_page_loaded_${regionName}_${serverName}`,
+            signal,
+            parse,
+            archive
+        });
+        
+        await session.close();
+        session = null;
+        
+        assertRankingHealth({ rankings }, { label, url: rankingUrl });
+        
+        if (rankings.length === 0) {
+            throw new Error(`No se encontraron datos en la página de ${label}`);
+        }
+        
+        signal?.throwIfAborted();
+        
+        await setServerCache(cacheKey, rankings);
+        
+        // Guardar el snapshot en la tabla de su tipo de ranking
+        try {
+            await insertTypedRankingSnapshot(rankings, serverName, { type, classType, valueField: rankingType.valueField });
+        } catch (error) {
+            logger.error(`Error al guardar snapshot del ranking ${label}: ${error.message}`, 'Scraper');
+        }
+        
+        logger.scraper(`Ranking ${label} completado: ${rankings.length} jugadores en ${pagesLoaded} páginas`);
+        return rankings;
+    } catch (error) {
+        if (session) {
+            await session.close();
+        }
+        
+        logger.error(`Error fetchTypedRankingData para ${label}: ${error.message}`, 'Scraper');
+        logger.metric(`scraper_${type}_error_${regionName}_${serverName}`, 1);
+        throw error;
+    } finally {
+        if (lock) {
+            await lock.release();
+        }
+    }
+}
+
 module.exports = {
     fetchRankingData,
     fetchServerRankingData,
+    fetchClanRankingData,
+    fetchTypedRankingData,
     parseRankingHtml,
+    parseClanRankingHtml,
+    debugRankingHtml,
+    mergeRankings,
+    playerKey,
+    clanKey,
     buildServerUrl,
+    resolveClassType,
     checkRobotsTxt
 };
\ No newline at end of file
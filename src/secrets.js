@@ -47,13 +47,14 @@ function getSecret(key, defaultValue = '') {
  */
 function getDatabaseConfig() {
     return {
-        dialect: getSecret('DB_DIALECT', 'mysql'),
+        dialect: getSecret('DB_DIALECT', 'sqlite'),
         host: getSecret('DB_HOST', 'localhost'),
         port: parseInt(getSecret('DB_PORT', '3306'), 10),
         username: getSecret('DB_USER', ''),
         password: getSecret('DB_PASSWORD', ''),
         database: getSecret('DB_NAME', 'mir4_rankings'),
-        storage: getSecret('DB_STORAGE', './database.sqlite'),
+        storage: getSecret('DB_STORAGE', './data/mir4rankings.db'),
+        connectionLimit: parseInt(getSecret('DB_CONNECTION_LIMIT', '10'), 10),
     };
 }
 
@@ -0,0 +1,375 @@
+/**
+ * Perfiles versionados de selectores y de iconos de clase
+ *
+ * SELECTORS y CHARACTER_CLASSES (config.js) son los valores de partida. Cada perfil es un JSON
+ * en SELECTOR_PROFILES_DIR ({ version, description, fixture, selectors, characterClasses }) que
+ * sustituye selectores y añade iconos de clase. Antes de activarlo se parsea su fixture (HTML de
+ * ranking guardado) con el perfil aplicado y se comprueba con checkRankingHealth. Los perfiles se
+ * cargan al arrancar y se recargan con POST /admin/profiles/reload sin necesidad de desplegar.
+ *
+ * Los iconos de clase que no aparecen en el mapa se registran en DATA_DIR/unknown_class_icons.json
+ * para poder añadirlos a un perfil.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { CONFIG, SELECTORS, CHARACTER_CLASSES, CLASS_TYPES } = require('./config');
+const { checkRankingHealth } = require('./parserHealth');
+const logger = require('./logger');
+
+const UNKNOWN_ICONS_FILE = path.join(process.cwd(), CONFIG.DATA_DIR, 'unknown_class_icons.json');
+
+// Valores de config.js, a los que se vuelve antes de aplicar cada perfil
+const BASE_SELECTORS = { ...SELECTORS };
+const BASE_CLASSES = { ...CHARACTER_CLASSES };
+
+// Estado de los perfiles
+const profileState = {
+    active: { version: null, description: 'Valores de config.js', file: null, activatedAt: null },
+    validating: false,   // Mientras se valida un perfil no se registran iconos desconocidos
+    unknownIcons: null   // Se carga del archivo la primera vez que se usa
+};
+
+/**
+ * Aplica un perfil sobre SELECTORS y CHARACTER_CLASSES
+ * Se modifican los objetos de config.js para que todos los módulos que los importan usen el perfil
+ * @param {Object|null} profile - Perfil a aplicar o null para volver a los valores de config.js
+ */
+function applyProfile(profile) {
+    for (const key of Object.keys(SELECTORS)) {
+        delete SELECTORS[key];
+    }
+    for (const url of Object.keys(CHARACTER_CLASSES)) {
+        delete CHARACTER_CLASSES[url];
+    }
+
+    Object.assign(SELECTORS, BASE_SELECTORS, profile ? profile.selectors : {});
+    Object.assign(CHARACTER_CLASSES, BASE_CLASSES, profile ? profile.characterClasses : {});
+}
+
+/**
+ * Comprueba la estructura de un perfil (sin tocar los selectores en uso)
+ * @param {Object} profile - Perfil leído del JSON
+ * @returns {Array} - Problemas encontrados
+ */
+function checkProfileStructure(profile) {
+    const problems = [];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['El perfil debe ser un objeto JSON'];
+    }
+
+    if (!Number.isInteger(profile.version) || profile.version < 1) {
+        problems.push('version debe ser un entero positivo');
+    }
+
+    if (typeof profile.fixture !== 'string' || !profile.fixture) {
+        problems.push('fixture debe indicar el HTML de ranking con el que se valida el perfil');
+    }
+
+    const $ = cheerio.load('');
+    for (const [key, selector] of Object.entries(profile.selectors || {})) {
+        if (typeof BASE_SELECTORS[key] !== 'string') {
+            problems.push(`Selector desconocido o no configurable: ${key}`);
+        } else if (typeof selector !== 'string' || !selector.trim()) {
+            problems.push(`El selector ${key} debe ser un texto no vacío`);
+        } else {
+            try {
+                $(selector);
+            } catch (error) {
+                problems.push(`El selector ${key} no es válido: ${error.message}`);
+            }
+        }
+    }
+
+    for (const [url, className] of Object.entries(profile.characterClasses || {})) {
+        if (!/^https?:\/\//.test(url)) {
+            problems.push(`El icono ${url} no es una URL`);
+        } else if (!CLASS_TYPES[className]) {
+            problems.push(`Clase desconocida para ${url}: ${className} (válidas: ${Object.keys(CLASS_TYPES).join(', ')})`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Valida un perfil: estructura y parseo de su fixture con el perfil aplicado
+ * El parseo es síncrono, así que ningún scraping llega a ver los selectores de prueba
+ * @param {Object} profile - Perfil leído del JSON
+ * @param {string} directory - Directorio de perfiles (la ruta del fixture es relativa a él)
+ * @returns {Object} - { valid, problems, metrics }
+ */
+function validateProfile(profile, directory = getProfilesDir()) {
+    const problems = checkProfileStructure(profile);
+    if (problems.length > 0) {
+        return { valid: false, problems, metrics: null };
+    }
+
+    const fixturePath = path.resolve(directory, profile.fixture);
+    if (!fs.existsSync(fixturePath)) {
+        return { valid: false, problems: [`No se encuentra el fixture ${profile.fixture}`], metrics: null };
+    }
+    const html = fs.readFileSync(fixturePath, 'utf8');
+
+    // Evitar la dependencia circular con scraper.js, que registra los iconos desconocidos
+    const { parseRankingHtml } = require('./scraper');
+    const activeProfile = profileState.active.profile || null;
+
+    profileState.validating = true;
+    try {
+        applyProfile(profile);
+        const rankings = parseRankingHtml(html);
+        const health = checkRankingHealth({ html, rankings });
+
+        // Un fixture con el mensaje de "sin resultados" pasa la comprobación pero no valida los selectores
+        if (rankings.length === 0 && health.problems.length === 0) {
+            health.problems.push('El fixture no contiene filas de ranking');
+        }
+        return { valid: health.problems.length === 0, problems: health.problems, metrics: health.metrics };
+    } catch (error) {
+        return { valid: false, problems: [`Error al parsear el fixture: ${error.message}`], metrics: null };
+    } finally {
+        applyProfile(activeProfile);
+        profileState.validating = false;
+    }
+}
+
+/**
+ * Obtiene el directorio de perfiles
+ * @returns {string} - Ruta absoluta
+ */
+function getProfilesDir() {
+    return CONFIG.SELECTOR_PROFILES_DIR
+        ? path.resolve(process.cwd(), CONFIG.SELECTOR_PROFILES_DIR)
+        : path.join(__dirname, 'profiles');
+}
+
+/**
+ * Lee y valida todos los perfiles del directorio
+ * @returns {Array} - Perfiles { file, version, description, valid, problems, metrics, profile } por versión descendente
+ */
+function loadProfiles() {
+    const directory = getProfilesDir();
+    if (!fs.existsSync(directory)) {
+        logger.warn(`No existe el directorio de perfiles de selectores: ${directory}`, 'Profiles');
+        return [];
+    }
+
+    const profiles = fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            let profile;
+            try {
+                profile = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            } catch (error) {
+                return { file, version: null, description: null, valid: false, problems: [`JSON no válido: ${error.message}`], metrics: null, profile: null };
+            }
+
+            const validation = validateProfile(profile, directory);
+            return {
+                file,
+                version: Number.isInteger(profile.version) ? profile.version : null,
+                description: profile.description || null,
+                ...validation,
+                profile
+            };
+        });
+
+    // Dos archivos con la misma versión no se pueden distinguir al activarlos
+    for (const entry of profiles) {
+        if (entry.version !== null && profiles.filter(other => other.version === entry.version).length > 1) {
+            entry.valid = false;
+            entry.problems.push(`Hay más de un perfil con la versión ${entry.version}`);
+        }
+    }
+
+    return profiles.sort((a, b) => (b.version || 0) - (a.version || 0));
+}
+
+/**
+ * Activa un perfil ya validado
+ * @param {Object} entry - Perfil devuelto por loadProfiles
+ */
+function activateProfile(entry) {
+    applyProfile(entry.profile);
+    profileState.active = {
+        version: entry.version,
+        description: entry.description,
+        file: entry.file,
+        activatedAt: new Date().toISOString(),
+        profile: entry.profile
+    };
+
+    // Los iconos que el nuevo perfil ya asigna dejan de ser desconocidos
+    const unknownIcons = getUnknownIconsMap();
+    const mapped = Object.keys(unknownIcons).filter(url => CHARACTER_CLASSES[url]);
+    if (mapped.length > 0) {
+        mapped.forEach(url => delete unknownIcons[url]);
+        saveUnknownIcons();
+    }
+
+    logger.success(`Perfil de selectores v${entry.version} activado (${entry.file})`, 'Profiles');
+}
+
+/**
+ * Vuelve a leer los perfiles y activa el indicado o, si no se indica, el de SELECTOR_PROFILE
+ * o el de mayor versión que pase la validación
+ * @param {Object} options - { version }
+ * @returns {Object} - { active, profiles }
+ * @throws {Error} - Con code = 'PROFILE_NOT_FOUND' o 'PROFILE_INVALID' (y problems) si la versión pedida no se puede activar
+ */
+function reloadProfiles(options = {}) {
+    const version = options.version != null ? options.version : CONFIG.SELECTOR_PROFILE;
+    const profiles = loadProfiles();
+
+    let entry;
+    if (version != null) {
+        entry = profiles.find(candidate => candidate.version === version);
+        if (!entry) {
+            const error = new Error(`No existe el perfil de selectores v${version}`);
+            error.code = 'PROFILE_NOT_FOUND';
+            throw error;
+        }
+        if (!entry.valid) {
+            const error = new Error(`El perfil de selectores v${version} no supera la validación`);
+            error.code = 'PROFILE_INVALID';
+            error.problems = entry.problems;
+            throw error;
+        }
+    } else {
+        entry = profiles.find(candidate => candidate.valid);
+    }
+
+    profiles.filter(candidate => !candidate.valid).forEach(candidate => {
+        logger.warn(`Perfil de selectores ${candidate.file} descartado: ${candidate.problems.join('; ')}`, 'Profiles');
+    });
+
+    if (entry) {
+        activateProfile(entry);
+    } else {
+        logger.warn('No hay perfiles de selectores válidos; se mantiene el perfil en uso', 'Profiles');
+    }
+
+    return { active: getActiveProfile(), profiles: profiles.map(summarizeProfile) };
+}
+
+/**
+ * Carga los perfiles al arrancar; si falla se mantienen los valores de config.js
+ */
+function initSelectorProfiles() {
+    try {
+        reloadProfiles();
+    } catch (error) {
+        logger.error(`Error al cargar los perfiles de selectores: ${error.message}. Se usan los valores de config.js`, 'Profiles');
+    }
+}
+
+/**
+ * Resumen de un perfil para las respuestas de la API (sin los selectores)
+ * @param {Object} entry - Perfil devuelto por loadProfiles
+ * @returns {Object} - { file, version, description, valid, problems, metrics }
+ */
+function summarizeProfile(entry) {
+    const { profile, ...summary } = entry;
+    return summary;
+}
+
+/**
+ * Obtiene el perfil activo
+ * @returns {Object} - { version, description, file, activatedAt } (version null: valores de config.js)
+ */
+function getActiveProfile() {
+    const { profile, ...active } = profileState.active;
+    return active;
+}
+
+/**
+ * Obtiene el mapa de iconos desconocidos, cargándolo del archivo la primera vez
+ * @returns {Object} - { [url]: { firstSeen, lastSeen, count, sample } }
+ */
+function getUnknownIconsMap() {
+    if (!profileState.unknownIcons) {
+        profileState.unknownIcons = {};
+        if (fs.existsSync(UNKNOWN_ICONS_FILE)) {
+            try {
+                profileState.unknownIcons = JSON.parse(fs.readFileSync(UNKNOWN_ICONS_FILE, 'utf8'));
+            } catch (error) {
+                logger.error(`Error al leer los iconos de clase desconocidos: ${error.message}`, 'Profiles');
+            }
+        }
+    }
+    return profileState.unknownIcons;
+}
+
+/**
+ * Guarda los iconos desconocidos en DATA_DIR
+ */
+function saveUnknownIcons() {
+    try {
+        fs.mkdirSync(path.dirname(UNKNOWN_ICONS_FILE), { recursive: true });
+        fs.writeFileSync(UNKNOWN_ICONS_FILE, JSON.stringify(profileState.unknownIcons, null, 2));
+    } catch (error) {
+        logger.error(`Error al guardar los iconos de clase desconocidos: ${error.message}`, 'Profiles');
+    }
+}
+
+/**
+ * Registra un icono de clase que no está en CHARACTER_CLASSES
+ * El archivo solo se escribe la primera vez que aparece cada icono; el contador se acumula en memoria
+ * @param {string} url - URL del icono
+ * @param {Object} sample - Jugador en el que apareció { character, server }
+ */
+function recordUnknownIcon(url, sample = {}) {
+    if (profileState.validating) {
+        return;
+    }
+
+    const unknownIcons = getUnknownIconsMap();
+    const now = new Date().toISOString();
+
+    if (unknownIcons[url]) {
+        unknownIcons[url].lastSeen = now;
+        unknownIcons[url].count++;
+        return;
+    }
+
+    unknownIcons[url] = { firstSeen: now, lastSeen: now, count: 1, sample };
+    saveUnknownIcons();
+    logger.warn(`Icono de clase desconocido: ${url} (${sample.character || '?'} en ${sample.server || '?'}). Añádelo a un perfil de selectores`, 'Profiles');
+}
+
+/**
+ * Obtiene los iconos de clase desconocidos
+ * @returns {Array} - Iconos { url, firstSeen, lastSeen, count, sample } por número de apariciones
+ */
+function getUnknownIcons() {
+    return Object.entries(getUnknownIconsMap())
+        .map(([url, info]) => ({ url, ...info }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Obtiene el estado de los perfiles de selectores
+ * @returns {Object} - { active, directory, profiles, unknownIcons }
+ */
+function getSelectorProfileStatus() {
+    return {
+        active: getActiveProfile(),
+        directory: getProfilesDir(),
+        profiles: loadProfiles().map(summarizeProfile),
+        unknownIcons: getUnknownIcons()
+    };
+}
+
+module.exports = {
+    validateProfile,
+    loadProfiles,
+    reloadProfiles,
+    initSelectorProfiles,
+    getActiveProfile,
+    recordUnknownIcon,
+    getUnknownIcons,
+    getSelectorProfileStatus
+};
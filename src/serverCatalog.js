@@ -0,0 +1,287 @@
+/**
+ * Catálogo de regiones y servidores
+ *
+ * Parte de SERVER_REGIONS (config.js) como semilla y se completa con los servidores registrados
+ * en la base de datos. El descubrimiento lee los desplegables de grupo de mundos y de mundo
+ * (SELECTORS.FILTER_DROPDOWN) de la página del ranking y guarda los IDs reales, que prevalecen
+ * sobre los calculados con generateServerId.
+ */
+
+const cheerio = require('cheerio');
+const { SERVER_REGIONS, SELECTORS, SCRAPER_BEHAVIOR, URLS } = require('./config');
+const { fetchHtml } = require('./rankingSession');
+const { updateServersDatabase, saveDiscoveredServers, getServerCatalog } = require('./database');
+const { delay } = require('./utils');
+const logger = require('./logger');
+
+// Estado del catálogo
+const catalog = {
+    regions: cloneRegions(SERVER_REGIONS), // Mapa en uso, con el mismo formato que SERVER_REGIONS
+    loadedAt: null,                        // Última carga desde la base de datos
+    lastDiscovery: null,                   // Resultado del último descubrimiento
+    discovering: null                      // Promesa del descubrimiento en curso
+};
+
+/**
+ * Copia un mapa de regiones para no modificar la semilla de la configuración
+ * @param {Object} regions - Mapa de regiones y servidores
+ * @returns {Object} - Copia del mapa
+ */
+function cloneRegions(regions) {
+    const copy = {};
+
+    for (const [regionName, regionData] of Object.entries(regions)) {
+        copy[regionName] = { id: regionData.id, servers: {} };
+        for (const [serverName, serverData] of Object.entries(regionData.servers)) {
+            copy[regionName].servers[serverName] = { ...serverData, name: serverName };
+        }
+    }
+
+    return copy;
+}
+
+/**
+ * Obtiene el mapa de regiones y servidores en uso
+ * @returns {Object} - Mapa { [regionName]: { id, servers: { [serverName]: { id, name } } } }
+ */
+function getServerRegions() {
+    return catalog.regions;
+}
+
+/**
+ * Busca un servidor en el catálogo
+ * @param {string} regionName - Nombre de la región
+ * @param {string} serverName - Nombre del servidor
+ * @returns {Object|null} - { region, server } o null si no está registrado
+ */
+function findServer(regionName, serverName) {
+    const region = catalog.regions[regionName];
+    const server = region && region.servers[serverName];
+
+    return server ? { region, server } : null;
+}
+
+/**
+ * Busca la región a la que pertenece un servidor
+ * @param {string} serverName - Nombre del servidor
+ * @returns {string|null} - Nombre de la región o null si el servidor no está registrado
+ */
+function findServerRegion(serverName) {
+    const entry = Object.entries(catalog.regions).find(([, region]) => region.servers[serverName]);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Siembra la base de datos con SERVER_REGIONS y carga el catálogo registrado
+ * Si la base de datos no está disponible se sigue usando la semilla
+ * @returns {Promise<Object>} - Mapa de regiones en uso
+ */
+async function loadServerCatalog() {
+    try {
+        await updateServersDatabase(SERVER_REGIONS);
+        const rows = await getServerCatalog();
+
+        const regions = cloneRegions(SERVER_REGIONS);
+        for (const row of rows) {
+            if (!regions[row.region_name]) {
+                regions[row.region_name] = { id: row.region_id, servers: {} };
+            } else if (row.source === 'discovered' && row.region_id) {
+                regions[row.region_name].id = row.region_id;
+            }
+
+            regions[row.region_name].servers[row.server_name] = {
+                ...regions[row.region_name].servers[row.server_name],
+                id: row.world_id,
+                name: row.server_name,
+                source: row.source
+            };
+        }
+
+        catalog.regions = regions;
+        catalog.loadedAt = new Date().toISOString();
+
+        logger.info(`Catálogo de servidores cargado: ${countServers(regions)} servidores en ${Object.keys(regions).length} regiones`, 'Servidores');
+    } catch (error) {
+        logger.error(`Error al cargar el catálogo de servidores, se usa SERVER_REGIONS: ${error.message}`, 'Servidores');
+    }
+
+    return catalog.regions;
+}
+
+/**
+ * Cuenta los servidores de un mapa de regiones
+ * @param {Object} regions - Mapa de regiones y servidores
+ * @returns {number}
+ */
+function countServers(regions) {
+    return Object.values(regions).reduce((total, region) => total + Object.keys(region.servers).length, 0);
+}
+
+/**
+ * Normaliza el texto de una opción de los desplegables ("Asia 1" -> "ASIA1")
+ * @param {string} text - Texto de la opción
+ * @returns {string}
+ */
+function normalizeName(text) {
+    return text.replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Extrae las opciones con valor numérico de un desplegable
+ * @param {Object} $ - Documento cargado con cheerio
+ * @param {Object} select - Elemento <select>
+ * @returns {Array<Object>} - Opciones { id, name }
+ */
+function readOptions($, select) {
+    return $(select).find('option').toArray()
+        .map(option => ({
+            id: parseInt($(option).attr('value'), 10),
+            name: normalizeName($(option).text())
+        }))
+        .filter(option => Number.isInteger(option.id) && option.id > 0 && option.name);
+}
+
+/**
+ * Lee los desplegables de grupo de mundos y de mundo de una página de ranking
+ * Se identifican por su atributo name/id (worldgroup..., world...) y, si no lo tienen, por su orden
+ * @param {string} html - HTML de la página de ranking
+ * @returns {Object} - { worldGroups: [{ id, name }], worlds: [{ id, name }] }
+ */
+function parseServerDropdowns(html) {
+    const $ = cheerio.load(html);
+    const selects = $(SELECTORS.FILTER_DROPDOWN).toArray();
+    const identifier = select => `${$(select).attr('name') || ''} ${$(select).attr('id') || ''}`.toLowerCase();
+
+    const groupSelect = selects.find(select => identifier(select).includes('worldgroup')) || selects[0];
+    const worldSelect = selects.find(select => select !== groupSelect && /world(?!group)/.test(identifier(select)))
+        || selects.find(select => select !== groupSelect);
+
+    return {
+        worldGroups: groupSelect ? readOptions($, groupSelect) : [],
+        worlds: worldSelect ? readOptions($, worldSelect) : []
+    };
+}
+
+/**
+ * URL de la página de ranking filtrada por un grupo de mundos
+ * @param {number} worldGroupId - ID del grupo de mundos
+ * @returns {string}
+ */
+function buildWorldGroupUrl(worldGroupId) {
+    const url = new URL(URLS.RANKING_POWER);
+    url.searchParams.set('worldgroupid', worldGroupId);
+    return url.toString();
+}
+
+/**
+ * Descubre las regiones y servidores publicados en la página del ranking y los guarda
+ * en la base de datos. Descubrimientos simultáneos comparten la misma ejecución
+ * @returns {Promise<Object>} - { regions, servers, newServers: ['REGION > SERVIDOR'], changedIds }
+ */
+function discoverServers() {
+    if (!catalog.discovering) {
+        catalog.discovering = runDiscovery().finally(() => {
+            catalog.discovering = null;
+        });
+    }
+    return catalog.discovering;
+}
+
+/**
+ * Ejecuta el descubrimiento de servidores
+ * @returns {Promise<Object>} - Resultado del descubrimiento
+ */
+async function runDiscovery() {
+    logger.info('Descubriendo regiones y servidores en la página del ranking...', 'Servidores');
+
+    try {
+        const { worldGroups } = parseServerDropdowns(await fetchHtml(URLS.RANKING_POWER));
+        if (worldGroups.length === 0) {
+            throw new Error(`No se encontraron grupos de mundos en los desplegables (${SELECTORS.FILTER_DROPDOWN})`);
+        }
+
+        const discovered = {};
+        for (const [index, group] of worldGroups.entries()) {
+            if (index > 0) {
+                await delay(SCRAPER_BEHAVIOR.REQUEST_DELAY_MS);
+            }
+
+            const { worlds } = parseServerDropdowns(await fetchHtml(buildWorldGroupUrl(group.id)));
+            if (worlds.length === 0) {
+                logger.warn(`El grupo de mundos ${group.name} (${group.id}) no tiene servidores en el desplegable`, 'Servidores');
+                continue;
+            }
+
+            discovered[group.name] = { id: group.id, servers: {} };
+            worlds.forEach(world => {
+                discovered[group.name].servers[world.name] = { id: world.id, name: world.name };
+            });
+        }
+
+        // Comparar con el catálogo en uso antes de guardar
+        const newServers = [];
+        const changedIds = [];
+        for (const [regionName, regionData] of Object.entries(discovered)) {
+            for (const [serverName, serverData] of Object.entries(regionData.servers)) {
+                const known = findServer(regionName, serverName);
+                if (!known) {
+                    newServers.push(`${regionName} > ${serverName}`);
+                } else if (known.server.id !== serverData.id || known.region.id !== regionData.id) {
+                    changedIds.push({
+                        server: `${regionName} > ${serverName}`,
+                        from: { regionId: known.region.id, worldId: known.server.id },
+                        to: { regionId: regionData.id, worldId: serverData.id }
+                    });
+                }
+            }
+        }
+
+        await saveDiscoveredServers(discovered);
+        await loadServerCatalog();
+
+        catalog.lastDiscovery = {
+            timestamp: new Date().toISOString(),
+            regions: Object.keys(discovered).length,
+            servers: countServers(discovered),
+            newServers,
+            changedIds
+        };
+
+        if (newServers.length > 0) {
+            logger.info(`Servidores nuevos descubiertos: ${newServers.join(', ')}`, 'Servidores');
+        }
+        if (changedIds.length > 0) {
+            logger.warn(`${changedIds.length} servidores tenían IDs distintos a los de la configuración; se usan los descubiertos`, 'Servidores');
+        }
+        logger.success(`Descubrimiento completado: ${catalog.lastDiscovery.servers} servidores en ${catalog.lastDiscovery.regions} regiones`, 'Servidores');
+
+        return catalog.lastDiscovery;
+    } catch (error) {
+        logger.error(`Error al descubrir servidores: ${error.message}`, 'Servidores');
+        throw error;
+    }
+}
+
+/**
+ * Obtiene el estado del catálogo
+ * @returns {Object} - { regions, servers, loadedAt, lastDiscovery, discovering }
+ */
+function getServerCatalogStatus() {
+    return {
+        regions: Object.keys(catalog.regions).length,
+        servers: countServers(catalog.regions),
+        loadedAt: catalog.loadedAt,
+        lastDiscovery: catalog.lastDiscovery,
+        discovering: Boolean(catalog.discovering)
+    };
+}
+
+module.exports = {
+    getServerRegions,
+    findServer,
+    findServerRegion,
+    loadServerCatalog,
+    discoverServers,
+    parseServerDropdowns,
+    getServerCatalogStatus
+};
@@ -0,0 +1,78 @@
+/**
+ * Selección del almacén de estado compartido según STATE_STORE
+ *
+ * El caché y el rate limiting guardan su estado aquí para que varias instancias de la API puedan
+ * compartirlo. Todos los almacenes exponen la misma interfaz (asíncrona):
+ * - type, description: identificación del backend
+ * - get(key) -> valor | null, set(key, value, ttlMs), del(key)
+ * - increment(key, ttlMs) -> { count, ttlMs }: contador que caduca ttlMs después del primer incremento
+ * - keys(prefix) -> claves que empiezan por prefix, clear(prefix) -> número de claves borradas
+ * - close(): libera la conexión
+ */
+
+const { CONFIG } = require('../config');
+const logger = require('../logger');
+const { createMemoryStore } = require('./memory');
+
+// Backends soportados y la función que crea su almacén
+const STORES = {
+    memory: createMemoryStore,
+    redis: config => require('./redis').createRedisStore(config)
+};
+
+// Almacén compartido por el caché y el rate limiting
+let sharedStore = null;
+
+/**
+ * Crea el almacén de estado correspondiente a la configuración
+ * @param {Object} config - { type, url, prefix, timeoutMs } (por defecto, los valores de STATE_STORE*)
+ * @returns {Object} - Almacén de estado
+ */
+function createStateStore(config = {}) {
+    const {
+        type = CONFIG.STATE_STORE,
+        url = CONFIG.STATE_STORE_URL,
+        prefix = CONFIG.STATE_STORE_PREFIX,
+        timeoutMs = CONFIG.STATE_STORE_TIMEOUT_MS
+    } = config;
+
+    const storeType = String(type || 'memory').toLowerCase();
+    const factory = STORES[storeType];
+
+    if (!factory) {
+        throw new Error(`Almacén de estado no soportado: ${storeType} (soportados: ${Object.keys(STORES).join(', ')})`);
+    }
+
+    return factory({ url, prefix, timeoutMs });
+}
+
+/**
+ * Obtiene el almacén compartido, creándolo la primera vez
+ * @returns {Object} - Almacén de estado
+ */
+function getStateStore() {
+    if (!sharedStore) {
+        sharedStore = createStateStore();
+        logger.info(`Almacén de estado: ${sharedStore.description}`, 'StateStore');
+    }
+    return sharedStore;
+}
+
+/**
+ * Cierra el almacén compartido
+ * @returns {Promise<void>}
+ */
+async function closeStateStore() {
+    if (sharedStore) {
+        const store = sharedStore;
+        sharedStore = null;
+        await store.close();
+    }
+}
+
+module.exports = {
+    SUPPORTED_STORES: Object.keys(STORES),
+    createStateStore,
+    getStateStore,
+    closeStateStore
+};
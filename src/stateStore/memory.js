@@ -0,0 +1,106 @@
+/**
+ * Almacén de estado en memoria (una sola instancia de la API)
+ *
+ * Guarda los valores por referencia, sin serializarlos, como hacían el caché y el rate limiting
+ */
+
+// Cada cuánto se borran las entradas caducadas
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Crea un almacén de estado en memoria
+ * @returns {Object} - Almacén de estado
+ */
+function createMemoryStore() {
+    // clave -> { value, expiresAt } (expiresAt null si no caduca)
+    const entries = new Map();
+
+    /**
+     * Devuelve la entrada de una clave si no ha caducado
+     * @param {string} key - Clave
+     * @returns {Object|null}
+     */
+    function getEntry(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Borra las entradas caducadas
+     */
+    function sweep() {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Lista las claves vigentes que empiezan por un prefijo
+     * @param {string} prefix - Prefijo
+     * @returns {Array<string>}
+     */
+    function listKeys(prefix) {
+        return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && getEntry(key));
+    }
+
+    const sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    return {
+        type: 'memory',
+        description: 'memoria (solo esta instancia)',
+
+        async get(key) {
+            const entry = getEntry(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null });
+        },
+
+        async del(key) {
+            entries.delete(key);
+        },
+
+        async increment(key, ttlMs) {
+            const now = Date.now();
+            let entry = getEntry(key);
+            if (!entry) {
+                entry = { value: 0, expiresAt: ttlMs > 0 ? now + ttlMs : null };
+                entries.set(key, entry);
+            }
+            entry.value++;
+            return { count: entry.value, ttlMs: entry.expiresAt !== null ? entry.expiresAt - now : null };
+        },
+
+        async keys(prefix = '') {
+            return listKeys(prefix);
+        },
+
+        async clear(prefix = '') {
+            const keys = listKeys(prefix);
+            keys.forEach(key => entries.delete(key));
+            return keys.length;
+        },
+
+        async close() {
+            clearInterval(sweepTimer);
+            entries.clear();
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
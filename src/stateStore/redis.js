@@ -0,0 +1,377 @@
+/**
+ * Almacén de estado sobre un servidor compatible con el protocolo de Redis (RESP)
+ *
+ * Habla RESP directamente sobre una conexión TCP (o TLS con rediss://), así que sirve con Redis,
+ * Valkey, KeyDB o cualquier sustituto local que entienda los comandos usados: AUTH, SELECT, GET,
+ * SET (PX, NX), DEL, INCR, PTTL, PEXPIRE y SCAN. Los valores se guardan como JSON.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const logger = require('../logger');
+
+const DEFAULT_PORT = 6379;
+
+// Claves pedidas en cada iteración de SCAN
+const SCAN_COUNT = 100;
+
+/**
+ * Codifica un comando como array RESP de cadenas
+ * @param {Array} args - Nombre del comando y argumentos
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    args.forEach(arg => {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    });
+    return Buffer.from(parts.join(''));
+}
+
+/**
+ * Lee una respuesta RESP de un buffer
+ * @param {Buffer} buffer - Datos recibidos
+ * @param {number} offset - Posición donde empieza la respuesta
+ * @returns {Object|null} - { value, offset } o null si la respuesta aún no está completa
+ */
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-': {
+            const error = new Error(line);
+            error.code = 'STATE_STORE_REPLY';
+            return { value: error, offset: next };
+        }
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default: {
+            const error = new Error(`Respuesta RESP no reconocida: ${type}`);
+            error.code = 'STATE_STORE_PROTOCOL';
+            throw error;
+        }
+    }
+}
+
+/**
+ * Interpreta la URL de conexión
+ * @param {string} url - redis://[usuario:contraseña@]host[:puerto][/base]
+ * @returns {Object} - { host, port, username, password, db, tls }
+ */
+function parseRedisUrl(url) {
+    const parsed = new URL(url);
+
+    if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+        throw new Error(`URL de almacén de estado no soportada: ${parsed.protocol} (usa redis:// o rediss://)`);
+    }
+
+    return {
+        host: parsed.hostname || '127.0.0.1',
+        port: parsed.port ? parseInt(parsed.port) : DEFAULT_PORT,
+        username: decodeURIComponent(parsed.username || ''),
+        password: decodeURIComponent(parsed.password || ''),
+        db: parseInt(parsed.pathname.replace('/', '')) || 0,
+        tls: parsed.protocol === 'rediss:'
+    };
+}
+
+/**
+ * Escapa los caracteres especiales del patrón de SCAN MATCH
+ * @param {string} text - Texto literal
+ * @returns {string}
+ */
+function escapePattern(text) {
+    return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Crea un almacén de estado sobre un servidor RESP
+ * @param {Object} config - { url, prefix, timeoutMs }
+ * @returns {Object} - Almacén de estado
+ */
+function createRedisStore(config) {
+    const options = parseRedisUrl(config.url);
+    const prefix = config.prefix || '';
+    const timeoutMs = config.timeoutMs || 2000;
+
+    let socket = null;
+    let connecting = null;
+    let buffer = Buffer.alloc(0);
+    // Respuestas pendientes, en el orden en que se enviaron los comandos
+    let pending = [];
+
+    /**
+     * Rechaza todos los comandos pendientes y descarta la conexión
+     * @param {Error} error - Motivo
+     */
+    function failConnection(error) {
+        const waiting = pending;
+        pending = [];
+        buffer = Buffer.alloc(0);
+        connecting = null;
+
+        if (socket) {
+            socket.destroy();
+            socket = null;
+        }
+
+        waiting.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    }
+
+    /**
+     * Entrega a los comandos pendientes las respuestas completas recibidas
+     * @param {Buffer} chunk - Datos recibidos
+     */
+    function onData(chunk) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+        let reply;
+        try {
+            while (pending.length && (reply = parseReply(buffer))) {
+                buffer = buffer.subarray(reply.offset);
+                const { resolve, reject, timer } = pending.shift();
+                clearTimeout(timer);
+                if (reply.value instanceof Error) {
+                    reject(reply.value);
+                } else {
+                    resolve(reply.value);
+                }
+            }
+        } catch (error) {
+            failConnection(error);
+        }
+    }
+
+    /**
+     * Escribe un comando en el socket y espera su respuesta
+     * @param {Object} target - Socket conectado
+     * @param {Array} args - Comando y argumentos
+     * @returns {Promise<any>}
+     */
+    function send(target, args) {
+        return new Promise((resolve, reject) => {
+            // Si una respuesta no llega, las siguientes quedarían desordenadas: se descarta la conexión
+            const timer = setTimeout(() => {
+                const error = new Error(`El almacén de estado no respondió a ${args[0]} en ${timeoutMs} ms`);
+                error.code = 'STATE_STORE_TIMEOUT';
+                failConnection(error);
+            }, timeoutMs);
+            pending.push({ resolve, reject, timer });
+            target.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * Abre la conexión (una sola vez) y se autentica y selecciona la base si hace falta
+     * @returns {Promise<Object>} - Socket conectado
+     */
+    function connect() {
+        if (socket) {
+            return Promise.resolve(socket);
+        }
+        if (connecting) {
+            return connecting;
+        }
+
+        connecting = new Promise((resolve, reject) => {
+            const connection = options.tls
+                ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+                : net.createConnection({ host: options.host, port: options.port });
+
+            const connectTimer = setTimeout(() => {
+                connection.destroy();
+                const error = new Error(`No se pudo conectar al almacén de estado en ${options.host}:${options.port} (${timeoutMs} ms)`);
+                error.code = 'STATE_STORE_TIMEOUT';
+                connecting = null;
+                reject(error);
+            }, timeoutMs);
+
+            connection.once(options.tls ? 'secureConnect' : 'connect', async () => {
+                clearTimeout(connectTimer);
+                try {
+                    if (options.password) {
+                        await send(connection, options.username
+                            ? ['AUTH', options.username, options.password]
+                            : ['AUTH', options.password]);
+                    }
+                    if (options.db) {
+                        await send(connection, ['SELECT', options.db]);
+                    }
+                    socket = connection;
+                    connecting = null;
+                    logger.success(`Conectado al almacén de estado en ${options.host}:${options.port}`, 'StateStore');
+                    resolve(connection);
+                } catch (error) {
+                    failConnection(error);
+                    connection.destroy();
+                    reject(error);
+                }
+            });
+
+            connection.on('data', onData);
+            connection.on('error', error => {
+                clearTimeout(connectTimer);
+                logger.error(`Error en la conexión con el almacén de estado: ${error.message}`, 'StateStore');
+                connecting = null;
+                reject(error);
+                failConnection(error);
+            });
+            connection.on('close', () => {
+                if (socket === connection) {
+                    logger.warn('Conexión con el almacén de estado cerrada, se reabrirá en el próximo comando', 'StateStore');
+                    const error = new Error('Conexión con el almacén de estado cerrada');
+                    error.code = 'STATE_STORE_CLOSED';
+                    failConnection(error);
+                }
+            });
+        });
+
+        return connecting;
+    }
+
+    /**
+     * Envía comandos seguidos (pipeline) y devuelve sus respuestas en orden
+     * @param {Array<Array>} commands - Comandos con sus argumentos
+     * @returns {Promise<Array>}
+     */
+    async function pipeline(commands) {
+        const connection = await connect();
+        return Promise.all(commands.map(args => send(connection, args)));
+    }
+
+    /**
+     * Ejecuta un comando
+     * @param {...any} args - Comando y argumentos
+     * @returns {Promise<any>}
+     */
+    async function command(...args) {
+        const [reply] = await pipeline([args]);
+        return reply;
+    }
+
+    /**
+     * Recorre con SCAN las claves (con el prefijo global) que empiezan por un prefijo
+     * @param {string} keyPrefix - Prefijo sin el prefijo global
+     * @returns {Promise<Array<string>>} - Claves completas
+     */
+    async function scanKeys(keyPrefix) {
+        const pattern = `${escapePattern(prefix + keyPrefix)}*`;
+        const found = new Set();
+        let cursor = '0';
+
+        do {
+            const [nextCursor, batch] = await command('SCAN', cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+            batch.forEach(key => found.add(key));
+            cursor = nextCursor;
+        } while (cursor !== '0');
+
+        return Array.from(found);
+    }
+
+    return {
+        type: 'redis',
+        description: `${options.tls ? 'rediss' : 'redis'}://${options.host}:${options.port}/${options.db} (prefijo "${prefix}")`,
+
+        async get(key) {
+            const value = await command('GET', prefix + key);
+            return value === null ? null : JSON.parse(value);
+        },
+
+        async set(key, value, ttlMs) {
+            const args = ['SET', prefix + key, JSON.stringify(value)];
+            if (ttlMs > 0) {
+                args.push('PX', Math.ceil(ttlMs));
+            }
+            await command(...args);
+        },
+
+        async del(key) {
+            await command('DEL', prefix + key);
+        },
+
+        async increment(key, ttlMs) {
+            const fullKey = prefix + key;
+            // SET NX crea el contador con su caducidad; INCR la conserva
+            const [, count, remaining] = await pipeline([
+                ['SET', fullKey, 0, 'PX', Math.ceil(ttlMs), 'NX'],
+                ['INCR', fullKey],
+                ['PTTL', fullKey]
+            ]);
+
+            // Si caducó justo entre SET e INCR, el contador se ha creado sin caducidad
+            if (remaining < 0) {
+                await command('PEXPIRE', fullKey, Math.ceil(ttlMs));
+                return { count, ttlMs };
+            }
+
+            return { count, ttlMs: remaining };
+        },
+
+        async keys(keyPrefix = '') {
+            const keys = await scanKeys(keyPrefix);
+            return keys.map(key => key.slice(prefix.length));
+        },
+
+        async clear(keyPrefix = '') {
+            const keys = await scanKeys(keyPrefix);
+            for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+                await command('DEL', ...keys.slice(i, i + SCAN_COUNT));
+            }
+            return keys.length;
+        },
+
+        async close() {
+            if (socket) {
+                const connection = socket;
+                socket = null;
+                connection.end();
+            }
+        }
+    };
+}
+
+module.exports = {
+    createRedisStore,
+    encodeCommand,
+    parseReply
+};
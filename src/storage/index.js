@@ -0,0 +1,43 @@
+/**
+ * Selección del backend de almacenamiento según DB_DIALECT
+ *
+ * Todos los adaptadores exponen la misma interfaz:
+ * - dialect, description: identificación del backend
+ * - types: tipos de columna { id, string, text, integer } para las definiciones de tablas
+ * - insertIgnore, excluded(column), onConflict(columns, assignments): diferencias de sintaxis SQL
+ * - connect(), close(): ciclo de vida de la conexión
+ * - run(query, params) -> { lastID, changes }, get(query, params) -> fila | null, all(query, params) -> filas
+ * - transaction(work): ejecuta work({ run, get, all }) en una transacción
+ * - ensureIndex(name, table, columns, executor): crea un índice si no existe (con el ejecutor de una transacción si se indica)
+ */
+
+const { getDatabaseConfig } = require('../secrets');
+const { createSqliteAdapter } = require('./sqlite');
+
+// Dialectos soportados y la función que crea su adaptador
+const ADAPTERS = {
+    sqlite: createSqliteAdapter,
+    // mysql2 solo se carga si se usa MySQL
+    mysql: config => require('./mysql').createMysqlAdapter(config)
+};
+
+/**
+ * Crea el adaptador de almacenamiento correspondiente a la configuración
+ * @param {Object} config - Configuración de la base de datos (por defecto, la de getDatabaseConfig)
+ * @returns {Object} - Adaptador de almacenamiento
+ */
+function createStorageAdapter(config = getDatabaseConfig()) {
+    const dialect = String(config.dialect || 'sqlite').toLowerCase();
+    const factory = ADAPTERS[dialect];
+
+    if (!factory) {
+        throw new Error(`Dialecto de base de datos no soportado: ${dialect} (soportados: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+
+    return factory(config);
+}
+
+module.exports = {
+    SUPPORTED_DIALECTS: Object.keys(ADAPTERS),
+    createStorageAdapter
+};
@@ -0,0 +1,164 @@
+/**
+ * Adaptador de almacenamiento para MySQL
+ */
+
+const mysql = require('mysql2/promise');
+
+// Tipos de columna usados en las definiciones de tablas
+// (MySQL no admite TEXT en índices únicos sin longitud, por eso las claves son VARCHAR)
+const TYPES = {
+    id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
+    string: 'VARCHAR(191)',
+    text: 'TEXT',
+    integer: 'BIGINT'
+};
+
+/**
+ * Crea un ejecutor de consultas sobre un pool o una conexión de mysql2
+ * @param {Object} target - Pool o conexión
+ * @returns {Object} - Ejecutor { run, get, all }
+ */
+function createExecutor(target) {
+    return {
+        async run(query, params = []) {
+            const [result] = await target.query(query, params);
+            return {
+                lastID: result.insertId,
+                changes: result.affectedRows
+            };
+        },
+
+        async get(query, params = []) {
+            const [rows] = await target.query(query, params);
+            return rows[0] || null;
+        },
+
+        async all(query, params = []) {
+            const [rows] = await target.query(query, params);
+            return rows;
+        }
+    };
+}
+
+/**
+ * Crea un adaptador de almacenamiento sobre MySQL
+ * @param {Object} config - Configuración de la base de datos (ver getDatabaseConfig)
+ * @returns {Object} - Adaptador de almacenamiento
+ */
+function createMysqlAdapter(config) {
+    let pool = null;
+    let executor = null;
+
+    /**
+     * Crea el pool de conexiones y verifica que el servidor responde
+     * @returns {Promise<void>}
+     */
+    async function connect() {
+        pool = mysql.createPool({
+            host: config.host,
+            port: config.port,
+            user: config.username,
+            password: config.password,
+            database: config.database,
+            charset: 'utf8mb4',
+            waitForConnections: true,
+            connectionLimit: config.connectionLimit || 10,
+            decimalNumbers: true
+        });
+
+        try {
+            await pool.query('SELECT 1');
+        } catch (error) {
+            await pool.end().catch(() => {});
+            pool = null;
+            throw error;
+        }
+
+        executor = createExecutor(pool);
+    }
+
+    /**
+     * Cierra el pool de conexiones
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        if (!pool) return;
+
+        await pool.end();
+        pool = null;
+        executor = null;
+    }
+
+    /**
+     * Ejecuta una función dentro de una transacción sobre una conexión dedicada
+     * @param {Function} work - Función async que recibe un ejecutor { run, get, all }
+     * @returns {Promise<*>} - Valor devuelto por la función
+     */
+    async function transaction(work) {
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+            const result = await work(createExecutor(connection));
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Crea un índice si no existe (MySQL no soporta CREATE INDEX IF NOT EXISTS)
+     * @param {string} name - Nombre del índice
+     * @param {string} table - Tabla indexada
+     * @param {Array<string>} columns - Columnas del índice
+     * @param {Object} indexExecutor - Ejecutor de consultas (dentro de una transacción, el de la transacción)
+     * @returns {Promise<void>}
+     */
+    async function ensureIndex(name, table, columns, indexExecutor = executor) {
+        const existing = await indexExecutor.get(
+            `SELECT 1 AS found FROM information_schema.statistics
+             WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?
+             LIMIT 1`,
+            [table, name]
+        );
+
+        if (!existing) {
+            await indexExecutor.run(`CREATE INDEX ${name} ON ${table}(${columns.join(', ')})`);
+        }
+    }
+
+    /**
+     * Genera la cláusula de "upsert" para un INSERT
+     * @param {Array<string>} conflictColumns - Columnas de la restricción única (implícitas en MySQL)
+     * @param {Object} assignments - Mapa columna -> expresión SQL a asignar
+     * @returns {string} - Cláusula SQL
+     */
+    function onConflict(conflictColumns, assignments) {
+        const sets = Object.entries(assignments).map(([column, expression]) => `${column} = ${expression}`);
+        return `ON DUPLICATE KEY UPDATE ${sets.join(', ')}`;
+    }
+
+    return {
+        dialect: 'mysql',
+        description: `${config.host}:${config.port}/${config.database}`,
+        types: TYPES,
+        insertIgnore: 'INSERT IGNORE',
+        excluded: column => `VALUES(${column})`,
+        onConflict,
+        connect,
+        close,
+        run: (query, params) => executor.run(query, params),
+        get: (query, params) => executor.get(query, params),
+        all: (query, params) => executor.all(query, params),
+        transaction,
+        ensureIndex
+    };
+}
+
+module.exports = {
+    createMysqlAdapter
+};
@@ -0,0 +1,200 @@
+/**
+ * Adaptador de almacenamiento para SQLite
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// Tipos de columna usados en las definiciones de tablas
+const TYPES = {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    string: 'TEXT',
+    text: 'TEXT',
+    integer: 'INTEGER'
+};
+
+/**
+ * Crea un adaptador de almacenamiento sobre SQLite
+ * @param {Object} config - Configuración de la base de datos (ver getDatabaseConfig)
+ * @returns {Object} - Adaptador de almacenamiento
+ */
+function createSqliteAdapter(config) {
+    const inMemory = config.storage === ':memory:';
+    const filename = inMemory ? ':memory:' : path.resolve(process.cwd(), config.storage);
+
+    let db = null;
+
+    // Cola de la conexión: SQLite usa una única conexión, así que una sentencia lanzada mientras
+    // otro llamador tiene una transacción abierta entraría en ella (y se desharía con su ROLLBACK).
+    // Las transacciones y las sentencias sueltas se ejecutan por turnos
+    let queue = Promise.resolve();
+
+    /**
+     * Ejecuta una tarea cuando terminan las anteriores de la cola
+     * @param {Function} task - Función async
+     * @returns {Promise<*>} - Valor devuelto por la tarea
+     */
+    function enqueue(task) {
+        const result = queue.then(task);
+
+        // Un fallo no debe bloquear las tareas siguientes
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Abre la conexión, creando el directorio de la base de datos si no existe
+     * @returns {Promise<void>}
+     */
+    function connect() {
+        if (!inMemory) {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            const connection = new sqlite3.Database(filename, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                db = connection;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Cierra la conexión
+     * @returns {Promise<void>}
+     */
+    function close() {
+        return new Promise((resolve, reject) => {
+            if (!db) {
+                resolve();
+                return;
+            }
+
+            db.close(err => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                db = null;
+                resolve();
+            });
+        });
+    }
+
+    function execRun(query, params = []) {
+        return new Promise((resolve, reject) => {
+            db.run(query, params, function(err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve({
+                    lastID: this.lastID,
+                    changes: this.changes
+                });
+            });
+        });
+    }
+
+    function execGet(query, params = []) {
+        return new Promise((resolve, reject) => {
+            db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    function execAll(query, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(query, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
+    // Sentencias sueltas: esperan a que termine la transacción en curso
+    const run = (query, params) => enqueue(() => execRun(query, params));
+    const get = (query, params) => enqueue(() => execGet(query, params));
+    const all = (query, params) => enqueue(() => execAll(query, params));
+
+    /**
+     * Ejecuta una función dentro de una transacción
+     * Dentro de work solo deben usarse las sentencias del ejecutor que recibe: las del adaptador
+     * esperarían a que terminase la propia transacción
+     * @param {Function} work - Función async que recibe un ejecutor { run, get, all }
+     * @returns {Promise<*>} - Valor devuelto por la función
+     */
+    function transaction(work) {
+        return enqueue(async () => {
+            await execRun('BEGIN TRANSACTION');
+
+            try {
+                const result = await work({ run: execRun, get: execGet, all: execAll });
+                await execRun('COMMIT');
+                return result;
+            } catch (error) {
+                await execRun('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Crea un índice si no existe
+     * @param {string} name - Nombre del índice
+     * @param {string} table - Tabla indexada
+     * @param {Array<string>} columns - Columnas del índice
+     * @param {Object} executor - Ejecutor de consultas (dentro de una transacción, el de la transacción)
+     * @returns {Promise<void>}
+     */
+    async function ensureIndex(name, table, columns, executor = { run }) {
+        await executor.run(`CREATE INDEX IF NOT EXISTS ${name} ON ${table}(${columns.join(', ')})`);
+    }
+
+    /**
+     * Genera la cláusula de "upsert" para un INSERT
+     * @param {Array<string>} conflictColumns - Columnas de la restricción única
+     * @param {Object} assignments - Mapa columna -> expresión SQL a asignar
+     * @returns {string} - Cláusula SQL
+     */
+    function onConflict(conflictColumns, assignments) {
+        const sets = Object.entries(assignments).map(([column, expression]) => `${column} = ${expression}`);
+        return `ON CONFLICT(${conflictColumns.join(', ')}) DO UPDATE SET ${sets.join(', ')}`;
+    }
+
+    return {
+        dialect: 'sqlite',
+        description: filename,
+        types: TYPES,
+        insertIgnore: 'INSERT OR IGNORE',
+        excluded: column => `excluded.${column}`,
+        onConflict,
+        connect,
+        close,
+        run,
+        get,
+        all,
+        transaction,
+        ensureIndex
+    };
+}
+
+module.exports = {
+    createSqliteAdapter
+};
@@ -54,6 +54,55 @@ async function saveScrapedHtml(html, customPrefix = 'scraped_ranking') {
     return filePath;
 }
 
+// Sufijo con la fecha que añade saveScrapedHtml (por ejemplo _2024-05-01T10-00-00-000Z.html)
+const SCRAPED_HTML_SUFFIX = /_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.html$/;
+
+/**
+ * Lista los archivos HTML guardados con saveScrapedHtml
+ * @returns {Array} - Archivos { id, prefix, size, modified } del más reciente al más antiguo
+ */
+function listScrapedHtml() {
+    const scrapedPagesDir = path.join(process.cwd(), CONFIG.SCRAPED_PAGES_DIR);
+    if (!fs.existsSync(scrapedPagesDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(scrapedPagesDir)
+        .filter(file => file.endsWith('.html'))
+        .map(file => {
+            const stats = fs.statSync(path.join(scrapedPagesDir, file));
+            return {
+                id: file.slice(0, -'.html'.length),
+                prefix: file.replace(SCRAPED_HTML_SUFFIX, ''),
+                size: stats.size,
+                modified: stats.mtime.toISOString()
+            };
+        })
+        .sort((a, b) => b.modified.localeCompare(a.modified) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Busca un archivo HTML guardado por su nombre (con o sin .html) o por el prefijo con el que se
+ * guardó (por ejemplo SA2_SA052_page_6), en cuyo caso devuelve el más reciente
+ * @param {string} fileId - Nombre o prefijo del archivo
+ * @returns {Object|null} - { id, prefix, path } o null si no existe o el nombre no es válido
+ */
+function findScrapedHtml(fileId) {
+    const id = String(fileId || '').replace(/\.html$/, '');
+
+    // Solo nombres de archivo: sin separadores de ruta ni referencias al directorio padre
+    if (!/^[\w.-]+$/.test(id) || id.includes('..')) {
+        return null;
+    }
+
+    const match = listScrapedHtml().find(file => file.id === id || file.prefix === id);
+    if (!match) {
+        return null;
+    }
+
+    return { id: match.id, prefix: match.prefix, path: path.join(process.cwd(), CONFIG.SCRAPED_PAGES_DIR, `${match.id}.html`) };
+}
+
 /**
  * Elimina archivos HTML antiguos y archivos PNG del directorio de páginas scrapeadas y del directorio raíz
  */
@@ -500,10 +549,40 @@ function generateHash(data) {
 /**
  * Crea un delay con tiemOut (Promise)
  * @param {number} ms - Milisegundos a esperar
- * @returns {Promise} - Promesa que se resuelve después del tiempo indicado
+ * @param {AbortSignal} signal - Señal opcional para interrumpir la espera
+ * @returns {Promise} - Promesa que se resuelve después del tiempo indicado (o se rechaza si se cancela)
+ */
+function delay(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Normaliza la ruta de una petición como la compara Express (sin distinguir mayúsculas ni la barra final)
+ * @param {string} path - Ruta de la petición (sin query)
+ * @returns {string} - Ruta en minúsculas y sin barras finales ('/' para la raíz)
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function normalizeRequestPath(path) {
+    return path.toLowerCase().replace(/\/+$/, '') || '/';
 }
 
 /**
@@ -523,6 +602,8 @@ function safeJsonParse(str, defaultValue = null) {
 module.exports = {
     extractImageUrlFromStyle,
     saveScrapedHtml,
+    listScrapedHtml,
+    findScrapedHtml,
     cleanupOldFiles,
     calculateExponentialBackoff,
     withRetry,
@@ -532,5 +613,6 @@ module.exports = {
     createExponentialBackoff,
     generateHash,
     delay,
+    normalizeRequestPath,
     safeJsonParse
 };
\ No newline at end of file
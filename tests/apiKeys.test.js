@@ -0,0 +1,74 @@
+/**
+ * Pruebas de la autenticación con claves de API y sus alcances
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.API_KEY_ENABLED = 'true';
+process.env.API_KEY = 'clave-de-arranque';
+
+const { requireApiKey, issueApiKey, revokeApiKey, listApiKeys } = require('../src/apiKeys');
+const database = require('../src/database');
+
+describe('Claves de API', () => {
+  const app = express();
+  app.use(requireApiKey('read'));
+  app.get('/consulta', (req, res) => res.json({ key: req.apiKey.name }));
+  app.post('/admin', requireApiKey('admin'), (req, res) => res.json({ ok: true }));
+
+  beforeAll(async () => {
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('exige una clave válida y el alcance admin en las rutas de administración', async () => {
+    const { key } = await issueApiKey({ name: 'lector', scope: 'read' });
+
+    expect((await request(app).get('/consulta')).status).toBe(401);
+    expect((await request(app).get('/consulta').set('X-API-Key', 'mir4_inventada')).status).toBe(401);
+
+    const response = await request(app).get('/consulta').set('X-API-Key', key);
+    expect(response.status).toBe(200);
+    expect(response.body.key).toBe('lector');
+    expect((await request(app).get(`/consulta?api_key=${key}`)).status).toBe(200);
+
+    expect((await request(app).post('/admin').set('X-API-Key', key)).status).toBe(403);
+    expect((await request(app).post('/admin').set('X-API-Key', 'clave-de-arranque')).status).toBe(200);
+  });
+
+  test('guarda solo el hash, cuenta los usos y deja de aceptar las claves revocadas', async () => {
+    const { key } = await issueApiKey({ name: 'panel', scope: 'admin' });
+    await expect(issueApiKey({ name: 'panel' })).rejects.toMatchObject({ code: 'API_KEY_EXISTS' });
+
+    await request(app).post('/admin').set('X-API-Key', key);
+    await request(app).get('/consulta').set('X-API-Key', key);
+
+    const stored = await database.getActiveApiKey({ name: 'panel' });
+    expect(JSON.stringify(stored)).not.toContain(key);
+
+    const { keys } = await listApiKeys();
+    expect(keys.find(entry => entry.name === 'panel')).toMatchObject({ scope: 'admin', usageCount: 2 });
+    expect(keys.find(entry => entry.name === 'env')).toMatchObject({ scope: 'admin', usageCount: 1 });
+
+    expect(await revokeApiKey('panel')).toBe(true);
+    expect((await request(app).get('/consulta').set('X-API-Key', key)).status).toBe(401);
+    expect((await listApiKeys({ includeRevoked: true })).keys.find(entry => entry.name === 'panel').revokedAt).toBeTruthy();
+  });
+
+  test('las consultas con ?refresh=true que descargan en el momento exigen el alcance admin', async () => {
+    const api = express();
+    api.use('/api', require('../src/routes'));
+    const { key } = await issueApiKey({ name: 'consultas', scope: 'read' });
+
+    expect((await request(api).get('/api/characters/EU014/Nadie').set('X-API-Key', key)).status).toBe(404);
+    expect((await request(api).get('/api/characters/EU014/Nadie?refresh=true').set('X-API-Key', key)).status).toBe(403);
+    expect((await request(api).get('/api/characters/EU014/Nadie?refresh=true')).status).toBe(401);
+    expect((await request(api).get('/api/clans/ranking/EU1/EU014?refresh=true').set('X-API-Key', key)).status).toBe(403);
+  });
+});
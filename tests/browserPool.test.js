@@ -0,0 +1,114 @@
+/**
+ * Pruebas del pool de navegador con un Puppeteer simulado
+ */
+
+process.env.BROWSER_POOL_SIZE = '2';
+process.env.BROWSER_RECYCLE_AFTER = '3';
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const puppeteer = require('puppeteer');
+const { acquirePage, closeBrowserPool, getBrowserPoolStatus } = require('../src/browserPool');
+const { openRankingSession } = require('../src/rankingSession');
+
+/**
+ * Crea un navegador simulado con el API mínimo que usa el pool
+ */
+function createFakeBrowser() {
+  const browser = {
+    connected: true,
+    closed: false,
+    isConnected: () => browser.connected,
+    version: jest.fn().mockResolvedValue('Chrome/121'),
+    on: jest.fn(),
+    newPage: jest.fn().mockResolvedValue({ close: jest.fn().mockResolvedValue() }),
+    close: jest.fn(async () => {
+      browser.closed = true;
+      browser.connected = false;
+    })
+  };
+  return browser;
+}
+
+describe('Pool de navegador', () => {
+  let browsers;
+
+  beforeEach(() => {
+    browsers = [];
+    puppeteer.launch.mockReset();
+    puppeteer.launch.mockImplementation(async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    });
+  });
+
+  afterEach(async () => {
+    await closeBrowserPool();
+  });
+
+  test('comparte un navegador y limita las páginas simultáneas', async () => {
+    const first = await acquirePage();
+    const second = await acquirePage();
+
+    let thirdAcquired = false;
+    const third = acquirePage().then(lease => {
+      thirdAcquired = true;
+      return lease;
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(thirdAcquired).toBe(false);
+    expect(getBrowserPoolStatus().waiting).toBe(1);
+
+    await first.release();
+    const thirdLease = await third;
+
+    expect(thirdAcquired).toBe(true);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+
+    await second.release();
+    await thirdLease.release();
+    expect(getBrowserPoolStatus().activePages).toBe(0);
+  });
+
+  test('relanza el navegador tras el número de páginas configurado', async () => {
+    for (let i = 0; i < 3; i++) {
+      const lease = await acquirePage();
+      await lease.release();
+    }
+
+    const lease = await acquirePage();
+
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    expect(browsers[0].closed).toBe(true);
+    await lease.release();
+  });
+
+  test('una sesión perdida retira el navegador y el siguiente préstamo lanza otro', async () => {
+    const lease = await acquirePage();
+    await lease.release({ broken: true });
+
+    expect(browsers[0].closed).toBe(true);
+
+    const next = await acquirePage();
+    expect(puppeteer.launch).toHaveBeenCalledTimes(2);
+    await next.release();
+  });
+
+  test('una sesión cancelada mientras espera hueco devuelve la página sin navegar', async () => {
+    const first = await acquirePage();
+    const second = await acquirePage();
+
+    const controller = new AbortController();
+    const session = openRankingSession('http://127.0.0.1/rank', 'prueba', { mode: 'browser', signal: controller.signal });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort(new Error('Cancelada'));
+
+    await first.release();
+    await expect(session).rejects.toThrow('Cancelada');
+    expect(getBrowserPoolStatus().activePages).toBe(1);
+
+    await second.release();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Pruebas del scraping de fichas de personajes contra un servidor local que imita la web
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_DELAY = '0';
+
+/**
+ * Ficha de un personaje con el formato esperado por los selectores DETAIL_*
+ */
+function detailPage(name) {
+  return `<html><body><div class="character_info">
+    <span class="name">${name}</span>
+    <div class="level"><span class="num">Lv. 125</span></div>
+    <div class="prestige"><span class="num">12</span></div>
+  </div>
+  <ul class="stat_list">
+    <li class="equipment"><span class="num">1,250,000</span></li>
+    <li class="spirit"><span class="num">300,000</span></li>
+    <li class="codex"><span class="num">45,000</span></li>
+    <li class="ethics"><span class="num">900</span></li>
+  </ul>
+  <ul class="achievement_list"><li data-id="7">Conquistador</li><li data-id="9">Veterano</li></ul>
+  </body></html>`;
+}
+
+describe('Fichas de personajes', () => {
+  let server;
+  let requested;
+  let characterDetails;
+  let database;
+
+  beforeAll(async () => {
+    requested = [];
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const name = url.searchParams.get('name');
+      requested.push(name);
+
+      if (name === 'Fantasma') {
+        res.end('<html><body><p>Personaje no encontrado</p></body></html>');
+      } else {
+        res.end(detailPage(name));
+      }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    process.env.CHARACTER_DETAIL_URL = `http://127.0.0.1:${server.address().port}/rank/character`;
+    characterDetails = require('../src/characterDetails');
+    database = require('../src/database');
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.closeDatabase();
+  });
+
+  test('interpreta el nivel, las puntuaciones y los logros de la ficha', () => {
+    const details = characterDetails.parseCharacterDetailHtml(detailPage('Alpha'));
+
+    expect(details).toMatchObject({ level: 125, prestigeLevel: 12, equipmentScore: 1250000, spiritScore: 300000, energyScore: 0, ethics: 900 });
+    expect(details.achievements).toEqual([{ id: 7, name: 'Conquistador' }, { id: 9, name: 'Veterano' }]);
+    expect(characterDetails.parseCharacterDetailHtml('<html><body></body></html>')).toBeNull();
+  });
+
+  test('descarga la ficha de un personaje y la devuelve con getCharacterDetails', async () => {
+    const result = await characterDetails.fetchCharacterDetails('EU1', 'EU014', 'Alpha');
+    expect(result.updated).toBe(true);
+
+    const character = await database.getCharacterDetails('Alpha', 'EU014', true);
+    expect(character.details).toMatchObject({ level: 125, codexScore: 45000 });
+    expect(character.details.achievements).toHaveLength(2);
+    expect(character.detailsHistory).toHaveLength(1);
+
+    // Una segunda descarga sin cambios no crea otra ficha
+    expect((await characterDetails.fetchCharacterDetails('EU1', 'EU014', 'Alpha')).updated).toBe(false);
+  });
+
+  test('el nombre del personaje no sale del directorio de páginas descargadas', async () => {
+    const scrapedDir = path.join(process.cwd(), 'scraped_pages');
+    await characterDetails.fetchCharacterDetails('EU1', 'EU014', '../../Eco');
+
+    const saved = fs.readdirSync(scrapedDir).filter(file => file.startsWith('character_EU014_______Eco_'));
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatch(/^character_EU014_______Eco_[0-9a-f]{8}_/);
+    fs.unlinkSync(path.join(scrapedDir, saved[0]));
+  });
+
+  test('actualiza las fichas de los primeros de cada servidor con ranking almacenado', async () => {
+    const rankings = ['Bravo', 'Fantasma', 'Charlie'].map((character, index) => ({
+      rank: index + 1, character, class: 'Guerrero', server: 'EU013', clan: 'ClanA', powerScore: 90000 - index * 1000
+    }));
+    await database.insertRankingSnapshot(rankings, 'EU013', 'test');
+    requested.length = 0;
+
+    const summary = await characterDetails.refreshTopCharacterDetails({ topN: 2 });
+
+    expect(requested).toEqual(['Bravo', 'Fantasma']);
+    expect(summary).toMatchObject({ servers: 1, characters: 2, updated: 1, failed: 1 });
+    expect(characterDetails.getCharacterDetailsStatus()).toMatchObject({ running: false, lastRun: summary });
+  });
+});
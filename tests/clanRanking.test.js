@@ -0,0 +1,81 @@
+/**
+ * Pruebas del scraping del ranking de clanes contra un servidor local que imita el foro
+ */
+
+const http = require('http');
+const { rankingRows } = require('./helpers/rankings');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_MODE = 'http';
+process.env.SCRAPER_DELAY = '0';
+process.env.SCRAPER_MAX_PAGES = '5';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+
+/**
+ * Genera filas del ranking de clanes con el formato de la web (la cuarta columna es el líder)
+ */
+const clanRows = (from, to) => rankingRows(from, to, {
+  name: rank => `Clan${rank}`,
+  server: 'ASIA011',
+  clan: rank => `Lider${rank}`,
+  value: rank => `${(10 - rank) * 1000},000`
+});
+
+describe('Ranking de clanes', () => {
+  let server;
+  let requestedTypes;
+  let scraper;
+  let database;
+
+  beforeAll(async () => {
+    requestedTypes = [];
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requestedTypes.push(url.searchParams.get('ranktype'));
+
+      if (url.pathname === '/rank') {
+        res.end(`<html><body><table>${clanRows(1, 3)}</table></body></html>`);
+      } else if (url.pathname === '/rank/list') {
+        const page = parseInt(url.searchParams.get('page'), 10);
+        res.end(page === 2 ? clanRows(4, 5) : '');
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.RANKING_CLAN_URL = `${baseUrl}/rank?ranktype=2`;
+    process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+
+    scraper = require('../src/scraper');
+    database = require('../src/database');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.closeDatabase();
+  });
+
+  test('interpreta las filas del ranking de clanes', () => {
+    const clans = scraper.parseClanRankingHtml(`<table>${clanRows(1, 2)}</table>`);
+
+    expect(clans).toEqual([
+      { rank: 1, clan: 'Clan1', server: 'ASIA011', leader: 'Lider1', powerScore: 9000000 },
+      { rank: 2, clan: 'Clan2', server: 'ASIA011', leader: 'Lider2', powerScore: 8000000 }
+    ]);
+  });
+
+  test('descarga todas las páginas del ranking de clanes y guarda el snapshot', async () => {
+    const clans = await scraper.fetchClanRankingData('ASIA1', 'ASIA011', true);
+
+    expect(clans.map(clan => clan.rank)).toEqual([1, 2, 3, 4, 5]);
+    expect(requestedTypes[0]).toBe('2');
+
+    const latest = await database.getLatestClanRanking('ASIA011');
+    expect(latest.snapshot.data_count).toBe(5);
+    expect(latest.clans[4]).toMatchObject({ clan: 'Clan5', leader: 'Lider5' });
+  });
+});
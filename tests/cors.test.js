@@ -0,0 +1,74 @@
+/**
+ * Pruebas de las cabeceras CORS por origen, por ruta y en las rutas de administración
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createCorsMiddleware } = require('../src/cors');
+
+describe('CORS', () => {
+  const app = express();
+  app.use(createCorsMiddleware({
+    enabled: true,
+    origins: 'https://panel.mir4.test, https://*.aliados.test',
+    adminOrigins: '*, https://admin.mir4.test',
+    routeOrigins: JSON.stringify({ '/api/characters': '*' }),
+    maxAge: 300
+  }));
+  app.get('/api/rankings', (req, res) => res.json([]));
+  app.get('/api/characters/EU014/Alpha', (req, res) => res.json({}));
+  app.post('/api/cache/clear', (req, res) => res.json({ success: true }));
+  app.get('/api/debug', (req, res) => res.json({}));
+
+  test('admite orígenes exactos y subdominios con comodín', async () => {
+    const exact = await request(app).get('/api/rankings').set('Origin', 'https://panel.mir4.test');
+    expect(exact.headers['access-control-allow-origin']).toBe('https://panel.mir4.test');
+    expect(exact.headers.vary).toContain('Origin');
+
+    const subdomain = await request(app).get('/api/rankings').set('Origin', 'https://eu.clan.aliados.test');
+    expect(subdomain.headers['access-control-allow-origin']).toBe('https://eu.clan.aliados.test');
+
+    for (const origin of ['https://aliados.test', 'https://otro.test', 'https://panel.mir4.test.otro.test']) {
+      const response = await request(app).get('/api/rankings').set('Origin', origin);
+      expect(response.status).toBe(200);
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    }
+  });
+
+  test('responde a los preflight con su caché y aplica las excepciones por ruta', async () => {
+    const preflight = await request(app).options('/api/rankings')
+      .set('Origin', 'https://panel.mir4.test')
+      .set('Access-Control-Request-Method', 'GET');
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['access-control-max-age']).toBe('300');
+    expect(preflight.headers['access-control-allow-headers']).toContain('X-API-Key');
+
+    const route = await request(app).get('/api/characters/EU014/Alpha').set('Origin', 'https://cualquiera.test');
+    expect(route.headers['access-control-allow-origin']).toBe('https://cualquiera.test');
+  });
+
+  test('las rutas de administración solo admiten CORS_ADMIN_ORIGINS (sin comodín)', async () => {
+    const denied = await request(app).options('/api/cache/clear')
+      .set('Origin', 'https://panel.mir4.test')
+      .set('Access-Control-Request-Method', 'POST');
+    expect(denied.status).toBe(403);
+    expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+
+    const allowed = await request(app).options('/api/cache/clear')
+      .set('Origin', 'https://admin.mir4.test')
+      .set('Access-Control-Request-Method', 'POST');
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers['access-control-allow-origin']).toBe('https://admin.mir4.test');
+  });
+
+  test('las rutas de administración se reconocen aunque cambien las mayúsculas o lleven barra final', async () => {
+    for (const path of ['/api/debug', '/API/DEBUG', '/Api/Debug/']) {
+      const response = await request(app).get(path).set('Origin', 'https://panel.mir4.test');
+      expect(response.status).toBe(200);
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    }
+
+    const route = await request(app).get('/API/Characters/EU014/Alpha').set('Origin', 'https://cualquiera.test');
+    expect(route.headers['access-control-allow-origin']).toBe('https://cualquiera.test');
+  });
+});
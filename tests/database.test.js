@@ -0,0 +1,133 @@
+/**
+ * Pruebas del módulo de base de datos contra SQLite en memoria
+ */
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SERVER_MERGE_MIN_ROSTER = '3';
+
+const database = require('../src/database');
+const { createStorageAdapter } = require('../src/storage');
+const { buildRankings } = require('./helpers/rankings');
+
+describe('Linaje de servidores', () => {
+  beforeAll(async () => {
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('el histórico de un personaje sigue las fusiones declaradas', async () => {
+    await database.insertRankingSnapshot(buildRankings(['Viejo1', 'Viejo2', 'Viejo3'], 'SA011'), 'SA011', 'test');
+    await database.recordServerMerge('SA011', 'SA012', { mergedAt: new Date().toISOString() });
+    await database.insertRankingSnapshot(buildRankings(['Otro', 'Viejo1'], 'SA012'), 'SA012', 'test');
+
+    const character = await database.getCharacter('Viejo1', 'SA012');
+    expect(character).toMatchObject({ name: 'Viejo1', server: 'SA012' });
+    expect(character.servers.sort()).toEqual(['SA011', 'SA012']);
+
+    const history = await database.getCharacterRankingHistory('Viejo1', 'SA012');
+    expect(history.map(entry => entry.server)).toEqual(['SA012', 'SA011']);
+
+    // Un personaje que aún no ha aparecido en el destino se encuentra por su servidor anterior
+    expect(await database.getCharacter('Viejo2', 'SA012')).toMatchObject({ server: 'SA011' });
+    expect((await database.getServerLineage('SA011')).current).toBe('SA012');
+
+    await expect(database.recordServerMerge('SA012', 'SA011')).rejects.toThrow('ciclo');
+  });
+
+  test('detecta una fusión cuando el ranking de un servidor aparece bajo otro nombre', async () => {
+    await database.insertRankingSnapshot(buildRankings(['Norte1', 'Norte2', 'Norte3', 'Norte4'], 'NA011'), 'NA011', 'test');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await database.insertRankingSnapshot(buildRankings(['Norte1', 'Norte2', 'Norte3', 'Sur1'], 'NA012'), 'NA012', 'scraper', { detectMerges: true });
+
+    const merges = await database.getServerMerges();
+    const detected = merges.find(merge => merge.sourceServer === 'NA011');
+    expect(detected).toMatchObject({ targetServer: 'NA012', detection: 'auto', details: { matches: 3, roster: 4 } });
+
+    expect(await database.deleteServerMerge('NA011')).toBe(true);
+    expect(await database.deleteServerMerge('NA011')).toBe(false);
+  });
+});
+
+describe('Ranking de clanes', () => {
+  beforeAll(async () => {
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('guarda snapshots de clanes y devuelve el histórico de un clan', async () => {
+    const clans = [
+      { rank: 1, clan: 'Dragones', leader: 'Alpha', powerScore: 900000 },
+      { rank: 2, clan: 'Tigres', leader: 'Bravo', powerScore: 800000 }
+    ];
+
+    const first = await database.insertClanSnapshot(clans, 'JP011', 'test');
+    expect(first).toMatchObject({ recordCount: 2, duplicate: false });
+    expect((await database.insertClanSnapshot(clans, 'JP011', 'test')).duplicate).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await database.insertClanSnapshot([{ ...clans[1], rank: 1 }, { ...clans[0], rank: 2 }], 'JP011', 'test');
+
+    const history = await database.getClanHistory('Dragones', 'JP011');
+    expect(history.map(entry => entry.rank)).toEqual([2, 1]);
+    expect((await database.getLatestClanRanking('JP011')).clans[0].clan).toBe('Tigres');
+  });
+
+  test('obtiene los miembros de un clan del último ranking de jugadores', async () => {
+    expect(await database.getClanMembers('Dragones', 'JP012')).toBeNull();
+
+    await database.insertRankingSnapshot(
+      buildRankings(['Uno', 'Dos', 'Tres'], 'JP012', { Dos: 'Tigres' }).map(entry => ({ ...entry, clan: entry.clan === 'ClanA' ? 'Dragones' : entry.clan })),
+      'JP012',
+      'test'
+    );
+
+    const roster = await database.getClanMembers('Dragones', 'JP012');
+    expect(roster.members.map(member => member.character)).toEqual(['Uno', 'Tres']);
+    expect(roster.members[0].characterId).toEqual(expect.any(Number));
+  });
+});
+
+describe('Selección del adaptador de almacenamiento', () => {
+  test('rechaza dialectos no soportados', () => {
+    expect(() => createStorageAdapter({ dialect: 'oracle' })).toThrow('Dialecto de base de datos no soportado');
+  });
+
+  test('genera la sintaxis de upsert propia de cada dialecto', () => {
+    const sqlite = createStorageAdapter({ dialect: 'sqlite', storage: ':memory:' });
+    const mysql = createStorageAdapter({ dialect: 'mysql' });
+
+    expect(sqlite.onConflict(['a'], { b: sqlite.excluded('b') })).toBe('ON CONFLICT(a) DO UPDATE SET b = excluded.b');
+    expect(mysql.onConflict(['a'], { b: mysql.excluded('b') })).toBe('ON DUPLICATE KEY UPDATE b = VALUES(b)');
+  });
+
+  test('en SQLite una sentencia suelta no entra en la transacción abierta de otro llamador', async () => {
+    const adapter = createStorageAdapter({ dialect: 'sqlite', storage: ':memory:' });
+    await adapter.connect();
+    await adapter.run('CREATE TABLE prueba (valor TEXT)');
+
+    let opened;
+    const transactionOpen = new Promise(resolve => { opened = resolve; });
+    const failing = adapter.transaction(async (tx) => {
+      await tx.run('INSERT INTO prueba (valor) VALUES (?)', ['deshecho']);
+      opened();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('fallo');
+    });
+
+    await transactionOpen;
+    const insert = adapter.run('INSERT INTO prueba (valor) VALUES (?)', ['suelto']);
+
+    await expect(failing).rejects.toThrow('fallo');
+    await insert;
+    expect(await adapter.all('SELECT valor FROM prueba')).toEqual([{ valor: 'suelto' }]);
+    await adapter.close();
+  });
+});
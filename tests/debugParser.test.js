@@ -0,0 +1,62 @@
+/**
+ * Pruebas del depurador del parser sobre páginas guardadas en SCRAPED_PAGES_DIR
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const pagesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mir4-debug-'));
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPED_PAGES_DIR = path.relative(process.cwd(), pagesDir);
+
+const { debugRankingHtml } = require('../src/scraper');
+const { findScrapedHtml, listScrapedHtml } = require('../src/utils');
+
+const ICON = 'https://mir4-live-hp.wemade.com/mir4-forum/img/desktop/temp/char_1.png';
+
+const HTML = '<table>' +
+  '<tr class="list_article"><td><span class="rank_num"><span class="num">1</span></span></td>' +
+  `<td><span class="user_icon" style="background-image: url('${ICON}')"></span><span class="user_name">Jugador1</span></td>` +
+  '<td><span>ASIA011</span></td><td><span>ClanA</span></td><td class="text_right"><span>99,000</span></td></tr>' +
+  '<tr class="list_article"><td><span class="rank_num"><span class="num">2</span></span></td>' +
+  '<td><span class="character_name">Jugador2</span></td>' +
+  '<td><span>ASIA011</span></td><td><span>ClanA</span></td><td class="text_right"><span>98,000</span></td></tr>' +
+  '</table>';
+
+describe('Depurador del parser', () => {
+  afterAll(() => {
+    fs.rmSync(pagesDir, { recursive: true, force: true });
+  });
+
+  test('devuelve por fila el selector, el texto extraído y el valor interpretado', () => {
+    const result = debugRankingHtml(HTML);
+
+    expect(result.rowCount).toBe(2);
+    expect(result.rankings).toHaveLength(1);
+
+    const [first, second] = result.rows;
+    expect(first.accepted).toBe(true);
+    expect(first.fields.value).toMatchObject({ raw: '99,000', parsed: 99000, matches: 1 });
+    expect(first.fields.rank).toMatchObject({ raw: '1', parsed: 1 });
+    expect(first.fields.icon.parsed).toEqual({ imageUrl: ICON, class: 'Guerrero' });
+
+    // El nombre de la segunda fila usa una clase que el selector configurado no conoce
+    expect(second.accepted).toBe(false);
+    expect(second.fields.character).toMatchObject({ matchedSelector: null, matches: 0, raw: '' });
+  });
+
+  test('busca las páginas guardadas por nombre o por prefijo sin salir del directorio', () => {
+    fs.writeFileSync(path.join(pagesDir, 'ASIA1_ASIA011_page_2_2024-05-01T10-00-00-000Z.html'), HTML);
+    fs.writeFileSync(path.join(pagesDir, 'ASIA1_ASIA011_page_2_2024-05-02T10-00-00-000Z.html'), HTML);
+    fs.utimesSync(path.join(pagesDir, 'ASIA1_ASIA011_page_2_2024-05-01T10-00-00-000Z.html'), new Date('2024-05-01'), new Date('2024-05-01'));
+
+    expect(listScrapedHtml()).toHaveLength(2);
+    expect(findScrapedHtml('ASIA1_ASIA011_page_2')).toMatchObject({ id: 'ASIA1_ASIA011_page_2_2024-05-02T10-00-00-000Z', prefix: 'ASIA1_ASIA011_page_2' });
+    expect(findScrapedHtml('ASIA1_ASIA011_page_2_2024-05-01T10-00-00-000Z.html').id).toBe('ASIA1_ASIA011_page_2_2024-05-01T10-00-00-000Z');
+    expect(findScrapedHtml('ASIA1_ASIA011')).toBeNull();
+    expect(findScrapedHtml('../package')).toBeNull();
+  });
+});
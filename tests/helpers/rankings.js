@@ -0,0 +1,66 @@
+/**
+ * Datos de ranking compartidos por las pruebas: rankings ya parseados y filas de HTML con el formato de la web
+ */
+
+// Iconos de clase de la web (char_N.png, N es el classtype= de la clase)
+const CLASS_ICON_URL = 'https://mir4-live-hp.wemade.com/mir4-forum/img/desktop/temp/char_';
+
+/**
+ * Construye un ranking de prueba con los personajes indicados (en orden de posición)
+ * @param {Array<string>} names - Nombres de los personajes
+ * @param {string} server - Servidor de los personajes
+ * @param {Object} clans - Clan de los personajes que no están en ClanA ({ nombre: clan })
+ * @returns {Array<Object>}
+ */
+function buildRankings(names, server = 'ASIA011', clans = {}) {
+  return names.map((name, index) => ({
+    rank: index + 1,
+    character: name,
+    class: 'Guerrero',
+    server,
+    clan: clans[name] || 'ClanA',
+    powerScore: 100000 - index * 1000
+  }));
+}
+
+/**
+ * Genera filas del ranking (tr.list_article) con el formato de la web
+ * Sin server solo llevan la posición y el nombre, como el listado más simple que acepta el parser
+ * @param {number} from - Primera posición
+ * @param {number} to - Última posición
+ * @param {Object} options - {
+ *   name (rank => nombre, por defecto Jugador<rank>),
+ *   nameClass (clase del nombre; con character_name el parser no lo encuentra, como tras un cambio de HTML),
+ *   icon (número del icono de clase; sin él la fila no lleva icono),
+ *   server (columna del servidor), clan (texto o rank => texto de la cuarta columna; en los clanes, el líder),
+ *   value (rank => texto de la columna de valor)
+ * }
+ * @returns {string}
+ */
+function rankingRows(from, to, options = {}) {
+  const {
+    name = rank => `Jugador${rank}`,
+    nameClass = 'user_name',
+    icon = null,
+    server = null,
+    clan = 'ClanA',
+    value = rank => `${100 - rank},000`
+  } = options;
+
+  let html = '';
+  for (let rank = from; rank <= to; rank++) {
+    const iconHtml = icon ? `<span class="user_icon" style="background-image: url('${CLASS_ICON_URL}${icon}.png')"></span>` : '';
+    const columns = server
+      ? `<td><span>${server}</span></td><td><span>${typeof clan === 'function' ? clan(rank) : clan}</span></td>` +
+        `<td class="text_right"><span>${value(rank)}</span></td>`
+      : '';
+    html += `<tr class="list_article"><td><span class="rank_num"><span class="num">${rank}</span></span></td>` +
+      `<td>${iconHtml}<span class="${nameClass}">${name(rank)}</span></td>${columns}</tr>`;
+  }
+  return html;
+}
+
+module.exports = {
+  buildRankings,
+  rankingRows
+};
@@ -0,0 +1,63 @@
+/**
+ * Pruebas del histórico de rankings: snapshots almacenados e histórico de cada personaje
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+
+const database = require('../src/database');
+const { buildRankings } = require('./helpers/rankings');
+
+describe('Histórico de rankings', () => {
+  const app = express();
+  app.use('/api', require('../src/routes'));
+
+  let oldSnapshot;
+  let newSnapshot;
+
+  beforeAll(async () => {
+    await database.initDatabase();
+    await database.insertRankingSnapshot(buildRankings(['Alpha', 'Bravo', 'Charlie'], 'EU013'), 'EU013', 'test');
+    oldSnapshot = await database.insertRankingSnapshot(buildRankings(['Uno', 'Dos', 'Tres']), 'ASIA011', 'test');
+    newSnapshot = await database.insertRankingSnapshot(buildRankings(['Dos', 'Uno', 'Tres']), 'ASIA011', 'test');
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('devuelve el detalle de un snapshot o null si no existe', async () => {
+    const latest = await database.getLatestSnapshot({ server: 'EU013' });
+    const details = await database.getSnapshotDetails(latest.id);
+
+    expect(details.entries.map(entry => entry.character)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+    expect(await database.getSnapshotDetails(99999)).toBeNull();
+  });
+
+  test('devuelve el histórico paginado de un personaje', async () => {
+    expect(await database.getCharacter('Uno', 'ASIA011')).toMatchObject({ name: 'Uno', server: 'ASIA011' });
+    expect(await database.getCharacter('Nadie', 'ASIA011')).toBeNull();
+
+    const history = await database.getCharacterRankingHistory('Uno', 'ASIA011');
+    expect(history.map(entry => entry.rank)).toEqual([2, 1]);
+
+    const page = await database.getCharacterRankingHistory('Uno', 'ASIA011', { limit: 1, offset: 1 });
+    expect(page).toHaveLength(1);
+    expect(page[0].snapshotId).toBe(oldSnapshot.id);
+  });
+
+  test('expone el histórico y los snapshots en la API', async () => {
+    const history = await request(app).get('/api/history/characters/asia011/Uno?limit=1&offset=1');
+    expect(history.status).toBe(200);
+    expect(history.body.history.map(entry => entry.snapshotId)).toEqual([oldSnapshot.id]);
+    expect((await request(app).get('/api/history/characters/ASIA011/Nadie')).status).toBe(404);
+
+    const latest = await request(app).get('/api/snapshots/latest?server=ASIA011');
+    expect(latest.body.entries.map(entry => entry.character)).toEqual(['Dos', 'Uno', 'Tres']);
+    expect((await request(app).get(`/api/snapshots/${newSnapshot.id}`)).body.id).toBe(newSnapshot.id);
+    expect((await request(app).get('/api/snapshots/abc')).status).toBe(400);
+  });
+});
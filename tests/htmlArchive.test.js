@@ -0,0 +1,102 @@
+/**
+ * Pruebas del archivo de páginas de ranking y de su reprocesado tras corregir un selector
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { rankingRows } = require('./helpers/rankings');
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mir4-archive-'));
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_MODE = 'http';
+process.env.SCRAPER_DELAY = '0';
+process.env.SCRAPER_MAX_PAGES = '2';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+process.env.HTML_ARCHIVE = 'true';
+process.env.HTML_ARCHIVE_DIR = path.relative(process.cwd(), archiveDir);
+
+jest.mock('../src/errorQueue', () => {
+  const actual = jest.requireActual('../src/errorQueue');
+  return { ...actual, enqueue: jest.fn().mockReturnValue('parsing_error_prueba') };
+});
+
+/**
+ * Filas del ranking con el nombre en una clase que los selectores actuales no conocen
+ */
+const rows = (from, to) => rankingRows(from, to, {
+  name: rank => `Maga${rank}`,
+  nameClass: 'character_name',
+  icon: 2,
+  server: 'EU014',
+  value: rank => `${90 - rank},000`
+});
+
+describe('Archivo y reprocesado de páginas', () => {
+  let server;
+  let scraper;
+  let htmlArchive;
+  let replay;
+  let database;
+  let SELECTORS;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      res.end(url.pathname === '/rank' ? `<html><body><table>${rows(1, 3)}</table></body></html>` : '');
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.RANKING_POWER_URL = `${baseUrl}/rank?ranktype=1`;
+    process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+
+    ({ SELECTORS } = require('../src/config'));
+    scraper = require('../src/scraper');
+    htmlArchive = require('../src/htmlArchive');
+    replay = require('../src/replay');
+    database = require('../src/database');
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.closeDatabase();
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  test('archiva comprimida la página aunque el parser no reconozca su HTML', async () => {
+    await expect(scraper.fetchServerRankingData('EU1', 'EU014', true)).rejects.toMatchObject({ code: 'PARSER_HEALTH' });
+
+    const runs = htmlArchive.listArchivedRuns({ server: 'EU014' });
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ kind: 'players', type: 'power', classType: 0, region: 'EU1', pages: 1 });
+    expect(htmlArchive.readArchivedPages(runs[0])[0].html).toContain('Maga1');
+    expect(htmlArchive.listArchivedRuns({ server: 'EU014', kind: 'clans' })).toHaveLength(0);
+  });
+
+  test('reprocesa la descarga con el selector corregido y guarda el snapshot con su fecha original', async () => {
+    const [run] = htmlArchive.listArchivedRuns({ server: 'EU014' });
+
+    expect((await replay.replayArchive({ server: 'EU014' }, { dryRun: true })).failed).toBe(1);
+
+    const originalSelector = SELECTORS.CHARACTER_NAME;
+    SELECTORS.CHARACTER_NAME = '.character_name';
+    try {
+      const summary = await replay.replayArchive({ server: 'EU014' });
+      expect(summary).toMatchObject({ runs: 1, saved: 1, failed: 0 });
+      expect(summary.results[0]).toMatchObject({ entries: 3, status: 'saved' });
+
+      const snapshot = await database.getLatestSnapshot({ server: 'EU014' });
+      expect(snapshot).toMatchObject({ id: summary.results[0].snapshotId, timestamp: run.timestamp, source: 'replay', data_count: 3 });
+
+      // Reprocesar otra vez no duplica el snapshot
+      expect((await replay.replayArchive({ server: 'EU014' })).unchanged).toBe(1);
+    } finally {
+      SELECTORS.CHARACTER_NAME = originalSelector;
+    }
+  });
+});
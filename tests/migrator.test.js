@@ -0,0 +1,102 @@
+/**
+ * Pruebas del sistema de migraciones contra SQLite en memoria
+ */
+
+const { createStorageAdapter } = require('../src/storage');
+const { migrate, rollback, getMigrationStatus, loadMigrations } = require('../src/migrator');
+
+/**
+ * Comprueba si existe una tabla en la base de datos SQLite
+ */
+async function tableExists(adapter, table) {
+  const row = await adapter.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  return Boolean(row);
+}
+
+describe('Migraciones del esquema', () => {
+  const versions = loadMigrations().map(m => m.version);
+  const latest = versions[versions.length - 1];
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = createStorageAdapter({ dialect: 'sqlite', storage: ':memory:' });
+    await adapter.connect();
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+  });
+
+  test('las migraciones de src/migrations están ordenadas y tienen up/down', () => {
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions.slice(0, 2)).toEqual([1, 2]);
+  });
+
+  test('--dry-run lista las migraciones pendientes sin aplicarlas', async () => {
+    const pending = await migrate(adapter, { dryRun: true });
+
+    expect(pending.map(m => m.version)).toEqual(versions);
+    expect(await tableExists(adapter, 'ranking_snapshots')).toBe(false);
+  });
+
+  test('aplica todas las migraciones y las registra en schema_version', async () => {
+    await migrate(adapter);
+
+    const status = await getMigrationStatus(adapter);
+    expect(status.currentVersion).toBe(latest);
+    expect(status.migrations.every(m => m.applied)).toBe(true);
+    expect(await tableExists(adapter, 'characters_new')).toBe(true);
+
+    // Una segunda ejecución no tiene nada pendiente
+    expect(await migrate(adapter)).toEqual([]);
+  });
+
+  test('revierte la última migración', async () => {
+    await migrate(adapter);
+
+    const reverted = await rollback(adapter);
+
+    expect(reverted.map(m => m.version)).toEqual([latest]);
+    expect((await getMigrationStatus(adapter)).currentVersion).toBe(versions[versions.length - 2]);
+  });
+
+  test('revierte hasta la versión indicada', async () => {
+    await migrate(adapter);
+
+    const reverted = await rollback(adapter, { target: 1 });
+
+    expect(reverted.map(m => m.version)).toEqual(versions.slice(1).reverse());
+    expect(await tableExists(adapter, 'characters_new')).toBe(false);
+    expect(await tableExists(adapter, 'server_merges')).toBe(false);
+    const columns = await adapter.all('PRAGMA table_info(servers)');
+    expect(columns.map(column => column.name)).not.toContain('source');
+    expect(await tableExists(adapter, 'characters')).toBe(true);
+    expect((await getMigrationStatus(adapter)).currentVersion).toBe(1);
+  });
+
+  test('una migración fallida se deshace y no se registra', async () => {
+    const migrations = [
+      {
+        version: 1,
+        name: 'tabla_prueba',
+        up: db => db.run('CREATE TABLE prueba (id INTEGER)'),
+        down: db => db.run('DROP TABLE prueba')
+      },
+      {
+        version: 2,
+        name: 'fallida',
+        up: async db => {
+          await db.run('INSERT INTO prueba (id) VALUES (1)');
+          await db.run('INSERT INTO tabla_inexistente (id) VALUES (1)');
+        },
+        down: async () => {}
+      }
+    ];
+
+    await expect(migrate(adapter, { migrations })).rejects.toThrow();
+
+    const status = await getMigrationStatus(adapter, { migrations });
+    expect(status.currentVersion).toBe(1);
+    expect(await adapter.all('SELECT id FROM prueba')).toEqual([]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Pruebas de la comprobación de salud del parser y de la protección del caché ante cambios de HTML
+ */
+
+const http = require('http');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_MODE = 'http';
+process.env.SCRAPER_DELAY = '0';
+process.env.SCRAPER_MAX_PAGES = '2';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+
+jest.mock('../src/errorQueue', () => {
+  const actual = jest.requireActual('../src/errorQueue');
+  return { ...actual, enqueue: jest.fn().mockReturnValue('parsing_error_prueba') };
+});
+
+const errorQueue = require('../src/errorQueue');
+const { rankingRows } = require('./helpers/rankings');
+
+/**
+ * Genera filas de ranking; con layout 'nuevo' el nombre cambia de clase y el parser no lo encuentra
+ */
+const rows = (from, to, layout = 'actual') => rankingRows(from, to, {
+  nameClass: layout === 'actual' ? 'user_name' : 'character_name',
+  icon: 1,
+  server: 'ASIA011'
+});
+
+/**
+ * Construye las entradas parseadas de un ranking
+ */
+function entries(ranks, className = 'Guerrero') {
+  return ranks.map(rank => ({ rank, character: `Jugador${rank}`, class: className }));
+}
+
+// Servidor local que imita la página del ranking (antes de cargar config.js, que lee las URLs)
+let server;
+let layout = 'actual';
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    res.end(url.pathname === '/rank' ? `<html><body><table>${rows(1, 3, layout)}</table></body></html>` : '');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.RANKING_POWER_URL = `${baseUrl}/rank?ranktype=1`;
+  process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('Salud del parser', () => {
+  let parserHealth;
+
+  beforeAll(() => {
+    parserHealth = require('../src/parserHealth');
+  });
+
+  beforeEach(() => {
+    errorQueue.enqueue.mockClear();
+  });
+
+  test('acepta un ranking con la estructura esperada', () => {
+    const result = parserHealth.checkRankingHealth({ html: `<table>${rows(1, 3)}</table>`, rankings: entries([1, 2, 3]) });
+
+    expect(result.healthy).toBe(true);
+    expect(result.metrics).toMatchObject({ rows: 3, parsed: 3, parseRatio: 1, rankBreaks: 0, classRatio: 1 });
+  });
+
+  test('detecta filas sin parsear, saltos de rank y clases desconocidas', () => {
+    expect(parserHealth.checkRankingHealth({ html: `<table>${rows(1, 4)}</table>`, rankings: entries([1]) }).problems[0])
+      .toContain('Solo se parsearon 1 de 4 filas');
+    expect(parserHealth.checkRankingHealth({ rankings: entries([1, 2, 5]) }).problems[0]).toContain('no son consecutivos');
+    expect(parserHealth.checkRankingHealth({ rankings: entries([1, 2], 'Desconocido') }).healthy).toBe(false);
+    expect(parserHealth.checkRankingHealth({ rankings: entries([1, 2], 'Desconocido'), checkClass: false }).healthy).toBe(true);
+
+    // Una página sin filas solo es válida si la web indica que no hay resultados
+    expect(parserHealth.checkRankingHealth({ html: '<div></div>' }).healthy).toBe(false);
+    expect(parserHealth.checkRankingHealth({ html: '<div class="no_result">Sin datos</div>' }).healthy).toBe(true);
+  });
+
+  test('pone el HTML en cuarentena y lanza un error si la comprobación falla', () => {
+    expect(() => parserHealth.assertRankingHealth({ html: '<div></div>', rankings: [] }, { label: 'prueba' }))
+      .toThrow('Posible cambio en el HTML de prueba');
+
+    expect(errorQueue.enqueue).toHaveBeenCalledWith(
+      errorQueue.ErrorTypes.PARSING_ERROR,
+      expect.objectContaining({ html: '<div></div>', label: 'prueba' }),
+      expect.any(String),
+      errorQueue.ErrorActions.QUARANTINE,
+      expect.any(Object)
+    );
+    expect(parserHealth.getParserHealthStatus().lastFailure).toMatchObject({ label: 'prueba', quarantineId: 'parsing_error_prueba' });
+  });
+});
+
+describe('Protección del caché ante un cambio de HTML', () => {
+  let scraper;
+  let cache;
+  let database;
+
+  beforeAll(async () => {
+    scraper = require('../src/scraper');
+    cache = require('../src/cache');
+    database = require('../src/database');
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('no sobrescribe el caché ni guarda un snapshot si el HTML cambió', async () => {
+    const rankings = await scraper.fetchServerRankingData('ASIA1', 'ASIA011', true);
+    expect(rankings).toHaveLength(3);
+    const snapshot = await database.getLatestSnapshot({ server: 'ASIA011' });
+
+    layout = 'nuevo';
+    await expect(scraper.fetchServerRankingData('ASIA1', 'ASIA011', true)).rejects.toMatchObject({ code: 'PARSER_HEALTH' });
+
+    expect(await cache.getServerCache('ASIA1_ASIA011')).toHaveLength(3);
+    expect((await database.getLatestSnapshot({ server: 'ASIA011' })).id).toBe(snapshot.id);
+    expect(errorQueue.enqueue).toHaveBeenCalledWith(
+      errorQueue.ErrorTypes.PARSING_ERROR,
+      expect.objectContaining({ label: 'ASIA1 > ASIA011' }),
+      expect.any(String),
+      errorQueue.ErrorActions.QUARANTINE,
+      expect.any(Object)
+    );
+  });
+});
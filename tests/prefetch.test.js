@@ -0,0 +1,275 @@
+/**
+ * Pruebas del prefetch en paralelo con el scraper y la base de datos simulados
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// DATA_DIR es relativo al directorio de trabajo
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mir4-prefetch-'));
+process.env.DATA_DIR = path.relative(process.cwd(), dataDir);
+process.env.SCRAPER_DELAY = '0';
+process.env.PREFETCH_CONFIRM_TIMEOUT = '5000';
+
+jest.mock('../src/scraper', () => ({ fetchServerRankingData: jest.fn() }));
+jest.mock('../src/browserPool', () => ({ releaseIdleBrowser: jest.fn().mockResolvedValue() }));
+jest.mock('../src/database', () => ({
+  markServerAsInactive: jest.fn().mockResolvedValue(),
+  markServerUpdated: jest.fn().mockResolvedValue(),
+  updateServersDatabase: jest.fn(),
+  getServerCatalog: jest.fn().mockResolvedValue([]),
+  logUpdateOperation: jest.fn().mockResolvedValue(1),
+  getServerDigest: jest.fn()
+}));
+// Acortar las pausas tras errores de recursos para que las pruebas sean rápidas
+jest.mock('../src/utils', () => {
+  const actual = jest.requireActual('../src/utils');
+  return { ...actual, delay: (ms, signal) => actual.delay(Math.min(ms, 20), signal) };
+});
+
+const { fetchServerRankingData } = require('../src/scraper');
+const { getServerDigest, markServerAsInactive, logUpdateOperation } = require('../src/database');
+const { SERVER_REGIONS } = require('../src/config');
+const {
+  prefetchAllServers,
+  resumePrefetch,
+  cancelPrefetch,
+  continuePrefetch,
+  pausePrefetch,
+  prioritizeServer,
+  initPrefetch,
+  prefetchStatus
+} = require('../src/prefetch');
+
+const STATUS_FILE = path.join(dataDir, 'prefetch_status.json');
+
+const TOTAL_SERVERS = Object.values(SERVER_REGIONS)
+  .reduce((total, region) => total + Object.keys(region.servers).length, 0);
+
+describe('Prefetch en paralelo', () => {
+  beforeEach(() => {
+    fetchServerRankingData.mockReset();
+    getServerDigest.mockReset();
+    markServerAsInactive.mockClear();
+    getServerDigest.mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('respeta la concurrencia global y por región', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const runningByRegion = {};
+    let maxInRegion = 0;
+
+    fetchServerRankingData.mockImplementation(async (regionName, serverName) => {
+      running++;
+      runningByRegion[regionName] = (runningByRegion[regionName] || 0) + 1;
+      maxRunning = Math.max(maxRunning, running);
+      maxInRegion = Math.max(maxInRegion, runningByRegion[regionName]);
+
+      await new Promise(resolve => setTimeout(resolve, 2));
+
+      running--;
+      runningByRegion[regionName]--;
+      return [{ rank: 1, character: `${serverName}_top` }];
+    });
+
+    const status = await prefetchAllServers({ concurrency: 4, regionConcurrency: 1, forceUpdate: true });
+
+    expect(fetchServerRankingData).toHaveBeenCalledTimes(TOTAL_SERVERS);
+    expect(status.serversProcessed).toBe(TOTAL_SERVERS);
+    expect(maxRunning).toBe(4);
+    expect(maxInRegion).toBe(1);
+  });
+
+  test('procesa primero los servidores pedidos y después los más desactualizados', async () => {
+    const order = [];
+    fetchServerRankingData.mockImplementation(async (regionName, serverName) => {
+      order.push(serverName);
+      return [{ rank: 1, character: 'x' }];
+    });
+
+    // Todos actualizados tras el reset salvo EU011 (sin datos) y NA011 (antiguo)
+    getServerDigest.mockImplementation(async (regionName, serverName) => {
+      if (serverName === 'EU011') return null;
+      const lastUpdate = serverName === 'NA011' ? '2020-01-01T00:00:00.000Z' : new Date().toISOString();
+      return { stats: { last_update: lastUpdate } };
+    });
+
+    const status = await prefetchAllServers({
+      concurrency: 1,
+      priorityServers: [{ regionName: 'SA2', serverName: 'SA052' }]
+    });
+
+    expect(order).toEqual(['SA052', 'EU011', 'NA011']);
+    expect(status.skippedServers).toBe(TOTAL_SERVERS - 3);
+  });
+
+  test('el timeout por servidor cancela la descarga', async () => {
+    let receivedSignal = null;
+    fetchServerRankingData.mockImplementation((regionName, serverName, forceRefresh, retryCount, options) => {
+      receivedSignal = options.signal;
+      return new Promise(() => {}); // Nunca termina por sí sola
+    });
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      serverName === 'EU011' ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+
+    const status = await prefetchAllServers({ serverTimeoutMs: 20 });
+
+    expect(receivedSignal.aborted).toBe(true);
+    expect(status.errors[0]).toContain('Timeout');
+    expect(markServerAsInactive).toHaveBeenCalledWith('EU1', 'EU011');
+  });
+
+  test('una ejecución cancelada se reanuda con los servidores pendientes', async () => {
+    // Solo tres servidores pendientes: EU011, EU012 y EU013
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      ['EU011', 'EU012', 'EU013'].includes(serverName) ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+    fetchServerRankingData.mockImplementation((regionName, serverName, forceRefresh, retryCount, options) => (
+      new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      })
+    ));
+
+    const running = prefetchAllServers({ concurrency: 1 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(cancelPrefetch()).toBe(true);
+    await running;
+
+    const pending = prefetchStatus.run.servers.filter(entry => entry.state === 'pending');
+    expect(prefetchStatus.run.status).toBe('cancelled');
+    expect(pending.map(entry => entry.serverName)).toEqual(['EU011', 'EU012', 'EU013']);
+    expect(markServerAsInactive).not.toHaveBeenCalled();
+
+    // El estado persistido incluye la lista de trabajo
+    const saved = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+    expect(saved.run.id).toBe(prefetchStatus.run.id);
+
+    fetchServerRankingData.mockReset();
+    fetchServerRankingData.mockResolvedValue([{ rank: 1, character: 'x' }]);
+
+    await resumePrefetch();
+
+    expect(fetchServerRankingData).toHaveBeenCalledTimes(3);
+    expect(prefetchStatus.run.status).toBe('completed');
+    expect(prefetchStatus.run.servers.filter(entry => entry.state === 'done')).toHaveLength(3);
+    expect(await resumePrefetch()).toBeNull();
+  });
+
+  test('en modo interactivo espera confirmación por API en lugar de bloquear la consola', async () => {
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      ['EU011', 'EU012', 'EU013'].includes(serverName) ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+    fetchServerRankingData.mockResolvedValue([{ rank: 1, character: 'x' }]);
+
+    const waitForConfirmation = async () => {
+      while (!prefetchStatus.awaitingConfirmation) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      return prefetchStatus.awaitingConfirmation;
+    };
+
+    expect(continuePrefetch()).toBe(false);
+    const running = prefetchAllServers({ interactive: true, confirmEvery: 1 });
+
+    const first = await waitForConfirmation();
+    expect(first.reason).toMatch(/Se han procesado \d+ de \d+ servidores/);
+    expect(first.defaultAction).toBe('continue');
+    const saved = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+    expect(saved.awaitingConfirmation.reason).toBe(first.reason);
+
+    expect(continuePrefetch()).toBe(true);
+    await waitForConfirmation();
+    expect(pausePrefetch()).toBe(true);
+    await running;
+
+    expect(fetchServerRankingData).toHaveBeenCalledTimes(2);
+    expect(prefetchStatus.awaitingConfirmation).toBeNull();
+    expect(prefetchStatus.run.status).toBe('paused');
+    expect(pausePrefetch()).toBe(false);
+  });
+
+  test('al arrancar, una ejecución que quedó en curso se marca como interrumpida', () => {
+    const saved = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+    saved.isRunning = true;
+    saved.run.status = 'running';
+    saved.run.servers[0].state = 'running';
+    fs.writeFileSync(STATUS_FILE, JSON.stringify(saved));
+
+    const status = initPrefetch();
+
+    expect(status.run.status).toBe('interrupted');
+    expect(status.run.servers[0].state).toBe('pending');
+
+    // El archivo deja de indicar que hay un prefetch en curso
+    expect(JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'))).toMatchObject({ isRunning: false, run: { status: 'interrupted' } });
+  });
+
+  test('un error inesperado termina la ejecución como fallida y no bloquea el siguiente prefetch', async () => {
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      serverName === 'EU011' ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+    fetchServerRankingData.mockResolvedValue([{ rank: 1, character: 'x' }]);
+    logUpdateOperation.mockRejectedValueOnce(new Error('Base de datos no disponible'));
+
+    await expect(prefetchAllServers()).rejects.toThrow('Base de datos no disponible');
+    expect(prefetchStatus.isRunning).toBe(false);
+    expect(prefetchStatus.run.status).toBe('failed');
+    expect(JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8')).run.status).toBe('failed');
+
+    await prefetchAllServers();
+    expect(prefetchStatus.run.status).toBe('completed');
+  });
+
+  test('una ejecución fallida se reanuda y un error al reanudarla no deja el prefetch en curso', async () => {
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      serverName === 'EU011' ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+    fetchServerRankingData.mockResolvedValue([{ rank: 1, character: 'x' }]);
+    logUpdateOperation.mockRejectedValueOnce(new Error('Base de datos no disponible'));
+    await expect(prefetchAllServers()).rejects.toThrow('Base de datos no disponible');
+
+    logUpdateOperation.mockRejectedValueOnce(new Error('Base de datos no disponible'));
+    await expect(resumePrefetch()).rejects.toThrow('Base de datos no disponible');
+    expect(prefetchStatus.isRunning).toBe(false);
+    expect(prefetchStatus.run.status).toBe('failed');
+
+    await resumePrefetch();
+    expect(prefetchStatus.run.status).toBe('completed');
+    expect(fetchServerRankingData).toHaveBeenCalledTimes(1);
+  });
+
+  test('procesa los servidores pedidos mientras termina la última descarga y sigue en curso hasta cerrar la ejecución', async () => {
+    getServerDigest.mockImplementation(async (regionName, serverName) => (
+      serverName === 'EU011' ? null : { stats: { last_update: new Date().toISOString() } }
+    ));
+    fetchServerRankingData.mockImplementation(async (regionName, serverName) => {
+      if (serverName === 'EU011') {
+        prioritizeServer('EU1', 'EU012');
+      }
+      return [{ rank: 1, character: 'x' }];
+    });
+
+    const runningWhileLogging = [];
+    logUpdateOperation.mockImplementation(async () => {
+      runningWhileLogging.push(prefetchStatus.isRunning);
+      return 1;
+    });
+
+    const status = await prefetchAllServers();
+
+    expect(fetchServerRankingData.mock.calls.map(call => call[1])).toEqual(['EU011', 'EU012']);
+    expect(status.run.status).toBe('completed');
+    expect(runningWhileLogging).toEqual([true, true]);
+    expect(prefetchStatus.isRunning).toBe(false);
+    expect(JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8')).isRunning).toBe(false);
+
+    logUpdateOperation.mockResolvedValue(1);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Pruebas de las sesiones de ranking por HTTP contra un servidor local que imita el foro
+ */
+
+const http = require('http');
+
+jest.mock('puppeteer', () => ({
+  launch: jest.fn().mockRejectedValue(new Error('navegador no disponible en pruebas'))
+}));
+
+const puppeteer = require('puppeteer');
+const { rankingRows } = require('./helpers/rankings');
+
+describe('Sesiones de ranking por HTTP', () => {
+  let server;
+  let baseUrl;
+  let listAvailable;
+  let listEmpty;
+  let listRequests;
+  let openRankingSession;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname === '/rank') {
+        res.end(`<html><body><table>${rankingRows(1, 3)}</table></body></html>`);
+      } else if (url.pathname === '/rank/list' && listAvailable) {
+        listRequests.push(url.searchParams);
+        const page = parseInt(url.searchParams.get('page'), 10);
+        res.end(page <= 3 && !listEmpty ? rankingRows(page * 3 - 2, page * 3) : '');
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+    process.env.SCRAPER_DELAY = '0';
+    process.env.SCRAPER_MAX_PAGES = '10';
+    ({ openRankingSession } = require('../src/rankingSession'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    listAvailable = true;
+    listEmpty = false;
+    listRequests = [];
+    puppeteer.launch.mockClear();
+  });
+
+  test('descarga las páginas del listado conservando los filtros de la URL', async () => {
+    const session = await openRankingSession(`${baseUrl}/rank?ranktype=1&worldid=178`, 'prueba', { mode: 'http' });
+
+    expect(session.mode).toBe('http');
+    expect(session.cumulative).toBe(false);
+    expect(session.firstPageHtml).toContain('Jugador3');
+    expect(await session.nextPage(2)).toContain('Jugador4');
+    expect(await session.nextPage(3)).toContain('Jugador9');
+    expect(await session.nextPage(4)).toBeNull();
+    expect(listRequests[0].get('worldid')).toBe('178');
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+    await session.close();
+  });
+
+  test('en modo http un listado no disponible es un error', async () => {
+    listAvailable = false;
+
+    await expect(openRankingSession(`${baseUrl}/rank?ranktype=1`, 'prueba', { mode: 'http' })).rejects.toThrow();
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+  });
+
+  test('en modo auto recurre al navegador si el listado no responde', async () => {
+    listAvailable = false;
+
+    await expect(openRankingSession(`${baseUrl}/rank?ranktype=1`, 'prueba', { mode: 'auto' }))
+      .rejects.toThrow('navegador no disponible en pruebas');
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('en modo auto recurre al navegador si el listado responde sin filas', async () => {
+    listEmpty = true;
+
+    await expect(openRankingSession(`${baseUrl}/rank?ranktype=1`, 'prueba', { mode: 'auto' }))
+      .rejects.toThrow('navegador no disponible en pruebas');
+    expect(listRequests).toHaveLength(1);
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Pruebas de los snapshots que se guardan con cada ranking descargado
+ */
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+
+const database = require('../src/database');
+const { buildRankings } = require('./helpers/rankings');
+
+describe('Snapshots de rankings', () => {
+  beforeAll(async () => {
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('guarda un snapshot y reutiliza el existente si los datos no cambian', async () => {
+    const rankings = buildRankings(['Alpha', 'Bravo', 'Charlie'], 'EU013');
+
+    const first = await database.insertRankingSnapshot(rankings, 'EU013', 'test');
+    expect(first.duplicate).toBe(false);
+    expect(first.insertedCount).toBe(3);
+
+    const second = await database.insertRankingSnapshot(rankings, 'EU013', 'test');
+    expect(second.duplicate).toBe(true);
+    expect(second.id).toBe(first.id);
+
+    const snapshots = await database.getSnapshotsList({ server: 'EU013' });
+    expect(snapshots).toHaveLength(1);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Pruebas de los tipos de ranking de jugadores (nivel, rankings por clase) contra un servidor local
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { rankingRows } = require('./helpers/rankings');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_MODE = 'http';
+process.env.SCRAPER_DELAY = '0';
+process.env.SCRAPER_MAX_PAGES = '5';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+process.env.RANKING_TYPE_LEVEL = '3';
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'src', 'profiles', 'fixtures');
+
+/**
+ * Genera filas del ranking de nivel de taotistas con el formato de la web
+ */
+const levelRows = (from, to) => rankingRows(from, to, {
+  name: rank => `Tao${rank}`,
+  icon: 3,
+  server: 'EU014',
+  value: rank => `Lv. ${130 - rank}`
+});
+
+describe('Tipos de ranking', () => {
+  let server;
+  let requests;
+  let scraper;
+  let database;
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url.searchParams);
+
+      if (url.pathname === '/rank') {
+        res.end(`<html><body><table>${levelRows(1, 2)}</table></body></html>`);
+      } else if (url.pathname === '/rank/list') {
+        res.end(url.searchParams.get('page') === '2' ? levelRows(3, 3) : '');
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.RANKING_POWER_URL = `${baseUrl}/rank?ranktype=1`;
+    process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+
+    scraper = require('../src/scraper');
+    database = require('../src/database');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.closeDatabase();
+  });
+
+  test('interpreta la columna de valor según el tipo de ranking', () => {
+    const [player] = scraper.parseRankingHtml(`<table>${levelRows(1, 1)}</table>`, 'level');
+
+    expect(player).toMatchObject({ rank: 1, character: 'Tao1', class: 'Taotista', level: 129 });
+    expect(player.powerScore).toBeUndefined();
+  });
+
+  test.each([
+    ['power', 'ranking_v1.html', 'powerScore', [298750, 297500]],
+    ['level', 'ranking_level_v1.html', 'level', [130, 129]]
+  ])('el parser lee el ranking %s con el fixture de su estructura', (type, fixture, valueField, firstValues) => {
+    const rankings = scraper.parseRankingHtml(fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8'), type);
+
+    expect(rankings.length).toBeGreaterThan(0);
+    expect(rankings.slice(0, 2).map(player => player[valueField])).toEqual(firstValues);
+    expect(rankings.every(player => player.character && player.class !== 'Desconocido')).toBe(true);
+  });
+
+  test('sin RANKING_TYPE_LEVEL el ranking de nivel no está disponible', () => {
+    const previous = process.env.RANKING_TYPE_LEVEL;
+    delete process.env.RANKING_TYPE_LEVEL;
+    try {
+      jest.isolateModules(() => {
+        expect(Object.keys(require('../src/config').RANKING_TYPES)).toEqual(['power']);
+      });
+    } finally {
+      process.env.RANKING_TYPE_LEVEL = previous;
+    }
+  });
+
+  test('acepta la clase por nombre o por su valor de classtype', () => {
+    expect(scraper.resolveClassType('taotista')).toBe(3);
+    expect(scraper.resolveClassType('3')).toBe(3);
+    expect(scraper.resolveClassType(undefined)).toBe(0);
+    expect(scraper.resolveClassType('Bardo')).toBeNull();
+    expect(scraper.resolveClassType('99')).toBeNull();
+  });
+
+  test('descarga el ranking de nivel de una clase y lo guarda en su propia tabla', async () => {
+    const rankings = await scraper.fetchTypedRankingData('EU1', 'EU014', { type: 'level', classType: 3, forceRefresh: true });
+
+    expect(rankings.map(player => player.level)).toEqual([129, 128, 127]);
+    expect(requests[0].get('ranktype')).toBe('3');
+    expect(requests[0].get('classtype')).toBe('3');
+
+    const latest = await database.getLatestTypedRanking('EU014', 'level', 3);
+    expect(latest.snapshot).toMatchObject({ ranking_type: 'level', class_type: 3, data_count: 3 });
+    expect(latest.rankings[0]).toMatchObject({ character: 'Tao1', value: 129 });
+
+    // El ranking de poder general no se ve afectado
+    expect(await database.getLatestSnapshot({ server: 'EU014' })).toBeNull();
+    expect(await database.getLatestTypedRanking('EU014', 'level', 0)).toBeNull();
+  });
+});
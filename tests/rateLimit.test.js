@@ -0,0 +1,91 @@
+/**
+ * Pruebas del rate limiting por reglas de ruta, por IP y por clave de API
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiter, globToRegExp } = require('../src/rateLimit');
+const { createStateStore } = require('../src/stateStore');
+
+/**
+ * Crea una aplicación con el limitador y unas rutas de prueba
+ */
+function createApp(options) {
+  const app = express();
+  // Solo las claves que empiezan por "clave-" son válidas
+  const authenticate = async key => (key.startsWith('clave-') ? { name: key, scope: 'read' } : null);
+  app.use(createRateLimiter({ enabled: true, windowMs: 60 * 1000, authenticate, ...options }));
+  app.get('/api/rankings', (req, res) => res.json([]));
+  app.get('/api/servers/:server/changes', (req, res) => res.json({}));
+  app.post('/api/rankings/refresh', (req, res) => res.json({ success: true }));
+  return app;
+}
+
+describe('Rate limiting', () => {
+  test('convierte los globs de rutas en expresiones', () => {
+    expect(globToRegExp('/api/servers/*/changes').test('/api/servers/EU014/changes')).toBe(true);
+    expect(globToRegExp('/api/servers/*/changes').test('/api/servers/EU1/EU014/changes')).toBe(false);
+    expect(globToRegExp('/api/prefetch/**').test('/api/prefetch/start')).toBe(true);
+    expect(globToRegExp('/api/servers/*/changes').test('/API/Servers/EU014/Changes/')).toBe(true);
+  });
+
+  test('aplica la regla de la ruta real con cabeceras RateLimit-* y Retry-After', async () => {
+    const app = createApp({ maxRequests: 100 });
+
+    const first = await request(app).post('/api/rankings/refresh');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('1');
+    expect(first.headers['ratelimit-remaining']).toBe('0');
+    expect(first.headers['ratelimit-policy']).toBe('1;w=300');
+
+    const second = await request(app).post('/api/rankings/refresh');
+    expect(second.status).toBe(429);
+    expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+    expect(second.body.retryAfter).toBe(Number(second.headers['retry-after']));
+
+    // Express atiende la misma ruta con barra final o en mayúsculas: comparten el contador de la regla
+    for (const variant of ['/api/rankings/refresh/', '/API/Rankings/Refresh']) {
+      const response = await request(app).post(variant);
+      expect(response.status).toBe(429);
+      expect(response.headers['ratelimit-policy']).toBe('1;w=300');
+    }
+
+    // Las demás rutas usan el límite general
+    expect((await request(app).get('/api/rankings')).headers['ratelimit-limit']).toBe('100');
+  });
+
+  test('admite reglas de configuración con glob o regex y cuenta por clave de API', async () => {
+    const app = createApp({
+      maxRequests: 100,
+      keyMaxRequests: 2,
+      rules: JSON.stringify([
+        { route: '/api/servers/*/changes', windowMs: 60000, maxRequests: 1 },
+        { route: 'regex:^/api/rankings$', windowMs: 60000, maxRequests: 5, keyMaxRequests: 1 }
+      ])
+    });
+
+    expect((await request(app).get('/api/servers/EU014/changes')).status).toBe(200);
+    expect((await request(app).get('/api/servers/EU021/changes')).status).toBe(429);
+
+    expect((await request(app).get('/api/rankings').set('X-API-Key', 'clave-a')).status).toBe(200);
+    expect((await request(app).get('/api/rankings').set('X-API-Key', 'clave-a')).status).toBe(429);
+    expect((await request(app).get('/api/rankings').set('X-API-Key', 'clave-b')).status).toBe(200);
+  });
+
+  test('una clave válida solo cuenta para su cuota y una no válida cuenta para la IP', async () => {
+    const app = createApp({ maxRequests: 1, keyMaxRequests: 3, store: createStateStore({ type: 'memory' }) });
+
+    // La clave puede superar la cuota de la IP, y sus solicitudes no gastan la de la IP
+    for (let i = 0; i < 3; i++) {
+      const response = await request(app).get('/api/rankings').set('X-API-Key', 'clave-a');
+      expect(response.status).toBe(200);
+      expect(response.headers['ratelimit-limit']).toBe('3');
+    }
+    expect((await request(app).get('/api/rankings').set('X-API-Key', 'clave-a')).status).toBe(429);
+
+    expect((await request(app).get('/api/rankings')).status).toBe(200);
+    const invalid = await request(app).get('/api/rankings').set('X-API-Key', 'inventada');
+    expect(invalid.status).toBe(429);
+    expect(invalid.headers['ratelimit-limit']).toBe('1');
+  });
+});
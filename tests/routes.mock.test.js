@@ -28,7 +28,7 @@ jest.mock('../src/database', () => ({
   updateServersDatabase: jest.fn(),
   markServerAsInactive: jest.fn(),
   markServerAsActive: jest.fn(),
-  saveServerRankings: jest.fn(),
+  markServerUpdated: jest.fn(),
   saveCharacterDetails: jest.fn(),
   getCharacterDetails: jest.fn(),
   getRankingId: jest.fn(),
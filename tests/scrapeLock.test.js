@@ -0,0 +1,135 @@
+/**
+ * Pruebas de la deduplicación de descargas y del lock de scraping en la base de datos
+ */
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+process.env.SCRAPER_RETRY_DELAY = '0';
+process.env.SCRAPER_MAX_RETRIES = '1';
+process.env.SCRAPE_LOCK_WAIT = '500';
+
+jest.mock('../src/rankingSession', () => ({
+  ...jest.requireActual('../src/rankingSession'),
+  openRankingSession: jest.fn()
+}));
+
+const database = require('../src/database');
+const { openRankingSession } = require('../src/rankingSession');
+const { fetchServerRankingData, fetchClanRankingData } = require('../src/scraper');
+const { singleFlight, acquireLock, getInFlightKeys } = require('../src/scrapeLock');
+
+describe('Lock de scraping', () => {
+  beforeAll(async () => {
+    await database.initDatabase();
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('las llamadas simultáneas de un servidor comparten una sola descarga', async () => {
+    let calls = 0;
+    let finish;
+    const task = () => {
+      calls++;
+      return new Promise(resolve => { finish = resolve; });
+    };
+
+    const first = singleFlight('ASIA1_ASIA011', task);
+    const second = singleFlight('ASIA1_ASIA011', task);
+    expect(getInFlightKeys()).toEqual(['ASIA1_ASIA011']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    finish([{ rank: 1 }]);
+
+    expect(await first).toEqual([{ rank: 1 }]);
+    expect(await second).toBe(await first);
+    expect(calls).toBe(1);
+    expect(getInFlightKeys()).toEqual([]);
+  });
+
+  test('cancelar una llamada no cancela la descarga que esperan las demás', async () => {
+    let sharedSignal;
+    let finish;
+    const task = signal => {
+      sharedSignal = signal;
+      return new Promise(resolve => { finish = resolve; });
+    };
+
+    const firstController = new AbortController();
+    const secondController = new AbortController();
+    const first = singleFlight('EU1_EU014', task, { signal: firstController.signal });
+    const second = singleFlight('EU1_EU014', task, { signal: secondController.signal });
+    await new Promise(resolve => setImmediate(resolve));
+
+    firstController.abort(new Error('Cancelada'));
+    await expect(first).rejects.toThrow('Cancelada');
+    expect(sharedSignal.aborted).toBe(false);
+
+    finish([{ rank: 1 }]);
+    expect(await second).toEqual([{ rank: 1 }]);
+
+    // Si la abandonan todas, se cancela la descarga compartida
+    const third = new AbortController();
+    const fourth = new AbortController();
+    const pending = [
+      singleFlight('EU1_EU015', task, { signal: third.signal }),
+      singleFlight('EU1_EU015', task, { signal: fourth.signal })
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+    third.abort(new Error('Cancelada'));
+    fourth.abort(new Error('Cancelada'));
+    await Promise.allSettled(pending);
+    expect(sharedSignal.aborted).toBe(true);
+  });
+
+  test('otro proceso espera a que se libere el lock y puede tomar uno caducado', async () => {
+    expect(await database.acquireScrapeLock('ranking:EU1_EU014', 'proceso-caido', 50)).toBe(true);
+    expect(await database.acquireScrapeLock('ranking:EU1_EU014', 'otro', 60000)).toBe(false);
+
+    // El lease del proceso caído vence y otro proceso lo toma
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const lock = await acquireLock('ranking:EU1_EU014', { enabled: true, leaseMs: 60000, pollMs: 20 });
+    expect(lock.waited).toBe(false);
+    expect((await database.getScrapeLocks())[0]).toMatchObject({ key: 'ranking:EU1_EU014', owner: lock.owner });
+
+    const waiting = acquireLock('ranking:EU1_EU014', { enabled: true, leaseMs: 60000, pollMs: 20 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await lock.release();
+
+    const next = await waiting;
+    expect(next.waited).toBe(true);
+
+    // Si el que lo tiene no termina a tiempo, se abandona la espera
+    await expect(acquireLock('ranking:EU1_EU014', { enabled: true, leaseMs: 60000, waitMs: 0 }))
+      .rejects.toMatchObject({ code: 'SCRAPE_LOCK_TIMEOUT' });
+
+    await next.release();
+    expect(await database.getScrapeLocks()).toEqual([]);
+  });
+
+  test('el reintento tras perder el navegador sigue con el lock del primer intento', async () => {
+    openRankingSession
+      .mockRejectedValueOnce(new Error('Protocol error: Target closed'))
+      .mockRejectedValueOnce(new Error('Página no disponible'));
+
+    // Si el reintento intentara tomar otro lock, esperaría a SCRAPE_LOCK_TIMEOUT
+    await expect(fetchServerRankingData('SA1', 'SA011', true)).rejects.toThrow('Página no disponible');
+    expect(openRankingSession).toHaveBeenCalledTimes(2);
+    expect(await database.getScrapeLocks()).toEqual([]);
+  });
+
+  test('el ranking de clanes también comparte la descarga y libera su lock', async () => {
+    openRankingSession.mockClear();
+    openRankingSession.mockRejectedValueOnce(new Error('Página no disponible'));
+
+    const results = await Promise.allSettled([
+      fetchClanRankingData('SA1', 'SA012', true),
+      fetchClanRankingData('SA1', 'SA012', true)
+    ]);
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+    expect(openRankingSession).toHaveBeenCalledTimes(1);
+    expect(await database.getScrapeLocks()).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Pruebas de los perfiles versionados de selectores y de iconos de clase
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mir4-profiles-'));
+const profilesDir = path.join(tempDir, 'profiles');
+const shippedDir = path.join(__dirname, '..', 'src', 'profiles');
+const fixture = path.join(shippedDir, 'fixtures', 'ranking_v1.html');
+
+process.env.SELECTOR_PROFILES_DIR = profilesDir;
+process.env.DATA_DIR = path.relative(process.cwd(), path.join(tempDir, 'data'));
+
+const ICON_BASE = 'https://mir4-live-hp.wemade.com/mir4-forum/img/desktop/temp';
+
+/**
+ * Guarda un perfil en el directorio de perfiles de la prueba
+ */
+function writeProfile(version, overrides = {}) {
+  const profile = { version, description: `Perfil ${version}`, fixture, selectors: {}, characterClasses: {}, ...overrides };
+  fs.writeFileSync(path.join(profilesDir, `v${version}.json`), JSON.stringify(profile));
+}
+
+/**
+ * Fila de ranking con el icono indicado
+ */
+function row(icon) {
+  return `<table><tr class="list_article"><td><span class="rank_num"><span class="num">1</span></span></td>` +
+    `<td><span class="user_icon" style="background-image: url('${ICON_BASE}/${icon}')"></span><span class="user_name">Nuevo</span></td>` +
+    '<td><span>EU014</span></td><td><span>ClanA</span></td><td class="text_right"><span>1,000</span></td></tr></table>';
+}
+
+describe('Perfiles de selectores', () => {
+  let selectorProfiles;
+  let scraper;
+
+  beforeAll(() => {
+    fs.mkdirSync(profilesDir, { recursive: true });
+    writeProfile(1);
+    writeProfile(2, { characterClasses: { [`${ICON_BASE}/char_7.png`]: 'Lancero' } });
+    writeProfile(3, { selectors: { RANKING_ROW: 'tr.rank_row' } });
+
+    selectorProfiles = require('../src/selectorProfiles');
+    scraper = require('../src/scraper');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('el perfil incluido en el proyecto supera la validación con su fixture', () => {
+    const profile = JSON.parse(fs.readFileSync(path.join(shippedDir, 'v1.json'), 'utf8'));
+    const validation = selectorProfiles.validateProfile(profile, shippedDir);
+
+    expect(validation).toMatchObject({ valid: true, problems: [] });
+    expect(validation.metrics).toMatchObject({ rows: 12, parsed: 12, classRatio: 1 });
+  });
+
+  test('activa la mayor versión válida y descarta la que no parsea el fixture', () => {
+    const { active, profiles } = selectorProfiles.reloadProfiles();
+
+    expect(active).toMatchObject({ version: 2, file: 'v2.json' });
+    expect(profiles.find(profile => profile.version === 3)).toMatchObject({ valid: false });
+    expect(scraper.parseRankingHtml(row('char_7.png'))[0].class).toBe('Lancero');
+  });
+
+  test('rechaza activar un perfil inválido o inexistente y mantiene el activo', () => {
+    expect(() => selectorProfiles.reloadProfiles({ version: 3 })).toThrow(expect.objectContaining({ code: 'PROFILE_INVALID' }));
+    expect(() => selectorProfiles.reloadProfiles({ version: 9 })).toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND' }));
+    expect(selectorProfiles.validateProfile({ version: 4, fixture, characterClasses: { [`${ICON_BASE}/char_8.png`]: 'Bardo' } }).valid).toBe(false);
+
+    expect(selectorProfiles.getActiveProfile().version).toBe(2);
+    expect(scraper.parseRankingHtml(fs.readFileSync(fixture, 'utf8'))).toHaveLength(12);
+  });
+
+  test('registra los iconos de clase desconocidos', () => {
+    const [player] = scraper.parseRankingHtml(row('char_9.png'));
+    scraper.parseRankingHtml(row('char_9.png'));
+
+    expect(player.class).toBe('Desconocido');
+    expect(selectorProfiles.getUnknownIcons()).toEqual([
+      expect.objectContaining({ url: `${ICON_BASE}/char_9.png`, count: 2, sample: { character: 'Nuevo', server: 'EU014' } })
+    ]);
+    expect(fs.existsSync(path.join(tempDir, 'data', 'unknown_class_icons.json'))).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Pruebas del descubrimiento de servidores contra un servidor local que imita la página del ranking
+ */
+
+const http = require('http');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_DELAY = '0';
+
+/**
+ * Página de ranking con los desplegables de grupo de mundos y de mundo
+ */
+function rankingPage(worldGroupId) {
+  const worlds = {
+    1: '<option value="411">ASIA011</option><option value="412">ASIA012</option>',
+    99: '<option value="9901">NUEVA011</option>'
+  };
+
+  return `<html><body><div class="filter_box">
+    <select name="worldgroupid"><option value="">Todos</option><option value="1">Asia 1</option><option value="99">Nueva 1</option></select>
+    <select name="worldid"><option value="">Todos</option>${worlds[worldGroupId] || ''}</select>
+  </div></body></html>`;
+}
+
+describe('Catálogo de servidores', () => {
+  let server;
+  let catalog;
+  let database;
+  let buildServerUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      res.end(rankingPage(url.searchParams.get('worldgroupid')));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    process.env.RANKING_POWER_URL = `http://127.0.0.1:${server.address().port}/rank?ranktype=1`;
+    catalog = require('../src/serverCatalog');
+    database = require('../src/database');
+    ({ buildServerUrl } = require('../src/scraper'));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.closeDatabase();
+  });
+
+  test('lee los grupos de mundos y los mundos de los desplegables', () => {
+    const { worldGroups, worlds } = catalog.parseServerDropdowns(rankingPage(1));
+
+    expect(worldGroups).toEqual([{ id: 1, name: 'ASIA1' }, { id: 99, name: 'NUEVA1' }]);
+    expect(worlds.map(world => world.id)).toEqual([411, 412]);
+  });
+
+  test('registra los servidores nuevos y corrige los IDs de la configuración', async () => {
+    await catalog.loadServerCatalog();
+    const seededId = catalog.getServerRegions().ASIA1.servers.ASIA011.id;
+
+    const result = await catalog.discoverServers();
+
+    expect(result.newServers).toEqual(['NUEVA1 > NUEVA011']);
+    expect(result.changedIds.map(change => change.server)).toContain('ASIA1 > ASIA011');
+    expect(seededId).not.toBe(411);
+
+    const regions = catalog.getServerRegions();
+    expect(regions.NUEVA1).toMatchObject({ id: 99, servers: { NUEVA011: { id: 9901, source: 'discovered' } } });
+    expect(buildServerUrl('ASIA1', 'ASIA011')).toContain('worldgroupid=1&worldid=411');
+
+    // Los servidores de la configuración que no aparecen en la web se conservan
+    expect(regions.ASIA1.servers.ASIA044).toBeDefined();
+  });
+
+  test('la siembra desde la configuración no sobrescribe los IDs descubiertos', async () => {
+    await catalog.loadServerCatalog();
+
+    const rows = await database.getServerCatalog();
+    const asia011 = rows.find(row => row.server_name === 'ASIA011');
+
+    expect(asia011).toMatchObject({ world_id: 411, source: 'discovered' });
+    expect(catalog.getServerRegions().ASIA1.servers.ASIA011.id).toBe(411);
+  });
+});
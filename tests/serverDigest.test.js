@@ -0,0 +1,130 @@
+/**
+ * Pruebas del catálogo de servidores, el registro de operaciones y el resumen (digest) de cada servidor,
+ * y de la parada temprana del scraping cuando la primera página coincide con lo guardado
+ */
+
+const http = require('http');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.SCRAPER_MODE = 'http';
+process.env.SCRAPER_DELAY = '0';
+process.env.SCRAPER_MAX_PAGES = '2';
+process.env.SCRAPER_RESPECT_ROBOTS_TXT = 'false';
+
+const { buildRankings, rankingRows } = require('./helpers/rankings');
+
+// Filas con el formato de la web (icono de guerrero y columnas de servidor, clan y poder)
+const rows = (from, to) => rankingRows(from, to, { icon: 1, server: 'ASIA011' });
+
+// Servidor local que imita la página del ranking (antes de cargar config.js, que lee las URLs)
+let server;
+let database;
+let lastListRank = 6;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/rank') {
+      res.end(`<html><body><table>${rows(1, 3)}</table></body></html>`);
+    } else {
+      res.end(url.searchParams.get('page') === '2' ? rows(4, lastListRank) : '');
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.RANKING_POWER_URL = `${baseUrl}/rank?ranktype=1`;
+  process.env.RANKING_LIST_URL = `${baseUrl}/rank/list`;
+
+  database = require('../src/database');
+  await database.initDatabase();
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.closeDatabase();
+});
+
+describe('Catálogo de servidores y operaciones', () => {
+  beforeAll(async () => {
+    await database.insertRankingSnapshot(buildRankings(['Alpha', 'Bravo', 'Charlie'], 'EU013'), 'EU013', 'test');
+  });
+
+  test('sincroniza servidores y marca los inactivos', async () => {
+    const count = await database.updateServersDatabase({
+      EU1: { id: 1, servers: { EU013: { id: 13 }, EU014: { id: 14 } } }
+    });
+    expect(count).toBe(2);
+
+    expect(await database.markServerAsInactive('EU1', 'EU014')).toBe(true);
+    expect(await database.markServerAsActive('EU1', 'EU014')).toBe(true);
+  });
+
+  test('genera el resumen de un servidor a partir de su último snapshot', async () => {
+    const digest = await database.getServerDigest('EU1', 'EU013', 2);
+
+    expect(digest.stats.total_players).toBe(3);
+    expect(digest.topPlayers.map(player => player.character_name)).toEqual(['Alpha', 'Bravo']);
+  });
+
+  test('marca un servidor como actualizado con su último snapshot sin guardar otro', async () => {
+    const latest = await database.getLatestSnapshot({ server: 'EU013' });
+
+    expect(await database.markServerUpdated('EU1', 'EU013')).toMatchObject({ id: latest.id });
+    expect(await database.getSnapshotsList({ server: 'EU013' })).toHaveLength(1);
+  });
+
+  test('registra y actualiza operaciones de actualización', async () => {
+    const operation = { updateType: 'prefetch', description: 'Prueba', status: 'in_progress', startTime: new Date() };
+
+    const id = await database.logUpdateOperation(operation);
+    expect(id).toBe(operation.id);
+
+    operation.status = 'completed';
+    expect(await database.logUpdateOperation(operation)).toBe(id);
+  });
+});
+
+describe('Parada temprana del scraping', () => {
+  let scraper;
+  let cache;
+
+  beforeAll(() => {
+    scraper = require('../src/scraper');
+    cache = require('../src/cache');
+  });
+
+  beforeEach(() => {
+    lastListRank = 6;
+    // Fuera de la ventana del reset diario, que siempre fuerza el scraping completo
+    jest.spyOn(Date.prototype, 'getUTCHours').mockReturnValue(12);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('el ranking global sin cambios en la página 1 devuelve el snapshot guardado y lo cachea', async () => {
+    expect(await scraper.fetchRankingData(true)).toHaveLength(6);
+
+    // Si se cargara el resto de páginas, el ranking tendría ahora 5 jugadores
+    await cache.clearCache();
+    lastListRank = 5;
+
+    const rankings = await scraper.fetchRankingData();
+    expect(rankings).toHaveLength(6);
+    expect(await cache.getMainCache()).toHaveLength(6);
+  });
+
+  test('un servidor sin cambios en la página 1 compara con el digest y usa sus datos guardados', async () => {
+    expect(await scraper.fetchServerRankingData('ASIA1', 'ASIA011', true)).toHaveLength(6);
+
+    await cache.clearCache();
+    lastListRank = 5;
+
+    const rankings = await scraper.fetchServerRankingData('ASIA1', 'ASIA011');
+    expect(rankings).toHaveLength(6);
+    expect(rankings[0]).toMatchObject({ regionName: 'ASIA1', serverName: 'ASIA011' });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Pruebas de las diferencias entre snapshots de un servidor
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+
+const database = require('../src/database');
+const { buildRankings } = require('./helpers/rankings');
+
+describe('Diferencias entre snapshots', () => {
+  const app = express();
+  app.use('/api', require('../src/routes'));
+
+  let oldSnapshot;
+  let newSnapshot;
+
+  beforeAll(async () => {
+    await database.initDatabase();
+    oldSnapshot = await database.insertRankingSnapshot(
+      buildRankings(['Uno', 'Dos', 'Tres', 'Cuatro', 'Cinco']),
+      'ASIA011',
+      'test'
+    );
+    newSnapshot = await database.insertRankingSnapshot(
+      buildRankings(['Cinco', 'Uno', 'Dos', 'Tres', 'Seis'], 'ASIA011', { Dos: 'ClanB' }),
+      'ASIA011',
+      'test'
+    );
+  });
+
+  afterAll(async () => {
+    await database.closeDatabase();
+  });
+
+  test('resume los cambios entre dos snapshots', async () => {
+    const diff = await database.getSnapshotDiff(oldSnapshot.id, newSnapshot.id);
+
+    expect(diff.newcomers.map(entry => entry.character)).toEqual(['Seis']);
+    expect(diff.dropouts.map(entry => entry.character)).toEqual(['Cuatro']);
+    expect(diff.climbers[0]).toMatchObject({ character: 'Cinco', oldRank: 5, newRank: 1, change: 4 });
+    expect(diff.fallers.map(move => move.character)).toEqual(['Uno', 'Dos', 'Tres']);
+    expect(diff.clanTransfers).toEqual([{ character: 'Dos', oldClan: 'ClanA', newClan: 'ClanB' }]);
+  });
+
+  test('expone las diferencias y los cambios recientes de un servidor en la API', async () => {
+    const diff = await request(app).get(`/api/snapshots/${oldSnapshot.id}/diff/${newSnapshot.id}?top=1`);
+    expect(diff.status).toBe(200);
+    expect(diff.body.fallers.map(move => move.character)).toEqual(['Uno']);
+
+    // Sin snapshot anterior a las últimas 24 horas, se compara con el primero posterior
+    const changes = await request(app).get('/api/servers/ASIA1/ASIA011/changes');
+    expect(changes.status).toBe(200);
+    expect(changes.body).toMatchObject({ regionName: 'ASIA1', serverName: 'ASIA011' });
+    expect(changes.body.newcomers.map(entry => entry.character)).toEqual(['Seis']);
+
+    expect((await request(app).get(`/api/snapshots/${oldSnapshot.id}/diff/99999`)).status).toBe(404);
+    expect((await request(app).get('/api/servers/ASIA1/ASIA011/changes?since=ayer')).status).toBe(400);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Pruebas del almacén de estado compartido contra un servidor RESP local
+ */
+
+const net = require('net');
+const express = require('express');
+const request = require('supertest');
+const { createStateStore } = require('../src/stateStore');
+const { createRateLimiter } = require('../src/rateLimit');
+
+/**
+ * Servidor mínimo que entiende los comandos de Redis usados por el almacén
+ */
+function createRespServer() {
+  const data = new Map();
+
+  const alive = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  const bulk = value => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  const matches = (pattern, key) => new RegExp(`^${pattern.replace(/\\(.)|([.+^${}()|])|\*/g, (all, escaped, special) =>
+    escaped ? `\\${escaped}` : special ? `\\${special}` : '.*')}$`).test(key);
+
+  const commands = {
+    GET: ([key]) => bulk(alive(key) ? alive(key).value : null),
+    SET: ([key, value, ...flags]) => {
+      const upper = flags.map(flag => flag.toUpperCase());
+      if (upper.includes('NX') && alive(key)) return '$-1\r\n';
+      const px = upper.indexOf('PX');
+      data.set(key, { value, expiresAt: px >= 0 ? Date.now() + Number(flags[px + 1]) : null });
+      return '+OK\r\n';
+    },
+    DEL: keys => `:${keys.filter(key => alive(key) && data.delete(key)).length}\r\n`,
+    INCR: ([key]) => {
+      const entry = alive(key) || { value: '0', expiresAt: null };
+      entry.value = String(Number(entry.value) + 1);
+      data.set(key, entry);
+      return `:${entry.value}\r\n`;
+    },
+    PTTL: ([key]) => {
+      const entry = alive(key);
+      if (!entry) return ':-2\r\n';
+      return `:${entry.expiresAt === null ? -1 : entry.expiresAt - Date.now()}\r\n`;
+    },
+    PEXPIRE: ([key, ttl]) => {
+      const entry = alive(key);
+      if (entry) entry.expiresAt = Date.now() + Number(ttl);
+      return `:${entry ? 1 : 0}\r\n`;
+    },
+    SCAN: ([, , pattern]) => {
+      const keys = Array.from(data.keys()).filter(key => alive(key) && matches(pattern, key));
+      return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      // Los clientes envían arrays de cadenas: *N\r\n($len\r\nvalor\r\n)*N
+      let match;
+      while ((match = /^\*(\d+)\r\n/.exec(buffer))) {
+        let position = match[0].length;
+        const args = [];
+        for (let i = 0; i < Number(match[1]); i++) {
+          const header = /^\$(\d+)\r\n/.exec(buffer.slice(position));
+          if (!header || buffer.length < position + header[0].length + Number(header[1]) + 2) return;
+          position += header[0].length;
+          args.push(buffer.slice(position, position + Number(header[1])));
+          position += Number(header[1]) + 2;
+        }
+        buffer = buffer.slice(position);
+        const handler = commands[args[0].toUpperCase()];
+        socket.write(handler ? handler(args.slice(1)) : `-ERR unknown command '${args[0]}'\r\n`);
+      }
+    });
+  });
+
+  return { server, data };
+}
+
+describe('Almacén de estado compartido', () => {
+  let resp;
+  let url;
+  const stores = [];
+
+  const connectStore = () => {
+    const store = createStateStore({ type: 'redis', url, prefix: 'prueba:', timeoutMs: 1000 });
+    stores.push(store);
+    return store;
+  };
+
+  beforeAll(async () => {
+    resp = createRespServer();
+    await new Promise(resolve => resp.server.listen(0, '127.0.0.1', resolve));
+    url = `redis://127.0.0.1:${resp.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await Promise.all(stores.map(store => store.close()));
+    await new Promise(resolve => resp.server.close(resolve));
+  });
+
+  test.each(['memory', 'redis'])('el almacén %s guarda valores, cuenta con caducidad y borra por prefijo', async type => {
+    const store = type === 'redis' ? connectStore() : createStateStore({ type });
+
+    await store.set('cache:query:a', { data: [1, 2], timestamp: 1 }, 60000);
+    await store.set('cache:query:b', 'texto', 60000);
+    await store.set('otro', true);
+    expect(await store.get('cache:query:a')).toEqual({ data: [1, 2], timestamp: 1 });
+    expect(await store.get('inexistente')).toBeNull();
+
+    expect((await store.increment('contador', 60000)).count).toBe(1);
+    const second = await store.increment('contador', 60000);
+    expect(second.count).toBe(2);
+    expect(second.ttlMs).toBeGreaterThan(0);
+    expect(second.ttlMs).toBeLessThanOrEqual(60000);
+
+    expect((await store.keys('cache:')).sort()).toEqual(['cache:query:a', 'cache:query:b']);
+    expect(await store.clear('cache:')).toBe(2);
+    expect(await store.get('cache:query:b')).toBeNull();
+    expect(await store.get('otro')).toBe(true);
+
+    if (type === 'memory') {
+      await store.close();
+    } else {
+      expect(resp.data.has('prueba:otro')).toBe(true);
+    }
+  });
+
+  test('dos instancias comparten el límite de tasa y el caché a través del servidor', async () => {
+    const createApp = () => {
+      const app = express();
+      app.use(createRateLimiter({ enabled: true, maxRequests: 100, store: connectStore() }));
+      app.post('/api/rankings/refresh', (req, res) => res.json({ success: true }));
+      return app;
+    };
+
+    expect((await request(createApp()).post('/api/rankings/refresh')).status).toBe(200);
+    expect((await request(createApp()).post('/api/rankings/refresh')).status).toBe(429);
+
+    process.env.STATE_STORE = 'redis';
+    process.env.STATE_STORE_URL = url;
+    process.env.STATE_STORE_PREFIX = 'prueba:';
+
+    let cache;
+    let stateStore;
+    jest.isolateModules(() => {
+      cache = require('../src/cache');
+      stateStore = require('../src/stateStore');
+    });
+
+    await cache.setServerCache('ASIA1_ASIA011', [{ rank: 1, character: 'Jugador' }]);
+    expect(await connectStore().get('cache:server:ASIA1_ASIA011')).toMatchObject({ data: [{ rank: 1, character: 'Jugador' }] });
+    expect(await cache.getServerCache('ASIA1_ASIA011')).toHaveLength(1);
+    expect((await cache.getCacheStats()).serverCache.keys).toEqual(['ASIA1_ASIA011']);
+
+    await stateStore.closeStateStore();
+  });
+
+  test('el caché expulsa la entrada más antigua sin leer las demás y no expulsa nada al sobrescribir', async () => {
+    process.env.STATE_STORE = 'memory';
+
+    let cache;
+    let stateStore;
+    jest.isolateModules(() => {
+      cache = require('../src/cache');
+      stateStore = require('../src/stateStore');
+    });
+
+    for (let i = 0; i < 50; i++) {
+      await cache.setQueryCache(`consulta${i}`, [i]);
+    }
+
+    const store = stateStore.getStateStore();
+    const get = jest.spyOn(store, 'get');
+    const keys = jest.spyOn(store, 'keys');
+
+    await cache.setQueryCache('consulta0', ['nuevo']);
+    expect((await cache.getCacheStats()).queryCache.size).toBe(50);
+    expect(await cache.getQueryCache('consulta1')).toEqual([1]);
+
+    get.mockClear();
+    keys.mockClear();
+    await cache.setQueryCache('consulta50', [50]);
+
+    expect(get.mock.calls.map(([key]) => key)).toEqual(['cache:index:cache:query:']);
+    expect(keys).not.toHaveBeenCalled();
+    expect(await cache.getQueryCache('consulta1')).toBeNull();
+    expect(await cache.getQueryCache('consulta0')).toEqual(['nuevo']);
+    expect((await cache.getCacheStats()).queryCache.size).toBe(50);
+
+    await stateStore.closeStateStore();
+  });
+});